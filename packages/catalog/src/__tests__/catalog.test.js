@@ -0,0 +1,148 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_LIMIT,
+  createProductDetail,
+  filterProducts,
+  findProduct,
+  getUniqueCategories,
+  normalizeCatalogQuery,
+  queryProducts,
+} from "../index.js";
+
+const products = [
+  { productId: "1", title: "나무 도마", brand: "Wood", lprice: "3000", category1: "생활/건강", category2: "주방용품" },
+  { productId: "2", title: "가죽 지갑", brand: "레더", lprice: "1000", category1: "패션잡화", category2: "지갑" },
+  {
+    productId: "3",
+    title: "다용도 도마",
+    brand: "키친",
+    lprice: "2000",
+    category1: "생활/건강",
+    category2: "주방용품",
+  },
+  { productId: "4", title: "쇼핑백", brand: "", lprice: "500", category1: "생활/건강", category2: "생활용품" },
+  { productId: "5", title: "휴대폰 케이스", brand: "", lprice: "10000", category1: "디지털/가전", category2: "" },
+];
+
+const ids = (items) => items.map(({ productId }) => productId);
+
+describe("카탈로그 조회 엔진 > ", () => {
+  describe("normalizeCatalogQuery", () => {
+    it("빈 쿼리는 기본값으로 채운다", () => {
+      expect(normalizeCatalogQuery()).toEqual({
+        search: "",
+        category1: "",
+        category2: "",
+        sort: "price_asc",
+        page: 1,
+        limit: DEFAULT_LIMIT,
+      });
+    });
+
+    it("query는 search, current는 page의 별칭으로 사용한다", () => {
+      expect(normalizeCatalogQuery({ query: "도마", current: "3" })).toMatchObject({ search: "도마", page: 3 });
+      expect(normalizeCatalogQuery({ search: "지갑", query: "도마", page: "2", current: "3" })).toMatchObject({
+        search: "지갑",
+        page: 2,
+      });
+    });
+
+    it("잘못된 숫자와 알 수 없는 정렬은 기본값으로 대체한다", () => {
+      expect(normalizeCatalogQuery({ page: "abc", limit: "0", sort: "random" })).toMatchObject({
+        page: 1,
+        limit: DEFAULT_LIMIT,
+        sort: "price_asc",
+      });
+      expect(normalizeCatalogQuery({ page: "-1", limit: "-5" })).toMatchObject({ page: 1, limit: DEFAULT_LIMIT });
+    });
+
+    it("배열 값(중복 쿼리)은 첫 번째 값을 사용한다", () => {
+      expect(normalizeCatalogQuery({ sort: ["name_desc", "price_desc"], limit: ["5"] })).toMatchObject({
+        sort: "name_desc",
+        limit: 5,
+      });
+    });
+  });
+
+  describe("filterProducts", () => {
+    it("상품명 또는 브랜드에서 대소문자 구분 없이 검색한다", () => {
+      expect(ids(filterProducts(products, { search: "도마" }))).toEqual(["3", "1"]);
+      expect(ids(filterProducts(products, { search: "wOOD" }))).toEqual(["1"]);
+      expect(ids(filterProducts(products, { query: "레더" }))).toEqual(["2"]);
+    });
+
+    it("category1, category2로 필터링한다", () => {
+      expect(ids(filterProducts(products, { category1: "생활/건강" }))).toEqual(["4", "3", "1"]);
+      expect(ids(filterProducts(products, { category1: "생활/건강", category2: "주방용품" }))).toEqual(["3", "1"]);
+      expect(filterProducts(products, { category1: "없는 카테고리" })).toEqual([]);
+    });
+
+    it("정렬 옵션을 적용하고, 정렬이 없거나 알 수 없으면 가격 낮은 순으로 정렬한다", () => {
+      expect(ids(filterProducts(products))).toEqual(["4", "2", "3", "1", "5"]);
+      expect(ids(filterProducts(products, { sort: "unknown" }))).toEqual(["4", "2", "3", "1", "5"]);
+      expect(ids(filterProducts(products, { sort: "price_desc" }))).toEqual(["5", "1", "3", "2", "4"]);
+      expect(ids(filterProducts(products, { sort: "name_asc" }))).toEqual(["2", "1", "3", "4", "5"]);
+      expect(ids(filterProducts(products, { sort: "name_desc" }))).toEqual(["5", "4", "3", "1", "2"]);
+    });
+
+    it("원본 배열을 변경하지 않는다", () => {
+      const original = [...products];
+      filterProducts(products, { sort: "price_desc" });
+      expect(products).toEqual(original);
+    });
+  });
+
+  describe("queryProducts", () => {
+    it("필터링된 결과를 페이지 단위로 잘라 페이지 정보와 함께 반환한다", () => {
+      const result = queryProducts(products, { category1: "생활/건강", limit: "2" });
+
+      expect(ids(result.products)).toEqual(["4", "3"]);
+      expect(result.pagination).toEqual({ page: 1, limit: 2, total: 3, totalPages: 2, hasNext: true, hasPrev: false });
+      expect(result.filters).toEqual({ search: "", category1: "생활/건강", category2: "", sort: "price_asc" });
+    });
+
+    it("마지막 페이지와 범위를 벗어난 페이지를 처리한다", () => {
+      const last = queryProducts(products, { page: "3", limit: "2" });
+      expect(ids(last.products)).toEqual(["5"]);
+      expect(last.pagination).toMatchObject({ hasNext: false, hasPrev: true, totalPages: 3 });
+
+      const beyond = queryProducts(products, { page: "10", limit: "2" });
+      expect(beyond.products).toEqual([]);
+      expect(beyond.pagination.total).toBe(5);
+    });
+  });
+
+  describe("getUniqueCategories", () => {
+    it("등장 순서대로 category1 > category2 트리를 만들고 빈 category2는 제외한다", () => {
+      const categories = getUniqueCategories(products);
+
+      expect(categories).toEqual({
+        "생활/건강": { 주방용품: {}, 생활용품: {} },
+        패션잡화: { 지갑: {} },
+        "디지털/가전": {},
+      });
+      expect(Object.keys(categories)).toEqual(["생활/건강", "패션잡화", "디지털/가전"]);
+    });
+  });
+
+  describe("상품 상세", () => {
+    it("findProduct는 id로 상품을 찾고 없으면 null을 반환한다", () => {
+      expect(findProduct(products, "3")).toBe(products[2]);
+      expect(findProduct(products, "999")).toBeNull();
+    });
+
+    it("createProductDetail은 설명, 평점, 리뷰 수, 재고, 이미지 목록을 추가한다", () => {
+      const detail = createProductDetail({ ...products[0], image: "https://example.com/1.jpg" }, () => 0.5);
+
+      expect(detail).toMatchObject({
+        productId: "1",
+        rating: 5,
+        reviewCount: 550,
+        stock: 60,
+        images: ["https://example.com/1.jpg", "https://example.com/1_2.jpg", "https://example.com/1_3.jpg"],
+      });
+      expect(detail.description).toContain("나무 도마");
+      expect(detail.description).toContain("Wood 브랜드");
+    });
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * 상품 목록에서 카테고리 트리 추출 ({ [category1]: { [category2]: {} } })
+ * 카테고리 순서는 상품 목록에 처음 등장한 순서를 따른다.
+ * @param {Array<{ category1: string, category2?: string }>} products
+ * @returns {Record<string, Record<string, {}>>}
+ */
+export const getUniqueCategories = (products) => {
+  const categories = {};
+
+  products.forEach((item) => {
+    const cat1 = item.category1;
+    const cat2 = item.category2;
+
+    if (!categories[cat1]) categories[cat1] = {};
+    if (cat2 && !categories[cat1][cat2]) categories[cat1][cat2] = {};
+  });
+
+  return categories;
+};
@@ -0,0 +1,3 @@
+export * from "./queryProducts.js";
+export * from "./categories.js";
+export * from "./productDetail.js";
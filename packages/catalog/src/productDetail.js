@@ -0,0 +1,25 @@
+/**
+ * id로 상품 조회
+ * @template {{ productId: string }} T
+ * @param {T[]} products
+ * @param {string} productId
+ * @returns {T|null}
+ */
+export const findProduct = (products, productId) => products.find((item) => item.productId === productId) ?? null;
+
+/**
+ * 상품 상세 API 응답 생성 (설명, 평점, 리뷰 수, 재고, 이미지 목록 추가)
+ * 평점/리뷰 수/재고는 데모용 랜덤 값이다.
+ * @template {{ title: string, brand: string, image: string }} T
+ * @param {T} product
+ * @param {() => number} [random] - 0 이상 1 미만 난수 생성 함수 (테스트용)
+ * @returns {T & { description: string, rating: number, reviewCount: number, stock: number, images: string[] }}
+ */
+export const createProductDetail = (product, random = Math.random) => ({
+  ...product,
+  description: `${product.title}에 대한 상세 설명입니다. ${product.brand} 브랜드의 우수한 품질을 자랑하는 상품으로, 고객 만족도가 높은 제품입니다.`,
+  rating: Math.floor(random() * 2) + 4, // 4~5점 랜덤
+  reviewCount: Math.floor(random() * 1000) + 50, // 50~1050개 랜덤
+  stock: Math.floor(random() * 100) + 10, // 10~110개 랜덤
+  images: [product.image, product.image.replace(".jpg", "_2.jpg"), product.image.replace(".jpg", "_3.jpg")],
+});
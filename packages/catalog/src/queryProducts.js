@@ -0,0 +1,135 @@
+/**
+ * 상품 목록 조회 기본값
+ */
+export const DEFAULT_SORT = "price_asc";
+export const DEFAULT_LIMIT = 20;
+
+/**
+ * 지원하는 정렬 옵션 (알 수 없는 값은 DEFAULT_SORT로 처리)
+ */
+const comparators = {
+  price_asc: (a, b) => parseInt(a.lprice) - parseInt(b.lprice),
+  price_desc: (a, b) => parseInt(b.lprice) - parseInt(a.lprice),
+  name_asc: (a, b) => a.title.localeCompare(b.title, "ko"),
+  name_desc: (a, b) => b.title.localeCompare(a.title, "ko"),
+};
+
+export const SORT_OPTIONS = Object.keys(comparators);
+
+/**
+ * 정규화된 상품 목록 조회 조건
+ * @typedef {Object} CatalogQuery
+ * @property {string} search - 검색어 (상품명/브랜드, 대소문자 무시)
+ * @property {string} category1
+ * @property {string} category2
+ * @property {string} sort - SORT_OPTIONS 중 하나
+ * @property {number} page - 1부터 시작
+ * @property {number} limit
+ */
+
+/**
+ * 쿼리 값에서 단일 문자열 추출 (?a=1&a=2 처럼 배열이면 첫 번째 값)
+ * @param {*} value
+ * @returns {string}
+ */
+const getQueryValue = (value) => {
+  const first = Array.isArray(value) ? value[0] : value;
+  return first == null ? "" : String(first);
+};
+
+/**
+ * 양의 정수로 변환 (변환할 수 없으면 기본값)
+ * @param {string} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+const toPositiveInt = (value, fallback) => {
+  const number = parseInt(value);
+  return number > 0 ? number : fallback;
+};
+
+/**
+ * URL 쿼리/라우터 쿼리를 조회 조건으로 정규화
+ * - 검색어는 search 또는 query(라우터 쿼리 별칭)
+ * - 페이지는 page 또는 current(무한 스크롤 상태 별칭)
+ * - 숫자가 아니거나 0 이하인 page/limit, 알 수 없는 sort는 기본값으로 대체
+ * @param {Object<string, *>} [query]
+ * @returns {CatalogQuery}
+ */
+export const normalizeCatalogQuery = (query = {}) => {
+  const value = (key) => getQueryValue(query[key]);
+  const sort = value("sort");
+
+  return {
+    search: value("search") || value("query"),
+    category1: value("category1"),
+    category2: value("category2"),
+    sort: SORT_OPTIONS.includes(sort) ? sort : DEFAULT_SORT,
+    page: toPositiveInt(value("page") || value("current"), 1),
+    limit: toPositiveInt(value("limit"), DEFAULT_LIMIT),
+  };
+};
+
+/**
+ * 상품 검색, 카테고리 필터링, 정렬 (원본 배열은 변경하지 않음)
+ * @template {Object} T
+ * @param {T[]} products
+ * @param {Object<string, *>} [query] - normalizeCatalogQuery가 받는 형식
+ * @returns {T[]}
+ */
+export const filterProducts = (products, query = {}) => {
+  const { search, category1, category2, sort } = normalizeCatalogQuery(query);
+  let filtered = [...products];
+
+  // 검색어 필터링
+  if (search) {
+    const searchTerm = search.toLowerCase();
+    filtered = filtered.filter(
+      (item) => item.title.toLowerCase().includes(searchTerm) || item.brand.toLowerCase().includes(searchTerm),
+    );
+  }
+
+  // 카테고리 필터링
+  if (category1) {
+    filtered = filtered.filter((item) => item.category1 === category1);
+  }
+  if (category2) {
+    filtered = filtered.filter((item) => item.category2 === category2);
+  }
+
+  return filtered.sort(comparators[sort]);
+};
+
+/**
+ * 상품 목록 조회 (필터링 + 정렬 + 페이지네이션)
+ * 상품 목록 API 응답과 같은 형식을 반환한다.
+ * @template {Object} T
+ * @param {T[]} products
+ * @param {Object<string, *>} [query]
+ * @returns {{
+ *   products: T[],
+ *   pagination: { page: number, limit: number, total: number, totalPages: number, hasNext: boolean, hasPrev: boolean },
+ *   filters: { search: string, category1: string, category2: string, sort: string },
+ * }}
+ */
+export const queryProducts = (products, query = {}) => {
+  const { search, category1, category2, sort, page, limit } = normalizeCatalogQuery(query);
+  const filteredProducts = filterProducts(products, { search, category1, category2, sort });
+
+  // 페이지네이션
+  const startIndex = (page - 1) * limit;
+  const endIndex = startIndex + limit;
+
+  return {
+    products: filteredProducts.slice(startIndex, endIndex),
+    pagination: {
+      page,
+      limit,
+      total: filteredProducts.length,
+      totalPages: Math.ceil(filteredProducts.length / limit),
+      hasNext: endIndex < filteredProducts.length,
+      hasPrev: page > 1,
+    },
+    filters: { search, category1, category2, sort },
+  };
+};
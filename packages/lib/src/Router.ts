@@ -1,14 +1,181 @@
 import { createObserver } from "./createObserver";
+import { createBrowserHistory, createMemoryHistory, type RouterHistory } from "./history";
+import { isLazyRoute, loadRouteHandlers, resolveRouteHandler, type LazyRoute } from "./lazyRoute";
+import { parseRouteSchema, type RouteSchema } from "./routeSchema";
+import {
+  buildPath,
+  compareRouteRank,
+  compilePath,
+  getPathParamNames,
+  matchPath,
+  type CompiledPath,
+  type TrailingSlash,
+} from "./routePath";
 import type { AnyFunction, StringRecord } from "./types";
 
-interface Route<Handler extends AnyFunction> {
-  regex: RegExp;
-  paramNames: string[];
+/**
+ * 중첩 라우트 정의
+ * children의 path는 부모 path 기준 상대 경로이며, 빈 문자열("")은 부모 경로 자체(index)를 의미한다.
+ */
+export interface RouteDefinition<Handler extends AnyFunction> extends RouteOptions<Handler> {
+  path: string;
+  handler: RouteHandler<Handler>;
+}
+
+/**
+ * 라우트 핸들러 또는 처음 매칭될 때 불러오는 lazy 핸들러 (lazyRoute로 생성)
+ */
+export type RouteHandler<Handler extends AnyFunction> = Handler | LazyRoute<Handler>;
+
+export interface RouteOptions<Handler extends AnyFunction> {
+  children?: RouteDefinition<Handler>[];
+  /**
+   * 라우트 이름 (router.href, router.pushNamed로 URL을 만들 때 사용)
+   */
+  name?: string;
+  /**
+   * 이 라우트(또는 하위 라우트)로 이동하기 전에 실행되는 가드
+   */
+  beforeEnter?: NavigationGuard<Handler>;
+  /**
+   * 경로 파라미터 스키마 (유효하지 않으면 이 라우트는 매칭되지 않음)
+   */
+  params?: RouteSchema;
+  /**
+   * 쿼리 스키마 (유효하지 않은 값이 있으면 해당 값을 제거한 URL로 리다이렉트)
+   */
+  query?: RouteSchema;
+}
+
+/**
+ * 네비게이션 대상/출발 위치
+ */
+export interface RouteLocation<Handler extends AnyFunction> {
+  /** base를 포함한 pathname + search */
+  url: string;
+  /** 매칭된 라우트 패턴 (매칭 실패 시 null) */
+  path: string | null;
+  params: StringRecord;
+  query: QueryRecord;
+  matches: RouteMatch<Handler>[];
+  /** 히스토리 항목에 저장된 상태 (history.state) */
+  state: unknown;
+}
+
+/**
+ * 가드 결과
+ * - undefined, true: 계속 진행
+ * - false: 네비게이션 취소
+ * - string: 해당 URL로 리다이렉트
+ */
+export type NavigationGuardResult = void | boolean | string;
+
+export type NavigationGuard<Handler extends AnyFunction> = (
+  to: RouteLocation<Handler>,
+  from: RouteLocation<Handler> | null,
+) => NavigationGuardResult | Promise<NavigationGuardResult>;
+
+export type NavigationHook<Handler extends AnyFunction> = (
+  to: RouteLocation<Handler>,
+  from: RouteLocation<Handler> | null,
+) => void;
+
+/**
+ * 네비게이션 방식
+ * - push: 새 히스토리 항목 추가
+ * - replace: 현재 히스토리 항목 교체
+ * - pop: 브라우저가 이미 URL을 변경함 (뒤로/앞으로 가기)
+ */
+type NavigationMode = "push" | "replace" | "pop";
+
+// 가드가 서로를 계속 리다이렉트하는 경우를 막기 위한 최대 리다이렉트 횟수
+const MAX_REDIRECTS = 10;
+
+/**
+ * 매칭된 라우트 계층의 한 단계 (레이아웃 → ... → 페이지 순서)
+ */
+export interface RouteMatch<Handler extends AnyFunction> {
+  path: string;
   handler: Handler;
+  params: StringRecord;
+}
+
+interface RouteLevel<Handler extends AnyFunction> {
+  path: string;
+  handler: RouteHandler<Handler>;
+  paramNames: string[];
+  beforeEnter?: NavigationGuard<Handler>;
+  paramsSchema?: RouteSchema;
+  querySchema?: RouteSchema;
+}
+
+interface Route<Handler extends AnyFunction> extends CompiledPath {
+  handler: RouteHandler<Handler>;
+  levels: RouteLevel<Handler>[];
   params?: StringRecord;
+  // 상위 레이아웃부터 병합한 스키마
+  paramsSchema?: RouteSchema;
+  querySchema?: RouteSchema;
+}
+
+// handler와 matches의 handler는 로드된 핸들러 (lazy 핸들러가 아직 로드되지 않았으면 undefined)
+type MatchedRoute<Handler extends AnyFunction> = Omit<Route<Handler>, "handler"> & {
+  handler: Handler;
+  params: StringRecord;
+  path: string;
+  matches: RouteMatch<Handler>[];
+};
+
+export type QueryValue = string | string[];
+
+export type QueryRecord = Record<string, QueryValue>;
+
+type QueryPayload = Record<string, string | number | (string | number)[] | null | undefined>;
+
+/**
+ * 배열 쿼리 인코딩 방식
+ * - repeat: brand=a&brand=b
+ * - bracket: brand[]=a&brand[]=b
+ * - comma: brand=a,b
+ */
+export type QueryArrayFormat = "repeat" | "bracket" | "comma";
+
+export interface QueryOptions {
+  arrayFormat?: QueryArrayFormat;
+}
+
+export interface RouterOptions extends QueryOptions {
+  /** 끝 슬래시 처리 방식 (기본값 "optional": 있어도 없어도 매칭) */
+  trailingSlash?: TrailingSlash;
+  /**
+   * URL과 히스토리 항목을 읽고 쓰는 방식
+   * 기본값은 브라우저에서 createBrowserHistory(), 서버에서 createMemoryHistory()
+   */
+  history?: RouterHistory;
+}
+
+export interface NavigateOptions {
+  /** true면 새 히스토리 항목을 추가하지 않고 현재 항목을 교체 */
+  replace?: boolean;
+  /** 히스토리 항목에 함께 저장할 상태 (history.state) */
+  state?: unknown;
 }
 
-type QueryPayload = Record<string, string | number | undefined>;
+/**
+ * 히스토리 항목의 상태에 실제로 저장되는 형식
+ * key는 히스토리 항목마다 고유하며, 항목별 스크롤 위치를 기록하는 데 사용한다.
+ * index는 라우터가 만든 항목의 순서로, 취소된 뒤로/앞으로 가기를 되돌릴 이동 거리를 계산하는 데 사용한다.
+ */
+interface HistoryEntry {
+  key?: string;
+  index?: number;
+  state: unknown;
+}
+
+interface ScrollPosition {
+  x: number;
+  y: number;
+}
 
 export type RouterInstance<T extends AnyFunction> = InstanceType<typeof Router<T>>;
 
@@ -16,23 +183,69 @@ const isServer = typeof window === "undefined";
 
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 export class Router<Handler extends (...args: any[]) => any> {
-  readonly #routes: Map<string, Route<Handler>>;
+  // 우선순위(정적 > 동적 > 선택적 > 스플랫) 순으로 정렬된 라우트
+  #routes: Map<string, Route<Handler>>;
   readonly #observer = createObserver();
   readonly #baseUrl;
-
-  #route: null | (Route<Handler> & { params: StringRecord; path: string });
-
-  constructor(baseUrl = "") {
+  readonly #queryOptions: QueryOptions;
+  readonly #trailingSlash: TrailingSlash;
+  readonly #history: RouterHistory;
+  // 스크롤 위치 저장/복원 여부 (메모리 히스토리는 페이지 스크롤을 건드리지 않음)
+  readonly #restoresScroll: boolean;
+  readonly #beforeEachGuards = new Set<NavigationGuard<Handler>>();
+  readonly #afterEachHooks = new Set<NavigationHook<Handler>>();
+  readonly #scrollPositions = new Map<string, ScrollPosition>();
+  // 라우트 이름별 전체 경로 패턴
+  readonly #namedPaths = new Map<string, string>();
+
+  #route: null | MatchedRoute<Handler>;
+  #location: null | RouteLocation<Handler> = null;
+  // 진행 중인 네비게이션 식별자 (가드 대기 중 새 네비게이션이 시작되면 이전 것은 무시)
+  #navigationId = 0;
+  // 현재 히스토리 항목의 key
+  #entryKey: string | null = null;
+  // 현재 히스토리 항목의 index (라우터가 만들지 않은 항목이면 null)
+  #entryIndex: number | null = 0;
+  // 취소된 뒤로/앞으로 가기를 되돌리는 중일 때 돌아갈 항목의 index
+  #restoringIndex: number | null = null;
+  // lazy 핸들러를 불러오는 중인지 여부
+  #pending = false;
+
+  constructor(
+    baseUrl = "",
+    {
+      arrayFormat = "repeat",
+      trailingSlash = "optional",
+      history = isServer ? createMemoryHistory() : createBrowserHistory(),
+    }: RouterOptions = {},
+  ) {
     this.#routes = new Map();
     this.#route = null;
     this.#baseUrl = baseUrl.replace(/\/$/, "");
+    this.#queryOptions = { arrayFormat };
+    this.#trailingSlash = trailingSlash;
+    this.#history = history;
+    this.#restoresScroll = !isServer && history.type !== "memory";
+
+    // 브라우저 기본 복원은 렌더링 전에 실행되어 위치가 맞지 않으므로 라우터가 직접 복원
+    if (this.#restoresScroll && "scrollRestoration" in window.history) {
+      window.history.scrollRestoration = "manual";
+    }
 
-    if (!isServer) {
-      window.addEventListener("popstate", () => {
-        this.#route = this.#findRoute();
-        this.#observer.notify();
-      });
+    history.listen(() => {
+      // 취소로 원래 항목에 되돌아온 이동은 다시 가드를 거치지 않음
+      if (this.#restoringIndex !== null) {
+        const restored = this.#readEntry().index === this.#restoringIndex;
+        this.#restoringIndex = null;
+        if (restored) return;
+      }
+
+      // 뒤로/앞으로 가기 시점에는 스크롤이 아직 떠나는 항목의 위치에 있음
+      this.#saveScrollPosition();
+      this.#navigate(history.url, "pop", this.#readEntry().state);
+    });
 
+    if (!isServer) {
       document.addEventListener("click", (e) => {
         const target = e.target as HTMLElement;
         if (!target?.closest("[data-link]")) {
@@ -44,24 +257,72 @@ export class Router<Handler extends (...args: any[]) => any> {
           this.push(url);
         }
       });
+
+      // 링크에 마우스를 올리거나 터치하면 이동할 라우트의 핸들러를 미리 로드
+      const preloadLink = (e: Event) => {
+        if (!(e.target instanceof Element)) return;
+        const link = e.target.closest("[data-link], [data-preload]");
+        const url = link?.getAttribute("data-preload") || link?.getAttribute("href");
+        if (url) {
+          this.preload(url);
+        }
+      };
+      document.addEventListener("mouseover", preloadLink);
+      document.addEventListener("touchstart", preloadLink, { passive: true });
     }
   }
 
-  get query(): StringRecord {
-    if (isServer) return {};
-    return Router.parseQuery(window.location.search);
+  get query(): QueryRecord {
+    return Router.parseQuery(Router.getSearch(this.#history.url), this.#queryOptions);
   }
 
   set query(newQuery: QueryPayload) {
-    if (isServer) return;
-    const newUrl = Router.getUrl(newQuery, this.#baseUrl);
-    this.push(newUrl);
+    this.setQuery(newQuery);
+  }
+
+  /**
+   * 현재 쿼리에 newQuery를 병합해 이동
+   * 무한 스크롤처럼 히스토리를 쌓지 않아야 하는 변경은 { replace: true }로 호출한다.
+   */
+  setQuery(newQuery: QueryPayload, { replace = false, state }: NavigateOptions = {}) {
+    const newUrl = Router.getUrl(newQuery, this.#baseUrl, this.#queryOptions, this.#history.url);
+    if (replace) {
+      this.replace(newUrl, state);
+    } else {
+      this.push(newUrl, state);
+    }
+  }
+
+  /**
+   * 현재 히스토리 항목의 상태
+   */
+  get state(): unknown {
+    return this.#readEntry().state ?? null;
   }
 
   get params() {
     return this.#route?.params ?? {};
   }
 
+  /**
+   * 라우트 스키마로 변환/검증된 경로 파라미터 (스키마가 없으면 params와 같음)
+   */
+  get parsedParams(): Record<string, unknown> {
+    const route = this.#route;
+    if (!route?.paramsSchema) return this.params;
+    return { ...route.params, ...parseRouteSchema(route.paramsSchema, route.params).values };
+  }
+
+  /**
+   * 라우트 스키마로 변환/검증된 쿼리 (default가 채워지며, 스키마에 없는 항목은 문자열 그대로 포함)
+   */
+  get parsedQuery(): Record<string, unknown> {
+    const query = this.query;
+    const schema = this.#route?.querySchema;
+    if (!schema) return query;
+    return { ...query, ...parseRouteSchema(schema, query).values };
+  }
+
   get route() {
     return this.#route;
   }
@@ -70,122 +331,570 @@ export class Router<Handler extends (...args: any[]) => any> {
     return this.#route?.handler;
   }
 
+  /**
+   * 이동할 라우트의 lazy 핸들러를 불러오는 중인지 여부 (불러오는 동안에는 이전 라우트가 유지됨)
+   */
+  get pending() {
+    return this.#pending;
+  }
+
+  /**
+   * 매칭된 라우트 계층 (최상위 레이아웃부터 페이지까지)
+   */
+  get matches(): RouteMatch<Handler>[] {
+    return this.#route?.matches ?? [];
+  }
+
+  /**
+   * 현재 위치 (가드/후처리 훅에 전달되는 형식)
+   */
+  get location() {
+    return this.#location;
+  }
+
   readonly subscribe = this.#observer.subscribe;
 
-  addRoute(path: string, handler: Handler) {
-    // 경로 패턴을 정규식으로 변환
-    const paramNames: string[] = [];
-    const regexPath = path
-      .replace(/:\w+/g, (match) => {
-        paramNames.push(match.slice(1)); // ':id' -> 'id'
-        return "([^/]+)";
-      })
-      .replace(/\//g, "\\/");
-
-    const regex = new RegExp(`^${this.#baseUrl}${regexPath}$`);
-
-    this.#routes.set(path, {
-      regex,
-      paramNames,
+  /**
+   * 모든 네비게이션 전에 실행되는 전역 가드 등록
+   * 가드는 순서대로 실행되며, false를 반환하면 취소, URL 문자열을 반환하면 리다이렉트한다.
+   * @returns 등록 해제 함수
+   */
+  beforeEach(guard: NavigationGuard<Handler>) {
+    this.#beforeEachGuards.add(guard);
+    return () => {
+      this.#beforeEachGuards.delete(guard);
+    };
+  }
+
+  /**
+   * 네비게이션이 완료된 뒤 실행되는 훅 등록 (취소/리다이렉트된 네비게이션에서는 실행되지 않음)
+   * @returns 등록 해제 함수
+   */
+  afterEach(hook: NavigationHook<Handler>) {
+    this.#afterEachHooks.add(hook);
+    return () => {
+      this.#afterEachHooks.delete(hook);
+    };
+  }
+
+  /**
+   * 라우트 등록
+   * children을 전달하면 handler는 레이아웃이 되고, 자식 라우트가 매칭될 때 함께 matches에 포함된다.
+   * lazyRoute로 감싼 핸들러는 처음 매칭될 때(또는 preload 시) 불러온다.
+   */
+  addRoute(path: string, handler: RouteHandler<Handler>, options: RouteOptions<Handler> = {}) {
+    this.#register({ path, handler, ...options }, []);
+  }
+
+  /**
+   * 중첩 라우트 정의 목록 등록
+   */
+  addRoutes(definitions: RouteDefinition<Handler>[]) {
+    definitions.forEach((definition) => this.#register(definition, []));
+  }
+
+  #register(
+    { path, handler, children = [], beforeEnter, params, query, name }: RouteDefinition<Handler>,
+    parents: RouteLevel<Handler>[],
+  ) {
+    const parentPath = parents.at(-1)?.path;
+    const fullPath = parentPath === undefined ? path : Router.joinPaths(parentPath, path);
+    if (name) {
+      this.#namedPaths.set(name, fullPath);
+    }
+    const level = {
+      path: fullPath,
       handler,
+      paramNames: Router.getParamNames(path),
+      beforeEnter,
+      paramsSchema: params,
+      querySchema: query,
+    };
+    const levels = [...parents, level];
+
+    // 레이아웃은 자식 라우트로만 매칭됨 (부모 경로 자체는 index 자식 "" 으로 등록)
+    if (children.length > 0) {
+      children.forEach((child) => this.#register(child, levels));
+      return;
+    }
+
+    this.#routes.set(fullPath, {
+      ...compilePath(fullPath, { baseUrl: this.#baseUrl, trailingSlash: this.#trailingSlash }),
+      handler,
+      levels,
+      paramsSchema: Router.mergeSchemas(levels.map(({ paramsSchema }) => paramsSchema)),
+      querySchema: Router.mergeSchemas(levels.map(({ querySchema }) => querySchema)),
     });
-  }
 
-  #findRoute(url?: string) {
-    if (isServer && !url) return null;
+    // 등록 순서와 관계없이 더 구체적인 라우트를 먼저 확인 (우선순위가 같으면 등록 순서 유지)
+    this.#routes = new Map([...this.#routes].sort(([, a], [, b]) => compareRouteRank(a.rank, b.rank)));
+  }
 
+  #findRoute(url = this.#history.url): MatchedRoute<Handler> | null {
+    // URL에서 pathname만 추출 (쿼리 문자열 제거)
     let pathname: string;
-    if (url) {
-      // URL에서 pathname만 추출 (쿼리 문자열 제거)
-      if (url.includes("://")) {
-        pathname = new URL(url).pathname;
-      } else if (url.includes("?")) {
-        pathname = url.split("?")[0];
-      } else {
-        pathname = url;
-      }
+    if (url.includes("://")) {
+      pathname = new URL(url).pathname;
+    } else if (url.includes("?")) {
+      pathname = url.split("?")[0];
     } else {
-      pathname = window.location.pathname;
+      pathname = url;
     }
 
     for (const [routePath, route] of this.#routes) {
-      const match = pathname.match(route.regex);
-      if (match) {
-        // 매치된 파라미터들을 객체로 변환
-        const params: StringRecord = {};
-        route.paramNames.forEach((name, index) => {
-          params[name] = match[index + 1];
-        });
+      const params = matchPath(route, pathname);
+      if (params) {
+        // 파라미터가 스키마에 맞지 않으면 다음 라우트(예: 404) 확인
+        if (route.paramsSchema && parseRouteSchema(route.paramsSchema, params).invalid.length > 0) {
+          continue;
+        }
 
         return {
           ...route,
+          handler: resolveRouteHandler(route.handler) as Handler,
           params,
           path: routePath,
+          matches: Router.createMatches(route.levels, params),
         };
       }
     }
     return null;
   }
 
-  push(url: string) {
-    if (isServer) return;
+  /**
+   * URL로 이동
+   * 가드가 없으면 즉시 반영되고, 가드가 있으면 모든 가드를 통과한 뒤 반영된다.
+   */
+  push(url: string, state?: unknown) {
+    // baseUrl이 없으면 자동으로 붙여줌
+    this.#navigate(this.#toFullUrl(url), "push", state);
+  }
+
+  /**
+   * 현재 히스토리 항목을 교체하며 이동 (뒤로 가기 시 이전 URL로 돌아가지 않음)
+   */
+  replace(url: string, state?: unknown) {
+    this.#navigate(this.#toFullUrl(url), "replace", state);
+  }
+
+  /**
+   * URL에 매칭되는 라우트(레이아웃 포함)의 lazy 핸들러를 미리 로드
+   * data-link 링크나 data-preload 요소에 마우스를 올리거나 터치하면 자동으로 호출된다.
+   */
+  preload(url: string): Promise<void> {
+    const route = this.#findRoute(this.#toFullUrl(url));
+    if (!route || Router.isRouteLoaded(route)) return Promise.resolve();
+
+    return loadRouteHandlers(route.levels.map(({ handler }) => handler)).catch((error) => {
+      console.error("라우트 미리 불러오기 오류:", error);
+    });
+  }
+
+  /**
+   * 이름 있는 라우트의 URL 생성 (baseUrl 포함)
+   * @example router.href("product", { id: "123" }) // "/product/123/"
+   * @example router.href("home", {}, { category1: "생활/건강" }) // "/?category1=..."
+   * hash 히스토리에서는 "#/product/123/"처럼 해시로 시작한다.
+   */
+  href(name: string, params: Record<string, string | number> = {}, query: QueryPayload = {}) {
+    const path = this.#namedPaths.get(name);
+    if (path === undefined) {
+      throw new Error(`등록되지 않은 라우트 이름입니다: ${name}`);
+    }
+
+    const queryString = Router.stringifyQuery(query, this.#queryOptions);
+    return this.#history.createHref(
+      `${this.#baseUrl}${Router.buildPath(path, params)}${queryString ? `?${queryString}` : ""}`,
+    );
+  }
+
+  /**
+   * 이름 있는 라우트로 이동
+   */
+  pushNamed(
+    name: string,
+    params: Record<string, string | number> = {},
+    query: QueryPayload = {},
+    { replace = false, state }: NavigateOptions = {},
+  ) {
+    const url = this.href(name, params, query);
+    if (replace) {
+      this.replace(url, state);
+    } else {
+      this.push(url, state);
+    }
+  }
+
+  /**
+   * 히스토리 이동 (히스토리의 이동 이벤트를 통해 가드를 거쳐 반영됨)
+   */
+  go(delta: number) {
+    this.#history.go(delta);
+  }
+
+  back() {
+    this.go(-1);
+  }
+
+  forward() {
+    this.go(1);
+  }
+
+  start() {
+    // 새로고침 시에도 기존 히스토리 상태 유지
+    this.#navigate(this.#history.url, "replace", this.#readEntry().state);
+  }
+
+  #toFullUrl(href: string) {
+    // hash 히스토리의 링크(href="#/product/1/")도 경로로 처리
+    const url = href.startsWith("#") ? href.slice(1) : href;
+    return url.startsWith(this.#baseUrl) ? url : this.#baseUrl + (url.startsWith("/") ? url : "/" + url);
+  }
+
+  #createLocation(url: string, route: MatchedRoute<Handler> | null, state: unknown): RouteLocation<Handler> {
+    const search = Router.getSearch(url);
+
+    return {
+      url,
+      path: route?.path ?? null,
+      params: route?.params ?? {},
+      query: Router.parseQuery(search, this.#queryOptions),
+      matches: route?.matches ?? [],
+      state,
+    };
+  }
+
+  /**
+   * 네비게이션 공통 처리: 전역 가드 → 라우트 가드(상위 레이아웃부터) → lazy 핸들러 로드 → 히스토리 반영 → 후처리 훅
+   * 가드가 하나도 없고 불러올 lazy 핸들러도 없으면 동기적으로 완료된다.
+   */
+  #navigate(url: string, mode: NavigationMode, state: unknown = null, redirectCount = 0): Promise<boolean> {
+    const navigationId = ++this.#navigationId;
+    const from = this.#location;
+
     try {
-      // baseUrl이 없으면 자동으로 붙여줌
-      const fullUrl = url.startsWith(this.#baseUrl) ? url : this.#baseUrl + (url.startsWith("/") ? url : "/" + url);
+      const route = this.#findRoute(url);
 
-      const prevFullUrl = `${window.location.pathname}${window.location.search}`;
+      // 쿼리가 스키마에 맞지 않으면 유효하지 않은 값을 제거한 URL로 이동 (뒤로 가기/시작 시에는 현재 항목 교체)
+      const normalizedUrl = this.#normalizeUrl(url, route);
+      if (normalizedUrl !== url) {
+        if (redirectCount >= MAX_REDIRECTS) {
+          throw new Error(`리다이렉트가 ${MAX_REDIRECTS}회를 초과했습니다: ${url} -> ${normalizedUrl}`);
+        }
+        return this.#navigate(normalizedUrl, mode === "push" ? "push" : "replace", state, redirectCount + 1);
+      }
+
+      const to = this.#createLocation(url, route, state ?? null);
+      const guards = [
+        ...this.#beforeEachGuards,
+        ...(route?.levels ?? []).flatMap(({ beforeEnter }) => (beforeEnter ? [beforeEnter] : [])),
+      ];
+
+      // lazy 핸들러는 가드와 동시에 불러옴 (가드가 취소/리다이렉트하면 결과는 쓰지 않음)
+      const loading =
+        route && !Router.isRouteLoaded(route) ? loadRouteHandlers(route.levels.map(({ handler }) => handler)) : null;
+
+      if (guards.length === 0 && !loading) {
+        this.#commit(route, to, from, mode);
+        return Promise.resolve(true);
+      }
 
-      // 히스토리 업데이트
-      if (prevFullUrl !== fullUrl) {
-        window.history.pushState(null, "", fullUrl);
+      if (loading) {
+        loading.catch(() => {});
+        this.#setPending(true);
       }
 
-      this.#route = this.#findRoute(fullUrl);
-      this.#observer.notify();
+      return Router.runGuards(guards, to, from)
+        .then((result) => {
+          // 가드를 기다리는 동안 새 네비게이션이 시작되었으면 이 네비게이션은 버림
+          if (navigationId !== this.#navigationId) return false;
+
+          if (typeof result === "string") {
+            if (redirectCount >= MAX_REDIRECTS) {
+              throw new Error(`리다이렉트가 ${MAX_REDIRECTS}회를 초과했습니다: ${url} -> ${result}`);
+            }
+            // 뒤로/앞으로 가기 중 리다이렉트는 이미 바뀐 히스토리 항목을 교체
+            return this.#navigate(this.#toFullUrl(result), mode === "pop" ? "replace" : mode, null, redirectCount + 1);
+          }
+
+          if (result === false) {
+            this.#cancel(from, mode);
+            return false;
+          }
+
+          if (!loading) {
+            this.#commit(route, to, from, mode);
+            return true;
+          }
+
+          return loading.then(() => {
+            if (navigationId !== this.#navigationId) return false;
+
+            // 로드된 핸들러로 매칭 결과를 다시 만듦
+            const loadedRoute = this.#findRoute(url);
+            this.#commit(loadedRoute, this.#createLocation(url, loadedRoute, to.state), from, mode);
+            return true;
+          });
+        })
+        .catch((error) => {
+          console.error("라우터 네비게이션 오류:", error);
+          if (navigationId === this.#navigationId) this.#cancel(from, mode);
+          return false;
+        });
     } catch (error) {
       console.error("라우터 네비게이션 오류:", error);
+      return Promise.resolve(false);
     }
   }
 
-  start() {
-    if (isServer) return;
-    this.#route = this.#findRoute();
+  #normalizeUrl(url: string, route: MatchedRoute<Handler> | null) {
+    if (!route?.querySchema) return url;
+
+    const [pathname, search = ""] = url.split("?");
+    const { invalid, normalized } = parseRouteSchema(route.querySchema, Router.parseQuery(search, this.#queryOptions));
+    if (invalid.length === 0) return url;
+
+    const queryString = Router.stringifyQuery(normalized, this.#queryOptions);
+    return `${pathname}${queryString ? `?${queryString}` : ""}`;
+  }
+
+  #commit(
+    route: MatchedRoute<Handler> | null,
+    to: RouteLocation<Handler>,
+    from: RouteLocation<Handler> | null,
+    mode: NavigationMode,
+  ) {
+    // 히스토리 업데이트 (같은 URL로의 push는 항목을 추가하지 않고 상태만 갱신)
+    if (mode === "push" && this.#history.url !== to.url) {
+      this.#saveScrollPosition();
+      this.#entryKey = Router.createEntryKey();
+      this.#entryIndex = this.#entryIndex === null ? null : this.#entryIndex + 1;
+      this.#history.push(to.url, this.#createEntry(to.state));
+    } else if (mode !== "pop") {
+      const entry = this.#readEntry();
+      this.#entryKey = entry.key ?? Router.createEntryKey();
+      this.#entryIndex = entry.index ?? this.#entryIndex;
+      this.#history.replace(to.url, this.#createEntry(to.state));
+    } else {
+      const entry = this.#readEntry();
+      this.#entryKey = entry.key ?? null;
+      this.#entryIndex = entry.index ?? null;
+    }
+
+    this.#route = route;
+    this.#location = to;
+    this.#pending = false;
+    this.#observer.notify();
+
+    if (mode === "pop") {
+      this.#restoreScrollPosition();
+    }
+
+    this.#afterEachHooks.forEach((hook) => {
+      try {
+        hook(to, from);
+      } catch (error) {
+        console.error("라우터 afterEach 훅 오류:", error);
+      }
+    });
+  }
+
+  /**
+   * 취소된 뒤로/앞으로 가기는 브라우저 URL이 이미 바뀌었으므로 이전 항목으로 되돌림
+   * 새 항목을 추가하면 앞으로 가기 기록이 사라지므로, 항목 index의 차이만큼 history.go로 이동한다.
+   */
+  #cancel(from: RouteLocation<Handler> | null, mode: NavigationMode) {
+    this.#setPending(false);
+    if (mode !== "pop" || !from || this.#history.url === from.url) return;
+
+    const { index } = this.#readEntry();
+    if (index !== undefined && this.#entryIndex !== null) {
+      this.#restoringIndex = this.#entryIndex;
+      this.#history.go(this.#entryIndex - index);
+      return;
+    }
+
+    // 라우터가 만들지 않은 항목은 위치를 알 수 없으므로 이전 URL을 새 항목으로 추가
+    this.#history.push(from.url, { key: this.#entryKey ?? undefined, state: from.state } satisfies HistoryEntry);
+  }
+
+  #setPending(pending: boolean) {
+    if (this.#pending === pending) return;
+    this.#pending = pending;
     this.#observer.notify();
   }
 
-  static parseQuery = (search?: string) => {
+  #readEntry() {
+    return Router.readEntry(this.#history.state);
+  }
+
+  #createEntry(state: unknown): HistoryEntry {
+    return { key: this.#entryKey ?? undefined, index: this.#entryIndex ?? undefined, state };
+  }
+
+  #saveScrollPosition() {
+    if (this.#restoresScroll && this.#entryKey) {
+      this.#scrollPositions.set(this.#entryKey, { x: window.scrollX, y: window.scrollY });
+    }
+  }
+
+  /**
+   * 뒤로/앞으로 가기로 돌아온 항목의 스크롤 위치 복원
+   * 구독자가 새 라우트를 렌더링한 다음 프레임에 적용한다.
+   */
+  #restoreScrollPosition() {
+    const position = this.#restoresScroll && this.#entryKey ? this.#scrollPositions.get(this.#entryKey) : undefined;
+    if (!position) return;
+
+    requestAnimationFrame(() => {
+      window.scrollTo(position.x, position.y);
+    });
+  }
+
+  /**
+   * 히스토리 항목의 상태 읽기 (라우터 밖에서 pushState로 저장된 값은 상태로만 취급)
+   */
+  static readEntry = (entry: unknown = window.history.state): HistoryEntry => {
+    if (entry && typeof entry === "object" && "key" in entry && "state" in entry) {
+      return entry as HistoryEntry;
+    }
+    return { state: entry };
+  };
+
+  static createEntryKey = () => Math.random().toString(36).slice(2, 10);
+
+  /**
+   * 가드를 순서대로 실행해 첫 번째 취소(false)/리다이렉트(string) 결과를 반환 (모두 통과하면 true)
+   */
+  static runGuards = async <H extends AnyFunction>(
+    guards: NavigationGuard<H>[],
+    to: RouteLocation<H>,
+    from: RouteLocation<H> | null,
+  ): Promise<boolean | string> => {
+    for (const guard of guards) {
+      const result = await guard(to, from);
+      if (result === false || typeof result === "string") return result;
+    }
+    return true;
+  };
+
+  static getCurrentUrl = () => `${window.location.pathname}${window.location.search}`;
+
+  /**
+   * URL의 쿼리 문자열 부분 ("/a?b=1" -> "?b=1")
+   */
+  static getSearch = (url: string) => (url.includes("?") ? url.slice(url.indexOf("?")) : "");
+
+  /**
+   * 부모 경로와 자식 상대 경로 결합 ("/" + "product/:id/" -> "/product/:id/")
+   */
+  static joinPaths = (parent: string, child: string) => {
+    if (!child) return parent;
+    return `${parent.replace(/\/$/, "")}/${child.replace(/^\//, "")}`;
+  };
+
+  static getParamNames = getPathParamNames;
+
+  /**
+   * 매칭된 라우트의 모든 단계(레이아웃 포함) 핸들러가 로드되었는지 여부
+   */
+  static isRouteLoaded = <H extends AnyFunction>({ levels }: MatchedRoute<H>) =>
+    levels.every(({ handler }) => !isLazyRoute(handler) || handler.loaded !== undefined);
+
+  /**
+   * 계층별 매칭 결과 생성 (각 단계는 자신과 상위 단계의 파라미터를 가짐)
+   */
+  static createMatches = <H extends AnyFunction>(levels: RouteLevel<H>[], params: StringRecord): RouteMatch<H>[] => {
+    const levelParams: StringRecord = {};
+
+    return levels.map(({ path, handler, paramNames }) => {
+      paramNames.forEach((name) => {
+        if (name in params) levelParams[name] = params[name];
+      });
+      return { path, handler: resolveRouteHandler(handler) as H, params: { ...levelParams } };
+    });
+  };
+
+  /**
+   * 쿼리 문자열을 객체로 파싱
+   * 같은 키가 반복되거나 brand[]처럼 대괄호가 붙은 키는 배열이 되고, 한 번만 나온 키는 문자열로 유지된다.
+   * arrayFormat이 comma면 콤마로 구분된 값도 배열로 나눈다.
+   */
+  static parseQuery = (search?: string, { arrayFormat = "repeat" }: QueryOptions = {}) => {
     if (isServer && !search) return {};
     const params = new URLSearchParams(search ?? window.location.search);
-    const query: StringRecord = {};
-    for (const [key, value] of params) {
-      query[key] = value;
+    const query: QueryRecord = {};
+    for (const [rawKey, rawValue] of params) {
+      const isBracket = rawKey.endsWith("[]");
+      const key = isBracket ? rawKey.slice(0, -2) : rawKey;
+      const values = arrayFormat === "comma" && rawValue.includes(",") ? rawValue.split(",") : [rawValue];
+      const prev = query[key];
+
+      if (prev === undefined) {
+        query[key] = isBracket || values.length > 1 ? values : values[0];
+      } else {
+        query[key] = [...(Array.isArray(prev) ? prev : [prev]), ...values];
+      }
     }
     return query;
   };
 
-  static stringifyQuery = (query: QueryPayload) => {
+  /**
+   * 객체를 쿼리 문자열로 변환 (빈 값과 빈 배열은 제외)
+   * 배열은 arrayFormat에 따라 인코딩하며, 결과를 같은 arrayFormat으로 parseQuery하면 원래 객체가 된다.
+   * (단, 원소가 하나인 배열은 repeat/comma 형식에서 문자열로, comma 형식에서 콤마를 포함한 값은 나뉘어 파싱된다)
+   */
+  static stringifyQuery = (query: QueryPayload, { arrayFormat = "repeat" }: QueryOptions = {}) => {
     const params = new URLSearchParams();
     for (const [key, value] of Object.entries(query)) {
-      if (value !== null && value !== undefined && value !== "") {
-        params.set(key, String(value));
+      if (Array.isArray(value)) {
+        const values = value.filter(Router.hasValue).map(String);
+        if (values.length === 0) continue;
+
+        if (arrayFormat === "comma") {
+          params.append(key, values.join(","));
+        } else {
+          values.forEach((item) => params.append(arrayFormat === "bracket" ? `${key}[]` : key, item));
+        }
+      } else if (Router.hasValue(value)) {
+        params.append(key, String(value));
       }
     }
     return params.toString();
   };
 
-  static getUrl = (newQuery: QueryPayload, baseUrl = "") => {
-    if (isServer) return "";
-    const currentQuery = Router.parseQuery();
-    const updatedQuery = { ...currentQuery, ...newQuery };
+  static getUrl = (
+    newQuery: QueryPayload,
+    baseUrl = "",
+    options: QueryOptions = {},
+    currentUrl = isServer ? "" : Router.getCurrentUrl(),
+  ) => {
+    if (!currentUrl) return "";
+    const [pathname] = currentUrl.split("?");
+    const currentQuery = Router.parseQuery(Router.getSearch(currentUrl), options);
+    const updatedQuery: QueryPayload = { ...currentQuery, ...newQuery };
 
     // 빈 값들 제거
     Object.keys(updatedQuery).forEach((key) => {
-      if (updatedQuery[key] === null || updatedQuery[key] === undefined || updatedQuery[key] === "") {
+      if (!Router.hasValue(updatedQuery[key])) {
         delete updatedQuery[key];
       }
     });
 
-    const queryString = Router.stringifyQuery(updatedQuery);
-    return `${baseUrl}${window.location.pathname.replace(baseUrl, "")}${queryString ? `?${queryString}` : ""}`;
+    const queryString = Router.stringifyQuery(updatedQuery, options);
+    return `${baseUrl}${pathname.replace(baseUrl, "")}${queryString ? `?${queryString}` : ""}`;
   };
+
+  /**
+   * 경로 패턴의 파라미터를 값으로 채움 (값은 URL 인코딩, 값이 없는 선택적 파라미터와 스플랫은 생략)
+   */
+  static buildPath = buildPath;
+
+  static mergeSchemas = (schemas: (RouteSchema | undefined)[]) => {
+    const defined = schemas.filter((schema): schema is RouteSchema => schema !== undefined);
+    return defined.length > 0 ? Object.assign({}, ...defined) : undefined;
+  };
+
+  static hasValue = <T>(value: T | null | undefined | ""): value is T =>
+    value !== null && value !== undefined && value !== "";
 }
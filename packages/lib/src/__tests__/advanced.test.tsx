@@ -3,6 +3,7 @@ import { act, renderHook } from "@testing-library/react";
 import { useRouter, useStorage, useStore } from "../hooks";
 import { createStorage } from "../createStorage";
 import { createStore } from "../createStore";
+import { createMemoryHistory, type MemoryHistory } from "../history";
 import { counterReducer, createMockRouter, dataReducer } from "./dummies";
 
 describe("Chapter 1-3 심화과제: 고급 hooks 구현하기 > ", () => {
@@ -286,11 +287,13 @@ describe("Chapter 1-3 심화과제: 고급 hooks 구현하기 > ", () => {
   });
 
   describe("useRouterSelector 훅 테스트", () => {
-    const router = createMockRouter();
+    // 메모리 히스토리를 사용해 전역 jsdom location을 건드리지 않음
+    let history: MemoryHistory;
+    let router: ReturnType<typeof createMockRouter>;
 
     beforeEach(() => {
-      // URL 초기화
-      window.history.replaceState(null, "", "/");
+      history = createMemoryHistory();
+      router = createMockRouter(history);
     });
 
     it("router의 현재 상태를 정확히 반환해야 한다", () => {
@@ -385,17 +388,22 @@ describe("Chapter 1-3 심화과제: 고급 hooks 구현하기 > ", () => {
       });
     });
 
-    it("실제 브라우저 히스토리와 동기화되어야 한다", () => {
+    it("히스토리와 동기화되어야 한다", () => {
       router.start();
       const { result } = renderHook(() => useRouter(router, (r) => r.route?.path || "/"));
 
       expect(result.current).toBe("/");
-      expect(window.location.pathname).toBe("/");
+      expect(history.url).toBe("/");
 
       act(() => router.push("/users/789"));
 
       expect(result.current).toBe("/users/:id");
-      expect(window.location.pathname).toBe("/users/789");
+      expect(history.entries).toEqual(["/", "/users/789"]);
+      expect(window.location.pathname).toBe("/");
+
+      act(() => router.back());
+
+      expect(result.current).toBe("/");
     });
   });
 });
@@ -1,5 +1,6 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
 import { Router } from "../Router.ts";
+import type { RouterHistory } from "../history.ts";
 
 interface CounterState {
   count: number;
@@ -41,8 +42,8 @@ export const dataReducer = (
   }
 };
 
-export const createMockRouter = () => {
-  const router = new Router();
+export const createMockRouter = (history?: RouterHistory) => {
+  const router = new Router("", { history });
   router.addRoute("/", () => {});
   router.addRoute("/users/:id", () => {});
   router.addRoute("/products/:category/:id", () => {});
@@ -0,0 +1,827 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { act, render } from "@testing-library/react";
+import { useEffect } from "react";
+import { Router } from "../Router";
+import { lazyRoute } from "../lazyRoute";
+import { createHashHistory, createMemoryHistory } from "../history";
+import { defineRouteSchema, parseRouteSchema } from "../routeSchema";
+import { Outlet, RouterView } from "../components";
+
+const Layout = () => null;
+const Home = () => null;
+const Detail = () => null;
+const NotFound = () => null;
+
+// 비동기 가드가 처리될 때까지 대기
+const flushNavigation = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Router > ", () => {
+  afterEach(() => {
+    window.history.replaceState(null, "", "/");
+  });
+
+  describe("중첩 라우트", () => {
+    it("자식 경로는 부모 경로 기준으로 결합되고, 빈 경로는 index 라우트가 된다", () => {
+      const router = new Router();
+      router.addRoutes([
+        {
+          path: "/",
+          handler: Layout,
+          children: [
+            { path: "", handler: Home },
+            { path: "product/:id/", handler: Detail },
+          ],
+        },
+      ]);
+
+      router.push("/");
+      expect(router.target).toBe(Home);
+      expect(router.route?.path).toBe("/");
+      expect(router.matches.map(({ handler }) => handler)).toEqual([Layout, Home]);
+
+      router.push("/product/123/");
+      expect(router.target).toBe(Detail);
+      expect(router.route?.path).toBe("/product/:id/");
+      expect(router.matches.map(({ handler }) => handler)).toEqual([Layout, Detail]);
+      expect(router.params).toEqual({ id: "123" });
+    });
+
+    it("addRoute의 children 옵션으로도 중첩 라우트를 등록할 수 있다", () => {
+      const router = new Router();
+      router.addRoute("/", Layout, { children: [{ path: "product/:id/", handler: Detail }] });
+      router.addRoute(".*", NotFound);
+
+      router.push("/product/1/");
+      expect(router.matches.map(({ path }) => path)).toEqual(["/", "/product/:id/"]);
+
+      // 레이아웃 경로 자체는 index 자식이 없으면 매칭되지 않음
+      router.push("/");
+      expect(router.target).toBe(NotFound);
+      expect(router.matches.map(({ handler }) => handler)).toEqual([NotFound]);
+    });
+
+    it("모든 단계의 파라미터를 router.params로 병합하고, 각 단계는 상위 단계까지의 파라미터를 가진다", () => {
+      const router = new Router();
+      router.addRoutes([
+        {
+          path: "/shops/:shopId",
+          handler: Layout,
+          children: [
+            {
+              path: "categories/:categoryId",
+              handler: Layout,
+              children: [{ path: "products/:productId", handler: Detail }],
+            },
+          ],
+        },
+      ]);
+
+      router.push("/shops/s1/categories/c2/products/p3");
+
+      expect(router.params).toEqual({ shopId: "s1", categoryId: "c2", productId: "p3" });
+      expect(router.matches.map(({ params }) => params)).toEqual([
+        { shopId: "s1" },
+        { shopId: "s1", categoryId: "c2" },
+        { shopId: "s1", categoryId: "c2", productId: "p3" },
+      ]);
+    });
+
+    it("평면 라우트는 단일 단계 matches를 가진다", () => {
+      const router = new Router();
+      router.addRoute("/users/:id", Detail);
+
+      router.push("/users/7");
+
+      expect(router.matches).toEqual([{ path: "/users/:id", handler: Detail, params: { id: "7" } }]);
+    });
+  });
+
+  describe("RouterView / Outlet", () => {
+    it("자식 라우트가 바뀌어도 레이아웃은 마운트 상태를 유지한다", () => {
+      let layoutMounts = 0;
+
+      const AppLayout = ({ title }: { title?: string }) => {
+        useEffect(() => {
+          layoutMounts++;
+        }, []);
+        return (
+          <div>
+            <header>{title}</header>
+            <main>
+              <Outlet />
+            </main>
+          </div>
+        );
+      };
+      const HomePage = () => <p>홈</p>;
+      const DetailPage = () => <p>상세</p>;
+
+      const router = new Router();
+      router.addRoutes([
+        {
+          path: "/",
+          handler: AppLayout,
+          children: [
+            { path: "", handler: HomePage },
+            { path: "product/:id/", handler: DetailPage },
+          ],
+        },
+      ]);
+      router.push("/");
+
+      const { container } = render(<RouterView router={router} title="쇼핑몰" />);
+      const header = container.querySelector("header");
+
+      expect(container.textContent).toBe("쇼핑몰홈");
+
+      act(() => router.push("/product/1/"));
+
+      expect(container.textContent).toBe("쇼핑몰상세");
+      expect(container.querySelector("header")).toBe(header);
+      expect(layoutMounts).toBe(1);
+    });
+
+    it("매칭되는 라우트가 없으면 아무것도 렌더링하지 않는다", () => {
+      const router = new Router();
+      router.addRoute("/", Home);
+      router.push("/unknown");
+
+      const { container } = render(<RouterView router={router} />);
+
+      expect(container.innerHTML).toBe("");
+    });
+
+    it("Outlet을 RouterView 밖에서 사용하면 에러가 발생한다", () => {
+      const spy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+      expect(() => render(<Outlet />)).toThrow("Outlet은 RouterView로 렌더링된 라우트 안에서만 사용할 수 있습니다.");
+
+      spy.mockRestore();
+    });
+  });
+
+  describe("네비게이션 가드", () => {
+    // 라우터는 window popstate를 계속 구독하므로, 다른 테스트에 영향을 주지 않도록 가드를 해제
+    const removeGuards: (() => void)[] = [];
+    afterEach(() => {
+      removeGuards.splice(0).forEach((remove) => remove());
+    });
+
+    const createRouter = () => {
+      const router = new Router();
+      router.addRoute("/", Home);
+      router.addRoute("/product/:id/", Detail);
+      router.addRoute("/404", NotFound);
+      router.start();
+      return router;
+    };
+
+    it("beforeEach가 false를 반환하면 네비게이션을 취소한다", async () => {
+      const router = createRouter();
+      removeGuards.push(router.beforeEach((to) => to.path !== "/product/:id/"));
+
+      router.push("/product/1/");
+      await flushNavigation();
+
+      expect(router.target).toBe(Home);
+      expect(window.location.pathname).toBe("/");
+    });
+
+    it("비동기 가드가 URL을 반환하면 해당 URL로 리다이렉트한다", async () => {
+      const router = createRouter();
+      removeGuards.push(
+        router.beforeEach(async (to) => {
+          if (to.path !== "/product/:id/") return;
+          const exists = await Promise.resolve(to.params.id === "1");
+          return exists ? true : "/404";
+        }),
+      );
+
+      router.push("/product/1/");
+      await flushNavigation();
+      expect(router.target).toBe(Detail);
+
+      router.push("/product/unknown/");
+      await flushNavigation();
+      expect(router.target).toBe(NotFound);
+      expect(window.location.pathname).toBe("/404");
+    });
+
+    it("저장하지 않은 변경사항이 있으면 확인 후에만 페이지를 떠난다", async () => {
+      const router = createRouter();
+      const confirm = vi.fn(() => false);
+      let dirty = true;
+      removeGuards.push(
+        router.beforeEach((_, from) => {
+          if (from?.path === "/product/:id/" && dirty) return confirm();
+        }),
+      );
+
+      router.push("/product/1/");
+      await flushNavigation();
+      router.push("/");
+      await flushNavigation();
+
+      expect(confirm).toHaveBeenCalledTimes(1);
+      expect(router.target).toBe(Detail);
+
+      dirty = false;
+      router.push("/");
+      await flushNavigation();
+      expect(router.target).toBe(Home);
+    });
+
+    it("라우트별 beforeEnter는 해당 라우트와 하위 라우트로 이동할 때만 실행된다", async () => {
+      const beforeEnter = vi.fn(() => "/");
+      const router = new Router();
+      router.addRoutes([
+        { path: "/", handler: Home },
+        { path: "/admin", handler: Layout, beforeEnter, children: [{ path: "users", handler: Detail }] },
+      ]);
+      router.start();
+
+      router.push("/");
+      await flushNavigation();
+      expect(beforeEnter).not.toHaveBeenCalled();
+
+      router.push("/admin/users");
+      await flushNavigation();
+      expect(beforeEnter).toHaveBeenCalledTimes(1);
+      expect(router.target).toBe(Home);
+    });
+
+    it("afterEach는 완료된 네비게이션에 대해서만 실행되고, 등록 해제할 수 있다", async () => {
+      const router = createRouter();
+      const after = vi.fn();
+      const unsubscribe = router.afterEach(after);
+      removeGuards.push(router.beforeEach((to) => to.params.id !== "blocked"));
+
+      router.push("/product/1/");
+      await flushNavigation();
+      router.push("/product/blocked/");
+      await flushNavigation();
+
+      expect(after).toHaveBeenCalledTimes(1);
+      expect(after.mock.calls[0][0]).toMatchObject({ url: "/product/1/", params: { id: "1" } });
+      expect(after.mock.calls[0][1]).toMatchObject({ url: "/" });
+
+      unsubscribe();
+      router.push("/");
+      await flushNavigation();
+      expect(after).toHaveBeenCalledTimes(1);
+    });
+
+    it("query 변경과 뒤로 가기에도 가드가 적용된다", async () => {
+      const router = createRouter();
+      removeGuards.push(router.beforeEach((to) => to.query.page !== "999"));
+
+      router.query = { page: 2 };
+      await flushNavigation();
+      expect(router.query).toEqual({ page: "2" });
+
+      router.query = { page: 999 };
+      await flushNavigation();
+      expect(router.query).toEqual({ page: "2" });
+
+      router.push("/product/1/");
+      await flushNavigation();
+
+      // 브라우저 뒤로 가기: URL이 이미 바뀐 상태에서 popstate 발생
+      window.history.replaceState(null, "", "/?page=999");
+      window.dispatchEvent(new PopStateEvent("popstate"));
+      await flushNavigation();
+
+      expect(router.target).toBe(Detail);
+      expect(window.location.pathname).toBe("/product/1/");
+    });
+
+    it("리다이렉트가 무한히 반복되면 네비게이션을 중단한다", async () => {
+      const spy = vi.spyOn(console, "error").mockImplementation(() => {});
+      const router = createRouter();
+      removeGuards.push(
+        router.beforeEach((to) => (to.path === "/404" ? "/product/1/" : to.path === "/product/:id/" ? "/404" : true)),
+      );
+
+      router.push("/product/1/");
+      await flushNavigation();
+
+      expect(router.target).toBe(Home);
+      expect(spy).toHaveBeenCalledWith("라우터 네비게이션 오류:", expect.any(Error));
+      spy.mockRestore();
+    });
+  });
+
+  describe("히스토리 API", () => {
+    const createRouter = () => {
+      const router = new Router();
+      router.addRoute("/", Home);
+      router.addRoute("/product/:id/", Detail);
+      router.start();
+      return router;
+    };
+
+    it("replace는 히스토리 항목을 추가하지 않고 현재 항목을 교체한다", () => {
+      const router = createRouter();
+      const { length } = window.history;
+
+      router.push("/product/1/");
+      router.replace("/product/2/");
+
+      expect(window.history.length).toBe(length + 1);
+      expect(window.location.pathname).toBe("/product/2/");
+      expect(router.params).toEqual({ id: "2" });
+    });
+
+    it("setQuery의 replace 옵션으로 쿼리 변경 시 히스토리를 쌓지 않을 수 있다", () => {
+      const router = createRouter();
+      const { length } = window.history;
+
+      router.setQuery({ current: 2 }, { replace: true });
+      router.setQuery({ current: 3 }, { replace: true });
+      expect(window.history.length).toBe(length);
+      expect(router.query).toEqual({ current: "3" });
+
+      router.query = { search: "도마" };
+      expect(window.history.length).toBe(length + 1);
+      expect(router.query).toEqual({ current: "3", search: "도마" });
+    });
+
+    it("각 히스토리 항목에 상태를 저장하고, 뒤로/앞으로 가기 시 해당 항목의 상태를 복원한다", async () => {
+      const router = createRouter();
+      const after = vi.fn();
+      router.afterEach(after);
+
+      router.push("/product/1/", { from: "list" });
+      expect(router.state).toEqual({ from: "list" });
+      expect(router.location?.state).toEqual({ from: "list" });
+
+      router.push("/product/2/", { from: "related" });
+      router.replace("/product/2/", { from: "related", tab: "review" });
+      expect(router.state).toEqual({ from: "related", tab: "review" });
+
+      const popped = () => new Promise((resolve) => window.addEventListener("popstate", resolve, { once: true }));
+
+      router.back();
+      await popped();
+      expect(router.params).toEqual({ id: "1" });
+      expect(router.state).toEqual({ from: "list" });
+      expect(after).toHaveBeenLastCalledWith(
+        expect.objectContaining({ url: "/product/1/", state: { from: "list" } }),
+        expect.objectContaining({ url: "/product/2/" }),
+      );
+
+      router.forward();
+      await popped();
+      expect(router.params).toEqual({ id: "2" });
+      expect(router.state).toEqual({ from: "related", tab: "review" });
+
+      router.go(-2);
+      await popped();
+      expect(router.target).toBe(Home);
+    });
+
+    it("가드가 뒤로 가기를 취소하면 새 항목을 추가하지 않고 원래 항목으로 돌아가 앞으로 가기 기록을 유지한다", async () => {
+      const scrollTo = vi.spyOn(window, "scrollTo").mockImplementation(() => {});
+      const router = createRouter();
+      const popped = () => new Promise((resolve) => window.addEventListener("popstate", resolve, { once: true }));
+      router.push("/product/1/");
+      router.push("/product/2/");
+      const length = window.history.length;
+
+      const guard = vi.fn(() => false);
+      const remove = router.beforeEach(guard);
+      router.go(-2);
+      await popped();
+      // 원래 항목으로 되돌아오는 이동은 가드를 다시 거치지 않음
+      await popped();
+      await flushNavigation();
+      expect(guard).toHaveBeenCalledTimes(1);
+      expect([router.params, window.location.pathname, window.history.length]).toEqual([
+        { id: "2" },
+        "/product/2/",
+        length,
+      ]);
+      remove();
+
+      router.back();
+      await popped();
+      expect(router.params).toEqual({ id: "1" });
+
+      router.forward();
+      await popped();
+      expect(router.params).toEqual({ id: "2" });
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+      scrollTo.mockRestore();
+    });
+  });
+
+  describe("스크롤 위치 복원", () => {
+    const scrollY = (y: number) => Object.defineProperty(window, "scrollY", { value: y, configurable: true });
+    const popped = () => new Promise((resolve) => window.addEventListener("popstate", resolve, { once: true }));
+    const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+    afterEach(() => {
+      scrollY(0);
+      vi.restoreAllMocks();
+    });
+
+    it("히스토리 항목별로 스크롤 위치를 기록하고 뒤로/앞으로 가기 후 복원한다", async () => {
+      const scrollTo = vi.spyOn(window, "scrollTo").mockImplementation(() => {});
+      const router = new Router();
+      router.addRoute("/", Home);
+      router.addRoute("/product/:id/", Detail);
+      router.start();
+
+      scrollY(1200);
+      router.push("/product/1/");
+      scrollY(300);
+
+      router.back();
+      await popped();
+      // 렌더링이 끝난 다음 프레임에 복원
+      expect(scrollTo).not.toHaveBeenCalled();
+      await nextFrame();
+      expect(scrollTo).toHaveBeenLastCalledWith(0, 1200);
+
+      router.forward();
+      await popped();
+      await nextFrame();
+      expect(scrollTo).toHaveBeenLastCalledWith(0, 300);
+    });
+
+    it("새 항목으로 이동할 때는 스크롤을 복원하지 않고, 사용자 상태는 그대로 유지한다", async () => {
+      const scrollTo = vi.spyOn(window, "scrollTo").mockImplementation(() => {});
+      const router = new Router();
+      router.addRoute("/", Home);
+      router.start();
+
+      scrollY(500);
+      router.push("/?current=2", { from: "list" });
+      router.replace("/?current=3", { from: "list" });
+      await nextFrame();
+
+      expect(scrollTo).not.toHaveBeenCalled();
+      expect(router.state).toEqual({ from: "list" });
+    });
+  });
+
+  describe("쿼리 파라미터", () => {
+    it("반복된 키와 대괄호 키는 배열로, 한 번만 나온 키는 문자열로 파싱한다", () => {
+      expect(Router.parseQuery("?search=도마&brand=a&brand=b&tag[]=x")).toEqual({
+        search: "도마",
+        brand: ["a", "b"],
+        tag: ["x"],
+      });
+      expect(Router.parseQuery("?price=0-10000,10000-30000")).toEqual({ price: "0-10000,10000-30000" });
+      expect(Router.parseQuery("?price=0-10000,10000-30000", { arrayFormat: "comma" })).toEqual({
+        price: ["0-10000", "10000-30000"],
+      });
+    });
+
+    it("배열을 arrayFormat에 맞게 인코딩하고 빈 값과 빈 배열은 제외한다", () => {
+      const query = { brand: ["a", "b"], search: "", tags: [], limit: 20, sort: undefined };
+
+      expect(Router.stringifyQuery(query)).toBe("brand=a&brand=b&limit=20");
+      expect(Router.stringifyQuery(query, { arrayFormat: "bracket" })).toBe("brand%5B%5D=a&brand%5B%5D=b&limit=20");
+      expect(Router.stringifyQuery(query, { arrayFormat: "comma" })).toBe("brand=a%2Cb&limit=20");
+    });
+
+    it.each(["repeat", "bracket", "comma"] as const)("%s 형식으로 왕복 변환해도 값이 유지된다", (arrayFormat) => {
+      const query = { brand: ["나이키", "a&b"], category1: "생활/건강", current: "2" };
+      const search = Router.stringifyQuery(query, { arrayFormat });
+
+      expect(Router.parseQuery(search, { arrayFormat })).toEqual(query);
+      expect(Router.stringifyQuery(Router.parseQuery(search, { arrayFormat }), { arrayFormat })).toBe(search);
+    });
+
+    it("query 변경 시 기존 배열 쿼리를 유지하고 라우터의 arrayFormat으로 인코딩한다", () => {
+      const router = new Router("", { arrayFormat: "bracket" });
+      router.addRoute("/", Home);
+      router.start();
+
+      router.query = { brand: ["a", "b"] };
+      router.setQuery({ current: 2 }, { replace: true });
+
+      expect(window.location.search).toBe("?brand%5B%5D=a&brand%5B%5D=b&current=2");
+      expect(router.query).toEqual({ brand: ["a", "b"], current: "2" });
+      expect(router.location?.query).toEqual({ brand: ["a", "b"], current: "2" });
+
+      router.query = { brand: [] };
+      expect(router.query).toEqual({ current: "2" });
+    });
+  });
+
+  describe("라우트 스키마", () => {
+    const listQuery = defineRouteSchema({
+      search: { type: "string", default: "" },
+      sort: { type: "string", values: ["price_asc", "price_desc"], default: "price_asc" },
+      limit: { type: "number", values: [10, 20, 50], default: 20 },
+      current: { type: "number", integer: true, min: 1, default: 1 },
+      brand: { type: "string", array: true },
+      soldOut: { type: "boolean", default: false },
+    });
+
+    it("값을 타입에 맞게 변환하고 없는 값은 default로 채운다", () => {
+      const { values, invalid } = parseRouteSchema(listQuery, {
+        limit: "50",
+        current: "3",
+        brand: ["a", "b"],
+        soldOut: "true",
+      });
+
+      expect(values).toEqual({
+        search: "",
+        sort: "price_asc",
+        limit: 50,
+        current: 3,
+        brand: ["a", "b"],
+        soldOut: true,
+      });
+      expect(invalid).toEqual([]);
+    });
+
+    it("유효하지 않은 값은 default로 대체하고 normalized에서 제거한다", () => {
+      const { values, invalid, normalized } = parseRouteSchema(listQuery, {
+        search: "도마",
+        limit: "abc",
+        sort: "evil",
+        current: "0",
+        soldOut: "yes",
+        utm: "mail",
+      });
+
+      expect(values).toMatchObject({ search: "도마", limit: 20, sort: "price_asc", current: 1, soldOut: false });
+      expect(invalid).toEqual(["sort", "limit", "current", "soldOut"]);
+      expect(normalized).toEqual({ search: "도마", utm: "mail" });
+      expect(parseRouteSchema(listQuery, { current: "1.5", limit: ["10", "20"] }).invalid).toEqual([
+        "limit",
+        "current",
+      ]);
+    });
+
+    it("라우터는 유효하지 않은 쿼리를 제거한 URL로 리다이렉트하고, 변환된 값을 제공한다", () => {
+      const router = new Router();
+      router.addRoute("/", Home, { query: listQuery });
+      router.start();
+
+      router.push("/?limit=abc&sort=evil&search=도마&current=2");
+
+      expect(window.location.search).toBe(`?search=${encodeURIComponent("도마")}&current=2`);
+      expect(router.parsedQuery).toMatchObject({ search: "도마", limit: 20, sort: "price_asc", current: 2 });
+    });
+
+    it("파라미터가 스키마에 맞지 않으면 다음 라우트로 매칭한다", () => {
+      const router = new Router();
+      router.addRoute("/product/:id/", Detail, { params: { id: { type: "number", integer: true, min: 1 } } });
+      router.addRoute(".*", NotFound);
+
+      router.push("/product/12/");
+      expect(router.target).toBe(Detail);
+      expect(router.parsedParams).toEqual({ id: 12 });
+
+      router.push("/product/abc/");
+      expect(router.target).toBe(NotFound);
+    });
+  });
+
+  describe("이름 있는 라우트", () => {
+    it("이름으로 baseUrl, 경로 파라미터, 쿼리가 포함된 URL을 만든다", () => {
+      const router = new Router("/shop/");
+      router.addRoute("/", Home, { name: "home" });
+      router.addRoutes([{ path: "/product/:id/", handler: Detail, name: "product" }]);
+
+      expect(router.href("home")).toBe("/shop/");
+      expect(router.href("home", {}, { category1: "생활/건강", current: 1, search: "" })).toBe(
+        `/shop/?category1=${encodeURIComponent("생활/건강")}&current=1`,
+      );
+      expect(router.href("product", { id: "a/b" })).toBe("/shop/product/a%2Fb/");
+      expect(() => router.href("product")).toThrow("라우트 파라미터가 없습니다: id");
+      expect(() => router.href("cart")).toThrow("등록되지 않은 라우트 이름입니다: cart");
+    });
+
+    it("pushNamed는 baseUrl을 한 번만 붙여 이동하고 replace 옵션을 지원한다", () => {
+      const router = new Router("/shop");
+      router.addRoute("/", Home, { name: "home" });
+      router.addRoute("/product/:id/", Detail, { name: "product" });
+
+      router.pushNamed("product", { id: 7 });
+      expect(window.location.pathname).toBe("/shop/product/7/");
+      expect(router.target).toBe(Detail);
+
+      const length = window.history.length;
+      router.pushNamed("home", {}, { sort: "price_desc" }, { replace: true });
+      expect(`${window.location.pathname}${window.location.search}`).toBe("/shop/?sort=price_desc");
+      expect(window.history.length).toBe(length);
+      expect(router.target).toBe(Home);
+    });
+  });
+
+  describe("라우트 우선순위와 경로 패턴", () => {
+    it("등록 순서와 관계없이 정적 > 동적 > 스플랫 순으로 매칭한다", () => {
+      const NewProduct = () => null;
+      const router = new Router();
+      router.addRoute(".*", NotFound);
+      router.addRoute("/product/:id/", Detail);
+      router.addRoute("/product/new/", NewProduct);
+      router.addRoute("/", Home);
+
+      router.push("/product/new/");
+      expect(router.target).toBe(NewProduct);
+
+      router.push("/product/12");
+      expect(router.target).toBe(Detail);
+      expect(router.params).toEqual({ id: "12" });
+
+      router.push("/");
+      expect(router.target).toBe(Home);
+
+      router.push("/x/y");
+      expect(router.target).toBe(NotFound);
+      expect(router.params).toEqual({ "*": "x/y" });
+    });
+
+    it("선택적 파라미터와 이름 있는 스플랫을 매칭하고 href로 만든다", () => {
+      const Category = () => null;
+      const Docs = () => null;
+      const router = new Router();
+      router.addRoute("/category/:c1/:c2?", Category, { name: "category" });
+      router.addRoute("/docs/*rest", Docs, { name: "docs" });
+
+      router.push("/category/a");
+      expect(router.params).toEqual({ c1: "a" });
+      router.push("/category/a/b/");
+      expect(router.params).toEqual({ c1: "a", c2: "b" });
+
+      router.push("/docs");
+      expect([router.target, router.params]).toEqual([Docs, {}]);
+      router.push("/docs/guide/intro/");
+      expect(router.params).toEqual({ rest: "guide/intro" });
+
+      expect(router.href("category", { c1: "생활" })).toBe(`/category/${encodeURIComponent("생활")}`);
+      expect(router.href("docs", { rest: "guide/a b" })).toBe("/docs/guide/a%20b");
+    });
+
+    it("trailingSlash: strict면 경로 패턴에 쓴 끝 슬래시까지 일치해야 한다", () => {
+      const router = new Router("", { trailingSlash: "strict" });
+      router.addRoute("/product/:id/", Detail);
+      router.addRoute("/about", Home);
+
+      router.push("/product/1");
+      expect(router.target).toBeUndefined();
+      router.push("/product/1/");
+      expect(router.target).toBe(Detail);
+      router.push("/about/");
+      expect(router.target).toBeUndefined();
+    });
+  });
+
+  describe("lazy 라우트", () => {
+    // 로더가 반환할 Promise를 테스트에서 직접 완료시킴
+    const createDeferredLoader = () => {
+      let resolve!: (module: { default: typeof Detail }) => void;
+      const loader = vi.fn(() => new Promise<{ default: typeof Detail }>((r) => (resolve = r)));
+      return { loader, resolve: (module: { default: typeof Detail }) => resolve(module) };
+    };
+
+    it("핸들러를 불러오는 동안 pending 상태로 이전 라우트를 유지하고, 로드되면 이동한다", async () => {
+      const { loader, resolve } = createDeferredLoader();
+      const router = new Router();
+      router.addRoute("/", Home);
+      router.addRoute("/product/:id/", lazyRoute(loader));
+      router.start();
+
+      router.push("/product/1/");
+      expect([router.pending, router.target, window.location.pathname]).toEqual([true, Home, "/"]);
+
+      resolve({ default: Detail });
+      await flushNavigation();
+      expect([router.pending, router.target, router.matches[0].handler]).toEqual([false, Detail, Detail]);
+      expect(window.location.pathname).toBe("/product/1/");
+
+      // 한 번 로드된 핸들러는 다시 불러오지 않고 동기적으로 이동
+      router.push("/");
+      router.push("/product/2/");
+      expect(router.target).toBe(Detail);
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it("로드 중 새 네비게이션이 시작되면 이전 네비게이션은 버린다", async () => {
+      const { resolve, loader } = createDeferredLoader();
+      const router = new Router();
+      router.addRoute("/", Home);
+      router.addRoute("/product/:id/", lazyRoute(loader));
+      router.addRoute("/404", NotFound);
+      router.start();
+
+      router.push("/product/1/");
+      router.push("/404");
+      expect([router.pending, router.target]).toEqual([false, NotFound]);
+
+      resolve({ default: Detail });
+      await flushNavigation();
+      expect(router.target).toBe(NotFound);
+      expect(window.location.pathname).toBe("/404");
+    });
+
+    it("data-link 링크에 마우스를 올리면 핸들러를 미리 불러오고, 실패하면 다음에 다시 시도한다", async () => {
+      const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+      const loader = vi
+        .fn<() => Promise<typeof Detail>>()
+        .mockRejectedValueOnce(new Error("network"))
+        .mockResolvedValue(Detail);
+      const router = new Router();
+      router.addRoute("/", Home);
+      router.addRoute("/product/:id/", lazyRoute(loader));
+      router.start();
+
+      const link = document.createElement("a");
+      link.href = "/product/1/";
+      link.setAttribute("data-link", "");
+      link.innerHTML = "<span>상품</span>";
+      document.body.appendChild(link);
+
+      link.firstElementChild!.dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+      await flushNavigation();
+      expect(consoleError).toHaveBeenCalledWith("라우트 미리 불러오기 오류:", expect.any(Error));
+
+      await router.preload("/product/1/");
+      expect(loader).toHaveBeenCalledTimes(2);
+
+      router.push("/product/1/");
+      expect(router.target).toBe(Detail);
+
+      link.remove();
+      consoleError.mockRestore();
+    });
+
+    it("로드에 실패하면 네비게이션을 취소하고 pending을 해제한다", async () => {
+      const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+      const router = new Router();
+      router.addRoute("/", Home);
+      router.addRoute(
+        "/product/:id/",
+        lazyRoute(() => Promise.reject(new Error("chunk"))),
+      );
+      router.start();
+
+      router.push("/product/1/");
+      expect(router.pending).toBe(true);
+      await flushNavigation();
+
+      expect([router.pending, router.target, window.location.pathname]).toEqual([false, Home, "/"]);
+      consoleError.mockRestore();
+    });
+  });
+
+  describe("히스토리 어댑터", () => {
+    it("메모리 히스토리는 브라우저 주소를 바꾸지 않고 뒤로/앞으로 가기와 가드를 처리한다", async () => {
+      const history = createMemoryHistory({ initialEntries: ["/product/1/?tab=review"] });
+      const router = new Router("", { history });
+      router.addRoute("/", Home);
+      router.addRoute("/product/:id/", Detail);
+      router.start();
+
+      expect([router.target, router.params, router.query]).toEqual([Detail, { id: "1" }, { tab: "review" }]);
+
+      router.push("/");
+      router.setQuery({ search: "컵" });
+      expect(history.entries).toEqual(["/product/1/?tab=review", "/", "/?search=%EC%BB%B5"]);
+      expect(router.query).toEqual({ search: "컵" });
+      expect(window.location.pathname).toBe("/");
+
+      router.go(-2);
+      expect([router.target, history.index]).toEqual([Detail, 0]);
+
+      // 가드가 취소한 뒤로/앞으로 가기는 이전 항목으로 되돌림 (앞으로 가기 기록은 유지)
+      const remove = router.beforeEach((to) => to.path !== "/");
+      router.forward();
+      await flushNavigation();
+      expect([router.target, history.url, history.index]).toEqual([Detail, "/product/1/?tab=review", 0]);
+      expect(history.entries).toEqual(["/product/1/?tab=review", "/", "/?search=%EC%BB%B5"]);
+      remove();
+
+      router.go(2);
+      await flushNavigation();
+      expect([router.target, router.query]).toEqual([Home, { search: "컵" }]);
+    });
+
+    it("해시 히스토리는 해시에 경로를 저장하고 해시 링크를 만든다", async () => {
+      const router = new Router("", { history: createHashHistory() });
+      router.addRoute("/", Home, { name: "home" });
+      router.addRoute("/product/:id/", Detail, { name: "product" });
+      router.start();
+      expect(router.target).toBe(Home);
+
+      expect(router.href("product", { id: 1 }, { tab: "review" })).toBe("#/product/1/?tab=review");
+      router.pushNamed("product", { id: 1 }, { tab: "review" });
+      expect(window.location.pathname).toBe("/");
+      expect(window.location.hash).toBe("#/product/1/?tab=review");
+      expect([router.target, router.query]).toEqual([Detail, { tab: "review" }]);
+
+      // 주소창에서 해시를 직접 바꾸면 hashchange로 이동
+      window.location.hash = "#/";
+      await new Promise((resolve) => window.addEventListener("hashchange", resolve, { once: true }));
+      expect(router.target).toBe(Home);
+    });
+  });
+});
@@ -0,0 +1,486 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import { applyMiddleware, compose, createStore, type Middleware } from "../createStore";
+import { createSelector } from "../createSelector";
+import { combineReducers, createSlice, type PayloadAction, type SliceAction } from "../createSlice";
+import { persist } from "../persist";
+import { devTools, type DevToolsMessage } from "../devtools";
+import { shallowEquals } from "../equals";
+import { useStore } from "../hooks";
+import { createLogger, thunk, type ThunkAction, type ThunkDispatch } from "../middlewares";
+
+interface CounterState {
+  count: number;
+}
+
+type CounterAction = { type: "increment" } | { type: "add"; payload: number };
+
+const counterReducer = (state: CounterState, action: CounterAction): CounterState => {
+  switch (action.type) {
+    case "increment":
+      return { count: state.count + 1 };
+    case "add":
+      return { count: state.count + action.payload };
+    default:
+      return state;
+  }
+};
+
+describe("createStore 미들웨어 > ", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("미들웨어는 전달한 순서대로 실행되고 마지막 next가 리듀서를 실행한다", () => {
+    const calls: string[] = [];
+    const trace =
+      (name: string): Middleware<CounterState> =>
+      ({ getState }) =>
+      (next) =>
+      (action) => {
+        calls.push(`${name}:before:${getState().count}`);
+        const result = next(action);
+        calls.push(`${name}:after:${getState().count}`);
+        return result;
+      };
+
+    const store = createStore(counterReducer, { count: 0 }, applyMiddleware(trace("a"), trace("b")));
+    const action = { type: "increment" } as const;
+
+    expect(store.dispatch(action)).toBe(action);
+    expect(calls).toEqual(["a:before:0", "b:before:0", "b:after:1", "a:after:1"]);
+  });
+
+  it("미들웨어는 액션을 바꾸거나 막을 수 있고, api.dispatch는 체인 전체를 다시 거친다", () => {
+    const listener = vi.fn();
+    // add 액션은 increment 여러 번으로 나누고, 음수는 무시
+    const splitAdd: Middleware<CounterState, CounterAction> =
+      ({ dispatch }) =>
+      (next) =>
+      (action) => {
+        if (action.type !== "add") return next(action);
+        if (action.payload < 0) return action;
+        for (let i = 0; i < action.payload; i++) dispatch({ type: "increment" });
+        return action;
+      };
+
+    const store = createStore(counterReducer, { count: 0 }, applyMiddleware(splitAdd));
+    store.subscribe(listener);
+
+    store.dispatch({ type: "add", payload: 3 });
+    store.dispatch({ type: "add", payload: -1 });
+
+    expect(store.getState().count).toBe(3);
+    expect(listener).toHaveBeenCalledTimes(3);
+  });
+
+  it("미들웨어를 구성하는 중에 dispatch하면 에러가 발생한다", () => {
+    const eager: Middleware = ({ dispatch }) => {
+      dispatch({ type: "increment" });
+      return (next) => next;
+    };
+
+    expect(() => createStore(counterReducer, { count: 0 }, applyMiddleware(eager))).toThrow(
+      "미들웨어를 구성하는 중에는 dispatch할 수 없습니다.",
+    );
+  });
+
+  it("thunk는 함수 액션을 실행하고 그 반환값(Promise)을 dispatch 결과로 돌려준다", async () => {
+    const store = createStore(counterReducer, { count: 1 }, applyMiddleware(thunk));
+    const dispatch = store.dispatch as ThunkDispatch<CounterState, CounterAction>;
+
+    const addLater =
+      (amount: number): ThunkAction<CounterState, CounterAction, Promise<number>> =>
+      async (dispatch, getState) => {
+        await Promise.resolve();
+        dispatch({ type: "add", payload: amount });
+        return getState().count;
+      };
+
+    await expect(dispatch(addLater(2))).resolves.toBe(3);
+    dispatch({ type: "increment" });
+    expect(store.getState().count).toBe(4);
+  });
+
+  it("logger는 predicate를 통과한 액션의 전후 상태를 출력한다", () => {
+    const group = vi.spyOn(console, "group").mockImplementation(() => {});
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "groupEnd").mockImplementation(() => {});
+
+    const logger = createLogger<CounterState, CounterAction>({
+      collapsed: false,
+      predicate: (_, action) => action.type !== "add",
+    });
+    const store = createStore(counterReducer, { count: 0 }, applyMiddleware(logger));
+
+    store.dispatch({ type: "add", payload: 5 });
+    store.dispatch({ type: "increment" });
+
+    expect(group).toHaveBeenCalledTimes(1);
+    expect(group).toHaveBeenCalledWith("action increment");
+    expect(log).toHaveBeenCalledWith("이전 상태", { count: 5 });
+    expect(log).toHaveBeenCalledWith("다음 상태", { count: 6 });
+  });
+});
+
+/**
+ * Redux DevTools 확장 프로그램 흉내: 주고받은 메시지를 기록하고, emit으로 모니터 조작을 보낸다.
+ */
+const createFakeExtension = () => {
+  const listeners: ((message: DevToolsMessage) => void)[] = [];
+  const connection = {
+    init: vi.fn(),
+    send: vi.fn(),
+    error: vi.fn(),
+    subscribe: vi.fn((listener: (message: DevToolsMessage) => void) => {
+      listeners.push(listener);
+      return () => {};
+    }),
+  };
+  return {
+    connect: vi.fn(() => connection),
+    connection,
+    emit: (message: DevToolsMessage) => listeners.forEach((listener) => listener(message)),
+  };
+};
+
+describe("devTools > ", () => {
+  afterEach(() => {
+    delete window.__REDUX_DEVTOOLS_EXTENSION__;
+  });
+
+  it("초기 상태와 리듀서에 도달한 액션, 다음 상태를 확장 프로그램에 보낸다", () => {
+    const extension = createFakeExtension();
+    window.__REDUX_DEVTOOLS_EXTENSION__ = extension;
+    const blockNegative: Middleware<CounterState, CounterAction> = () => (next) => (action) =>
+      action.type === "add" && action.payload < 0 ? action : next(action);
+
+    const store = createStore(
+      counterReducer,
+      { count: 0 },
+      compose(applyMiddleware(blockNegative), devTools({ name: "counter" })),
+    );
+    store.dispatch({ type: "add", payload: 2 });
+    store.dispatch({ type: "add", payload: -1 });
+
+    expect(extension.connect).toHaveBeenCalledWith(expect.objectContaining({ name: "counter" }));
+    expect(extension.connection.init).toHaveBeenCalledWith({ count: 0 });
+    expect(extension.connection.send).toHaveBeenCalledTimes(1);
+    expect(extension.connection.send).toHaveBeenCalledWith({ type: "add", payload: 2 }, { count: 2 });
+  });
+
+  it("시간 여행과 가져오기는 기록을 남기지 않고 스토어 상태를 바꾼다", () => {
+    const extension = createFakeExtension();
+    window.__REDUX_DEVTOOLS_EXTENSION__ = extension;
+    const listener = vi.fn();
+    const store = createStore(counterReducer, { count: 0 }, devTools());
+    store.subscribe(listener);
+    store.dispatch({ type: "increment" });
+    store.dispatch({ type: "increment" });
+    extension.connection.send.mockClear();
+
+    extension.emit({ type: "DISPATCH", payload: { type: "JUMP_TO_STATE" }, state: JSON.stringify({ count: 1 }) });
+    expect(store.getState()).toEqual({ count: 1 });
+    expect(listener).toHaveBeenCalledTimes(3);
+
+    const nextLiftedState = { computedStates: [{ state: { count: 0 } }, { state: { count: 10 } }] };
+    extension.emit({ type: "DISPATCH", payload: { type: "IMPORT_STATE", nextLiftedState } });
+    expect(store.getState()).toEqual({ count: 10 });
+    expect(extension.connection.send).toHaveBeenCalledExactlyOnceWith(null, nextLiftedState);
+
+    extension.emit({ type: "DISPATCH", payload: { type: "COMMIT" } });
+    expect(extension.connection.init).toHaveBeenLastCalledWith({ count: 10 });
+
+    extension.emit({ type: "ACTION", payload: JSON.stringify({ type: "add", payload: 5 }) });
+    expect(store.getState()).toEqual({ count: 15 });
+    expect(extension.connection.send).toHaveBeenLastCalledWith({ type: "add", payload: 5 }, { count: 15 });
+  });
+
+  it("비활성화되었거나 확장 프로그램이 없으면 일반 스토어를 만든다", () => {
+    const extension = createFakeExtension();
+    window.__REDUX_DEVTOOLS_EXTENSION__ = extension;
+
+    const store = createStore(counterReducer, { count: 0 }, devTools({ enabled: false }));
+    store.dispatch({ type: "increment" });
+    expect(store.getState()).toEqual({ count: 1 });
+    expect(extension.connect).not.toHaveBeenCalled();
+
+    delete window.__REDUX_DEVTOOLS_EXTENSION__;
+    expect(() => createStore(counterReducer, { count: 0 }, devTools()).dispatch({ type: "increment" })).not.toThrow();
+  });
+});
+
+describe("createSelector > ", () => {
+  interface CartState {
+    items: { id: string; price: number; quantity: number; selected: boolean }[];
+    isOpen: boolean;
+  }
+
+  const initialCart: CartState = {
+    items: [
+      { id: "1", price: 1000, quantity: 2, selected: true },
+      { id: "2", price: 500, quantity: 1, selected: false },
+    ],
+    isOpen: false,
+  };
+
+  type CartAction = { type: "toggleModal" } | { type: "setQuantity"; payload: { id: string; quantity: number } };
+
+  const cartReducer = (state: CartState, action: CartAction): CartState => {
+    switch (action.type) {
+      case "toggleModal":
+        return { ...state, isOpen: !state.isOpen };
+      case "setQuantity": {
+        const { id, quantity } = action.payload;
+        return { ...state, items: state.items.map((item) => (item.id === id ? { ...item, quantity } : item)) };
+      }
+    }
+  };
+
+  const selectItems = (state: CartState) => state.items;
+
+  it("입력 선택자의 결과가 바뀔 때만 결과 함수를 다시 실행한다", () => {
+    const selectTotalAmount = createSelector([selectItems], (items) =>
+      items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+    );
+    const state = cartReducer(initialCart, { type: "toggleModal" });
+
+    expect(selectTotalAmount(initialCart)).toBe(2500);
+    expect(selectTotalAmount(state)).toBe(2500);
+    expect(selectTotalAmount.recomputations()).toBe(1);
+
+    expect(selectTotalAmount(cartReducer(state, { type: "setQuantity", payload: { id: "2", quantity: 3 } }))).toBe(
+      3500,
+    );
+    expect(selectTotalAmount.recomputations()).toBe(2);
+
+    selectTotalAmount.resetRecomputations();
+    expect(selectTotalAmount.recomputations()).toBe(0);
+  });
+
+  it("여러 입력 선택자를 받고, resultEquals가 같다고 판단하면 이전 결과의 참조를 유지한다", () => {
+    const selectSelectedIds = createSelector(
+      [selectItems, (state: CartState) => state.isOpen],
+      (items, isOpen) => (isOpen ? items.filter((item) => item.selected).map((item) => item.id) : []),
+      { resultEquals: shallowEquals },
+    );
+    const opened = cartReducer(initialCart, { type: "toggleModal" });
+
+    const first = selectSelectedIds(opened);
+    const second = selectSelectedIds(cartReducer(opened, { type: "setQuantity", payload: { id: "1", quantity: 5 } }));
+
+    expect(first).toEqual(["1"]);
+    expect(second).toBe(first);
+    expect(selectSelectedIds.recomputations()).toBe(2);
+  });
+
+  it("useStore와 함께 쓰면 관련 없는 상태가 바뀌어도 다시 계산하거나 리렌더링하지 않는다", () => {
+    const store = createStore(cartReducer, initialCart);
+    const selectSelectedAmount = createSelector([selectItems], (items) =>
+      items.filter((item) => item.selected).reduce((sum, item) => sum + item.price * item.quantity, 0),
+    );
+    let renderCount = 0;
+    const { result } = renderHook(() => {
+      renderCount++;
+      return useStore(store, selectSelectedAmount);
+    });
+
+    act(() => store.dispatch({ type: "toggleModal" }));
+    act(() => store.dispatch({ type: "setQuantity", payload: { id: "2", quantity: 4 } }));
+
+    expect(result.current).toBe(2000);
+    expect(renderCount).toBe(1);
+    expect(selectSelectedAmount.recomputations()).toBe(2);
+
+    act(() => store.dispatch({ type: "setQuantity", payload: { id: "1", quantity: 3 } }));
+    expect(result.current).toBe(3000);
+    expect(renderCount).toBe(2);
+  });
+});
+
+describe("createSlice > ", () => {
+  const counterSlice = createSlice({
+    name: "counter",
+    initialState: { count: 0 },
+    reducers: {
+      increment: (state) => ({ count: state.count + 1 }),
+      add: (state, action: PayloadAction<number>) => ({ count: state.count + action.payload }),
+    },
+  });
+
+  const todoSlice = createSlice({
+    name: "todos",
+    initialState: [] as string[],
+    reducers: {
+      addTodo: (state, action: PayloadAction<string>) => [...state, action.payload],
+    },
+  });
+
+  it("리듀서 이름으로 '<name>/<리듀서 이름>' 타입의 액션 생성자를 만든다", () => {
+    const { increment, add } = counterSlice.actions;
+
+    expect(increment()).toEqual({ type: "counter/increment", payload: undefined });
+    expect(add(3)).toEqual({ type: "counter/add", payload: 3 });
+    expect(add.type).toBe("counter/add");
+    expect(add.match(add(1))).toBe(true);
+    expect(add.match(increment())).toBe(false);
+  });
+
+  it("슬라이스 리듀서는 자기 액션만 처리하고 나머지는 이전 상태를 그대로 반환한다", () => {
+    const store = createStore(counterSlice.reducer, counterSlice.initialState);
+    const actions: SliceAction<typeof counterSlice>[] = [counterSlice.actions.add(2), counterSlice.actions.increment()];
+    actions.forEach(store.dispatch);
+    expect(store.getState()).toEqual({ count: 3 });
+
+    const state = store.getState();
+    expect(counterSlice.reducer(state, todoSlice.actions.addTodo("x") as never)).toBe(state);
+  });
+
+  it("combineReducers는 바뀐 슬라이스만 교체하고, 아무것도 바뀌지 않으면 루트 상태를 유지한다", () => {
+    const rootReducer = combineReducers({ counter: counterSlice.reducer, todos: todoSlice.reducer });
+    const store = createStore(rootReducer, { counter: counterSlice.initialState, todos: todoSlice.initialState });
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    const before = store.getState();
+    store.dispatch(todoSlice.actions.addTodo("장보기"));
+    expect(store.getState()).toEqual({ counter: { count: 0 }, todos: ["장보기"] });
+    expect(store.getState().counter).toBe(before.counter);
+
+    const after = store.getState();
+    store.dispatch({ type: "unknown" } as never);
+    expect(store.getState()).toBe(after);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("persist > ", () => {
+  interface Item {
+    id: string;
+    quantity: number;
+    selected: boolean;
+  }
+
+  interface CartState {
+    items: Item[];
+    isOpen: boolean;
+  }
+
+  const cartSlice = createSlice({
+    name: "cart",
+    initialState: { items: [], isOpen: false } as CartState,
+    reducers: {
+      addItem: (state, action: PayloadAction<string>) => ({
+        ...state,
+        items: [...state.items, { id: action.payload, quantity: 1, selected: false }],
+      }),
+      toggleModal: (state) => ({ ...state, isOpen: !state.isOpen }),
+      load: (state, action: PayloadAction<Partial<CartState>>) => ({ ...state, ...action.payload }),
+    },
+  });
+
+  const options = {
+    key: "cart",
+    rehydrateAction: cartSlice.actions.load,
+    whitelist: ["items"] as const,
+    version: 1,
+    // 버전 1부터 selected 필드가 추가됨
+    migrate: (state: { items: Omit<Item, "selected">[] }) => ({
+      items: state.items.map((item) => ({ selected: false, ...item })),
+    }),
+  };
+
+  const createCartStore = () => createStore(cartSlice.reducer, cartSlice.initialState);
+  const readSaved = () => JSON.parse(localStorage.getItem("cart") ?? "null");
+
+  afterEach(() => {
+    localStorage.clear();
+    vi.useRealTimers();
+  });
+
+  it("whitelist에 있는 상태만 버전과 함께 저장하고, 그 외 상태가 바뀌면 저장하지 않는다", () => {
+    const store = createCartStore();
+    persist(store, localStorage, options);
+    const setItem = vi.spyOn(Storage.prototype, "setItem");
+
+    store.dispatch(cartSlice.actions.addItem("1"));
+    store.dispatch(cartSlice.actions.toggleModal());
+
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(readSaved()).toEqual({ version: 1, state: { items: [{ id: "1", quantity: 1, selected: false }] } });
+    setItem.mockRestore();
+  });
+
+  it("버전 없이 저장된 이전 형식을 migrate로 변환해 복원하고 현재 형식으로 다시 저장한다", () => {
+    localStorage.setItem("cart", JSON.stringify({ items: [{ id: "1", quantity: 2 }], isOpen: true }));
+    const store = createCartStore();
+
+    const persistor = persist(store, localStorage, options);
+
+    expect(persistor.rehydrated).toBe(true);
+    expect(store.getState()).toEqual({ items: [{ id: "1", quantity: 2, selected: false }], isOpen: false });
+    expect(readSaved()).toEqual({ version: 1, state: { items: [{ id: "1", quantity: 2, selected: false }] } });
+  });
+
+  it("manualRehydrate면 rehydrate 전의 변경을 저장하지 않는다", () => {
+    localStorage.setItem(
+      "cart",
+      JSON.stringify({ version: 1, state: { items: [{ id: "1", quantity: 1, selected: true }] } }),
+    );
+    const store = createCartStore();
+    const persistor = persist(store, localStorage, { ...options, manualRehydrate: true });
+
+    store.dispatch(cartSlice.actions.toggleModal());
+    expect(store.getState().items).toEqual([]);
+    expect(readSaved().state.items).toHaveLength(1);
+
+    persistor.rehydrate();
+    expect(store.getState()).toEqual({ items: [{ id: "1", quantity: 1, selected: true }], isOpen: true });
+  });
+
+  it("throttle 동안의 변경은 마지막 상태 한 번으로 저장하고, flush는 바로 저장한다", () => {
+    vi.useFakeTimers();
+    const store = createCartStore();
+    const persistor = persist(store, localStorage, { ...options, throttle: 100 });
+
+    store.dispatch(cartSlice.actions.addItem("1"));
+    store.dispatch(cartSlice.actions.addItem("2"));
+    expect(readSaved()).toBeNull();
+
+    vi.advanceTimersByTime(100);
+    expect(readSaved().state.items).toHaveLength(2);
+
+    store.dispatch(cartSlice.actions.addItem("3"));
+    persistor.flush();
+    expect(readSaved().state.items).toHaveLength(3);
+
+    persistor.purge();
+    expect(readSaved()).toBeNull();
+  });
+
+  it("rehydrateAction이 없으면 whitelist에 있는 저장된 키만 현재 상태에 합친다", () => {
+    localStorage.setItem(
+      "cart",
+      JSON.stringify({ version: 1, state: { items: [{ id: "1", quantity: 3, selected: true }], isOpen: true } }),
+    );
+    const store = createCartStore();
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    persist(store, localStorage, { ...options, rehydrateAction: undefined });
+
+    expect(store.getState()).toEqual({ items: [{ id: "1", quantity: 3, selected: true }], isOpen: false });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(readSaved()).toEqual({ version: 1, state: { items: [{ id: "1", quantity: 3, selected: true }] } });
+  });
+
+  it("storage가 없으면(서버) 아무것도 하지 않는다", () => {
+    const store = createCartStore();
+    const persistor = persist(store, null, options);
+
+    store.dispatch(cartSlice.actions.addItem("1"));
+
+    expect(persistor.rehydrated).toBe(false);
+    expect(localStorage.getItem("cart")).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+import { createContext, createElement, useContext, type ComponentType } from "react";
+import type { RouterInstance } from "../Router";
+import type { AnyFunction } from "../types";
+import { useRouter } from "../hooks/useRouter";
+
+/**
+ * RouterView/Outlet이 사용하는 라우터 (클라이언트 Router 또는 matches를 제공하는 서버 라우터)
+ */
+export type OutletRouter = Pick<RouterInstance<AnyFunction>, "matches" | "subscribe">;
+
+interface OutletContextValue {
+  router: OutletRouter;
+  depth: number;
+}
+
+const OutletContext = createContext<OutletContextValue | null>(null);
+
+/**
+ * 현재 depth의 매칭 라우트를 렌더링하고, 그 하위에 다음 depth의 Outlet 컨텍스트를 제공
+ * 부모 레이아웃은 자식 라우트가 바뀌어도 같은 컴포넌트로 렌더링되므로 마운트 상태가 유지된다.
+ */
+const renderMatch = (router: OutletRouter, depth: number, props: object) => {
+  const match = router.matches[depth];
+  if (!match) return null;
+
+  return createElement(
+    OutletContext.Provider,
+    { value: { router, depth: depth + 1 } },
+    createElement(match.handler as ComponentType<object>, props),
+  );
+};
+
+/**
+ * 라우터의 최상위 매칭 라우트(레이아웃 또는 페이지)를 렌더링
+ * props는 최상위 라우트 컴포넌트에 전달된다.
+ */
+export const RouterView = ({ router, ...props }: { router: OutletRouter } & Record<string, unknown>) => {
+  useRouter(router, ({ matches }) => matches);
+  return renderMatch(router, 0, props);
+};
+
+/**
+ * 레이아웃 안에서 자식 라우트가 렌더링될 위치
+ * props는 자식 라우트 컴포넌트에 전달된다.
+ */
+export const Outlet = (props: Record<string, unknown>) => {
+  const context = useContext(OutletContext);
+  if (!context) {
+    throw new Error("Outlet은 RouterView로 렌더링된 라우트 안에서만 사용할 수 있습니다.");
+  }
+
+  useRouter(context.router, ({ matches }) => matches);
+  return renderMatch(context.router, context.depth, props);
+};
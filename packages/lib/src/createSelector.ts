@@ -0,0 +1,72 @@
+import type { Selector } from "./types";
+
+/** 상태 타입과 관계없이 모든 선택자를 받는 제약 (매개변수는 반공변이므로 never) */
+type AnySelector = Selector<never, unknown>;
+
+/** 입력 선택자들이 받는 상태 타입 */
+type SelectorState<Inputs extends readonly AnySelector[]> =
+  Inputs[number] extends Selector<infer S, unknown> ? S : never;
+
+type SelectorResults<Inputs extends readonly AnySelector[]> = {
+  [K in keyof Inputs]: Inputs[K] extends Selector<never, infer R> ? R : never;
+};
+
+type EqualityFn = (a: unknown, b: unknown) => boolean;
+
+export interface SelectorOptions {
+  /** 입력 선택자 결과를 이전 값과 비교하는 함수 (기본값 Object.is). 모두 같으면 결과 함수를 실행하지 않는다. */
+  inputEquals?: EqualityFn;
+  /** 새로 계산한 결과를 이전 결과와 비교하는 함수 (기본값 Object.is). 같으면 이전 결과의 참조를 그대로 반환한다. */
+  resultEquals?: EqualityFn;
+}
+
+export interface MemoizedSelector<S, R> extends Selector<S, R> {
+  /** 결과 함수 */
+  resultFunc: (...args: never) => R;
+  /** 결과 함수가 실행된 횟수 */
+  recomputations: () => number;
+  resetRecomputations: () => void;
+}
+
+/**
+ * 입력 선택자의 결과가 바뀔 때만 결과 함수를 다시 실행하는 선택자 생성
+ * 마지막 입력과 결과 하나만 기억하므로, 인자마다 다른 선택자가 필요하면 컴포넌트마다 따로 만든다.
+ * @example
+ * const selectTotalAmount = createSelector([(cart: CartState) => cart.items], (items) =>
+ *   items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+ * );
+ * const totalAmount = useStore(cartStore, selectTotalAmount);
+ */
+export const createSelector = <const Inputs extends readonly AnySelector[], R>(
+  inputSelectors: Inputs,
+  resultFunc: (...args: SelectorResults<Inputs>) => R,
+  { inputEquals = Object.is, resultEquals = Object.is }: SelectorOptions = {},
+): MemoizedSelector<SelectorState<Inputs>, R> => {
+  let lastInputs: unknown[] | null = null;
+  let lastResult: R;
+  let recomputations = 0;
+
+  const selector = (state: SelectorState<Inputs>) => {
+    const inputs = inputSelectors.map((inputSelector) => (inputSelector as Selector<typeof state, unknown>)(state));
+    if (lastInputs && inputs.every((input, index) => inputEquals(lastInputs![index], input))) {
+      return lastResult;
+    }
+
+    const isFirst = lastInputs === null;
+    lastInputs = inputs;
+    recomputations++;
+    const result = resultFunc(...(inputs as SelectorResults<Inputs>));
+    if (isFirst || !resultEquals(lastResult, result)) {
+      lastResult = result;
+    }
+    return lastResult;
+  };
+
+  return Object.assign(selector, {
+    resultFunc,
+    recomputations: () => recomputations,
+    resetRecomputations: () => {
+      recomputations = 0;
+    },
+  });
+};
@@ -0,0 +1,136 @@
+import type { Reducer } from "./createStore";
+
+export interface PayloadAction<P = undefined, T extends string = string> {
+  type: T;
+  payload: P;
+}
+
+/**
+ * 슬라이스의 액션 하나를 처리하는 리듀서 (이전 상태를 바꾸지 않고 새 상태를 반환)
+ */
+export type CaseReducer<S, A extends PayloadAction<unknown> = PayloadAction<unknown>> = (state: S, action: A) => S;
+
+interface ActionCreatorMeta<P, T extends string> {
+  /** 생성하는 액션의 type ("cart/addItem") */
+  type: T;
+  /** 이 액션 생성자로 만든 액션인지 확인 */
+  match: (action: unknown) => action is PayloadAction<P, T>;
+}
+
+export type ActionCreatorWithoutPayload<T extends string = string> = (() => PayloadAction<undefined, T>) &
+  ActionCreatorMeta<undefined, T>;
+
+export type ActionCreatorWithPayload<P, T extends string = string> = ((payload: P) => PayloadAction<P, T>) &
+  ActionCreatorMeta<P, T>;
+
+/** 케이스 리듀서의 action 인자에서 payload 타입을 꺼내 액션 생성자 타입을 정한다. */
+type ActionCreatorFor<CR, T extends string> = CR extends (state: never, action: infer A) => unknown
+  ? unknown extends A
+    ? ActionCreatorWithoutPayload<T>
+    : A extends { payload: infer P }
+      ? [P] extends [undefined]
+        ? ActionCreatorWithoutPayload<T>
+        : ActionCreatorWithPayload<P, T>
+      : ActionCreatorWithoutPayload<T>
+  : never;
+
+export type SliceActionCreators<Name extends string, CaseReducers> = {
+  [K in keyof CaseReducers & string]: ActionCreatorFor<CaseReducers[K], `${Name}/${K}`>;
+};
+
+/**
+ * 슬라이스 액션 생성자들이 만드는 액션의 유니온
+ * @example type CartAction = SliceAction<typeof cartSlice>;
+ */
+export type SliceAction<T extends { actions: Record<string, (...args: never) => unknown> }> = ReturnType<
+  T["actions"][keyof T["actions"]]
+>;
+
+export interface Slice<S, CaseReducers, Name extends string> {
+  name: Name;
+  initialState: S;
+  /** 슬라이스의 액션만 처리하고, 다른 액션은 상태를 그대로 반환하는 리듀서 */
+  reducer: Reducer<S, ReturnType<SliceActionCreators<Name, CaseReducers>[keyof CaseReducers & string]>>;
+  actions: SliceActionCreators<Name, CaseReducers>;
+}
+
+const createAction = (type: string) =>
+  Object.assign((payload?: unknown) => ({ type, payload }), {
+    type,
+    match: (action: unknown): action is PayloadAction<unknown> =>
+      typeof action === "object" && action !== null && "type" in action && action.type === type,
+  });
+
+/**
+ * 케이스 리듀서 목록으로 "<name>/<리듀서 이름>" 타입의 액션 생성자와 리듀서를 함께 만든다.
+ * @example
+ * const cartSlice = createSlice({
+ *   name: "cart",
+ *   initialState,
+ *   reducers: {
+ *     removeItem: (state, action: PayloadAction<string>) => ({ ...state, items: state.items.filter(...) }),
+ *     clearCart: (state) => ({ ...state, items: [] }),
+ *   },
+ * });
+ * cartStore.dispatch(cartSlice.actions.removeItem("1")); // { type: "cart/removeItem", payload: "1" }
+ */
+export const createSlice = <
+  S,
+  // payload 타입이 케이스 리듀서마다 다르므로 어떤 payload든 받을 수 있도록 never로 제약 (매개변수는 반공변)
+  CaseReducers extends Record<string, CaseReducer<S, PayloadAction<never>>>,
+  Name extends string,
+>({
+  name,
+  initialState,
+  reducers,
+}: {
+  name: Name;
+  initialState: S;
+  reducers: CaseReducers;
+}): Slice<S, CaseReducers, Name> => {
+  const caseReducers = new Map<string, CaseReducer<S>>();
+  const actions: Record<string, ReturnType<typeof createAction>> = {};
+
+  Object.entries(reducers).forEach(([key, caseReducer]) => {
+    const type = `${name}/${key}`;
+    // 액션 type으로 찾은 케이스 리듀서에만 전달하므로 payload 타입이 일치한다.
+    caseReducers.set(type, caseReducer as CaseReducer<S>);
+    actions[key] = createAction(type);
+  });
+
+  const reducer = (state: S, action: PayloadAction<unknown>) => {
+    const caseReducer = caseReducers.get(action.type);
+    return caseReducer ? caseReducer(state, action) : state;
+  };
+
+  return { name, initialState, reducer, actions: actions as SliceActionCreators<Name, CaseReducers> };
+};
+
+type StateFromReducers<M> = { [K in keyof M]: M[K] extends Reducer<infer S, never> ? S : never };
+
+type ActionFromReducer<R> = R extends (state: never, action: infer A) => unknown ? A : never;
+
+/**
+ * 키마다 다른 리듀서가 맡는 하나의 루트 리듀서를 만든다.
+ * 어떤 슬라이스도 바뀌지 않으면 이전 루트 상태를 그대로 반환해 구독자에게 알리지 않는다.
+ * @example
+ * const rootReducer = combineReducers({ cart: cartSlice.reducer, products: productSlice.reducer });
+ * const store = createStore(rootReducer, { cart: cartSlice.initialState, products: productSlice.initialState });
+ */
+export const combineReducers =
+  // 리듀서마다 상태/액션 타입이 달라 any로 제약 (호출할 때 각 리듀서의 상태를 넘겨야 하므로 never를 쓸 수 없음)
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  <M extends Record<string, Reducer<any, any>>>(
+      reducers: M,
+    ): Reducer<StateFromReducers<M>, ActionFromReducer<M[keyof M]>> =>
+    (state, action) => {
+      let changed = false;
+      const nextState = {} as StateFromReducers<M>;
+
+      for (const key of Object.keys(reducers) as (keyof M)[]) {
+        nextState[key] = reducers[key](state[key], action);
+        changed ||= !Object.is(nextState[key], state[key]);
+      }
+
+      return changed ? nextState : state;
+    };
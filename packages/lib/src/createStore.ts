@@ -1,9 +1,65 @@
 import { createObserver } from "./createObserver";
 
+export type Reducer<S, A> = (state: S, action: A) => S;
+
+/**
+ * 기본 dispatch는 전달한 액션을 그대로 반환하고, 미들웨어는 다른 값(예: thunk의 Promise)을 반환할 수 있다.
+ */
+export type Dispatch<A> = (action: A) => unknown;
+
+export interface Store<S, A> {
+  getState: () => S;
+  dispatch: Dispatch<A>;
+  subscribe: ReturnType<typeof createObserver>["subscribe"];
+}
+
+// 기본값이 any인 이유: 상태/액션 타입이 서로 다른 미들웨어(thunk, logger 등)를 applyMiddleware에 함께 넘길 수 있어야 한다.
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export interface MiddlewareAPI<S = any, A = any> {
+  getState: () => S;
+  /** 미들웨어 체인 전체를 다시 거치는 dispatch */
+  dispatch: Dispatch<A>;
+}
+
+/**
+ * 미들웨어: 액션을 가로채 다음 단계(next)로 넘기거나, 넘기기 전후에 부수 효과를 실행한다.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export type Middleware<S = any, A = any> = (api: MiddlewareAPI<S, A>) => (next: Dispatch<A>) => Dispatch<A>;
+
+export type StoreCreator = <S, A>(reducer: Reducer<S, A>, initialState: S) => Store<S, A>;
+
+/**
+ * 스토어 생성 과정을 감싸 기능을 추가하는 함수 (예: applyMiddleware)
+ */
+export type StoreEnhancer = (createStore: StoreCreator) => StoreCreator;
+
+/** 리듀서를 거치지 않고 스토어가 직접 처리하는 상태 합치기 액션 */
+export const REHYDRATE = "@@store/REHYDRATE";
+
+export interface RehydrateAction<S> {
+  type: typeof REHYDRATE;
+  payload: Partial<S>;
+}
+
+/**
+ * payload의 키를 현재 상태에 얕게 합치는 내장 액션 생성 (persist의 기본 rehydrateAction)
+ * @example store.dispatch(rehydrateState({ items: savedItems }))
+ */
+export const rehydrateState = <S>(payload: Partial<S>): RehydrateAction<S> => ({ type: REHYDRATE, payload });
+
+const isRehydrateAction = <S>(action: unknown): action is RehydrateAction<S> =>
+  typeof action === "object" && action !== null && "type" in action && action.type === REHYDRATE;
+
 export const createStore = <S, A = (args: { type: string; payload?: unknown }) => S>(
-  reducer: (state: S, action: A) => S,
+  reducer: Reducer<S, A>,
   initialState: S,
-) => {
+  enhancer?: StoreEnhancer,
+): Store<S, A> => {
+  if (enhancer) {
+    return enhancer(createStore)(reducer, initialState);
+  }
+
   const { subscribe, notify } = createObserver();
 
   let state = initialState;
@@ -11,12 +67,47 @@ export const createStore = <S, A = (args: { type: string; payload?: unknown }) =
   const getState = () => state;
 
   const dispatch = (action: A) => {
-    const newState = reducer(state, action);
+    const newState = isRehydrateAction<S>(action) ? { ...state, ...action.payload } : reducer(state, action);
     if (!Object.is(newState, state)) {
       state = newState;
       notify();
     }
+    return action;
   };
 
   return { getState, dispatch, subscribe };
 };
+
+/**
+ * 미들웨어를 적용하는 enhancer 생성
+ * 미들웨어는 전달한 순서대로 실행되며, 마지막 미들웨어의 next가 리듀서를 실행한다.
+ * @example createStore(reducer, initialState, applyMiddleware(thunk, logger))
+ */
+export const applyMiddleware =
+  (...middlewares: Middleware[]): StoreEnhancer =>
+  (createStore) =>
+  (reducer, initialState) => {
+    const store = createStore(reducer, initialState);
+
+    let dispatch: typeof store.dispatch = () => {
+      throw new Error("미들웨어를 구성하는 중에는 dispatch할 수 없습니다.");
+    };
+    const api: MiddlewareAPI = {
+      getState: store.getState,
+      dispatch: (action) => dispatch(action),
+    };
+    dispatch = middlewares
+      .map((middleware) => middleware(api))
+      .reduceRight((next, chain) => chain(next), store.dispatch);
+
+    return { ...store, dispatch };
+  };
+
+/**
+ * 여러 enhancer를 하나로 합친다. 왼쪽 enhancer가 바깥쪽에서 감싼다.
+ * @example createStore(reducer, initialState, compose(applyMiddleware(thunk), devTools()))
+ */
+export const compose =
+  (...enhancers: StoreEnhancer[]): StoreEnhancer =>
+  (createStore) =>
+    enhancers.reduceRight((next, enhancer) => enhancer(next), createStore);
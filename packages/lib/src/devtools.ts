@@ -0,0 +1,154 @@
+import type { StoreEnhancer } from "./createStore";
+
+/**
+ * Redux DevTools 확장 프로그램이 보내는 메시지
+ * @see https://github.com/reduxjs/redux-devtools/blob/main/extension/docs/API/Methods.md
+ */
+export interface DevToolsMessage {
+  type: "DISPATCH" | "ACTION" | "START" | "STOP" | string;
+  /** DISPATCH는 DevToolsDispatchPayload, ACTION은 모니터에서 입력한 액션(문자열) */
+  payload?: unknown;
+  /** JUMP_TO_STATE / JUMP_TO_ACTION / ROLLBACK에서 이동할 상태 (JSON 문자열) */
+  state?: string;
+}
+
+/**
+ * DISPATCH 메시지의 payload (모니터 조작)
+ */
+export interface DevToolsDispatchPayload {
+  type: "JUMP_TO_STATE" | "JUMP_TO_ACTION" | "ROLLBACK" | "RESET" | "COMMIT" | "IMPORT_STATE" | string;
+  /** PAUSE_RECORDING의 일시정지 여부 */
+  status?: boolean;
+  /** IMPORT_STATE로 가져온 기록 */
+  nextLiftedState?: { computedStates?: { state: unknown }[]; currentStateIndex?: number };
+}
+
+export interface DevToolsConnection {
+  init(state: unknown): void;
+  send(action: unknown, state: unknown): void;
+  subscribe(listener: (message: DevToolsMessage) => void): (() => void) | void;
+  error?(message: string): void;
+}
+
+export interface DevToolsExtension {
+  connect(options: { name?: string; features?: Record<string, unknown> }): DevToolsConnection;
+}
+
+declare global {
+  interface Window {
+    __REDUX_DEVTOOLS_EXTENSION__?: DevToolsExtension;
+  }
+}
+
+export interface DevToolsOptions {
+  /** DevTools 인스턴스 목록에 표시할 이름 */
+  name?: string;
+  /** 연결 여부 (기본값: 개발 빌드에서만 연결) */
+  enabled?: boolean;
+}
+
+/** 시간 여행/가져오기로 상태를 통째로 바꿀 때 쓰는 내부 액션 */
+const SET_STATE = "@@devtools/SET_STATE";
+
+const isSetStateAction = (action: unknown): action is { type: typeof SET_STATE; payload: unknown } =>
+  typeof action === "object" && action !== null && "type" in action && action.type === SET_STATE;
+
+const parseState = (state: string | undefined) => (state === undefined ? undefined : JSON.parse(state));
+
+/**
+ * 스토어를 Redux DevTools 확장 프로그램에 연결하는 enhancer
+ * 액션 기록과 상태 변화를 보내고, 시간 여행(JUMP)·가져오기(IMPORT)·COMMIT/RESET/ROLLBACK을 지원한다.
+ * 서버, 프로덕션 빌드, 확장 프로그램이 없는 환경에서는 스토어를 그대로 만든다.
+ * 미들웨어와 함께 쓸 때는 compose로 applyMiddleware 뒤에 두어야 리듀서에 도달한 액션만 기록된다.
+ * @example createStore(reducer, initialState, compose(applyMiddleware(thunk), devTools({ name: "cartStore" })))
+ */
+export const devTools =
+  ({ name, enabled = !import.meta.env.PROD }: DevToolsOptions = {}): StoreEnhancer =>
+  (createStore) =>
+  (reducer, initialState) => {
+    const extension = enabled && typeof window !== "undefined" ? window.__REDUX_DEVTOOLS_EXTENSION__ : undefined;
+    if (!extension) {
+      return createStore(reducer, initialState);
+    }
+
+    type S = typeof initialState;
+    type A = Parameters<typeof reducer>[1];
+    const store = createStore<S, A | { type: typeof SET_STATE; payload: unknown }>(
+      (state, action) => (isSetStateAction(action) ? (action.payload as S) : reducer(state, action)),
+      initialState,
+    );
+    const connection = extension.connect({
+      name,
+      features: {
+        pause: true,
+        export: true,
+        import: "custom",
+        jump: true,
+        skip: false,
+        reorder: false,
+        dispatch: true,
+      },
+    });
+
+    let paused = false;
+    const setState = (state: S) => store.dispatch({ type: SET_STATE, payload: state });
+
+    const dispatch = (action: A) => {
+      const result = store.dispatch(action);
+      if (!paused) {
+        connection.send(action, store.getState());
+      }
+      return result;
+    };
+
+    connection.subscribe((message) => {
+      try {
+        if (message.type === "ACTION") {
+          dispatch((typeof message.payload === "string" ? JSON.parse(message.payload) : message.payload) as A);
+          return;
+        }
+        if (message.type !== "DISPATCH") return;
+
+        const payload = message.payload as DevToolsDispatchPayload | undefined;
+        switch (payload?.type) {
+          case "JUMP_TO_STATE":
+          case "JUMP_TO_ACTION":
+            setState(parseState(message.state));
+            return;
+          case "ROLLBACK": {
+            const state = parseState(message.state);
+            setState(state);
+            connection.init(state);
+            return;
+          }
+          case "RESET":
+            setState(initialState);
+            connection.init(initialState);
+            return;
+          case "COMMIT":
+            connection.init(store.getState());
+            return;
+          case "IMPORT_STATE": {
+            const { nextLiftedState } = payload;
+            const { computedStates = [], currentStateIndex = computedStates.length - 1 } = nextLiftedState ?? {};
+            const imported = computedStates[currentStateIndex];
+            if (!imported) return;
+            setState(imported.state as S);
+            // 확장 프로그램의 액션 기록도 가져온 내용으로 교체
+            connection.send(null, nextLiftedState);
+            return;
+          }
+          case "PAUSE_RECORDING":
+            paused = Boolean(payload.status);
+            return;
+        }
+      } catch (error) {
+        console.error("DevTools 메시지 처리 오류:", error);
+        connection.error?.(error instanceof Error ? error.message : String(error));
+      }
+    });
+
+    connection.init(store.getState());
+
+    return { ...store, dispatch };
+  };
@@ -0,0 +1,160 @@
+/**
+ * 라우터가 URL과 히스토리 항목을 읽고 쓰는 방식
+ * URL은 baseUrl을 포함한 pathname + search 형식이다. (예: "/product/1/?tab=review")
+ */
+export interface RouterHistory {
+  /** 히스토리 종류 (memory는 브라우저 스크롤 위치를 건드리지 않음) */
+  readonly type: "browser" | "hash" | "memory";
+  /** 현재 URL */
+  readonly url: string;
+  /** 현재 히스토리 항목에 저장된 상태 */
+  readonly state: unknown;
+  /** 새 히스토리 항목 추가 */
+  push(url: string, state: unknown): void;
+  /** 현재 히스토리 항목 교체 */
+  replace(url: string, state: unknown): void;
+  /** 링크의 href 속성에 쓸 값 (hash 히스토리는 "#/product/1/") */
+  createHref(url: string): string;
+  /** 히스토리 이동 (범위를 벗어나면 무시) */
+  go(delta: number): void;
+  /**
+   * 뒤로/앞으로 가기처럼 라우터 밖에서 현재 항목이 바뀔 때 호출될 리스너 등록
+   * @returns 등록 해제 함수
+   */
+  listen(listener: () => void): () => void;
+}
+
+/**
+ * 브라우저 History API를 사용하는 히스토리 (기본값)
+ */
+export const createBrowserHistory = (): RouterHistory => ({
+  type: "browser",
+  get url() {
+    return `${window.location.pathname}${window.location.search}`;
+  },
+  get state() {
+    return window.history.state;
+  },
+  push: (url, state) => window.history.pushState(state, "", url),
+  replace: (url, state) => window.history.replaceState(state, "", url),
+  createHref: (url) => url,
+  go: (delta) => window.history.go(delta),
+  listen: (listener) => {
+    window.addEventListener("popstate", listener);
+    return () => window.removeEventListener("popstate", listener);
+  },
+});
+
+/**
+ * URL 해시(#/product/1/)에 경로를 저장하는 히스토리
+ * 모든 경로를 index.html로 보내 주지 못하는 정적 호스팅에서 사용한다.
+ */
+export const createHashHistory = (): RouterHistory => {
+  const readUrl = () => {
+    const hash = window.location.hash.slice(1);
+    return hash.startsWith("/") ? hash : `/${hash}`;
+  };
+  const toHref = (url: string) => `${window.location.pathname}${window.location.search}#${url}`;
+
+  // 뒤로/앞으로 가기는 popstate와 hashchange가 모두 발생하므로 URL이 실제로 바뀐 경우만 전달
+  let lastUrl = readUrl();
+
+  return {
+    type: "hash",
+    get url() {
+      return readUrl();
+    },
+    get state() {
+      return window.history.state;
+    },
+    push: (url, state) => {
+      window.history.pushState(state, "", toHref(url));
+      lastUrl = url;
+    },
+    replace: (url, state) => {
+      window.history.replaceState(state, "", toHref(url));
+      lastUrl = url;
+    },
+    createHref: (url) => `#${url}`,
+    go: (delta) => window.history.go(delta),
+    listen: (listener) => {
+      const handleChange = () => {
+        const url = readUrl();
+        if (url === lastUrl) return;
+        lastUrl = url;
+        listener();
+      };
+      window.addEventListener("popstate", handleChange);
+      window.addEventListener("hashchange", handleChange);
+      return () => {
+        window.removeEventListener("popstate", handleChange);
+        window.removeEventListener("hashchange", handleChange);
+      };
+    },
+  };
+};
+
+export interface MemoryHistoryOptions {
+  /** 초기 히스토리 항목 URL 목록 (기본값 ["/"]) */
+  initialEntries?: string[];
+  /** 초기 현재 항목 위치 (기본값 마지막 항목) */
+  initialIndex?: number;
+}
+
+export interface MemoryHistory extends RouterHistory {
+  /** 히스토리 항목 URL 목록 */
+  readonly entries: string[];
+  /** 현재 항목 위치 */
+  readonly index: number;
+}
+
+/**
+ * 메모리에만 히스토리를 저장하는 히스토리
+ * 브라우저 주소를 바꾸지 않으므로 테스트나 페이지 안에 들어가는 위젯에서 사용한다.
+ * go는 브라우저와 달리 동기적으로 리스너를 호출한다.
+ */
+export const createMemoryHistory = ({
+  initialEntries = ["/"],
+  initialIndex = initialEntries.length - 1,
+}: MemoryHistoryOptions = {}): MemoryHistory => {
+  const entries = (initialEntries.length > 0 ? initialEntries : ["/"]).map((url) => ({ url, state: null as unknown }));
+  const listeners = new Set<() => void>();
+  let index = Math.min(Math.max(initialIndex, 0), entries.length - 1);
+
+  return {
+    type: "memory",
+    get url() {
+      return entries[index].url;
+    },
+    get state() {
+      return entries[index].state;
+    },
+    get entries() {
+      return entries.map(({ url }) => url);
+    },
+    get index() {
+      return index;
+    },
+    push: (url, state) => {
+      // 현재 항목 이후의 앞으로 가기 기록은 버림
+      entries.splice(index + 1, entries.length, { url, state });
+      index = entries.length - 1;
+    },
+    replace: (url, state) => {
+      entries[index] = { url, state };
+    },
+    createHref: (url) => url,
+    go: (delta) => {
+      const nextIndex = index + delta;
+      if (delta === 0 || nextIndex < 0 || nextIndex >= entries.length) return;
+      index = nextIndex;
+      listeners.forEach((listener) => listener());
+    },
+    listen: (listener) => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+};
@@ -1,8 +1,9 @@
-import type { createStore } from "../createStore";
+import type { Store as BaseStore } from "../createStore";
 import { useSyncExternalStore } from "react";
 import { useShallowSelector } from "./useShallowSelector";
 
-type Store<T> = ReturnType<typeof createStore<T>>;
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type Store<T> = BaseStore<T, any>;
 
 const defaultSelector = <T, S = T>(state: T) => state as unknown as S;
 
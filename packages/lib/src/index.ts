@@ -1,7 +1,17 @@
 export * from "./createObserver";
 export * from "./createStorage";
+export * from "./persist";
 export * from "./createStore";
+export * from "./createSelector";
+export * from "./createSlice";
+export * from "./middlewares";
+export * from "./devtools";
 export * from "./Router";
+export * from "./routeSchema";
+export * from "./routePath";
+export * from "./lazyRoute";
+export * from "./history";
 export { useStore, useStorage, useRouter, useAutoCallback } from "./hooks";
+export * from "./components";
 export * from "./equals";
 export * from "./types";
@@ -0,0 +1,62 @@
+import type { AnyFunction } from "./types";
+
+const LAZY_ROUTE = Symbol("lazyRoute");
+
+/**
+ * 라우트 핸들러 로더 (`() => import("./Page")`처럼 default export를 가진 모듈도 허용)
+ */
+export type LazyRouteLoader<Handler extends AnyFunction> = () => Promise<Handler | { default: Handler }>;
+
+export interface LazyRoute<Handler extends AnyFunction> {
+  readonly [LAZY_ROUTE]: true;
+  /** 로드된 핸들러 (아직 로드되지 않았으면 undefined) */
+  readonly loaded: Handler | undefined;
+  /** 핸들러 로드 (여러 번 호출해도 한 번만 불러오며, 실패하면 다음 호출에서 다시 시도) */
+  load: () => Promise<Handler>;
+}
+
+/**
+ * 처음 매칭될 때 불러오는 라우트 핸들러 생성
+ * 핸들러(컴포넌트)와 로더는 둘 다 함수라 구분할 수 없으므로 lazyRoute로 감싸서 등록한다.
+ * @example router.addRoute("/product/:id/", lazyRoute(() => import("./pages/ProductDetailPage")))
+ */
+export const lazyRoute = <Handler extends AnyFunction>(loader: LazyRouteLoader<Handler>): LazyRoute<Handler> => {
+  let loaded: Handler | undefined;
+  let loading: Promise<Handler> | null = null;
+
+  return {
+    [LAZY_ROUTE]: true,
+    get loaded() {
+      return loaded;
+    },
+    load: () => {
+      loading ??= loader().then(
+        (module) => {
+          loaded = typeof module === "function" ? module : module.default;
+          return loaded;
+        },
+        (error) => {
+          loading = null;
+          throw error;
+        },
+      );
+      return loading;
+    },
+  };
+};
+
+export const isLazyRoute = (value: unknown): value is LazyRoute<AnyFunction> =>
+  typeof value === "object" && value !== null && LAZY_ROUTE in value;
+
+/**
+ * 핸들러 또는 로드된 lazy 핸들러 반환 (아직 로드되지 않았으면 undefined)
+ */
+export const resolveRouteHandler = <Handler extends AnyFunction>(handler: Handler | LazyRoute<Handler>) =>
+  isLazyRoute(handler) ? (handler as LazyRoute<Handler>).loaded : handler;
+
+/**
+ * 핸들러 목록 중 lazy 핸들러를 모두 로드
+ */
+export const loadRouteHandlers = async <Handler extends AnyFunction>(handlers: (Handler | LazyRoute<Handler>)[]) => {
+  await Promise.all(handlers.map((handler) => (isLazyRoute(handler) ? handler.load() : handler)));
+};
@@ -0,0 +1,61 @@
+import type { Middleware } from "./createStore";
+
+/**
+ * thunk 미들웨어로 dispatch하는 함수 액션
+ * 반환값(async 함수면 Promise)이 dispatch의 반환값이 된다.
+ */
+export type ThunkAction<S, A, R = unknown> = (dispatch: ThunkDispatch<S, A>, getState: () => S) => R;
+
+/**
+ * thunk 미들웨어를 적용한 스토어의 dispatch 타입
+ * @example const dispatch = store.dispatch as ThunkDispatch<CartState, CartAction>;
+ */
+export type ThunkDispatch<S, A> = <R>(action: A | ThunkAction<S, A, R>) => A | R;
+
+/**
+ * 함수 액션을 리듀서 대신 (dispatch, getState)로 실행하는 미들웨어
+ * @example store.dispatch(async (dispatch) => dispatch({ type: "loaded", payload: await fetchData() }))
+ */
+export const thunk: Middleware =
+  ({ dispatch, getState }) =>
+  (next) =>
+  (action) =>
+    typeof action === "function" ? action(dispatch, getState) : next(action);
+
+export interface LoggerOptions<S = unknown, A = unknown> {
+  /** 그룹을 접은 상태로 출력 (기본값 true) */
+  collapsed?: boolean;
+  /** false를 반환하는 액션은 출력하지 않음 */
+  predicate?: (state: S, action: A) => boolean;
+}
+
+const getActionType = (action: unknown) =>
+  typeof action === "object" && action !== null && "type" in action ? String(action.type) : typeof action;
+
+/**
+ * 액션과 전후 상태를 콘솔에 출력하는 미들웨어 생성
+ */
+export const createLogger =
+  <S, A>({ collapsed = true, predicate = () => true }: LoggerOptions<S, A> = {}): Middleware<S, A> =>
+  ({ getState }) =>
+  (next) =>
+  (action) => {
+    if (!predicate(getState(), action)) return next(action);
+
+    const prevState = getState();
+    const result = next(action);
+
+    const group = collapsed ? console.groupCollapsed : console.group;
+    group(`action ${getActionType(action)}`);
+    console.log("이전 상태", prevState);
+    console.log("액션", action);
+    console.log("다음 상태", getState());
+    console.groupEnd();
+
+    return result;
+  };
+
+/**
+ * 기본 설정의 로거 미들웨어
+ */
+export const logger = createLogger();
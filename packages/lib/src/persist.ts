@@ -0,0 +1,187 @@
+import { rehydrateState, type Store } from "./createStore";
+
+export type PersistStorage = Pick<Storage, "getItem" | "setItem" | "removeItem">;
+
+/**
+ * @template Saved - migrate가 받는 이전 버전 저장 형식
+ */
+export interface PersistOptions<S, A, Saved = unknown> {
+  /** 스토리지 키 */
+  key: string;
+  /**
+   * 불러온 상태를 스토어에 합치는 액션 생성자 (리듀서에서 직접 합쳐야 할 때 지정)
+   * 지정하지 않으면 불러온 키를 현재 상태에 얕게 합치는 내장 액션(rehydrateState)을 사용한다.
+   */
+  rehydrateAction?: (state: Partial<S>) => A;
+  /** 저장할 상태 키 목록 (기본값: 전체 상태) */
+  whitelist?: readonly (keyof S)[];
+  /** 저장 형식 버전 (기본값 0). 저장된 버전과 다르면 migrate로 변환한다. */
+  version?: number;
+  /**
+   * 이전 버전으로 저장된 상태를 현재 형식으로 변환
+   * 버전 없이 상태만 저장하던 형식은 버전 0으로 전달된다. 지정하지 않으면 버전이 다른 상태는 버린다.
+   */
+  migrate?: (state: Saved, version: number) => Partial<S>;
+  /** 저장 간격 (ms, 기본값 0). 0보다 크면 그 사이의 변경은 모아서 마지막 상태만 저장한다. */
+  throttle?: number;
+  /** true면 persistor.rehydrate()를 호출할 때까지 불러오지 않는다. (SSR 하이드레이션이 끝난 뒤 불러올 때 사용) */
+  manualRehydrate?: boolean;
+}
+
+export interface Persistor {
+  /** 저장된 상태를 불러와 스토어에 반영 (처음 한 번만 실행되며, 그 전의 변경은 저장하지 않음) */
+  rehydrate: () => void;
+  readonly rehydrated: boolean;
+  /** throttle로 미뤄 둔 저장을 바로 실행 */
+  flush: () => void;
+  /** 저장된 상태 삭제 */
+  purge: () => void;
+  /** 저장 중지 */
+  stop: () => void;
+}
+
+interface PersistedState {
+  version: number;
+  state: unknown;
+}
+
+const isPersistedState = (value: unknown): value is PersistedState =>
+  typeof value === "object" && value !== null && "version" in value && "state" in value;
+
+const noopPersistor: Persistor = {
+  rehydrate: () => {},
+  rehydrated: false,
+  flush: () => {},
+  purge: () => {},
+  stop: () => {},
+};
+
+/**
+ * 스토어 상태를 스토리지에 { version, state } 형식으로 저장하고, 처음 한 번 불러와 복원한다.
+ * storage가 없으면(서버 등) 아무것도 하지 않는다.
+ * @example
+ * // CartStateV0: 버전 0 저장 형식 (선택 기능 이전에 담은 아이템은 selected가 없음)
+ * export const cartPersistor = persist(cartStore, isServer ? null : window.localStorage, {
+ *   key: "shopping_cart",
+ *   whitelist: ["items", "selectedAll"],
+ *   version: 1,
+ *   migrate: (state: CartStateV0) => ({
+ *     items: (state.items ?? []).map((item) => ({ ...item, selected: item.selected ?? false })),
+ *     selectedAll: state.selectedAll ?? false,
+ *   }),
+ * });
+ */
+export const persist = <S, A, Saved = unknown>(
+  store: Store<S, A>,
+  storage: PersistStorage | null | undefined,
+  {
+    key,
+    rehydrateAction,
+    whitelist,
+    version = 0,
+    migrate,
+    throttle = 0,
+    manualRehydrate = false,
+  }: PersistOptions<S, A, Saved>,
+): Persistor => {
+  if (!storage) {
+    return noopPersistor;
+  }
+
+  let rehydrated = false;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let lastState = store.getState();
+
+  const pick = (state: Partial<S>): Partial<S> =>
+    whitelist
+      ? (Object.fromEntries(whitelist.filter((k) => k in state).map((k) => [k, state[k]])) as Partial<S>)
+      : state;
+
+  const read = (): Partial<S> | null => {
+    const item = storage.getItem(key);
+    if (item === null) return null;
+
+    const parsed: unknown = JSON.parse(item);
+    const saved = isPersistedState(parsed) ? parsed : { version: 0, state: parsed };
+    if (saved.version === version) return saved.state as Partial<S>;
+    // 저장된 값의 형식은 migrate가 버전별로 확인
+    return migrate ? migrate(saved.state as Saved, saved.version) : null;
+  };
+
+  const write = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    try {
+      storage.setItem(key, JSON.stringify({ version, state: pick(store.getState()) }));
+    } catch (error) {
+      console.error(`상태 저장 오류 ("${key}"):`, error);
+    }
+  };
+
+  const flush = () => {
+    if (timer) write();
+  };
+
+  const unsubscribe = store.subscribe(() => {
+    const state = store.getState();
+    const changed = whitelist ? whitelist.some((k) => !Object.is(state[k], lastState[k])) : true;
+    lastState = state;
+
+    if (!rehydrated || !changed) return;
+    if (throttle <= 0) {
+      write();
+    } else {
+      timer ??= setTimeout(write, throttle);
+    }
+  });
+
+  // 미뤄 둔 저장은 페이지를 떠나기 전에 마저 저장
+  const isBrowser = typeof window !== "undefined";
+  if (isBrowser && throttle > 0) {
+    window.addEventListener("pagehide", flush);
+  }
+
+  const rehydrate = () => {
+    if (rehydrated) return;
+    rehydrated = true;
+
+    try {
+      const saved = read();
+      if (saved) {
+        store.dispatch(rehydrateAction ? rehydrateAction(pick(saved)) : (rehydrateState(pick(saved)) as A));
+        // 이전 버전 형식으로 남아 있지 않도록 현재 형식으로 다시 저장
+        write();
+      }
+    } catch (error) {
+      console.error(`저장된 상태 불러오기 오류 ("${key}"):`, error);
+    }
+  };
+
+  if (!manualRehydrate) {
+    rehydrate();
+  }
+
+  return {
+    rehydrate,
+    get rehydrated() {
+      return rehydrated;
+    },
+    flush,
+    purge: () => {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      storage.removeItem(key);
+    },
+    stop: () => {
+      flush();
+      unsubscribe();
+      if (isBrowser) {
+        window.removeEventListener("pagehide", flush);
+      }
+    },
+  };
+};
@@ -0,0 +1,143 @@
+import type { QueryRecord, QueryValue } from "./Router";
+
+type FieldType = "string" | "number" | "boolean";
+
+type FieldTypeMap = {
+  string: string;
+  number: number;
+  boolean: boolean;
+};
+
+/**
+ * 라우트 파라미터/쿼리 한 항목의 스키마
+ */
+export interface FieldSchema<T extends FieldType = FieldType> {
+  type: T;
+  /** 값이 없거나 유효하지 않을 때 사용할 값 */
+  default?: FieldTypeMap[T] | FieldTypeMap[T][];
+  /** 허용하는 값 목록 (enum) */
+  values?: readonly FieldTypeMap[T][];
+  /** number: 최솟값/최댓값 (포함) */
+  min?: number;
+  max?: number;
+  /** number: 정수만 허용 */
+  integer?: boolean;
+  /** string: 값 형식 */
+  pattern?: RegExp;
+  /** 여러 값(brand=a&brand=b)을 배열로 받음 */
+  array?: boolean;
+}
+
+export type RouteSchema = Record<string, FieldSchema>;
+
+type FieldValue<F> = F extends FieldSchema<infer T> ? FieldTypeMap[T] : never;
+
+/**
+ * 스키마로부터 추론한 값 타입 (default가 없는 항목은 undefined일 수 있음)
+ */
+export type SchemaValues<S extends RouteSchema> = {
+  [K in keyof S]: S[K] extends { array: true }
+    ? FieldValue<S[K]>[]
+    : S[K] extends { default: unknown }
+      ? FieldValue<S[K]>
+      : FieldValue<S[K]> | undefined;
+};
+
+export interface SchemaParseResult<S extends RouteSchema> {
+  /** 변환/검증된 값 */
+  values: SchemaValues<S>;
+  /** 값이 있었지만 유효하지 않아 버려진 항목 */
+  invalid: (keyof S & string)[];
+  /** 유효하지 않은 값을 제거한 원본 형식의 쿼리 (리다이렉트 URL 생성용) */
+  normalized: QueryRecord;
+}
+
+/**
+ * 리터럴 타입을 유지한 채 스키마를 선언하기 위한 헬퍼
+ * @example
+ * const querySchema = defineRouteSchema({
+ *   sort: { type: "string", values: ["price_asc", "price_desc"], default: "price_asc" },
+ *   limit: { type: "number", values: [10, 20, 50, 100], default: 20 },
+ * });
+ */
+export const defineRouteSchema = <const S extends RouteSchema>(schema: S) => schema;
+
+const coerceField = (field: FieldSchema, raw: string): { valid: boolean; value?: unknown } => {
+  let value: unknown = raw;
+
+  if (field.type === "number") {
+    value = raw.trim() === "" ? NaN : Number(raw);
+    const num = value as number;
+    if (!Number.isFinite(num)) return { valid: false };
+    if (field.integer && !Number.isInteger(num)) return { valid: false };
+    if (field.min !== undefined && num < field.min) return { valid: false };
+    if (field.max !== undefined && num > field.max) return { valid: false };
+  } else if (field.type === "boolean") {
+    if (raw !== "true" && raw !== "false") return { valid: false };
+    value = raw === "true";
+  } else if (field.pattern && !field.pattern.test(raw)) {
+    return { valid: false };
+  }
+
+  if (field.values && !(field.values as readonly unknown[]).includes(value)) return { valid: false };
+
+  return { valid: true, value };
+};
+
+/**
+ * 스키마에 따라 파라미터/쿼리 값을 변환하고 검증
+ * 값이 없으면 default를, 유효하지 않으면 default를 사용하고 invalid에 기록한다.
+ * 스키마에 없는 항목은 values에 포함하지 않고 normalized에는 그대로 남긴다.
+ */
+export const parseRouteSchema = <S extends RouteSchema>(
+  schema: S,
+  raw: Record<string, QueryValue | number | undefined>,
+): SchemaParseResult<S> => {
+  const values: Record<string, unknown> = {};
+  const invalid: string[] = [];
+  const validRaw: QueryRecord = {};
+
+  for (const [key, field] of Object.entries(schema)) {
+    const rawValue = raw[key];
+    const rawList = (Array.isArray(rawValue) ? rawValue : [rawValue])
+      .filter((item) => item !== undefined && item !== "")
+      .map(String);
+
+    if (rawList.length === 0) {
+      values[key] = field.default ?? (field.array ? [] : undefined);
+      continue;
+    }
+
+    const results = rawList.map((item) => coerceField(field, item));
+    const validItems = rawList.filter((_, index) => results[index].valid);
+    const validValues = results.filter(({ valid }) => valid).map(({ value }) => value);
+
+    if (field.array) {
+      values[key] = validValues.length > 0 ? validValues : (field.default ?? []);
+      if (validItems.length > 0) validRaw[key] = validItems;
+      if (validItems.length !== rawList.length) invalid.push(key);
+      continue;
+    }
+
+    // 단일 값 항목에 여러 값이 들어오면 첫 번째 값만 사용
+    if (rawList.length > 1 || !results[0].valid) invalid.push(key);
+    if (results[0].valid) {
+      values[key] = results[0].value;
+      validRaw[key] = rawList[0];
+    } else {
+      values[key] = field.default;
+    }
+  }
+
+  // 원래 순서를 유지하며 유효하지 않은 값만 제거
+  const normalized: QueryRecord = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (key in schema) {
+      if (key in validRaw) normalized[key] = validRaw[key];
+    } else if (value !== undefined) {
+      normalized[key] = Array.isArray(value) ? value : String(value);
+    }
+  }
+
+  return { values: values as SchemaValues<S>, invalid, normalized };
+};
@@ -2,22 +2,115 @@ import express from "express";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  applyTemplate,
+  collectProductTags,
+  createCachePurgeHandler,
+  createCatalogApiHandlers,
+  createRenderCache,
+  createSeoFileHandler,
+} from "@hanghae-plus/ssr";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const prod = process.env.NODE_ENV === "production";
 const port = process.env.PORT || 5174;
 const base = prod ? "/front_7th_chapter4-1/react/" : "/";
+// 렌더 캐시 사용 여부 (기본값: 프로덕션에서만 사용)
+const cacheEnabled = process.env.SSR_CACHE ? process.env.SSR_CACHE === "true" : prod;
+
+const renderCache = createRenderCache({
+  routes: [
+    { path: "/", ttl: 30 * 1000 },
+    { path: "/product/:id/", ttl: 5 * 60 * 1000 },
+  ],
+});
 
 const app = express();
 
+// 상품 카탈로그 API
+const catalogApi = createCatalogApiHandlers(
+  JSON.parse(fs.readFileSync(path.resolve(__dirname, "src/mocks/items.json"), "utf-8")),
+);
+app.get("/api/products", catalogApi.getProducts);
+app.get("/api/products/:id", catalogApi.getProduct);
+app.get("/api/categories", catalogApi.getCategories);
+
+// 렌더 캐시 무효화 (CACHE_PURGE_TOKEN이 설정되면 Bearer 토큰 필요)
+// 프로덕션은 토큰 없이 누구나 캐시를 비울 수 없도록 토큰이 설정된 경우에만 연결
+const purgeToken = process.env.CACHE_PURGE_TOKEN;
+if (purgeToken || !prod) {
+  app.post("/__cache/purge", express.json(), createCachePurgeHandler(renderCache, { token: purgeToken }));
+}
+
 let template;
 let render;
+let renderError;
+
+/**
+ * 렌더링 예외 발생 시 500 에러 페이지 전송
+ * 에러 페이지를 만들 수 없는 상황(템플릿/SSR 모듈 로드 실패, 이미 전송 시작)이면 Express 기본 처리로 넘긴다.
+ */
+function sendErrorPage(res, next, error, { template, renderError }) {
+  if (res.headersSent || !template || !renderError) {
+    next(error);
+    return;
+  }
+
+  try {
+    const finalHtml = applyTemplate(template, renderError(error));
+
+    res.status(500).set({ "Content-Type": "text/html" }).send(finalHtml);
+  } catch (e) {
+    console.error(e);
+    next(error);
+  }
+}
+
+/**
+ * 캐시된 HTML이 있으면 바로 응답
+ * @returns {boolean} 캐시로 응답했는지 여부
+ */
+function sendCached(res, cacheKey) {
+  const cached = cacheKey && renderCache.get(cacheKey);
+  if (!cached) return false;
+
+  res.status(200).set({ "Content-Type": "text/html", "X-Cache": "HIT" }).send(cached);
+  return true;
+}
+
+/**
+ * 쿼리가 라우트 스키마에 맞지 않으면 정규화된 URL로 리다이렉트
+ * 정규화된 URL의 캐시로 응답하지 않도록 캐시 확인 전에 호출한다.
+ * @returns {boolean} 리다이렉트했는지 여부
+ */
+function sendRedirect(res, ssrModule, url, query) {
+  const redirectUrl = ssrModule.getRedirectUrl(url, query);
+  if (!redirectUrl) return false;
+
+  res.redirect(302, redirectUrl);
+  return true;
+}
+
+/**
+ * 정상 응답(200)만 캐시에 저장 (상품 단위 무효화를 위해 상품 태그를 함께 저장)
+ */
+function storeCache(cacheKey, { status, html, initialData }) {
+  if (!cacheKey || status !== 200) return;
+  renderCache.set(cacheKey, html, { tags: collectProductTags(initialData) });
+}
+
+let ssrModule;
 
 if (prod) {
-  template = fs.readFileSync(path.resolve(__dirname, "dist/react/index.html"), "utf-8");
-  const ssrModule = await import("./dist/react-ssr/main-server.js");
+  // SSR 서버가 /api를 제공하므로 MSW 없이 빌드한 클라이언트(build:client-for-ssr)를 사용
+  template = fs.readFileSync(path.resolve(__dirname, "dist/react-ssr-client/index.html"), "utf-8");
+  ssrModule = await import("./dist/react-ssr/main-server.js");
   render = ssrModule.render;
+  renderError = ssrModule.renderError;
+
+  // robots.txt, sitemap.xml
+  app.use(createSeoFileHandler({ base, loadCatalog: ssrModule.loadSitemapData }));
 } else {
   const { createServer: createViteServer } = await import("vite");
   const vite = await createViteServer({
@@ -25,6 +118,14 @@ if (prod) {
     appType: "custom",
   });
 
+  // robots.txt, sitemap.xml
+  app.use(
+    createSeoFileHandler({
+      base,
+      loadCatalog: async () => (await vite.ssrLoadModule("/src/main-server.tsx")).loadSitemapData(),
+    }),
+  );
+
   // HTML이 아닌 파일들에 대해서만 Vite 미들웨어 사용
   app.use((req, res, next) => {
     const url = req.originalUrl;
@@ -38,30 +139,32 @@ if (prod) {
   // 모든 HTML 요청에 대해 SSR 처리
   app.use(async (req, res, next) => {
     const url = req.originalUrl.replace(base, "/");
+    const cacheKey = cacheEnabled ? renderCache.createKey(url) : null;
+    let renderError;
 
     try {
-      template = fs.readFileSync(path.resolve(__dirname, "index.html"), "utf-8");
-      template = await vite.transformIndexHtml(url, template);
+      const ssrModule = await vite.ssrLoadModule("/src/main-server.tsx");
+      renderError = ssrModule.renderError;
 
-      const { render } = await vite.ssrLoadModule("/src/main-server.tsx");
+      if (sendRedirect(res, ssrModule, url, req.query)) return;
+      if (sendCached(res, cacheKey)) return;
 
-      const query = req.query;
-      const { html, head, initialData } = await render(url, query);
+      template = fs.readFileSync(path.resolve(__dirname, "index.html"), "utf-8");
+      // 템플릿은 항상 루트의 index.html이므로 요청 URL 대신 "/" 기준으로 변환
+      // (요청 URL을 넘기면 잘못된 퍼센트 인코딩에서 Vite가 예외를 던짐)
+      template = await vite.transformIndexHtml("/", template);
 
-      const initialDataScript = initialData
-        ? `<script>window.__INITIAL_DATA__ = ${JSON.stringify(initialData)};</script>`
-        : "";
+      const { html, head, initialData, status } = await ssrModule.render(url, req.query);
 
-      const finalHtml = template
-        .replace("<!--app-html-->", html)
-        .replace("<!--app-head-->", head)
-        .replace("</head>", `${initialDataScript}</head>`);
+      const finalHtml = applyTemplate(template, { html, head, initialData });
 
-      res.status(200).set({ "Content-Type": "text/html" }).send(finalHtml);
+      if (cacheKey) res.set("X-Cache", "MISS");
+      res.status(status).set({ "Content-Type": "text/html" }).send(finalHtml);
+      storeCache(cacheKey, { status, html: finalHtml, initialData });
     } catch (e) {
       vite.ssrFixStacktrace(e);
       console.error(e);
-      next(e);
+      sendErrorPage(res, next, e, { template, renderError });
     }
   });
 
@@ -71,28 +174,26 @@ if (prod) {
 }
 
 if (prod) {
-  app.use(base, express.static(path.resolve(__dirname, "dist/react"), { index: false }));
+  app.use(base, express.static(path.resolve(__dirname, "dist/react-ssr-client"), { index: false }));
 
-  app.use("*all", async (req, res) => {
+  app.use("*all", async (req, res, next) => {
     const url = req.originalUrl;
+    const cacheKey = cacheEnabled ? renderCache.createKey(url.replace(base, "/")) : null;
 
     try {
-      const query = req.query;
-      const { html, head, initialData } = await render(url, query);
+      if (sendRedirect(res, ssrModule, url, req.query)) return;
+      if (sendCached(res, cacheKey)) return;
 
-      const initialDataScript = initialData
-        ? `<script>window.__INITIAL_DATA__ = ${JSON.stringify(initialData)};</script>`
-        : "";
+      const { html, head, initialData, status } = await render(url, req.query);
 
-      const finalHtml = template
-        .replace("<!--app-html-->", html)
-        .replace("<!--app-head-->", head)
-        .replace("</head>", `${initialDataScript}</head>`);
+      const finalHtml = applyTemplate(template, { html, head, initialData });
 
-      res.status(200).set({ "Content-Type": "text/html" }).send(finalHtml);
+      if (cacheKey) res.set("X-Cache", "MISS");
+      res.status(status).set({ "Content-Type": "text/html" }).send(finalHtml);
+      storeCache(cacheKey, { status, html: finalHtml, initialData });
     } catch (e) {
       console.error(e);
-      res.status(500).send("Internal Server Error");
+      sendErrorPage(res, next, e, { template, renderError });
     }
   });
 
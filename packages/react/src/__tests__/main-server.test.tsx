@@ -0,0 +1,125 @@
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { queryProducts } from "@hanghae-plus/catalog";
+import { getRedirectUrl, render } from "../main-server";
+import { productStore } from "../entities/products/productStore";
+import type { HomePageData, ProductDetailData } from "../ssr-data";
+import type { Product } from "../entities/products/types";
+import items from "../mocks/items.json";
+
+const tumbler = {
+  id: "87207169829",
+  title: "스탠리 텀블러 887ml 퀜처 H2.0 플로우스테이트 대용량 손잡이 빨대 텀블러",
+};
+const screen = {
+  id: "11124150101",
+  title: "방충망 미세먼지 롤 창문 모기장 DIY 100cmx10cm",
+};
+
+const getTitle = (head: string) => head.match(/<title>(.*?)<\/title>/)?.[1];
+
+describe("React SSR 동시 렌더링 > ", () => {
+  it("동시에 들어온 요청들이 서로의 라우트와 상품 상태를 공유하지 않는다", async () => {
+    const requests = [
+      () => render(`/product/${tumbler.id}/`, {}),
+      () => render("/", { search: "쇼핑백" }),
+      () => render(`/product/${screen.id}/`, {}),
+      () => render("/not-found", {}),
+      () => render("/", { category1: "디지털/가전" }),
+    ];
+
+    // 여러 번 겹쳐 실행해 await 지점마다 다른 요청이 끼어들도록 함
+    const rounds = await Promise.all(
+      Array.from({ length: 5 }, () => Promise.all(requests.map((request) => request()))),
+    );
+
+    rounds.forEach(([tumblerPage, searchPage, screenPage, notFoundPage, categoryPage]) => {
+      expect(tumblerPage.status).toBe(200);
+      expect(getTitle(tumblerPage.head)).toBe(`${tumbler.title} - 쇼핑몰`);
+      expect((tumblerPage.initialData as ProductDetailData).currentProduct?.productId).toBe(tumbler.id);
+      expect(tumblerPage.html).toContain(tumbler.title);
+      expect(tumblerPage.html).not.toContain(screen.title);
+
+      expect(screenPage.status).toBe(200);
+      expect(getTitle(screenPage.head)).toBe(`${screen.title} - 쇼핑몰`);
+      expect((screenPage.initialData as ProductDetailData).currentProduct?.productId).toBe(screen.id);
+      expect(screenPage.html).toContain(screen.title);
+      expect(screenPage.html).not.toContain(tumbler.title);
+
+      const searchData = searchPage.initialData as HomePageData;
+      expect(searchPage.status).toBe(200);
+      expect(searchData.totalCount).toBe(3);
+      expect(searchData.products.every(({ title }) => title.includes("쇼핑백"))).toBe(true);
+      expect(searchPage.html).not.toContain(tumbler.title);
+
+      const categoryData = categoryPage.initialData as HomePageData;
+      expect(categoryData.products.every(({ category1 }) => category1 === "디지털/가전")).toBe(true);
+      expect(categoryPage.html).not.toContain("쇼핑백");
+
+      expect(notFoundPage.status).toBe(404);
+      expect(notFoundPage.initialData).toBeNull();
+      expect(notFoundPage.html).not.toContain(tumbler.title);
+    });
+  });
+
+  it("라우트 스키마에 맞지 않는 쿼리는 정규화된 URL로 리다이렉트하고 잘못된 상품 ID는 404로 응답한다", async () => {
+    expect(getRedirectUrl("/", { limit: "abc", sort: "evil", search: "쇼핑백" })).toBe(
+      `/?search=${encodeURIComponent("쇼핑백")}`,
+    );
+    expect(getRedirectUrl("/", { limit: "10", search: "쇼핑백" })).toBeNull();
+    expect((await render("/", { limit: "10", search: "쇼핑백" })).status).toBe(200);
+
+    expect((await render("/product/abc/", {})).status).toBe(404);
+  });
+
+  it("홈 데이터와 QueryProvider에는 라우트 스키마로 변환된 쿼리를 사용한다", async () => {
+    const { initialData } = await render("/", { limit: "10", sort: "evil" });
+    const { query, products } = initialData as HomePageData;
+
+    expect(query).toMatchObject({ search: "", sort: "price_asc", limit: 10, current: 1 });
+    expect(products).toHaveLength(10);
+    expect(products.map(({ lprice }) => Number(lprice))).toEqual(
+      products.map(({ lprice }) => Number(lprice)).sort((a, b) => a - b),
+    );
+  });
+
+  it("레이아웃 라우트의 헤더 안에 페이지를 렌더링한다", async () => {
+    const homePage = await render("/", {});
+    const detailPage = await render(`/product/${tumbler.id}/`, {});
+    const notFoundPage = await render("/not-found", {});
+
+    [homePage, notFoundPage].forEach(({ html }) => {
+      expect(html).toContain('id="cart-icon-btn"');
+      expect(html).not.toContain("상품 상세");
+    });
+    expect(homePage.html).toContain('id="search-input"');
+    expect(notFoundPage.html).toContain("404.svg");
+
+    expect(detailPage.html).toContain("상품 상세");
+    expect(detailPage.html.indexOf("상품 상세")).toBeLessThan(detailPage.html.indexOf(tumbler.title));
+  });
+
+  it("관련 상품은 클라이언트와 같은 조건으로 상품 목록을 조회하고 현재 상품을 제외한다", async () => {
+    const { initialData } = await render(`/product/${tumbler.id}/`, {});
+    const { currentProduct, relatedProducts } = initialData as ProductDetailData;
+    const { products } = queryProducts(items as Product[], {
+      category2: currentProduct?.category2,
+      limit: 20,
+      current: 1,
+    });
+
+    expect(relatedProducts.length).toBeGreaterThan(0);
+    expect(relatedProducts.map(({ productId }) => productId)).toEqual(
+      products.map(({ productId }) => productId).filter((productId) => productId !== tumbler.id),
+    );
+  });
+
+  it("서버 렌더링은 클라이언트 전역 상품 스토어를 변경하지 않는다", async () => {
+    const before = productStore.getState();
+
+    await render(`/product/${tumbler.id}/`, {});
+    await render("/", {});
+
+    expect(productStore.getState()).toBe(before);
+  });
+});
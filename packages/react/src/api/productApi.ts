@@ -1,6 +1,7 @@
 // 상품 목록 조회
 import type { Categories, Product } from "../entities";
-import type { StringRecord } from "../types.ts";
+import { parseRouteSchema, Router, type QueryValue } from "@hanghae-plus/lib";
+import { productListQuerySchema } from "../router/schemas";
 
 interface ProductsResponse {
   products: Product[];
@@ -20,16 +21,20 @@ interface ProductsResponse {
   };
 }
 
-export async function getProducts(params: StringRecord = {}): Promise<ProductsResponse> {
-  const { limit = 20, search = "", category1 = "", category2 = "", sort = "price_asc" } = params;
-  const page = params.current ?? params.page ?? 1;
+export async function getProducts(params: Record<string, QueryValue | number> = {}): Promise<ProductsResponse> {
+  // 라우터와 같은 스키마로 해석해 유효하지 않은 값은 기본값으로 대체
+  const { current, limit, search, category1, category2, sort } = parseRouteSchema(
+    productListQuerySchema,
+    params,
+  ).values;
 
-  const searchParams = new URLSearchParams({
-    page: page.toString(),
-    limit: limit.toString(),
-    ...(search && { search }),
-    ...(category1 && { category1 }),
-    ...(category2 && { category2 }),
+  // 다중 값(배열)은 반복 키로 전달하고 빈 값은 제외
+  const searchParams = Router.stringifyQuery({
+    page: String(current),
+    limit: String(limit),
+    search,
+    category1,
+    category2,
     sort,
   });
 
@@ -1,3 +1,4 @@
+import { router } from "../router";
 import { PublicImage } from "./PublicImage";
 
 export const ErrorContent = ({ error }: { error: string }) => (
@@ -14,7 +15,7 @@ export const ErrorContent = ({ error }: { error: string }) => (
       >
         이전 페이지
       </button>
-      <a href="/" data-link="/" className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700">
+      <a href={router.href("home")} data-link className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700">
         홈으로
       </a>
     </div>
@@ -1,7 +1,9 @@
+import { router } from "../router";
+
 export function Logo() {
   return (
     <h1 className="text-xl font-bold text-gray-900">
-      <a href="/" data-link="/">
+      <a href={router.href("home")} data-link>
         쇼핑몰
       </a>
     </h1>
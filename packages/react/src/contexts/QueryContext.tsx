@@ -1,20 +1,23 @@
 import { createContext, useContext, type ReactNode } from "react";
-import type { StringRecord } from "@hanghae-plus/lib";
+/**
+ * 상품 목록 쿼리 (서버는 라우트 스키마로 변환된 값을 전달하므로 숫자 항목이 있을 수 있음)
+ */
+export type QueryState = Record<string, string | number>;
 
 interface QueryContextType {
-  query: StringRecord;
-  updateQuery: (newQuery: StringRecord) => void;
+  query: QueryState;
+  updateQuery: (newQuery: QueryState) => void;
 }
 
 export const QueryContext = createContext<QueryContextType | null>(null);
 
 interface QueryProviderProps {
   children: ReactNode;
-  initialQuery?: StringRecord;
+  initialQuery?: QueryState;
 }
 
 export function QueryProvider({ children, initialQuery = {} }: QueryProviderProps) {
-  const updateQuery = (newQuery: StringRecord) => {
+  const updateQuery = (newQuery: QueryState) => {
     // 클라이언트에서만 URL 업데이트
     if (typeof window !== "undefined") {
       const url = new URL(window.location.href);
@@ -39,8 +42,8 @@ export function useQueryContext(): QueryContextType {
   if (!context) {
     // Context가 없으면 기본값 반환 (CSR에서 Provider 없이 사용 가능하도록)
     return {
-      query: {} as StringRecord,
-      updateQuery: (newQuery: StringRecord) => {
+      query: {},
+      updateQuery: (newQuery: QueryState) => {
         if (typeof window !== "undefined") {
           const currentParams = new URLSearchParams(window.location.search);
           Object.entries(newQuery).forEach(([key, value]) => {
@@ -1,34 +1,34 @@
 import type { Product } from "../products";
-import { CART_ACTIONS, cartStore } from "./cartStore";
+import { cartActions, cartStore } from "./cartStore";
 
 export const addToCart = (product: Product, quantity = 1) => {
-  cartStore.dispatch({ type: CART_ACTIONS.ADD_ITEM, payload: { product, quantity } });
+  cartStore.dispatch(cartActions.addItem({ product, quantity }));
 };
 
 export const removeFromCart = (productId: string) => {
-  cartStore.dispatch({ type: CART_ACTIONS.REMOVE_ITEM, payload: productId });
+  cartStore.dispatch(cartActions.removeItem(productId));
 };
 
 export const updateCartQuantity = (productId: string, quantity: number) => {
-  cartStore.dispatch({ type: CART_ACTIONS.UPDATE_QUANTITY, payload: { productId, quantity } });
+  cartStore.dispatch(cartActions.updateQuantity({ productId, quantity }));
 };
 
 export const toggleCartSelect = (productId: string) => {
-  cartStore.dispatch({ type: CART_ACTIONS.TOGGLE_SELECT, payload: productId });
+  cartStore.dispatch(cartActions.toggleSelect(productId));
 };
 
 export const selectAllCart = () => {
-  cartStore.dispatch({ type: CART_ACTIONS.SELECT_ALL });
+  cartStore.dispatch(cartActions.selectAll());
 };
 
 export const deselectAllCart = () => {
-  cartStore.dispatch({ type: CART_ACTIONS.DESELECT_ALL });
+  cartStore.dispatch(cartActions.deselectAll());
 };
 
 export const removeSelectedFromCart = () => {
-  cartStore.dispatch({ type: CART_ACTIONS.REMOVE_SELECTED });
+  cartStore.dispatch(cartActions.removeSelected());
 };
 
 export const clearCart = () => {
-  cartStore.dispatch({ type: CART_ACTIONS.CLEAR_CART });
+  cartStore.dispatch(cartActions.clearCart());
 };
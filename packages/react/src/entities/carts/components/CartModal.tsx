@@ -1,4 +1,5 @@
 import { type ChangeEvent, memo } from "react";
+import { createSelector, shallowEquals } from "@hanghae-plus/lib";
 import { CartItem as OriginCartItem } from "./CartItem";
 import { deselectAllCart, selectAllCart } from "../cartUseCase";
 import { Modal, PublicImage, useToastCommand } from "../../../components";
@@ -21,11 +22,15 @@ const handleSelectAllChange = (e: ChangeEvent<HTMLInputElement>) => {
 };
 
 const computeAmount = (items: Cart[]) => items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-const filterSelectedItems = (items: Cart[]) => items.filter((item) => item.selected);
-const selectCartIds = ({ items }: State) => items.map((item) => item.id);
-const selectTotalAmount = ({ items }: State) => computeAmount(items);
-const selectSelectedAmount = ({ items }: State) => computeAmount(filterSelectedItems(items));
-const selectSelectedCount = ({ items }: State) => filterSelectedItems(items).length;
+const selectItems = ({ items }: State) => items;
+const selectSelectedItems = createSelector([selectItems], (items) => items.filter((item) => item.selected));
+// 수량/선택만 바뀌면 id 목록은 그대로이므로 이전 배열을 유지해 CartItem 목록을 다시 그리지 않음
+const selectCartIds = createSelector([selectItems], (items) => items.map((item) => item.id), {
+  resultEquals: shallowEquals,
+});
+const selectTotalAmount = createSelector([selectItems], computeAmount);
+const selectSelectedAmount = createSelector([selectSelectedItems], computeAmount);
+const selectSelectedCount = createSelector([selectSelectedItems], (items) => items.length);
 const selectSelectedAll = ({ selectedAll }: State) => selectedAll;
 
 export function CartModal() {
@@ -1,24 +1,13 @@
-import { useStore } from "@hanghae-plus/lib";
-import { CART_ACTIONS, cartStore } from "../cartStore";
-import { useEffect, useState } from "react";
-import { cartStorage } from "../storage";
+import { useLayoutEffect } from "react";
+import { cartPersistor } from "../storage";
 
+/**
+ * 하이드레이션이 끝난 뒤 저장된 장바구니를 불러온다. (이미 불러왔으면 아무것도 하지 않음)
+ * 서버는 항상 빈 장바구니로 렌더링하므로 하이드레이션 전에 불러오면 마크업이 어긋난다.
+ * 대신 layout effect로 불러와 하이드레이션된 화면이 그려지기 전에 장바구니 배지를 반영한다.
+ */
 export const useLoadCartStore = () => {
-  const [init, setInit] = useState(false);
-  const data = useStore(cartStore);
-
-  useEffect(() => {
-    cartStore.dispatch({
-      type: CART_ACTIONS.LOAD_FROM_STORAGE,
-      payload: cartStorage.get(),
-    });
-    setInit(true);
+  useLayoutEffect(() => {
+    cartPersistor.rehydrate();
   }, []);
-
-  useEffect(() => {
-    if (!init) {
-      return;
-    }
-    cartStorage.set(data);
-  }, [init, data]);
 };
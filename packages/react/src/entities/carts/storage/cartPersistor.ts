@@ -0,0 +1,21 @@
+import { persist } from "@hanghae-plus/lib";
+import { cartStore } from "../cartStore";
+import type { Cart } from "../types";
+
+const isServer = typeof window === "undefined";
+
+/**
+ * 장바구니를 로컬스토리지에 저장하는 persistor
+ * 서버 렌더링 결과(빈 장바구니)와 같은 화면으로 하이드레이션할 수 있도록 직접 rehydrate한다.
+ */
+export const cartPersistor = persist(cartStore, isServer ? null : window.localStorage, {
+  key: "shopping_cart",
+  whitelist: ["items", "selectedAll"],
+  version: 1,
+  // 버전 0: { items, selectedAll }를 그대로 저장하던 형식 (선택 기능 이전에 담은 아이템은 selected가 없음)
+  migrate: (state: { items?: (Omit<Cart, "selected"> & { selected?: boolean })[]; selectedAll?: boolean }) => ({
+    items: (state.items ?? []).map((item) => ({ ...item, selected: item.selected ?? false })),
+    selectedAll: state.selectedAll ?? false,
+  }),
+  manualRehydrate: true,
+});
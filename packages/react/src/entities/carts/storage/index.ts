@@ -1 +1 @@
-export * from "./cartStorage";
+export * from "./cartPersistor";
@@ -1,6 +1,7 @@
 import { useCartAddCommand } from "../../carts";
 import type { Product } from "../types";
 import { log } from "../../../utils";
+import { router } from "../../../router";
 
 export function ProductCard({ onClick, ...product }: Product & { onClick: (id: string) => void }) {
   const addCart = useCartAddCommand();
@@ -16,6 +17,7 @@ export function ProductCard({ onClick, ...product }: Product & { onClick: (id: s
     <div
       className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden product-card"
       data-product-id={productId}
+      data-preload={router.href("product", { id: productId })}
     >
       {/* 상품 이미지 */}
       <div className="aspect-square bg-gray-100 overflow-hidden cursor-pointer product-image" onClick={handleClick}>
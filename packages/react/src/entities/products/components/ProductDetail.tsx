@@ -42,17 +42,11 @@ export function ProductDetail(product: Readonly<Product>) {
   const decrementQuantity = () => setCartQuantity(Math.max(cartQuantity - 1, 1));
 
   const goToHomeWithCategory = async (categories: StringRecord) => {
-    const queryString = new URLSearchParams(categories).toString();
-    router.push(`/?${queryString}`);
+    router.pushNamed("home", {}, categories);
   };
 
   const goToHomeWithCurrentCategory = async () => {
-    const query = {
-      ...(product?.category1 && { category1: product?.category1 }),
-      ...(product?.category2 && { category2: product?.category2 }),
-    };
-    const queryString = new URLSearchParams(query).toString();
-    router.push(`/?${queryString}`);
+    router.pushNamed("home", {}, { category1: product?.category1, category2: product?.category2 });
   };
 
   return (
@@ -61,7 +55,7 @@ export function ProductDetail(product: Readonly<Product>) {
       {breadcrumbItems.length > 0 && (
         <nav className="mb-4">
           <div className="flex items-center space-x-2 text-sm text-gray-600">
-            <a href="/" data-link="/" className="hover:text-blue-600 transition-colors">
+            <a href={router.href("home")} data-link className="hover:text-blue-600 transition-colors">
               홈
             </a>
             {breadcrumbItems
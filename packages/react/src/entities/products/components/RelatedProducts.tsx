@@ -1,8 +1,17 @@
+import { createSelector } from "@hanghae-plus/lib";
 import { router } from "../../../router";
-import { useProductStore } from "../hooks";
+import { useProductStoreSelector } from "../hooks";
+import type { initialProductState } from "../productStore";
+
+const MAX_RELATED_PRODUCTS = 20;
+
+const selectVisibleRelatedProducts = createSelector(
+  [(state: typeof initialProductState) => state.relatedProducts],
+  (relatedProducts) => relatedProducts.slice(0, MAX_RELATED_PRODUCTS),
+);
 
 export default function RelatedProducts() {
-  const { relatedProducts } = useProductStore();
+  const relatedProducts = useProductStoreSelector(selectVisibleRelatedProducts);
   if (relatedProducts.length === 0) {
     return null;
   }
@@ -14,12 +23,13 @@ export default function RelatedProducts() {
       </div>
       <div className="p-4">
         <div className="grid grid-cols-2 gap-3 responsive-grid">
-          {relatedProducts.slice(0, 20).map((relatedProduct) => (
+          {relatedProducts.map((relatedProduct) => (
             <div
               key={relatedProduct.productId}
               className="bg-gray-50 rounded-lg p-3 related-product-card cursor-pointer"
               data-product-id={relatedProduct.productId}
-              onClick={() => router.push(`/product/${relatedProduct.productId}/`)}
+              data-preload={router.href("product", { id: relatedProduct.productId })}
+              onClick={() => router.pushNamed("product", { id: relatedProduct.productId })}
             >
               <div className="aspect-square bg-white rounded-md overflow-hidden mb-2">
                 <img
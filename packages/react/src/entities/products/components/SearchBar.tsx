@@ -14,7 +14,7 @@ const OPTION_SORTS = [
 
 export function SearchBar() {
   const { categories } = useProductStore();
-  const { searchQuery, limit = "20", sort, category } = useProductFilter();
+  const { searchQuery, limit, sort, category } = useProductFilter();
 
   // 검색 입력 (Enter 키)
   const handleSearchKeyDown = (e: KeyboardEvent<HTMLInputElement>) => {
@@ -1,7 +1,9 @@
 import { useEffect, useRef, useState } from "react";
+import { parseRouteSchema } from "@hanghae-plus/lib";
 import { loadProducts } from "../../productUseCase";
 import { productStore } from "../../productStore";
 import { router } from "../../../../router";
+import { productListQuerySchema } from "../../../../router/schemas";
 import { useQueryContext } from "../../../../contexts/QueryContext";
 
 // 서버 환경 확인
@@ -48,12 +50,15 @@ export const useProductFilter = () => {
   // 서버에서는 ssrQuery 사용, 클라이언트에서는 urlQuery 사용
   const query = isServer ? ssrQuery : urlQuery;
 
-  const searchQuery = query.search || query.query || "";
-  const limit = query.limit || "20";
-  const sort = query.sort || "price_asc";
-  const category1 = query.category1 || "";
-  const category2 = query.category2 || "";
-  const current = query.current || "1";
+  // 라우트 스키마로 변환 (없거나 유효하지 않은 값은 기본값)
+  const {
+    search: searchQuery,
+    limit,
+    sort,
+    category1,
+    category2,
+    current,
+  } = parseRouteSchema(productListQuerySchema, query).values;
 
   const category = { category1, category2 };
 
@@ -85,7 +90,7 @@ export const useProductFilter = () => {
     // 현재 쿼리를 직접 전달
     const currentQuery = {
       search: searchQuery,
-      limit,
+      limit: String(limit),
       sort,
       category1,
       category2,
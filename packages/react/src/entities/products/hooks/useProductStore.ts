@@ -1,4 +1,13 @@
 import { useStore } from "@hanghae-plus/lib";
-import { productStore } from "../productStore";
+import { useProductStoreInstance } from "../productStoreContext";
+import type { initialProductState } from "../productStore";
 
-export const useProductStore = () => useStore(productStore);
+type ProductState = typeof initialProductState;
+
+export const useProductStore = () => useStore(useProductStoreInstance());
+
+/**
+ * 상품 스토어의 일부만 구독 (파생 값은 createSelector로 만든 선택자를 넘겨 다시 계산을 줄인다)
+ */
+export const useProductStoreSelector = <T>(selector: (state: ProductState) => T) =>
+  useStore(useProductStoreInstance(), selector);
@@ -1,4 +1,5 @@
 export * from "./productStore";
+export * from "./productStoreContext";
 export * from "./hooks";
 export * from "./components";
 export * from "./types";
@@ -1,28 +1,6 @@
-import { createStore } from "@hanghae-plus/lib";
+import { createSlice, createStore, devTools, type PayloadAction, type StoreEnhancer } from "@hanghae-plus/lib";
 import type { Categories, Product } from "./types";
 
-export const PRODUCT_ACTIONS = {
-  // 상품 목록
-  SET_PRODUCTS: "products/setProducts",
-  ADD_PRODUCTS: "products/addProducts", // 무한스크롤용
-  SET_LOADING: "products/setLoading",
-  SET_ERROR: "products/setError",
-
-  // 카테고리
-  SET_CATEGORIES: "products/setCategories",
-
-  // 상품 상세
-  SET_CURRENT_PRODUCT: "products/setCurrentProduct",
-  SET_RELATED_PRODUCTS: "products/setRelatedProducts",
-
-  // 리셋
-  RESET_FILTERS: "products/resetFilters",
-  SETUP: "products/setup",
-
-  // status 관리
-  SET_STATUS: "products/setStatus",
-} as const;
-
 /**
  * 상품 스토어 초기 상태
  */
@@ -44,86 +22,88 @@ export const initialProductState = {
   categories: {} as Categories,
 };
 
+type ProductState = typeof initialProductState;
+
+const done = { loading: false, error: null, status: "done" } as const;
+
 /**
- * 상품 스토어 리듀서
+ * 상품 스토어 슬라이스
  */
-// eslint-disable-next-line @typescript-eslint/no-explicit-any
-const productReducer = (state: typeof initialProductState, action: any) => {
-  switch (action.type) {
-    case PRODUCT_ACTIONS.SET_STATUS:
-      return {
-        ...state,
-        status: action.payload,
-      };
-
-    case PRODUCT_ACTIONS.SET_CATEGORIES:
-      return {
-        ...state,
-        categories: action.payload,
-        loading: false,
-        error: null,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SET_PRODUCTS:
-      return {
-        ...state,
-        products: action.payload.products,
-        totalCount: action.payload.totalCount,
-        loading: false,
-        error: null,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.ADD_PRODUCTS:
-      return {
-        ...state,
-        products: [...state.products, ...action.payload.products],
-        totalCount: action.payload.totalCount,
-        loading: false,
-        error: null,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SET_LOADING:
-      return {
-        ...state,
-        loading: action.payload,
-      };
-
-    case PRODUCT_ACTIONS.SET_ERROR:
-      return {
-        ...state,
-        error: action.payload,
-        loading: false,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SET_CURRENT_PRODUCT:
-      return {
-        ...state,
-        currentProduct: action.payload,
-        loading: false,
-        error: null,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SET_RELATED_PRODUCTS:
-      return {
-        ...state,
-        relatedProducts: action.payload,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SETUP:
-      return { ...state, ...action.payload };
-
-    default:
-      return state;
-  }
-};
+export const productSlice = createSlice({
+  name: "products",
+  initialState: initialProductState,
+  reducers: {
+    // 상품 목록
+    setProducts: (state, action: PayloadAction<{ products: Product[]; totalCount: number }>) => ({
+      ...state,
+      ...done,
+      products: action.payload.products,
+      totalCount: action.payload.totalCount,
+    }),
+
+    // 무한스크롤용
+    addProducts: (state, action: PayloadAction<{ products: Product[]; totalCount: number }>) => ({
+      ...state,
+      ...done,
+      products: [...state.products, ...action.payload.products],
+      totalCount: action.payload.totalCount,
+    }),
+
+    setLoading: (state, action: PayloadAction<boolean>) => ({
+      ...state,
+      loading: action.payload,
+    }),
+
+    setError: (state, action: PayloadAction<string>) => ({
+      ...state,
+      error: action.payload,
+      loading: false,
+      status: "done",
+    }),
+
+    // 카테고리
+    setCategories: (state, action: PayloadAction<Categories>) => ({
+      ...state,
+      ...done,
+      categories: action.payload,
+    }),
+
+    // 상품 상세
+    setCurrentProduct: (state, action: PayloadAction<Product | null>) => ({
+      ...state,
+      ...done,
+      currentProduct: action.payload,
+    }),
+
+    setRelatedProducts: (state, action: PayloadAction<Product[]>) => ({
+      ...state,
+      relatedProducts: action.payload,
+      status: "done",
+    }),
+
+    // 여러 필드를 한 번에 설정 (초기화, hydration)
+    setup: (state, action: PayloadAction<Partial<ProductState>>) => ({ ...state, ...action.payload }),
+
+    // status 관리
+    setStatus: (state, action: PayloadAction<string>) => ({
+      ...state,
+      status: action.payload,
+    }),
+  },
+});
+
+export const productActions = productSlice.actions;
 
 /**
  * 상품 스토어 생성
+ * SSR에서는 요청마다 새 인스턴스를 만들어 ProductStoreContext로 내려준다.
+ */
+export const createProductStore = (initialState = initialProductState, enhancer?: StoreEnhancer) =>
+  createStore(productSlice.reducer, initialState, enhancer);
+
+export type ProductStore = ReturnType<typeof createProductStore>;
+
+/**
+ * 클라이언트 전역 상품 스토어
  */
-export const productStore = createStore(productReducer, initialProductState);
+export const productStore = createProductStore(initialProductState, devTools({ name: "productStore" }));
@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+import { productStore, type ProductStore } from "./productStore";
+
+/**
+ * 요청 단위 상품 스토어 Context
+ * SSR은 요청마다 만든 스토어를 Provider로 주입하고, 클라이언트는 Provider 없이 전역 productStore를 사용한다.
+ */
+export const ProductStoreContext = createContext<ProductStore | null>(null);
+
+/**
+ * 현재 렌더링 트리의 상품 스토어 (Provider가 없으면 전역 스토어)
+ */
+export const useProductStoreInstance = (): ProductStore => useContext(ProductStoreContext) ?? productStore;
@@ -1,25 +1,48 @@
 import { getCategories, getProduct, getProducts } from "../../api/productApi";
 import { router } from "../../router";
 import type { StringRecord } from "../../types";
-import { initialProductState, PRODUCT_ACTIONS, productStore } from "./productStore";
+import { initialProductState, productActions, productStore } from "./productStore";
 import { isNearBottom } from "../../utils";
-import { Router } from "@hanghae-plus/lib";
+import { Router, type QueryRecord } from "@hanghae-plus/lib";
 import type { FunctionComponent } from "react";
 import { useQueryContext } from "../../contexts/QueryContext";
 
+// 현재 목록을 불러온 필터 (페이지 제외)
+// 상세 페이지에서 뒤로 돌아왔을 때 이미 불러온 페이지를 재사용해 스크롤 위치를 복원할 수 있게 함
+let loadedListKey: string | null = null;
+
+const getListKey = (query: QueryRecord) =>
+  Object.entries(query)
+    .filter(([key, value]) => key !== "current" && value !== undefined && value !== "")
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+
+/**
+ * 스토어의 상품 목록이 어떤 필터로 불러온 것인지 기록 (SSR 데이터 hydration 시에도 호출)
+ */
+export const markProductListLoaded = (query: QueryRecord = router.query) => {
+  loadedListKey = getListKey(query);
+};
+
+/**
+ * 현재 URL 필터로 불러온 상품 목록이 스토어에 남아 있는지 확인
+ */
+export const hasLoadedProductList = (query: QueryRecord = router.query) =>
+  productStore.getState().products.length > 0 && loadedListKey === getListKey(query);
+
 const createErrorMessage = (error: unknown, defaultMessage = "알 수 없는 오류 발생") =>
   error instanceof Error ? error.message : defaultMessage;
 
 export const loadProductsAndCategories = async () => {
-  router.query = { current: undefined }; // 항상 첫 페이지로 초기화
-  productStore.dispatch({
-    type: PRODUCT_ACTIONS.SETUP,
-    payload: {
+  router.setQuery({ current: undefined }, { replace: true }); // 항상 첫 페이지로 초기화
+  productStore.dispatch(
+    productActions.setup({
       ...initialProductState,
       loading: true,
       status: "pending",
-    },
-  });
+    }),
+  );
 
   try {
     const [
@@ -31,31 +54,25 @@ export const loadProductsAndCategories = async () => {
     ] = await Promise.all([getProducts(router.query), getCategories()]);
 
     // 페이지 리셋이면 새로 설정, 아니면 기존에 추가
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: {
+    productStore.dispatch(
+      productActions.setup({
         products,
         categories,
         totalCount: total,
         loading: false,
         status: "done",
-      },
-    });
+      }),
+    );
+    markProductListLoaded();
   } catch (error: unknown) {
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_ERROR,
-      payload: createErrorMessage(error),
-    });
+    productStore.dispatch(productActions.setError(createErrorMessage(error)));
     throw error;
   }
 };
 
-export const loadProducts = async (resetList = true, queryOverride?: StringRecord) => {
+export const loadProducts = async (resetList = true, queryOverride?: QueryRecord) => {
   try {
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: { loading: true, status: "pending", error: null },
-    });
+    productStore.dispatch(productActions.setup({ loading: true, status: "pending", error: null }));
 
     // queryOverride가 있으면 사용, 없으면 router.query 사용
     const query = queryOverride || router.query;
@@ -68,15 +85,13 @@ export const loadProducts = async (resetList = true, queryOverride?: StringRecor
 
     // 페이지 리셋이면 새로 설정, 아니면 기존에 추가
     if (resetList) {
-      productStore.dispatch({ type: PRODUCT_ACTIONS.SET_PRODUCTS, payload });
+      productStore.dispatch(productActions.setProducts(payload));
+      markProductListLoaded(query);
       return;
     }
-    productStore.dispatch({ type: PRODUCT_ACTIONS.ADD_PRODUCTS, payload });
+    productStore.dispatch(productActions.addProducts(payload));
   } catch (error) {
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_ERROR,
-      payload: createErrorMessage(error),
-    });
+    productStore.dispatch(productActions.setError(createErrorMessage(error)));
     throw error;
   }
 };
@@ -93,7 +108,8 @@ export const loadMoreProducts = async () => {
   const currentQuery = router.query;
   const newQuery = { ...currentQuery, current: String(Number(currentQuery.current ?? 1) + 1) };
   const newUrl = Router.getUrl(newQuery);
-  (router as Router<FunctionComponent>).push(newUrl);
+  // 페이지마다 히스토리를 쌓으면 뒤로 가기가 이전 페이지 번호로만 이동하므로 현재 항목을 교체
+  (router as Router<FunctionComponent>).replace(newUrl);
 
   // 새 쿼리를 직접 전달
   await loadProducts(false, newQuery);
@@ -129,24 +145,21 @@ export const loadProductDetailForPage = async (productId: string) => {
       }
       return;
     }
-    // 현재 상품 클리어
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: {
-        ...initialProductState,
+    // 현재 상품 클리어 (뒤로 가기 시 재사용할 수 있도록 목록은 유지)
+    productStore.dispatch(
+      productActions.setup({
         currentProduct: null,
+        relatedProducts: [],
+        error: null,
         loading: true,
         status: "pending",
-      },
-    });
+      }),
+    );
 
     const product = await getProduct(productId);
 
     // 현재 상품 설정
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_CURRENT_PRODUCT,
-      payload: product,
-    });
+    productStore.dispatch(productActions.setCurrentProduct(product));
 
     // 관련 상품 로드 (같은 category2 기준)
     if (product.category2) {
@@ -154,10 +167,7 @@ export const loadProductDetailForPage = async (productId: string) => {
     }
   } catch (error) {
     console.error("상품 상세 페이지 로드 실패:", error);
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_ERROR,
-      payload: createErrorMessage(error),
-    });
+    productStore.dispatch(productActions.setError(createErrorMessage(error)));
     throw error;
   }
 };
@@ -166,8 +176,8 @@ export const loadRelatedProducts = async (category2: string, excludeProductId: s
   try {
     const params = {
       category2,
-      limit: String(20), // 관련 상품 20개
-      page: String(1),
+      limit: 20, // 관련 상품 20개
+      current: 1,
     };
 
     const response = await getProducts(params);
@@ -175,17 +185,11 @@ export const loadRelatedProducts = async (category2: string, excludeProductId: s
     // 현재 상품 제외
     const relatedProducts = response.products.filter((product) => product.productId !== excludeProductId);
 
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_RELATED_PRODUCTS,
-      payload: relatedProducts,
-    });
+    productStore.dispatch(productActions.setRelatedProducts(relatedProducts));
   } catch (error) {
     console.error("관련 상품 로드 실패:", error);
     // 관련 상품 로드 실패는 전체 페이지에 영향주지 않도록 조용히 처리
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_RELATED_PRODUCTS,
-      payload: [],
-    });
+    productStore.dispatch(productActions.setRelatedProducts([]));
   }
 };
 
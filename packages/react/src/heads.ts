@@ -0,0 +1,12 @@
+import { createShopHeads, getSiteOrigin } from "@hanghae-plus/ssr";
+
+/**
+ * head 생성 공통 옵션 (canonical/og:url은 base 경로를 포함한 절대 URL)
+ */
+export const HEAD_OPTIONS = {
+  origin: getSiteOrigin(),
+  base: process.env.NODE_ENV === "production" ? "/front_7th_chapter4-1/react/" : "/",
+  siteName: "쇼핑몰",
+};
+
+export const { homeHead, productDetailHead, notFoundHead, errorHead } = createShopHeads(HEAD_OPTIONS);
@@ -1,4 +1,5 @@
-import { productStore, PRODUCT_ACTIONS } from "./entities/products/productStore";
+import { productActions, productStore } from "./entities/products/productStore";
+import { markProductListLoaded } from "./entities/products/productUseCase";
 import type { HomePageData, ProductDetailData, InitialData } from "./ssr-data";
 
 declare global {
@@ -27,29 +28,28 @@ export function hydrateFromServerData(): boolean {
   }
 
   if (isHomePageData(initialData)) {
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: {
+    productStore.dispatch(
+      productActions.setup({
         products: initialData.products,
         categories: initialData.categories,
         totalCount: initialData.totalCount,
         loading: false,
         status: "done",
-      },
-    });
+      }),
+    );
+    markProductListLoaded();
     return true;
   }
 
   if (isProductDetailData(initialData)) {
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: {
+    productStore.dispatch(
+      productActions.setup({
         currentProduct: initialData.currentProduct,
         relatedProducts: initialData.relatedProducts,
         loading: false,
         status: "done",
-      },
-    });
+      }),
+    );
     return true;
   }
 
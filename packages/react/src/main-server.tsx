@@ -1,67 +1,112 @@
+import type { ReactNode } from "react";
 import { renderToString } from "react-dom/server";
+import { RouterView } from "@hanghae-plus/lib";
+import { renderHead, type HeadMeta } from "@hanghae-plus/ssr";
 import { ServerRouter } from "./router/serverRouter";
-import { HomePage, NotFoundPage, ProductDetailPage } from "./pages";
-import { productStore, PRODUCT_ACTIONS, initialProductState } from "./entities/products/productStore";
+import { ErrorPage } from "./pages";
+import { routes } from "./routes";
+import {
+  createProductStore,
+  productActions,
+  initialProductState,
+  type ProductStore,
+} from "./entities/products/productStore";
+import { ProductStoreContext } from "./entities/products/productStoreContext";
 import { ModalProvider, ToastProvider } from "./components";
 import { loadHomePageData, loadProductDetailData, type InitialData } from "./ssr-data";
 import type { StringRecord } from "./types";
-import { QueryProvider } from "./contexts/QueryContext";
+import { QueryProvider, type QueryState } from "./contexts/QueryContext";
+import { HEAD_OPTIONS, errorHead, homeHead, notFoundHead, productDetailHead } from "./heads";
 
 const BASE_URL = process.env.NODE_ENV === "production" ? "/front_7th_chapter4-1/react" : "";
 
-const serverRouter = new ServerRouter(BASE_URL);
+/**
+ * 요청 단위 서버 라우터 생성
+ * 라우터는 매칭 결과(route, params, query)를 상태로 가지므로 동시 요청끼리 공유하면 안 된다.
+ */
+function createServerRouter() {
+  const serverRouter = new ServerRouter(BASE_URL);
 
-serverRouter.addRoute("/", HomePage);
-serverRouter.addRoute("/product/:id/", ProductDetailPage);
-serverRouter.addRoute(".*", NotFoundPage);
+  serverRouter.addRoutes(routes);
 
-const ServerApp = ({ router, query }: { router: ServerRouter; query: StringRecord }) => {
-  const PageComponent = router.target;
+  return serverRouter;
+}
+
+/**
+ * 요청 단위 렌더링 컨텍스트 (라우터 + 스토어)
+ */
+interface RequestContext {
+  router: ServerRouter;
+  store: ProductStore;
+}
+
+// 라우트별 head 메타데이터 선언
+const routeHeads: Record<string, (context: RequestContext) => HeadMeta> = {
+  "/": ({ router }) => homeHead(router.query),
+  "/product/:id/": ({ store }) => productDetailHead(store.getState().currentProduct),
+  ".*": notFoundHead,
+};
+
+interface ServerAppProps {
+  children: ReactNode;
+  query: QueryState;
+  store: ProductStore;
+}
 
-  return (
+const ServerApp = ({ children, query, store }: ServerAppProps) => (
+  <ProductStoreContext.Provider value={store}>
     <QueryProvider initialQuery={query}>
       <ToastProvider>
-        <ModalProvider>{PageComponent ? <PageComponent /> : null}</ModalProvider>
+        <ModalProvider>{children}</ModalProvider>
       </ToastProvider>
     </QueryProvider>
-  );
-};
-
-function generateHead(url: string): string {
-  const isProductDetail = url.includes("/product/");
-
-  if (isProductDetail) {
-    const product = productStore.getState().currentProduct;
-    if (product) {
-      return `
-        <title>${product.title} - 쇼핑몰</title>
-        <meta name="description" content="${product.title} - ${product.brand}" />
-      `;
-    }
-  }
+  </ProductStoreContext.Provider>
+);
+
+/**
+ * 요청마다 새로 만드는 상품 스토어 (서버에서는 로딩 상태 없이 완료 상태로 시작)
+ */
+const createRequestStore = () => createProductStore({ ...initialProductState, loading: false, status: "done" });
+
+interface RenderResult {
+  html: string;
+  head: string;
+  initialData: InitialData;
+  status: number;
+}
 
-  return `
-    <title>쇼핑몰 - 홈</title>
-    <meta name="description" content="다양한 상품을 만나보세요" />
-  `;
+/**
+ * 현재 라우트가 선언한 head 메타데이터로 head 태그 생성
+ */
+function generateHead(context: RequestContext): string {
+  const routeHead = routeHeads[context.router.route?.path ?? ".*"] ?? notFoundHead;
+  return renderHead(routeHead(context), HEAD_OPTIONS);
 }
 
-export const render = async (
-  url: string,
-  query: StringRecord,
-): Promise<{ html: string; head: string; initialData: InitialData }> => {
+/**
+ * 쿼리가 라우트 스키마에 맞지 않으면 유효하지 않은 값을 제거한 URL 반환
+ * 서버는 렌더 캐시를 확인하기 전에 이 URL로 리다이렉트해, 정규화된 URL의 캐시가 리다이렉트를 가로채지 않도록 한다.
+ * @returns 리다이렉트할 URL (정규화가 필요 없으면 null)
+ */
+export const getRedirectUrl = (url: string, query: StringRecord): string | null => {
+  const serverRouter = createServerRouter();
   serverRouter.navigate(url, query);
+  return serverRouter.redirectUrl;
+};
 
-  let initialData: InitialData = null;
+/**
+ * URL 렌더링
+ * 라우터와 스토어를 요청마다 새로 만들어 동시에 들어온 요청끼리 상태가 섞이지 않도록 한다.
+ */
+export const render = async (url: string, rawQuery: StringRecord): Promise<RenderResult> => {
+  const serverRouter = createServerRouter();
+  const productStore = createRequestStore();
+  serverRouter.navigate(url, rawQuery);
+  await serverRouter.load();
 
-  productStore.dispatch({
-    type: PRODUCT_ACTIONS.SETUP,
-    payload: {
-      ...initialProductState,
-      loading: false,
-      status: "done",
-    },
-  });
+  let initialData: InitialData = null;
+  // 라우트 쿼리 스키마로 변환된 쿼리 (없거나 유효하지 않은 값은 default, 상품 목록 스키마는 문자열/숫자 항목만 가짐)
+  const query = serverRouter.parsedQuery as QueryState;
 
   const isHomePage = serverRouter.route?.path === "/";
   const isProductDetail = serverRouter.route?.path === "/product/:id/";
@@ -70,36 +115,65 @@ export const render = async (
     const homeData = await loadHomePageData(query);
     initialData = homeData;
 
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: {
+    productStore.dispatch(
+      productActions.setup({
         products: homeData.products,
         categories: homeData.categories,
         totalCount: homeData.totalCount,
         loading: false,
         status: "done",
-      },
-    });
+      }),
+    );
   } else if (isProductDetail) {
     const productId = serverRouter.params.id;
     if (productId) {
       const productData = await loadProductDetailData(productId);
       initialData = productData;
 
-      productStore.dispatch({
-        type: PRODUCT_ACTIONS.SETUP,
-        payload: {
+      productStore.dispatch(
+        productActions.setup({
           currentProduct: productData.currentProduct,
           relatedProducts: productData.relatedProducts,
+          error: productData.currentProduct ? null : "상품을 찾을 수 없습니다.",
           loading: false,
           status: "done",
-        },
-      });
+        }),
+      );
     }
   }
 
-  const html = renderToString(<ServerApp router={serverRouter} query={query} />);
-  const head = generateHead(url);
+  // 클라이언트와 같은 레이아웃 + 페이지 트리를 렌더링해 하이드레이션이 일치하도록 함
+  const html = renderToString(
+    <ServerApp query={query} store={productStore}>
+      <RouterView router={serverRouter} />
+    </ServerApp>,
+  );
+  const head = generateHead({ router: serverRouter, store: productStore });
+
+  // 매칭되는 라우트가 없거나 상품이 없으면 404로 응답해 검색엔진이 색인하지 않도록 함
+  const isNotFound = !serverRouter.route || serverRouter.route.path === ".*";
+  const isMissingProduct = isProductDetail && !productStore.getState().currentProduct;
+  const status = isNotFound || isMissingProduct ? 404 : 200;
+
+  return { html, head, initialData, status };
+};
+
+/**
+ * 렌더링 중 예외가 발생했을 때 보여줄 500 페이지 렌더링
+ */
+export const renderError = (): RenderResult => {
+  const html = renderToString(
+    <ServerApp query={{}} store={createRequestStore()}>
+      <ErrorPage />
+    </ServerApp>,
+  );
 
-  return { html, head, initialData };
+  return {
+    html,
+    head: renderHead(errorHead(), HEAD_OPTIONS),
+    initialData: null,
+    status: 500,
+  };
 };
+
+export { loadSitemapData } from "./ssr-data";
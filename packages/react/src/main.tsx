@@ -1,8 +1,16 @@
+import { Router } from "@hanghae-plus/lib";
 import { App } from "./App";
 import { router } from "./router";
 import { BASE_URL } from "./constants.ts";
 import { createRoot, hydrateRoot } from "react-dom/client";
 import { hydrateFromServerData, cleanupInitialData } from "./hydration";
+import { cartPersistor } from "./entities";
+
+/**
+ * API 서버 없이 정적으로 배포되는 빌드(CSR, SSG)에서만 MSW로 /api 요청을 처리
+ * SSR 서버는 /api를 직접 제공하므로 VITE_ENABLE_MOCKING을 설정하지 않는다.
+ */
+const mockingEnabled = import.meta.env.VITE_ENABLE_MOCKING === "true";
 
 const enableMocking = () =>
   import("./mocks/browser").then(({ worker }) =>
@@ -14,7 +22,9 @@ const enableMocking = () =>
     }),
   );
 
-function main() {
+async function main() {
+  // 현재 라우트가 lazy 페이지면 먼저 불러와서 서버 렌더링 결과와 같은 화면으로 하이드레이션
+  await router.preload(Router.getCurrentUrl());
   router.start();
 
   const rootElement = document.getElementById("root")!;
@@ -25,12 +35,14 @@ function main() {
     hydrateRoot(rootElement, <App />);
     cleanupInitialData();
   } else {
+    // 서버 렌더링 결과가 없으면 첫 렌더링 전에 저장된 장바구니를 불러옴
+    cartPersistor.rehydrate();
     createRoot(rootElement).render(<App />);
   }
 }
 
 // 애플리케이션 시작
-if (import.meta.env.MODE !== "test") {
+if (mockingEnabled) {
   enableMocking().then(main);
 } else {
   main();
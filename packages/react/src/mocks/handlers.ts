@@ -1,111 +1,14 @@
 import { http, HttpResponse } from "msw";
+import { createProductDetail, findProduct, getUniqueCategories, queryProducts } from "@hanghae-plus/catalog";
 import items from "./items.json" with { type: "json" };
-import type { StringRecord } from "../types.ts";
-import type { Product } from "../entities";
 
 const delay = async () => await new Promise((resolve) => setTimeout(resolve, 200));
 
-// 카테고리 추출 함수
-function getUniqueCategories() {
-  const categories: Record<string, Record<string, string | StringRecord>> = {};
-
-  items.forEach((item) => {
-    const cat1 = item.category1;
-    const cat2 = item.category2;
-
-    if (!categories[cat1]) categories[cat1] = {};
-    if (cat2 && !categories[cat1][cat2]) categories[cat1][cat2] = {};
-  });
-
-  return categories;
-}
-
-// 상품 검색 및 필터링 함수
-function filterProducts(products: Product[], query: Record<string, string>) {
-  let filtered = [...products];
-
-  // 검색어 필터링
-  if (query.search) {
-    const searchTerm = query.search.toLowerCase();
-    filtered = filtered.filter(
-      (item) => item.title.toLowerCase().includes(searchTerm) || item.brand.toLowerCase().includes(searchTerm),
-    );
-  }
-
-  // 카테고리 필터링
-  if (query.category1) {
-    filtered = filtered.filter((item) => item.category1 === query.category1);
-  }
-  if (query.category2) {
-    filtered = filtered.filter((item) => item.category2 === query.category2);
-  }
-
-  // 정렬
-  if (query.sort) {
-    switch (query.sort) {
-      case "price_asc":
-        filtered.sort((a, b) => parseInt(a.lprice) - parseInt(b.lprice));
-        break;
-      case "price_desc":
-        filtered.sort((a, b) => parseInt(b.lprice) - parseInt(a.lprice));
-        break;
-      case "name_asc":
-        filtered.sort((a, b) => a.title.localeCompare(b.title, "ko"));
-        break;
-      case "name_desc":
-        filtered.sort((a, b) => b.title.localeCompare(a.title, "ko"));
-        break;
-      default:
-        // 기본은 가격 낮은 순
-        filtered.sort((a, b) => parseInt(a.lprice) - parseInt(b.lprice));
-    }
-  }
-
-  return filtered;
-}
-
 export const handlers = [
   // 상품 목록 API
   http.get("/api/products", async ({ request }) => {
     const url = new URL(request.url);
-    const page = parseInt(url.searchParams.get("page") ?? url.searchParams.get("current") ?? "1");
-    const limit = parseInt(url.searchParams.get("limit") ?? "20");
-    const search = url.searchParams.get("search") || "";
-    const category1 = url.searchParams.get("category1") || "";
-    const category2 = url.searchParams.get("category2") || "";
-    const sort = url.searchParams.get("sort") || "price_asc";
-
-    // 필터링된 상품들
-    const filteredProducts = filterProducts(items, {
-      search,
-      category1,
-      category2,
-      sort,
-    });
-
-    // 페이지네이션
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
-
-    // 응답 데이터
-    const response = {
-      products: paginatedProducts,
-      pagination: {
-        page,
-        limit,
-        total: filteredProducts.length,
-        totalPages: Math.ceil(filteredProducts.length / limit),
-        hasNext: endIndex < filteredProducts.length,
-        hasPrev: page > 1,
-      },
-      filters: {
-        search,
-        category1,
-        category2,
-        sort,
-      },
-    };
+    const response = queryProducts(items, Object.fromEntries(url.searchParams));
 
     await delay();
 
@@ -114,29 +17,18 @@ export const handlers = [
 
   // 상품 상세 API
   http.get("/api/products/:id", ({ params }) => {
-    const { id } = params;
-    const product = items.find((item) => item.productId === id);
+    const product = findProduct(items, String(params.id));
 
     if (!product) {
       return HttpResponse.json({ error: "Product not found" }, { status: 404 });
     }
 
-    // 상세 정보에 추가 데이터 포함
-    const detailProduct = {
-      ...product,
-      description: `${product.title}에 대한 상세 설명입니다. ${product.brand} 브랜드의 우수한 품질을 자랑하는 상품으로, 고객 만족도가 높은 제품입니다.`,
-      rating: Math.floor(Math.random() * 2) + 4, // 4~5점 랜덤
-      reviewCount: Math.floor(Math.random() * 1000) + 50, // 50~1050개 랜덤
-      stock: Math.floor(Math.random() * 100) + 10, // 10~110개 랜덤
-      images: [product.image, product.image.replace(".jpg", "_2.jpg"), product.image.replace(".jpg", "_3.jpg")],
-    };
-
-    return HttpResponse.json(detailProduct);
+    return HttpResponse.json(createProductDetail(product));
   }),
 
   // 카테고리 목록 API
   http.get("/api/categories", async () => {
-    const categories = getUniqueCategories();
+    const categories = getUniqueCategories(items);
     await delay();
     return HttpResponse.json(categories);
   }),
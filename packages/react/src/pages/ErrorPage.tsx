@@ -0,0 +1,23 @@
+import { PageWrapper } from "./PageWrapper";
+import { Logo, PublicImage } from "../components";
+import { router } from "../router";
+
+export const ErrorPage = () => (
+  <PageWrapper headerLeft={<Logo />}>
+    <div className="text-center my-4 py-20 shadow-md p-6 bg-white rounded-lg">
+      <div className="text-red-500 mb-4">
+        <PublicImage src="/error-large-icon.svg" alt="오류" className="mx-auto h-12 w-12" />
+      </div>
+      <h1 className="text-xl font-bold text-gray-900 mb-2">일시적인 오류가 발생했습니다</h1>
+      <p className="text-gray-600 mb-6">잠시 후 다시 시도해주세요.</p>
+
+      <a
+        href={router.href("home")}
+        data-link
+        className="inline-block px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+      >
+        홈으로
+      </a>
+    </div>
+  </PageWrapper>
+);
@@ -1,14 +1,5 @@
 import { useEffect } from "react";
-import { loadNextProducts, loadProductsAndCategories, ProductList, SearchBar, productStore } from "../entities";
-import { PageWrapper } from "./PageWrapper";
-
-const headerLeft = (
-  <h1 className="text-xl font-bold text-gray-900">
-    <a href="/" data-link="/">
-      쇼핑몰
-    </a>
-  </h1>
-);
+import { hasLoadedProductList, loadNextProducts, loadProductsAndCategories, ProductList, SearchBar } from "../entities";
 
 // 무한 스크롤 이벤트 등록
 let scrollHandlerRegistered = false;
@@ -29,10 +20,10 @@ const unregisterScrollHandler = () => {
 export const HomePage = () => {
   useEffect(() => {
     registerScrollHandler();
-    const state = productStore.getState();
 
-    // 스토어가 비어있을 때만 초기 로드 (SSR 데이터가 없는 경우)
-    if (!state.products || state.products.length === 0) {
+    // 현재 필터로 불러온 목록이 없을 때만 초기 로드
+    // (SSR 데이터가 있거나 상세 페이지에서 뒤로 돌아온 경우 불러온 페이지를 그대로 사용)
+    if (!hasLoadedProductList()) {
       loadProductsAndCategories();
     }
 
@@ -40,7 +31,7 @@ export const HomePage = () => {
   }, []);
 
   return (
-    <PageWrapper headerLeft={headerLeft}>
+    <>
       {/* 검색 및 필터 */}
       <SearchBar />
 
@@ -48,6 +39,6 @@ export const HomePage = () => {
       <div className="mb-6">
         <ProductList />
       </div>
-    </PageWrapper>
+    </>
   );
 };
@@ -0,0 +1,12 @@
+import { Outlet } from "@hanghae-plus/lib";
+import { Logo } from "../components";
+import { PageWrapper } from "./PageWrapper";
+
+/**
+ * 로고 헤더 레이아웃 (홈, 404)
+ */
+export const MainLayout = () => (
+  <PageWrapper headerLeft={<Logo />}>
+    <Outlet />
+  </PageWrapper>
+);
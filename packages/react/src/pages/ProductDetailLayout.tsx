@@ -0,0 +1,24 @@
+import { Outlet } from "@hanghae-plus/lib";
+import { PublicImage } from "../components";
+import { PageWrapper } from "./PageWrapper";
+
+/**
+ * 뒤로 가기 버튼이 있는 상품 상세 레이아웃
+ */
+export const ProductDetailLayout = () => (
+  <PageWrapper
+    headerLeft={
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={() => window.history.back()}
+          className="p-2 text-gray-700 hover:text-gray-900 transition-colors"
+        >
+          <PublicImage src="/back-icon.svg" alt="뒤로" className="w-6 h-6" />
+        </button>
+        <h1 className="text-lg font-bold text-gray-900">상품 상세</h1>
+      </div>
+    }
+  >
+    <Outlet />
+  </PageWrapper>
+);
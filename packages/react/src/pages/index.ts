@@ -1,3 +1,5 @@
 export * from "./HomePage";
-export * from "./ProductDetailPage";
 export * from "./NotFoundPage";
+export * from "./ErrorPage";
+export * from "./MainLayout";
+export * from "./ProductDetailLayout";
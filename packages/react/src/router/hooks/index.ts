@@ -1,3 +1,2 @@
 export * from "./useRouterQuery";
 export * from "./useRouterParams";
-export * from "./useCurrentPage";
@@ -0,0 +1,22 @@
+import { defineRouteSchema } from "@hanghae-plus/lib";
+import { DEFAULT_LIMIT, DEFAULT_SORT, SORT_OPTIONS } from "@hanghae-plus/catalog";
+
+/**
+ * 상품 목록(홈) 쿼리 스키마
+ * 클라이언트 라우터, 서버 라우터, 상품 API가 같은 규칙으로 쿼리를 해석한다.
+ */
+export const productListQuerySchema = defineRouteSchema({
+  search: { type: "string", default: "" },
+  category1: { type: "string", default: "" },
+  category2: { type: "string", default: "" },
+  sort: { type: "string", values: SORT_OPTIONS, default: DEFAULT_SORT },
+  limit: { type: "number", integer: true, min: 1, max: 100, default: DEFAULT_LIMIT },
+  current: { type: "number", integer: true, min: 1, default: 1 },
+});
+
+/**
+ * 상품 상세 경로 파라미터 스키마 (숫자로만 이루어진 상품 ID)
+ */
+export const productParamsSchema = defineRouteSchema({
+  id: { type: "string", pattern: /^\d+$/ },
+});
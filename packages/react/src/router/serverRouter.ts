@@ -1,23 +1,53 @@
 import type { FunctionComponent } from "react";
+import {
+  compareRouteRank,
+  compilePath,
+  loadRouteHandlers,
+  matchPath,
+  parseRouteSchema,
+  resolveRouteHandler,
+  Router,
+  type CompiledPath,
+  type RouteDefinition,
+  type RouteHandler,
+  type RouteOptions,
+  type RouterOptions,
+} from "@hanghae-plus/lib";
 import type { StringRecord } from "../types";
 
-interface Route {
-  regex: RegExp;
+type ServerRouteOptions = Pick<RouteOptions<FunctionComponent>, "params" | "query">;
+
+interface RouteLevel {
+  path: string;
+  handler: RouteHandler<FunctionComponent>;
   paramNames: string[];
-  handler: FunctionComponent;
+  paramsSchema?: ServerRouteOptions["params"];
+  querySchema?: ServerRouteOptions["query"];
+}
+
+interface Route extends CompiledPath {
+  handler: RouteHandler<FunctionComponent>;
+  // 최상위 레이아웃부터 페이지까지의 계층
+  levels: RouteLevel[];
   params?: StringRecord;
+  paramsSchema?: ServerRouteOptions["params"];
+  querySchema?: ServerRouteOptions["query"];
 }
 
 export class ServerRouter {
-  readonly #routes: Map<string, Route>;
+  // 우선순위(정적 > 동적 > 선택적 > 스플랫) 순으로 정렬된 라우트
+  #routes: Map<string, Route>;
   readonly #baseUrl: string;
+  readonly #trailingSlash: RouterOptions["trailingSlash"];
 
   #route: (Route & { params: StringRecord; path: string }) | null = null;
   #query: StringRecord = {};
+  #redirectUrl: string | null = null;
 
-  constructor(baseUrl = "") {
+  constructor(baseUrl = "", { trailingSlash = "optional" }: Pick<RouterOptions, "trailingSlash"> = {}) {
     this.#routes = new Map();
     this.#baseUrl = baseUrl.replace(/\/$/, "");
+    this.#trailingSlash = trailingSlash;
   }
 
   get query(): StringRecord {
@@ -32,107 +62,127 @@ export class ServerRouter {
     return this.#route?.params ?? {};
   }
 
+  /**
+   * 라우트 스키마로 변환/검증된 쿼리 (default가 채워지며, 스키마에 없는 항목은 문자열 그대로 포함)
+   */
+  get parsedQuery(): Record<string, unknown> {
+    const schema = this.#route?.querySchema;
+    if (!schema) return this.#query;
+    return { ...this.#query, ...parseRouteSchema(schema, this.#query).values };
+  }
+
+  /**
+   * 쿼리가 라우트 스키마에 맞지 않을 때 유효하지 않은 값을 제거한 URL (정규화가 필요 없으면 null)
+   */
+  get redirectUrl() {
+    return this.#redirectUrl;
+  }
+
   get route() {
     return this.#route;
   }
 
+  /**
+   * 매칭된 라우트의 핸들러 (lazy 핸들러는 load가 끝나야 반환됨)
+   */
   get target() {
-    return this.#route?.handler;
+    return this.#route ? resolveRouteHandler(this.#route.handler) : undefined;
+  }
+
+  /**
+   * 매칭된 라우트 계층 (RouterView로 레이아웃과 페이지를 함께 렌더링할 때 사용)
+   */
+  get matches() {
+    return this.#route ? Router.createMatches(this.#route.levels, this.#route.params) : [];
   }
 
   subscribe = () => {
     return () => {};
   };
 
-  addRoute(path: string, handler: FunctionComponent) {
-    const paramNames: string[] = [];
-
-    // catch-all 라우트는 특별 처리
-    if (path === ".*") {
-      this.#routes.set(path, {
-        regex: new RegExp(`^${this.#baseUrl}.*$`),
-        paramNames: [],
-        handler,
-      });
-      return;
-    }
-
-    let regexPath = path
-      .replace(/:\w+/g, (match) => {
-        paramNames.push(match.slice(1));
-        return "([^/]+)";
-      })
-      .replace(/\//g, "\\/");
+  addRoute(path: string, handler: RouteHandler<FunctionComponent>, options: ServerRouteOptions = {}) {
+    this.#register({ path, handler, ...options }, []);
+  }
 
-    // "/" 라우트는 baseUrl만 매칭하도록 (선택적 trailing slash 포함)
-    if (path === "/") {
-      regexPath = "\\/?";
-    }
+  /**
+   * 중첩 라우트 정의 목록 등록 (클라이언트 Router.addRoutes와 같은 규칙)
+   */
+  addRoutes(definitions: RouteDefinition<FunctionComponent>[]) {
+    definitions.forEach((definition) => this.#register(definition, []));
+  }
 
-    // trailing slash를 선택적으로 만듦
-    if (regexPath.endsWith("\\/")) {
-      regexPath = regexPath.slice(0, -2) + "\\/?";
+  #register(
+    { path, handler, children = [], params, query }: RouteDefinition<FunctionComponent>,
+    parents: RouteLevel[],
+  ) {
+    const parentPath = parents.at(-1)?.path;
+    const fullPath = parentPath === undefined ? path : Router.joinPaths(parentPath, path);
+    const levels = [
+      ...parents,
+      { path: fullPath, handler, paramNames: Router.getParamNames(path), paramsSchema: params, querySchema: query },
+    ];
+
+    // 레이아웃은 자식 라우트로만 매칭됨
+    if (children.length > 0) {
+      children.forEach((child) => this.#register(child, levels));
+      return;
     }
 
-    const regex = new RegExp(`^${this.#baseUrl}${regexPath}$`);
-
-    this.#routes.set(path, {
-      regex,
-      paramNames,
+    this.#routes.set(fullPath, {
+      ...compilePath(fullPath, { baseUrl: this.#baseUrl, trailingSlash: this.#trailingSlash }),
       handler,
+      levels,
+      paramsSchema: Router.mergeSchemas(levels.map(({ paramsSchema }) => paramsSchema)),
+      querySchema: Router.mergeSchemas(levels.map(({ querySchema }) => querySchema)),
     });
+
+    // 등록 순서와 관계없이 더 구체적인 라우트를 먼저 확인 (".*" 같은 스플랫은 항상 마지막)
+    this.#routes = new Map([...this.#routes].sort(([, a], [, b]) => compareRouteRank(a.rank, b.rank)));
   }
 
   navigate(url: string, query: StringRecord = {}) {
     this.#query = query;
-    let pathname = url.split("?")[0];
-
-    // 마지막 / 제거 (baseUrl만 있거나 루트 경로가 아닌 경우)
-    if (pathname.endsWith("/") && pathname !== "/") {
-      pathname = pathname.slice(0, -1);
-    }
-
-    // .* (catch-all) 라우트는 마지막에 확인
-    let catchAllRoute: [string, Route] | null = null;
+    this.#redirectUrl = null;
+    this.#route = null;
+    const pathname = url.split("?")[0];
 
     for (const [routePath, route] of this.#routes) {
-      // catch-all 라우트는 건너뛰고 나중에 확인
-      if (routePath === ".*") {
-        catchAllRoute = [routePath, route];
+      const params = matchPath(route, pathname);
+      if (!params) continue;
+
+      // 파라미터가 스키마에 맞지 않으면 다음 라우트(예: 404) 확인
+      if (route.paramsSchema && parseRouteSchema(route.paramsSchema, params).invalid.length > 0) {
         continue;
       }
 
-      const match = pathname.match(route.regex);
-      if (match) {
-        const params: StringRecord = {};
-        route.paramNames.forEach((name, index) => {
-          params[name] = match[index + 1];
-        });
-
-        this.#route = {
-          ...route,
-          params,
-          path: routePath,
-        };
-        return;
-      }
+      this.#route = {
+        ...route,
+        params,
+        path: routePath,
+      };
+      this.#redirectUrl = this.#getNormalizedUrl(pathname, route);
+      return;
     }
+  }
 
-    // 다른 라우트가 매칭되지 않으면 catch-all 확인
-    if (catchAllRoute) {
-      const [routePath, route] = catchAllRoute;
-      const match = pathname.match(route.regex);
-      if (match) {
-        this.#route = {
-          ...route,
-          params: {},
-          path: routePath,
-        };
-        return;
-      }
+  /**
+   * 매칭된 라우트(레이아웃 포함)의 lazy 핸들러 로드
+   * renderToString 전에 기다려서 서버에서는 항상 페이지까지 한 번에 렌더링한다.
+   */
+  async load() {
+    if (this.#route) {
+      await loadRouteHandlers(this.#route.levels.map(({ handler }) => handler));
     }
+  }
 
-    this.#route = null;
+  #getNormalizedUrl(pathname: string, route: Route) {
+    if (!route.querySchema) return null;
+
+    const { invalid, normalized } = parseRouteSchema(route.querySchema, this.#query);
+    if (invalid.length === 0) return null;
+
+    const queryString = Router.stringifyQuery(normalized);
+    return `${pathname}${queryString ? `?${queryString}` : ""}`;
   }
 
   push() {}
@@ -0,0 +1,33 @@
+import type { FunctionComponent } from "react";
+import { lazyRoute, type RouteDefinition } from "@hanghae-plus/lib";
+import { router } from "./router";
+import { productListQuerySchema, productParamsSchema } from "./router/schemas";
+import { HomePage, MainLayout, NotFoundPage, ProductDetailLayout } from "./pages";
+
+// 상품 상세 페이지는 별도 청크로 분리해 처음 이동할 때(또는 상품 카드에 마우스를 올렸을 때) 불러옴
+// pages/index.ts에서 다시 내보내면 메인 번들에 포함되므로 이 파일에서만 불러온다.
+const ProductDetailPage = lazyRoute(() =>
+  import("./pages/ProductDetailPage").then((module) => module.ProductDetailPage),
+);
+
+/**
+ * 앱 라우트 정의 (클라이언트 라우터와 서버 라우터가 함께 사용)
+ * 헤더는 레이아웃 라우트가 그리고, 페이지는 레이아웃의 Outlet에 렌더링된다.
+ * 링크는 경로를 직접 쓰지 않고 이름으로 만든다: router.href("product", { id })
+ */
+export const routes: RouteDefinition<FunctionComponent>[] = [
+  {
+    path: "/",
+    handler: MainLayout,
+    children: [{ name: "home", path: "", handler: HomePage, query: productListQuerySchema }],
+  },
+  {
+    path: "/product/:id/",
+    handler: ProductDetailLayout,
+    children: [{ name: "product", path: "", handler: ProductDetailPage, params: productParamsSchema }],
+  },
+  { path: ".*", handler: MainLayout, children: [{ path: "", handler: NotFoundPage }] },
+];
+
+// 서버 렌더링 중에도 router.href로 링크를 만들 수 있도록 모듈을 불러오는 시점에 등록
+router.addRoutes(routes);
@@ -1,12 +1,13 @@
 import type { Categories, Product } from "./entities/products/types";
-import type { StringRecord } from "./types";
+import type { QueryState } from "./contexts/QueryContext";
+import { findProduct, getUniqueCategories, queryProducts } from "@hanghae-plus/catalog";
 import items from "./mocks/items.json";
 
 export interface HomePageData {
   products: Product[];
   categories: Categories;
   totalCount: number;
-  query?: StringRecord;
+  query?: QueryState;
 }
 
 export interface ProductDetailData {
@@ -16,80 +17,20 @@ export interface ProductDetailData {
 
 export type InitialData = HomePageData | ProductDetailData | null;
 
-function getUniqueCategories(): Categories {
-  const categories: Categories = {};
-
-  items.forEach((item) => {
-    const cat1 = item.category1;
-    const cat2 = item.category2;
-
-    if (!categories[cat1]) categories[cat1] = {};
-    if (cat2 && !categories[cat1][cat2]) categories[cat1][cat2] = {};
-  });
-
-  return categories;
-}
-
-function filterProducts(products: Product[], query: StringRecord): Product[] {
-  let filtered = [...products];
-
-  // query 파라미터는 'query' 또는 'search' 둘 다 지원
-  const searchQuery = query.query || query.search;
-  if (searchQuery) {
-    const searchTerm = searchQuery.toLowerCase();
-    filtered = filtered.filter(
-      (item) => item.title.toLowerCase().includes(searchTerm) || item.brand.toLowerCase().includes(searchTerm),
-    );
-  }
-
-  if (query.category1) {
-    filtered = filtered.filter((item) => item.category1 === query.category1);
-  }
-  if (query.category2) {
-    filtered = filtered.filter((item) => item.category2 === query.category2);
-  }
-
-  const sort = query.sort || "price_asc";
-  switch (sort) {
-    case "price_asc":
-      filtered.sort((a, b) => parseInt(a.lprice) - parseInt(b.lprice));
-      break;
-    case "price_desc":
-      filtered.sort((a, b) => parseInt(b.lprice) - parseInt(a.lprice));
-      break;
-    case "name_asc":
-      filtered.sort((a, b) => a.title.localeCompare(b.title, "ko"));
-      break;
-    case "name_desc":
-      filtered.sort((a, b) => b.title.localeCompare(a.title, "ko"));
-      break;
-  }
-
-  return filtered;
-}
-
-export async function loadHomePageData(query: StringRecord = {}): Promise<HomePageData> {
-  const page = parseInt(query.current ?? query.page ?? "1");
-  const limit = parseInt(query.limit ?? "20");
-
-  const filteredProducts = filterProducts(items as Product[], query);
-
-  const startIndex = (page - 1) * limit;
-  const endIndex = startIndex + limit;
-  const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
-
-  const categories = getUniqueCategories();
+export async function loadHomePageData(query: QueryState = {}): Promise<HomePageData> {
+  // 상품 목록 API와 같은 조회 규칙 사용 (SSR 결과와 API 응답이 달라지지 않도록)
+  const { products, pagination } = queryProducts(items as Product[], query);
 
   return {
-    products: paginatedProducts,
-    categories,
-    totalCount: filteredProducts.length,
+    products,
+    categories: getUniqueCategories(items),
+    totalCount: pagination.total,
     query,
   };
 }
 
 export async function loadProductDetailData(productId: string): Promise<ProductDetailData> {
-  const product = (items as Product[]).find((item) => item.productId === productId);
+  const product = findProduct(items as Product[], productId);
 
   if (!product) {
     return {
@@ -98,12 +39,22 @@ export async function loadProductDetailData(productId: string): Promise<ProductD
     };
   }
 
-  const relatedProducts = (items as Product[])
-    .filter((item) => item.category2 === product.category2 && item.productId !== productId)
-    .slice(0, 20);
+  // 클라이언트 loadRelatedProducts와 같은 조회 조건 (같은 category2의 첫 페이지 20개에서 현재 상품 제외)
+  const { products } = queryProducts(items as Product[], { category2: product.category2, limit: 20, current: 1 });
+  const relatedProducts = products.filter((item) => item.productId !== productId);
 
   return {
     currentProduct: product,
     relatedProducts,
   };
 }
+
+/**
+ * 사이트맵 생성용 카탈로그 조회 (전체 상품 + 카테고리 트리)
+ */
+export async function loadSitemapData(): Promise<{ products: Product[]; categories: Categories }> {
+  return {
+    products: items as Product[],
+    categories: getUniqueCategories(items),
+  };
+}
@@ -1,6 +1,7 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { applyTemplate, createSeoFiles, getSiteOrigin } from "@hanghae-plus/ssr";
 
 // SSG는 항상 production 모드로 실행
 process.env.NODE_ENV = "production";
@@ -34,16 +35,7 @@ async function generateStaticSite() {
   // 각 페이지 렌더링 및 저장
   for (const route of routes) {
     try {
-      const { html, head, initialData } = await render(route.url, route.query);
-
-      const initialDataScript = initialData
-        ? `<script>window.__INITIAL_DATA__ = ${JSON.stringify(initialData)};</script>`
-        : "";
-
-      const finalHtml = template
-        .replace("<!--app-html-->", html)
-        .replace("<!--app-head-->", head)
-        .replace("</head>", `${initialDataScript}</head>`);
+      const finalHtml = applyTemplate(template, await render(route.url, route.query));
 
       // 파일 경로 생성
       let filePath;
@@ -64,6 +56,17 @@ async function generateStaticSite() {
     }
   }
 
+  // robots.txt, sitemap.xml 생성
+  // 크롤러는 호스트 루트의 /robots.txt만 읽으므로, base 경로 아래에 배포할 때는 robots.txt를 호스트 루트로 복사해야 한다.
+  const seoFiles = createSeoFiles(await ssrModule.loadSitemapData(), {
+    origin: getSiteOrigin(),
+    base: "/front_7th_chapter4-1/react/",
+  });
+  for (const [name, { body }] of Object.entries(seoFiles)) {
+    fs.writeFileSync(path.join(DIST_DIR, name), body);
+    console.log(`Generated: ${path.join(DIST_DIR, name)}`);
+  }
+
   // 404 페이지 복사
   const indexHtml = fs.readFileSync(path.join(DIST_DIR, "index.html"), "utf-8");
   fs.writeFileSync(path.join(DIST_DIR, "404.html"), indexHtml);
@@ -0,0 +1,120 @@
+import { describe, expect, it, vi } from "vitest";
+import { createCatalogApiHandlers } from "../index.js";
+
+const items = [
+  { productId: "1", title: "나무 도마", brand: "우드", lprice: "3000", category1: "생활/건강", category2: "주방용품" },
+  { productId: "2", title: "가죽 지갑", brand: "레더", lprice: "1000", category1: "패션잡화", category2: "지갑" },
+  {
+    productId: "3",
+    title: "다용도 도마",
+    brand: "키친",
+    lprice: "2000",
+    category1: "생활/건강",
+    category2: "주방용품",
+  },
+  {
+    productId: "4",
+    title: "쇼핑백",
+    brand: "",
+    lprice: "500",
+    category1: "생활/건강",
+    category2: "생활용품",
+    image: "https://example.com/4.jpg",
+  },
+];
+
+const createMockResponse = () => {
+  const res = {
+    status: vi.fn(() => res),
+    json: vi.fn(),
+  };
+  return res;
+};
+
+const { getProducts, getProduct, getCategories } = createCatalogApiHandlers(items);
+
+/**
+ * 핸들러를 호출하고 응답 본문 반환
+ */
+const call = (handler, req) => {
+  const res = createMockResponse();
+  handler({ query: {}, params: {}, ...req }, res);
+  return { res, body: res.json.mock.calls[0][0] };
+};
+
+describe("카탈로그 API > ", () => {
+  describe("GET /api/products", () => {
+    it("기본값으로 가격 낮은 순 20개와 페이지 정보를 응답한다", () => {
+      const { body } = call(getProducts);
+
+      expect(body.products.map(({ productId }) => productId)).toEqual(["4", "2", "3", "1"]);
+      expect(body.pagination).toEqual({ page: 1, limit: 20, total: 4, totalPages: 1, hasNext: false, hasPrev: false });
+      expect(body.filters).toEqual({ search: "", category1: "", category2: "", sort: "price_asc" });
+    });
+
+    it("검색어(제목/브랜드)와 카테고리로 필터링한다", () => {
+      expect(call(getProducts, { query: { search: "도마" } }).body.pagination.total).toBe(2);
+      expect(call(getProducts, { query: { search: "레더" } }).body.products[0].productId).toBe("2");
+      expect(
+        call(getProducts, { query: { category1: "생활/건강", category2: "주방용품" } }).body.products.map(
+          ({ productId }) => productId,
+        ),
+      ).toEqual(["3", "1"]);
+    });
+
+    it("정렬 옵션을 적용한다", () => {
+      const ids = (sort) => call(getProducts, { query: { sort } }).body.products.map(({ productId }) => productId);
+
+      expect(ids("price_desc")).toEqual(["1", "3", "2", "4"]);
+      expect(ids("name_asc")).toEqual(["2", "1", "3", "4"]);
+      expect(ids("name_desc")).toEqual(["4", "3", "1", "2"]);
+    });
+
+    it("page 또는 current와 limit으로 페이지네이션한다", () => {
+      const { body } = call(getProducts, { query: { current: "2", limit: "3" } });
+
+      expect(body.products.map(({ productId }) => productId)).toEqual(["1"]);
+      expect(body.pagination).toMatchObject({ page: 2, limit: 3, totalPages: 2, hasNext: false, hasPrev: true });
+      expect(call(getProducts, { query: { page: "1", limit: "3" } }).body.pagination.hasNext).toBe(true);
+    });
+
+    it("잘못된 숫자나 중복된 쿼리 값은 기본값/첫 번째 값으로 처리한다", () => {
+      const { body } = call(getProducts, { query: { page: "abc", limit: "", sort: ["price_desc", "name_asc"] } });
+
+      expect(body.pagination).toMatchObject({ page: 1, limit: 20 });
+      expect(body.filters.sort).toBe("price_desc");
+    });
+  });
+
+  describe("GET /api/products/:id", () => {
+    it("상품 상세 정보에 설명, 평점, 재고, 이미지 목록을 추가한다", () => {
+      const { body } = call(getProduct, { params: { id: "4" } });
+
+      expect(body).toMatchObject({ productId: "4", title: "쇼핑백" });
+      expect(body.description).toContain("쇼핑백");
+      expect(body.rating).toBeGreaterThanOrEqual(4);
+      expect(body.stock).toBeGreaterThanOrEqual(10);
+      expect(body.images).toEqual([
+        "https://example.com/4.jpg",
+        "https://example.com/4_2.jpg",
+        "https://example.com/4_3.jpg",
+      ]);
+    });
+
+    it("없는 상품은 404를 응답한다", () => {
+      const { res, body } = call(getProduct, { params: { id: "999" } });
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(body).toEqual({ error: "Product not found" });
+    });
+  });
+
+  describe("GET /api/categories", () => {
+    it("category1 > category2 트리를 응답한다", () => {
+      expect(call(getCategories).body).toEqual({
+        "생활/건강": { 주방용품: {}, 생활용품: {} },
+        패션잡화: { 지갑: {} },
+      });
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  createBreadcrumbJsonLd,
+  createCategoryBreadcrumbs,
+  createProductJsonLd,
+  createShopHeads,
+  createSiteUrl,
+  getSiteOrigin,
+  renderHead,
+} from "../index.js";
+
+const options = { origin: "https://shop.example.com", base: "/front_7th_chapter4-1/vanilla/", siteName: "쇼핑몰" };
+
+const product = {
+  title: "PVC 투명 젤리 쇼핑백",
+  image: "https://shopping-phinf.pstatic.net/main_8506721/85067212996.1.jpg",
+  lprice: "220",
+  mallName: "기브N기브",
+  productId: "85067212996",
+  brand: "",
+  maker: "기브",
+  category1: "생활/건강",
+  category2: "생활용품",
+  category3: "생활잡화",
+  category4: "쇼핑백",
+};
+
+/**
+ * head 문자열에서 JSON-LD 객체들을 추출
+ */
+const parseJsonLd = (head) =>
+  [...head.matchAll(/<script type="application\/ld\+json">(.*?)<\/script>/g)].map(([, json]) => JSON.parse(json));
+
+describe("SEO head 관리 > ", () => {
+  describe("getSiteOrigin", () => {
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it("SITE_ORIGIN을 끝의 /를 제거해 반환한다", () => {
+      vi.stubEnv("SITE_ORIGIN", "https://shop.example.com/");
+      vi.stubEnv("NODE_ENV", "production");
+
+      expect(getSiteOrigin()).toBe("https://shop.example.com");
+    });
+
+    it("프로덕션에서 SITE_ORIGIN이 없으면 예외를 던진다", () => {
+      vi.stubEnv("SITE_ORIGIN", "");
+      vi.stubEnv("NODE_ENV", "production");
+
+      expect(() => getSiteOrigin()).toThrow("SITE_ORIGIN");
+    });
+
+    it("개발 환경에서는 SITE_ORIGIN이 없으면 localhost를 사용한다", () => {
+      vi.stubEnv("SITE_ORIGIN", "");
+      vi.stubEnv("NODE_ENV", "development");
+
+      expect(getSiteOrigin()).toBe("http://localhost");
+    });
+  });
+
+  describe("createSiteUrl", () => {
+    it("base 경로를 포함한 절대 URL을 만든다", () => {
+      expect(createSiteUrl(options)).toBe("https://shop.example.com/front_7th_chapter4-1/vanilla/");
+      expect(createSiteUrl(options, "product/1/")).toBe(
+        "https://shop.example.com/front_7th_chapter4-1/vanilla/product/1/",
+      );
+      expect(createSiteUrl(options, "/product/1/")).toBe(
+        "https://shop.example.com/front_7th_chapter4-1/vanilla/product/1/",
+      );
+    });
+
+    it("base가 비어있거나 /이면 origin 루트를 사용한다", () => {
+      expect(createSiteUrl({ origin: "http://localhost", base: "" }, "product/1/")).toBe("http://localhost/product/1/");
+      expect(createSiteUrl({ origin: "http://localhost", base: "/" })).toBe("http://localhost/");
+    });
+  });
+
+  describe("renderHead", () => {
+    it("title, description, canonical, Open Graph, Twitter 태그를 생성한다", () => {
+      const head = renderHead(
+        { title: "상품 - 쇼핑몰", description: "설명", path: "product/1/", image: product.image, type: "product" },
+        options,
+      );
+
+      expect(head).toContain("<title>상품 - 쇼핑몰</title>");
+      expect(head).toContain('<meta name="description" content="설명">');
+      expect(head).toContain(
+        '<link rel="canonical" href="https://shop.example.com/front_7th_chapter4-1/vanilla/product/1/">',
+      );
+      expect(head).toContain('<meta property="og:type" content="product">');
+      expect(head).toContain('<meta property="og:site_name" content="쇼핑몰">');
+      expect(head).toContain(`<meta property="og:image" content="${product.image}">`);
+      expect(head).toContain('<meta name="twitter:card" content="summary_large_image">');
+      expect(head).toContain(`<meta name="twitter:image" content="${product.image}">`);
+    });
+
+    it("이미지가 없으면 summary 카드를 사용하고 이미지 태그를 만들지 않는다", () => {
+      const head = renderHead({ title: "쇼핑몰 - 홈", path: "" }, options);
+
+      expect(head).toContain('<meta name="twitter:card" content="summary">');
+      expect(head).not.toContain("og:image");
+      expect(head).not.toContain("description");
+    });
+
+    it("noindex 페이지는 canonical과 공유 태그 없이 robots noindex를 출력한다", () => {
+      const head = renderHead({ title: "페이지를 찾을 수 없습니다 - 쇼핑몰", path: "404", noindex: true }, options);
+
+      expect(head).toContain('<meta name="robots" content="noindex">');
+      expect(head).not.toContain("canonical");
+      expect(head).not.toContain("og:");
+    });
+
+    it("악의적인 메타데이터를 이스케이프한다", () => {
+      const head = renderHead(
+        {
+          title: `</title><script>alert(1)</script>`,
+          description: `"><img src=x onerror=alert(1)>`,
+          path: "",
+          jsonLd: [{ name: "</script><script>alert(1)</script>" }],
+        },
+        options,
+      );
+
+      expect(head).not.toContain("<script>alert(1)");
+      expect(head).not.toContain("<img");
+      expect(head.match(/<\/script>/g)).toHaveLength(1);
+      expect(parseJsonLd(head)).toEqual([{ name: "</script><script>alert(1)</script>" }]);
+    });
+  });
+
+  describe("JSON-LD", () => {
+    it("schema.org Product에 가격, 브랜드, 재고 상태를 포함한다", () => {
+      const url = createSiteUrl(options, "product/85067212996/");
+      const jsonLd = createProductJsonLd(product, url);
+
+      expect(jsonLd).toMatchObject({
+        "@context": "https://schema.org",
+        "@type": "Product",
+        name: product.title,
+        image: [product.image],
+        sku: product.productId,
+        brand: { "@type": "Brand", name: "기브" },
+        category: "생활/건강 > 생활용품 > 생활잡화 > 쇼핑백",
+        offers: {
+          "@type": "Offer",
+          url,
+          priceCurrency: "KRW",
+          price: "220",
+          availability: "https://schema.org/InStock",
+        },
+      });
+    });
+
+    it("재고가 0이면 품절로 표시하고, 브랜드가 없으면 brand를 생략한다", () => {
+      const jsonLd = createProductJsonLd({ ...product, maker: "", stock: 0 }, "https://shop.example.com/");
+
+      expect(jsonLd.offers.availability).toBe("https://schema.org/OutOfStock");
+      expect(jsonLd).not.toHaveProperty("brand");
+    });
+
+    it("category1/category2로 홈 > 대분류 > 중분류 BreadcrumbList를 만든다", () => {
+      const jsonLd = createBreadcrumbJsonLd(createCategoryBreadcrumbs(product, options));
+      const home = "https://shop.example.com/front_7th_chapter4-1/vanilla/";
+
+      expect(jsonLd["@type"]).toBe("BreadcrumbList");
+      expect(jsonLd.itemListElement).toEqual([
+        { "@type": "ListItem", position: 1, name: "홈", item: home },
+        {
+          "@type": "ListItem",
+          position: 2,
+          name: "생활/건강",
+          item: `${home}?category1=%EC%83%9D%ED%99%9C%2F%EA%B1%B4%EA%B0%95`,
+        },
+        {
+          "@type": "ListItem",
+          position: 3,
+          name: "생활용품",
+          item: `${home}?category1=%EC%83%9D%ED%99%9C%2F%EA%B1%B4%EA%B0%95&category2=%EC%83%9D%ED%99%9C%EC%9A%A9%ED%92%88`,
+        },
+      ]);
+    });
+
+    it("카테고리가 없으면 홈만 포함한다", () => {
+      const items = createCategoryBreadcrumbs({ ...product, category1: "", category2: "" }, options);
+      expect(items).toEqual([{ name: "홈", url: "https://shop.example.com/front_7th_chapter4-1/vanilla/" }]);
+    });
+  });
+
+  describe("createShopHeads", () => {
+    const { homeHead, productDetailHead, notFoundHead } = createShopHeads(options);
+
+    it("홈 canonical에는 카테고리 필터만 포함한다", () => {
+      expect(homeHead({ search: "젤리", sort: "price_asc" }).path).toBe("");
+      expect(homeHead({ category1: "생활/건강", category2: "생활용품", search: "젤리" }).path).toBe(
+        `?${new URLSearchParams({ category1: "생활/건강", category2: "생활용품" })}`,
+      );
+    });
+
+    it("상품 description은 상품명, 브랜드(없으면 제조사), 가격으로 만든다", () => {
+      const meta = productDetailHead(product);
+
+      expect(meta.title).toBe("PVC 투명 젤리 쇼핑백 - 쇼핑몰");
+      expect(meta.description).toBe("PVC 투명 젤리 쇼핑백 - 기브 - 220원");
+      expect(meta.path).toBe("product/85067212996/");
+      expect(meta.jsonLd.map((data) => data["@type"])).toEqual(["Product", "BreadcrumbList"]);
+    });
+
+    it("상품이 없거나 라우트가 없으면 noindex로 표시한다", () => {
+      expect(productDetailHead(null).noindex).toBe(true);
+      expect(notFoundHead().noindex).toBe(true);
+    });
+  });
+});
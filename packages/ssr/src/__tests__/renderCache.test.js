@@ -0,0 +1,201 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  collectProductTags,
+  createCachePurgeHandler,
+  createCacheKey,
+  createRenderCache,
+  productTag,
+} from "../index.js";
+
+const createMockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: vi.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+  };
+  return res;
+};
+
+const createMockRequest = (body, headers = {}) => ({
+  body,
+  get: (name) => headers[name.toLowerCase()],
+});
+
+describe("SSR 렌더 캐시 > ", () => {
+  describe("createCacheKey", () => {
+    it("pathname의 중복 슬래시와 마지막 슬래시를 정규화한다", () => {
+      expect(createCacheKey("/product/1/").key).toBe("/product/1");
+      expect(createCacheKey("//product//1").key).toBe("/product/1");
+      expect(createCacheKey("/").key).toBe("/");
+    });
+
+    it("쿼리 파라미터를 정렬하고 허용된 키만 포함한다", () => {
+      const a = createCacheKey("/?sort=price_desc&search=젤리&utm_source=ad");
+      const b = createCacheKey("/?search=젤리&sort=price_desc");
+
+      expect(a.key).toBe(b.key);
+      expect(a.key).not.toContain("utm_source");
+    });
+
+    it("빈 값의 쿼리 파라미터는 무시한다", () => {
+      expect(createCacheKey("/?search=&category1=").key).toBe("/");
+    });
+
+    it("여러 값을 가진 쿼리 파라미터는 모든 값을 정렬해 키에 포함한다", () => {
+      const single = createCacheKey("/?category1=a");
+      const multiple = createCacheKey("/?category1=b&category1=a");
+
+      expect(multiple.key).not.toBe(single.key);
+      expect(multiple.key).toBe(createCacheKey("/?category1=a&category1=b").key);
+    });
+
+    it("잘못된 퍼센트 인코딩이 있는 URL은 null을 반환한다", () => {
+      expect(() => createCacheKey("/product/%E0%A4%A/")).not.toThrow();
+      expect(createCacheKey("/product/%E0%A4%A/")).toBeNull();
+    });
+  });
+
+  describe("createRenderCache", () => {
+    let time;
+    let cache;
+
+    beforeEach(() => {
+      time = 0;
+      cache = createRenderCache({
+        routes: [
+          { path: "/", ttl: 1000 },
+          { path: "/product/:id/", ttl: 5000 },
+        ],
+        maxEntries: 3,
+        now: () => time,
+      });
+    });
+
+    it("TTL이 설정되지 않은 라우트는 캐시 키를 만들지 않는다", () => {
+      expect(cache.createKey("/")).toBe("/");
+      expect(cache.createKey("/product/1/")).toBe("/product/1");
+      expect(cache.createKey("/404")).toBeNull();
+    });
+
+    it("잘못된 퍼센트 인코딩이 있는 URL은 캐싱하지 않는다", () => {
+      expect(cache.createKey("/product/%E0%A4%A/")).toBeNull();
+    });
+
+    it("저장한 값을 TTL 동안만 반환한다", () => {
+      cache.set("/", "home");
+      cache.set("/product/1", "detail");
+
+      time = 999;
+      expect(cache.get("/")).toBe("home");
+
+      time = 1000;
+      expect(cache.get("/")).toBeUndefined();
+      expect(cache.get("/product/1")).toBe("detail");
+
+      time = 5000;
+      expect(cache.get("/product/1")).toBeUndefined();
+      expect(cache.size).toBe(0);
+    });
+
+    it("최대 개수를 넘으면 가장 오래 사용되지 않은 항목부터 제거한다", () => {
+      cache.set("/product/1", "1");
+      cache.set("/product/2", "2");
+      cache.set("/product/3", "3");
+
+      // 1번을 최근 사용 항목으로 만듦
+      cache.get("/product/1");
+      cache.set("/product/4", "4");
+
+      expect(cache.size).toBe(3);
+      expect(cache.get("/product/2")).toBeUndefined();
+      expect(cache.get("/product/1")).toBe("1");
+      expect(cache.get("/product/4")).toBe("4");
+    });
+
+    it("태그로 항목을 무효화한다", () => {
+      cache.set("/", "home", { tags: [productTag("1"), productTag("2")] });
+      cache.set("/product/1", "detail", { tags: [productTag("1")] });
+      cache.set("/product/2", "detail", { tags: [productTag("2")] });
+
+      expect(cache.purgeByTag(productTag("1"))).toBe(2);
+      expect(cache.get("/")).toBeUndefined();
+      expect(cache.get("/product/2")).toBe("detail");
+    });
+
+    it("라우트 패턴으로 항목을 무효화한다", () => {
+      cache.set("/", "home");
+      cache.set("/?search=젤리", "search");
+      cache.set("/product/1", "detail");
+
+      expect(cache.purgeByRoute("/product/:id/")).toBe(1);
+      expect(cache.purgeByRoute("/")).toBe(2);
+      expect(cache.size).toBe(0);
+    });
+
+    it("와일드카드 패턴으로 하위 경로를 모두 무효화한다", () => {
+      cache.set("/product/1", "1");
+      cache.set("/product/2", "2");
+      cache.set("/", "home");
+
+      expect(cache.purgeByRoute("/product/*")).toBe(2);
+      expect(cache.get("/")).toBe("home");
+    });
+  });
+
+  describe("collectProductTags", () => {
+    it("목록, 상세, 관련 상품의 태그를 중복 없이 수집한다", () => {
+      const tags = collectProductTags({
+        currentProduct: { productId: "1" },
+        relatedProducts: [{ productId: "2" }, { productId: "1" }],
+      });
+
+      expect(tags).toEqual([productTag("1"), productTag("2")]);
+      expect(collectProductTags(null)).toEqual([]);
+    });
+  });
+
+  describe("createCachePurgeHandler", () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = createRenderCache({ routes: [{ path: "/product/:id/", ttl: 1000 }] });
+      cache.set("/product/1", "1", { tags: [productTag("1")] });
+      cache.set("/product/2", "2", { tags: [productTag("2")] });
+    });
+
+    it("상품 ID로 캐시를 무효화한다", () => {
+      const res = createMockResponse();
+      createCachePurgeHandler(cache)(createMockRequest({ productId: "1" }), res);
+
+      expect(res.body).toEqual({ purged: 1, size: 1 });
+    });
+
+    it("무효화 대상이 없으면 400을 반환한다", () => {
+      const res = createMockResponse();
+      createCachePurgeHandler(cache)(createMockRequest({}), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(cache.size).toBe(2);
+    });
+
+    it("토큰이 일치하지 않으면 401을 반환한다", () => {
+      const handler = createCachePurgeHandler(cache, { token: "secret" });
+
+      const denied = createMockResponse();
+      handler(createMockRequest({ all: true }), denied);
+      expect(denied.statusCode).toBe(401);
+      expect(cache.size).toBe(2);
+
+      const allowed = createMockResponse();
+      handler(createMockRequest({ all: true }, { authorization: "Bearer secret" }), allowed);
+      expect(allowed.body).toEqual({ purged: 2, size: 0 });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import vm from "node:vm";
+import { applyTemplate, createInitialDataScript, escapeHtml, serializeForScript } from "../index.js";
+
+const hostileProduct = {
+  productId: "1",
+  title: `</script><script>alert("xss")</script><!-- & 'quote'`,
+  brand: `"><img src=x onerror=alert(1)>`,
+  description: "줄바꿈\u2028문자\u2029포함",
+  link: "https://example.com/a/b?x=1&y=2",
+};
+
+const template = `<html><head><!--app-head--></head><body><div id="root"><!--app-html--></div></body></html>`;
+
+/**
+ * 스크립트 태그 내용을 실제로 실행해 window.__INITIAL_DATA__ 값을 얻음
+ */
+const evaluateInitialDataScript = (script) => {
+  const code = script.replace(/^<script>/, "").replace(/<\/script>$/, "");
+  const context = { window: {} };
+  vm.runInNewContext(code, context);
+  return context.window.__INITIAL_DATA__;
+};
+
+describe("SSR 직렬화/이스케이프 > ", () => {
+  describe("serializeForScript", () => {
+    it("스크립트 태그를 닫거나 HTML 주석을 여는 문자를 이스케이프한다", () => {
+      const serialized = serializeForScript({ products: [hostileProduct] });
+
+      expect(serialized).not.toMatch(/[<>&\u2028\u2029]/);
+      expect(serialized).toContain("\\u003c/script\\u003e");
+      expect(serialized).toContain("\\u2028");
+    });
+
+    it("JSON.parse 결과가 원본과 같다", () => {
+      const data = { products: [hostileProduct], totalCount: 1 };
+      expect(JSON.parse(serializeForScript(data))).toEqual(data);
+    });
+
+    it("슬래시와 한글은 그대로 유지한다", () => {
+      const serialized = serializeForScript({ category1: "생활/건강", link: "https://example.com/a" });
+      expect(serialized).toBe('{"category1":"생활/건강","link":"https://example.com/a"}');
+    });
+
+    it("undefined는 null로 직렬화한다", () => {
+      expect(serializeForScript(undefined)).toBe("null");
+    });
+  });
+
+  describe("createInitialDataScript", () => {
+    it("악의적인 상품 데이터로도 스크립트 태그가 하나만 생성되고 원본 값이 복원된다", () => {
+      const initialData = { currentProduct: hostileProduct, relatedProducts: [] };
+      const script = createInitialDataScript(initialData);
+
+      expect(script.match(/<script>/g)).toHaveLength(1);
+      expect(script.match(/<\/script>/g)).toHaveLength(1);
+      expect(evaluateInitialDataScript(script)).toEqual(initialData);
+    });
+
+    it("initialData가 없으면 스크립트를 만들지 않는다", () => {
+      expect(createInitialDataScript(null)).toBe("");
+    });
+  });
+
+  describe("escapeHtml", () => {
+    it("텍스트와 속성 값에서 위험한 문자를 엔티티로 바꾼다", () => {
+      expect(escapeHtml(hostileProduct.brand)).toBe("&quot;&gt;&lt;img src=x onerror=alert(1)&gt;");
+      expect(escapeHtml(`a & 'b'`)).toBe("a &amp; &#39;b&#39;");
+    });
+
+    it("null/undefined는 빈 문자열, 숫자는 문자열로 변환한다", () => {
+      expect(escapeHtml(null)).toBe("");
+      expect(escapeHtml(undefined)).toBe("");
+      expect(escapeHtml(1000)).toBe("1000");
+    });
+  });
+
+  describe("applyTemplate", () => {
+    it("head, html, initialData를 템플릿에 삽입한다", () => {
+      const html = applyTemplate(template, {
+        head: `<title>${escapeHtml(hostileProduct.title)} - 쇼핑몰</title>`,
+        html: "<main>본문</main>",
+        initialData: { currentProduct: hostileProduct },
+      });
+
+      expect(html).toContain('<div id="root"><main>본문</main></div>');
+      expect(html.match(/<script>/g)).toHaveLength(1);
+      expect(html.match(/<\/script>/g)).toHaveLength(1);
+      expect(html).toContain("<title>&lt;/script&gt;&lt;script&gt;");
+    });
+
+    it("렌더링 결과의 $ 패턴을 치환 패턴으로 해석하지 않는다", () => {
+      const html = applyTemplate(template, { head: "<title>$& $' 쇼핑몰</title>", html: "$`", initialData: null });
+
+      expect(html).toContain("<title>$& $' 쇼핑몰</title>");
+      expect(html).toContain('<div id="root">$`</div>');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, expect, it, vi } from "vitest";
+import { createRobotsTxt, createSeoFileHandler, createSeoFiles, createSitemapUrls } from "../index.js";
+
+const options = { origin: "https://shop.example.com", base: "/front_7th_chapter4-1/react/" };
+const home = "https://shop.example.com/front_7th_chapter4-1/react/";
+
+const catalog = {
+  products: [{ productId: "1" }, { productId: "2" }, { productId: "3" }],
+  categories: {
+    "생활/건강": { 생활용품: {}, 주방용품: {} },
+    "디지털/가전": {},
+  },
+};
+
+const countUrls = (xml) => xml.match(/<url>/g)?.length ?? 0;
+
+const createMockResponse = () => {
+  const res = {
+    type: vi.fn(() => res),
+    send: vi.fn(),
+  };
+  return res;
+};
+
+describe("사이트맵/robots.txt 생성 > ", () => {
+  describe("createSitemapUrls", () => {
+    it("홈, 카테고리 목록, 상품 상세 URL을 base 경로를 포함해 생성한다", () => {
+      const locs = createSitemapUrls(catalog, options).map(({ loc }) => loc);
+
+      expect(locs).toEqual([
+        home,
+        `${home}?category1=%EC%83%9D%ED%99%9C%2F%EA%B1%B4%EA%B0%95`,
+        `${home}?category1=%EC%83%9D%ED%99%9C%2F%EA%B1%B4%EA%B0%95&category2=%EC%83%9D%ED%99%9C%EC%9A%A9%ED%92%88`,
+        `${home}?category1=%EC%83%9D%ED%99%9C%2F%EA%B1%B4%EA%B0%95&category2=%EC%A3%BC%EB%B0%A9%EC%9A%A9%ED%92%88`,
+        `${home}?category1=%EB%94%94%EC%A7%80%ED%84%B8%2F%EA%B0%80%EC%A0%84`,
+        `${home}product/1/`,
+        `${home}product/2/`,
+        `${home}product/3/`,
+      ]);
+    });
+  });
+
+  describe("createSeoFiles", () => {
+    it("URL 수가 제한 이하이면 단일 urlset 사이트맵을 만든다", () => {
+      const files = createSeoFiles(catalog, options);
+
+      expect(Object.keys(files).sort()).toEqual(["robots.txt", "sitemap.xml"]);
+      expect(files["sitemap.xml"].type).toBe("application/xml");
+      expect(files["sitemap.xml"].body).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(countUrls(files["sitemap.xml"].body)).toBe(8);
+    });
+
+    it("loc의 &를 XML 엔티티로 이스케이프한다", () => {
+      const { body } = createSeoFiles(catalog, options)["sitemap.xml"];
+
+      expect(body).toContain("&amp;category2=");
+      expect(body).not.toMatch(/&category2=/);
+    });
+
+    it("URL 수가 제한을 넘으면 사이트맵 인덱스와 조각 파일로 나눈다", () => {
+      const files = createSeoFiles(catalog, options, { chunkSize: 3 });
+
+      expect(Object.keys(files).sort()).toEqual([
+        "robots.txt",
+        "sitemap-1.xml",
+        "sitemap-2.xml",
+        "sitemap-3.xml",
+        "sitemap.xml",
+      ]);
+      expect(files["sitemap.xml"].body).toContain("<sitemapindex");
+      expect(files["sitemap.xml"].body).toContain(`<sitemap><loc>${home}sitemap-3.xml</loc></sitemap>`);
+      expect(countUrls(files["sitemap-1.xml"].body)).toBe(3);
+      expect(countUrls(files["sitemap-3.xml"].body)).toBe(2);
+    });
+  });
+
+  describe("createRobotsTxt", () => {
+    it("base 경로의 사이트맵 위치를 안내한다", () => {
+      const robots = createRobotsTxt(options);
+
+      expect(robots).toContain("User-agent: *");
+      expect(robots).toContain(`Sitemap: ${home}sitemap.xml`);
+    });
+  });
+
+  describe("createSeoFileHandler", () => {
+    const createHandler = (config = {}) =>
+      createSeoFileHandler({
+        base: "/front_7th_chapter4-1/react/",
+        origin: "https://shop.example.com",
+        loadCatalog: async () => catalog,
+        chunkSize: 3,
+        ...config,
+      });
+
+    it("base 경로 아래의 사이트맵 파일을 응답한다", async () => {
+      const res = createMockResponse();
+      const next = vi.fn();
+
+      await createHandler()({ path: "/front_7th_chapter4-1/react/sitemap-2.xml" }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.type).toHaveBeenCalledWith("application/xml");
+      expect(countUrls(res.send.mock.calls[0][0])).toBe(3);
+    });
+
+    it("robots.txt는 크롤러가 읽는 호스트 루트에서 응답한다", async () => {
+      const res = createMockResponse();
+      const next = vi.fn();
+
+      await createHandler()({ path: "/robots.txt" }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.type).toHaveBeenCalledWith("text/plain");
+      expect(res.send.mock.calls[0][0]).toContain(`Sitemap: ${home}sitemap.xml`);
+    });
+
+    it("대상이 아니거나 존재하지 않는 파일은 다음 미들웨어로 넘긴다", async () => {
+      const handler = createHandler();
+      const next = vi.fn();
+
+      await handler({ path: "/front_7th_chapter4-1/react/robots.txt" }, createMockResponse(), next);
+      await handler({ path: "/front_7th_chapter4-1/react/" }, createMockResponse(), next);
+      await handler({ path: "/front_7th_chapter4-1/react/sitemap-9.xml" }, createMockResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    it("생성한 파일을 ttl 동안 재사용한다", async () => {
+      let time = 0;
+      const loadCatalog = vi.fn(async () => catalog);
+      const handler = createHandler({ loadCatalog, ttl: 1000, now: () => time });
+
+      await handler({ path: "/robots.txt" }, createMockResponse(), vi.fn());
+      await handler({ path: "/front_7th_chapter4-1/react/sitemap.xml" }, createMockResponse(), vi.fn());
+      expect(loadCatalog).toHaveBeenCalledTimes(1);
+
+      time = 1000;
+      await handler({ path: "/front_7th_chapter4-1/react/sitemap.xml" }, createMockResponse(), vi.fn());
+      expect(loadCatalog).toHaveBeenCalledTimes(2);
+    });
+
+    it("생성에 실패하면 캐시하지 않고 다음 요청에서 다시 시도한다", async () => {
+      const loadCatalog = vi.fn().mockRejectedValueOnce(new Error("catalog")).mockResolvedValue(catalog);
+      const handler = createHandler({ loadCatalog });
+      const next = vi.fn();
+
+      await handler({ path: "/robots.txt" }, createMockResponse(), next);
+      expect(next).toHaveBeenCalledWith(expect.any(Error));
+
+      const res = createMockResponse();
+      await handler({ path: "/robots.txt" }, res, vi.fn());
+      expect(res.send).toHaveBeenCalled();
+    });
+  });
+});
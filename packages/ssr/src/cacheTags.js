@@ -0,0 +1,23 @@
+/**
+ * 상품 단위 캐시 무효화 태그
+ * @param {string} productId
+ * @returns {string}
+ */
+export const productTag = (productId) => `product:${productId}`;
+
+/**
+ * initialData에 포함된 모든 상품의 태그 수집
+ * 상품 정보가 바뀌면 상세 페이지뿐 아니라 그 상품이 노출된 목록 페이지도 무효화해야 한다.
+ * @param {Object|null} initialData
+ * @returns {string[]}
+ */
+export const collectProductTags = (initialData) => {
+  if (!initialData) return [];
+
+  const { products = [], currentProduct, relatedProducts = [] } = initialData;
+  const productIds = [...products, currentProduct, ...relatedProducts]
+    .filter(Boolean)
+    .map((product) => product.productId);
+
+  return [...new Set(productIds)].map(productTag);
+};
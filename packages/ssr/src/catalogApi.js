@@ -0,0 +1,36 @@
+import { createProductDetail, findProduct, getUniqueCategories, queryProducts } from "@hanghae-plus/catalog";
+
+/**
+ * 상품 카탈로그 API 핸들러 생성
+ * 조회 규칙은 @hanghae-plus/catalog를 사용하므로 MSW handlers, SSR 데이터 로더와 항상 같은 결과를 응답한다.
+ *
+ * - GET /api/products      : 목록 (page|current, limit, search, category1, category2, sort)
+ * - GET /api/products/:id  : 상세 (없으면 404)
+ * - GET /api/categories    : 카테고리 트리
+ * @param {Object[]} items - 상품 목록 (items.json)
+ * @returns {{ getProducts: Function, getProduct: Function, getCategories: Function }} Express 핸들러
+ */
+export const createCatalogApiHandlers = (items) => {
+  const categories = getUniqueCategories(items);
+
+  const getProducts = (req, res) => {
+    res.json(queryProducts(items, req.query));
+  };
+
+  const getProduct = (req, res) => {
+    const product = findProduct(items, req.params.id);
+
+    if (!product) {
+      res.status(404).json({ error: "Product not found" });
+      return;
+    }
+
+    res.json(createProductDetail(product));
+  };
+
+  const getCategories = (req, res) => {
+    res.json(categories);
+  };
+
+  return { getProducts, getProduct, getCategories };
+};
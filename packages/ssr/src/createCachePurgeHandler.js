@@ -0,0 +1,39 @@
+import { productTag } from "./cacheTags.js";
+
+/**
+ * 렌더 캐시 무효화 엔드포인트 핸들러 생성 (POST /__cache/purge)
+ *
+ * 요청 본문(JSON)
+ * - { "productId": "85067212996" } : 해당 상품이 포함된 모든 페이지 제거
+ * - { "route": "/product/:id/" }   : 라우트 패턴에 매칭되는 페이지 제거
+ * - { "all": true }                : 전체 제거
+ *
+ * token이 설정되면 `Authorization: Bearer <token>` 헤더가 일치해야 한다.
+ * @param {Object} cache - createRenderCache로 만든 캐시
+ * @param {{ token?: string }} [options]
+ * @returns {Function} Express 핸들러
+ */
+export const createCachePurgeHandler = (cache, { token } = {}) => {
+  return (req, res) => {
+    if (token && req.get("authorization") !== `Bearer ${token}`) {
+      res.status(401).json({ error: "Unauthorized" });
+      return;
+    }
+
+    const { productId, route, all } = req.body ?? {};
+    let purged;
+
+    if (all === true) {
+      purged = cache.clear();
+    } else if (productId) {
+      purged = cache.purgeByTag(productTag(String(productId)));
+    } else if (route) {
+      purged = cache.purgeByRoute(String(route));
+    } else {
+      res.status(400).json({ error: "productId, route, all 중 하나가 필요합니다." });
+      return;
+    }
+
+    res.json({ purged, size: cache.size });
+  };
+};
@@ -0,0 +1,178 @@
+/**
+ * 캐시 키에 포함할 쿼리 파라미터
+ * 렌더링 결과에 영향을 주지 않는 파라미터(utm 등)는 키에서 제외해 캐시 적중률을 높인다.
+ */
+export const DEFAULT_CACHE_QUERY_KEYS = ["search", "category1", "category2", "sort", "limit", "page"];
+
+/**
+ * 라우트 패턴(/product/:id/)을 pathname 매칭용 정규식으로 변환
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const createRouteRegex = (pattern) => {
+  const regexPath = normalizePathname(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/:\w+/g, "[^/]+");
+
+  return new RegExp(`^${regexPath}$`);
+};
+
+/**
+ * pathname 정규화 (중복 슬래시 제거, 마지막 슬래시 제거)
+ * @param {string} pathname
+ * @returns {string}
+ */
+export const normalizePathname = (pathname) => {
+  const normalized = pathname.replace(/\/{2,}/g, "/").replace(/\/$/, "");
+  return normalized || "/";
+};
+
+/**
+ * 정규화된 pathname + 정렬된 쿼리로 캐시 키 생성
+ * 여러 값을 가진 쿼리 파라미터(?category1=a&category1=b)는 값을 정렬해 모두 키에 포함한다.
+ * @param {string} url - 요청 URL (base가 제거된 경로)
+ * @param {string[]} [queryKeys] - 키에 포함할 쿼리 파라미터
+ * @returns {{ key: string, pathname: string }|null} 잘못된 퍼센트 인코딩이 있는 URL이면 null (캐싱하지 않음)
+ */
+export const createCacheKey = (url, queryKeys = DEFAULT_CACHE_QUERY_KEYS) => {
+  // "//product" 같은 경로가 호스트로 해석되지 않도록 슬래시를 먼저 정리
+  const { pathname, searchParams } = new URL(url.replace(/^\/{2,}/, "/"), "http://localhost");
+
+  let decodedPathname;
+  try {
+    decodedPathname = decodeURIComponent(pathname);
+  } catch {
+    // "/product/%E0%A4%A/" 같은 URL은 캐시 없이 렌더링 단계의 에러 처리에 맡긴다.
+    return null;
+  }
+  const normalizedPathname = normalizePathname(decodedPathname);
+
+  const query = new URLSearchParams();
+  [...queryKeys].sort().forEach((name) => {
+    searchParams
+      .getAll(name)
+      .filter(Boolean)
+      .sort()
+      .forEach((value) => query.append(name, value));
+  });
+
+  const queryString = query.toString();
+  return {
+    key: queryString ? `${normalizedPathname}?${queryString}` : normalizedPathname,
+    pathname: normalizedPathname,
+  };
+};
+
+/**
+ * SSR 결과를 저장하는 LRU 캐시 생성 함수
+ * 라우트별 TTL이 설정된 경로만 캐싱하며, 가장 오래 사용되지 않은 항목부터 제거한다.
+ * @param {Object} options
+ * @param {Array<{ path: string, ttl: number }>} options.routes - 캐싱할 라우트 패턴과 TTL(ms)
+ * @param {number} [options.maxEntries] - 최대 저장 개수
+ * @param {string[]} [options.queryKeys] - 캐시 키에 포함할 쿼리 파라미터
+ * @param {Function} [options.now] - 현재 시각 함수 (테스트용)
+ * @returns {Object} { createKey, get, set, purgeByTag, purgeByRoute, clear, size }
+ */
+export const createRenderCache = ({
+  routes,
+  maxEntries = 500,
+  queryKeys = DEFAULT_CACHE_QUERY_KEYS,
+  now = Date.now,
+}) => {
+  const routeRules = routes.map(({ path, ttl }) => ({ regex: createRouteRegex(path), ttl }));
+
+  /** @type {Map<string, { value: *, pathname: string, tags: string[], expiresAt: number }>} */
+  const entries = new Map();
+
+  const findTtl = (pathname) => routeRules.find(({ regex }) => regex.test(pathname))?.ttl ?? 0;
+
+  /**
+   * 요청 URL에 대한 캐시 키 생성 (캐싱 대상 라우트가 아니면 null)
+   * @param {string} url
+   * @returns {string|null}
+   */
+  const createKey = (url) => {
+    const cacheKey = createCacheKey(url, queryKeys);
+    return cacheKey && findTtl(cacheKey.pathname) > 0 ? cacheKey.key : null;
+  };
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    // 최근 사용 항목을 Map의 끝으로 이동
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  /**
+   * @param {string} key - createKey로 만든 키
+   * @param {*} value - 저장할 값
+   * @param {{ tags?: string[] }} [options] - 무효화에 사용할 태그 (예: product:123)
+   */
+  const set = (key, value, { tags = [] } = {}) => {
+    const pathname = key.split("?")[0];
+    const ttl = findTtl(pathname);
+    if (ttl <= 0) return;
+
+    entries.delete(key);
+    entries.set(key, { value, pathname, tags, expiresAt: now() + ttl });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const purgeWhere = (predicate) => {
+    let purged = 0;
+    for (const [key, entry] of entries) {
+      if (predicate(entry)) {
+        entries.delete(key);
+        purged++;
+      }
+    }
+    return purged;
+  };
+
+  /**
+   * 태그가 달린 항목 제거
+   * @param {string} tag
+   * @returns {number} 제거된 항목 수
+   */
+  const purgeByTag = (tag) => purgeWhere((entry) => entry.tags.includes(tag));
+
+  /**
+   * 라우트 패턴(/product/:id/, /product/*)에 매칭되는 항목 제거
+   * @param {string} pattern
+   * @returns {number} 제거된 항목 수
+   */
+  const purgeByRoute = (pattern) => {
+    const regex = createRouteRegex(pattern);
+    return purgeWhere((entry) => regex.test(entry.pathname));
+  };
+
+  const clear = () => {
+    const purged = entries.size;
+    entries.clear();
+    return purged;
+  };
+
+  return {
+    createKey,
+    get,
+    set,
+    purgeByTag,
+    purgeByRoute,
+    clear,
+    get size() {
+      return entries.size;
+    },
+  };
+};
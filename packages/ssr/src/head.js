@@ -0,0 +1,227 @@
+import { escapeHtml, serializeForScript } from "./serialize.js";
+
+/**
+ * 라우트가 선언하는 head 메타데이터
+ * @typedef {Object} HeadMeta
+ * @property {string} title - 문서 제목 (사이트명 포함)
+ * @property {string} [description] - 페이지 설명
+ * @property {string} [path] - base를 제외한 경로 (canonical, og:url 생성용, 예: "product/123/")
+ * @property {string} [image] - 대표 이미지 절대 URL (og:image, twitter:image)
+ * @property {string} [type] - og:type (기본값 website)
+ * @property {boolean} [noindex] - 검색엔진 색인 제외 (404/500 등)
+ * @property {Object[]} [jsonLd] - schema.org JSON-LD 객체 목록
+ */
+
+/**
+ * head 생성 공통 옵션
+ * @typedef {Object} HeadOptions
+ * @property {string} origin - 사이트 origin (예: https://example.com)
+ * @property {string} base - 앱 base 경로 (예: /front_7th_chapter4-1/vanilla/)
+ * @property {string} siteName - og:site_name
+ */
+
+/**
+ * canonical 등에 사용할 사이트 origin
+ * 요청 Host 헤더가 아닌 설정값(SITE_ORIGIN)을 사용해야 canonical이 요청마다 달라지지 않는다.
+ * 프로덕션(SSR 서버, SSG)에서 설정이 없으면 localhost URL이 canonical/sitemap에 들어가므로 예외를 던진다.
+ * @returns {string}
+ * @throws {Error} 프로덕션에서 SITE_ORIGIN이 설정되지 않은 경우
+ */
+export const getSiteOrigin = () => {
+  const origin = process.env.SITE_ORIGIN;
+  if (origin) return origin.replace(/\/$/, "");
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SITE_ORIGIN 환경변수가 설정되지 않았습니다. (예: SITE_ORIGIN=https://<username>.github.io)");
+  }
+  return "http://localhost";
+};
+
+/**
+ * origin + base + path로 절대 URL 생성
+ * @param {{ origin: string, base: string }} options
+ * @param {string} [path] - base를 제외한 경로
+ * @returns {string}
+ */
+export const createSiteUrl = ({ origin, base }, path = "") => {
+  const normalizedBase = `/${base}/`.replace(/\/{2,}/g, "/");
+  return `${origin}${normalizedBase}${path.replace(/^\//, "")}`;
+};
+
+/**
+ * 라우트 메타데이터를 head 태그 문자열로 변환
+ * title, description, canonical, Open Graph, Twitter 카드, JSON-LD를 생성한다.
+ * @param {HeadMeta} meta
+ * @param {HeadOptions} options
+ * @returns {string}
+ */
+export const renderHead = (meta, options) => {
+  const { title, description, path, image, type = "website", noindex = false, jsonLd = [] } = meta;
+  const tags = [`<title>${escapeHtml(title)}</title>`];
+
+  const addMeta = (attr, key, content) => {
+    if (content) tags.push(`<meta ${attr}="${key}" content="${escapeHtml(content)}">`);
+  };
+
+  addMeta("name", "description", description);
+
+  if (noindex) {
+    addMeta("name", "robots", "noindex");
+    return tags.join("\n");
+  }
+
+  const url = path === undefined ? null : createSiteUrl(options, path);
+  if (url) tags.push(`<link rel="canonical" href="${escapeHtml(url)}">`);
+
+  addMeta("property", "og:type", type);
+  addMeta("property", "og:site_name", options.siteName);
+  addMeta("property", "og:title", title);
+  addMeta("property", "og:description", description);
+  addMeta("property", "og:url", url);
+  addMeta("property", "og:image", image);
+
+  addMeta("name", "twitter:card", image ? "summary_large_image" : "summary");
+  addMeta("name", "twitter:title", title);
+  addMeta("name", "twitter:description", description);
+  addMeta("name", "twitter:image", image);
+
+  jsonLd.forEach((data) => {
+    tags.push(`<script type="application/ld+json">${serializeForScript(data)}</script>`);
+  });
+
+  return tags.join("\n");
+};
+
+/**
+ * schema.org Product JSON-LD 생성
+ * @param {Object} product - 상품 정보 (items.json 형식)
+ * @param {string} url - 상품 상세 페이지 절대 URL
+ * @returns {Object}
+ */
+export const createProductJsonLd = (product, url) => {
+  const brand = product.brand || product.maker;
+  const category = [product.category1, product.category2, product.category3, product.category4]
+    .filter(Boolean)
+    .join(" > ");
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "Product",
+    name: product.title,
+    image: [product.image],
+    sku: product.productId,
+    ...(brand && { brand: { "@type": "Brand", name: brand } }),
+    ...(category && { category }),
+    offers: {
+      "@type": "Offer",
+      url,
+      priceCurrency: "KRW",
+      price: String(Number(product.lprice)),
+      // 재고 정보가 없는 상품은 판매 중으로 간주 (상세 페이지 기본값과 동일)
+      availability: product.stock === 0 ? "https://schema.org/OutOfStock" : "https://schema.org/InStock",
+      ...(product.mallName && { seller: { "@type": "Organization", name: product.mallName } }),
+    },
+  };
+};
+
+/**
+ * schema.org BreadcrumbList JSON-LD 생성
+ * @param {Array<{ name: string, url: string }>} items - 홈부터 순서대로
+ * @returns {Object}
+ */
+export const createBreadcrumbJsonLd = (items) => ({
+  "@context": "https://schema.org",
+  "@type": "BreadcrumbList",
+  itemListElement: items.map(({ name, url }, index) => ({
+    "@type": "ListItem",
+    position: index + 1,
+    name,
+    item: url,
+  })),
+});
+
+/**
+ * 상품 카테고리로 홈 > category1 > category2 breadcrumb 항목 생성
+ * 카테고리 링크는 홈 목록의 카테고리 필터 URL을 가리킨다.
+ * @param {Object} product
+ * @param {{ origin: string, base: string }} options
+ * @returns {Array<{ name: string, url: string }>}
+ */
+export const createCategoryBreadcrumbs = (product, options) => {
+  const items = [{ name: "홈", url: createSiteUrl(options) }];
+  const query = new URLSearchParams();
+
+  [
+    ["category1", product.category1],
+    ["category2", product.category2],
+  ].forEach(([key, value]) => {
+    if (!value) return;
+    query.set(key, value);
+    items.push({ name: value, url: createSiteUrl(options, `?${query}`) });
+  });
+
+  return items;
+};
+
+/**
+ * 쇼핑몰 페이지별 head 메타데이터 생성 함수 (vanilla/React 공용)
+ * @param {HeadOptions} options - canonical/og:url, JSON-LD URL 생성에 사용할 옵션
+ */
+export const createShopHeads = (options) => {
+  const { siteName } = options;
+
+  /**
+   * 홈페이지 head 메타데이터
+   * 카테고리 필터는 별도 목록 페이지로 보고 canonical에 포함하고, 검색/정렬 등은 제외한다.
+   * @param {Object} [query] - URL 쿼리 파라미터
+   * @returns {HeadMeta}
+   */
+  const homeHead = (query = {}) => {
+    const categoryQuery = new URLSearchParams();
+    if (query.category1) categoryQuery.set("category1", query.category1);
+    if (query.category1 && query.category2) categoryQuery.set("category2", query.category2);
+
+    const queryString = categoryQuery.toString();
+
+    return {
+      title: `${siteName} - 홈`,
+      description: "다양한 상품을 만나보세요",
+      path: queryString ? `?${queryString}` : "",
+    };
+  };
+
+  /**
+   * 상품 상세 페이지 head 메타데이터 (Product, BreadcrumbList JSON-LD 포함)
+   * description은 "상품명 - 브랜드(없으면 제조사) - 가격" 형식
+   * @param {Object|null} product - 상품 정보 (없으면 404)
+   * @returns {HeadMeta}
+   */
+  const productDetailHead = (product) => {
+    if (!product) {
+      return { title: `상품을 찾을 수 없습니다 - ${siteName}`, noindex: true };
+    }
+
+    const path = `product/${product.productId}/`;
+    const price = `${Number(product.lprice).toLocaleString()}원`;
+
+    return {
+      title: `${product.title} - ${siteName}`,
+      description: [product.title, product.brand || product.maker, price].filter(Boolean).join(" - "),
+      path,
+      image: product.image,
+      type: "product",
+      jsonLd: [
+        createProductJsonLd(product, createSiteUrl(options, path)),
+        createBreadcrumbJsonLd(createCategoryBreadcrumbs(product, options)),
+      ],
+    };
+  };
+
+  /** @returns {HeadMeta} 404 페이지 head 메타데이터 */
+  const notFoundHead = () => ({ title: `페이지를 찾을 수 없습니다 - ${siteName}`, noindex: true });
+
+  /** @returns {HeadMeta} 500 페이지 head 메타데이터 */
+  const errorHead = () => ({ title: `오류가 발생했습니다 - ${siteName}`, noindex: true });
+
+  return { homeHead, productDetailHead, notFoundHead, errorHead };
+};
@@ -0,0 +1,7 @@
+export * from "./createRenderCache.js";
+export * from "./createCachePurgeHandler.js";
+export * from "./cacheTags.js";
+export * from "./serialize.js";
+export * from "./head.js";
+export * from "./sitemap.js";
+export * from "./catalogApi.js";
@@ -0,0 +1,57 @@
+/**
+ * <script> 안에 인라인해도 안전하도록 치환할 문자
+ * - `<`, `>`: `</script>`, `<!--`로 스크립트 태그를 빠져나가는 것을 막음
+ * - `&`: HTML 엔티티로 해석되는 것을 막음
+ * - U+2028, U+2029: 구형 JS 엔진에서 문자열 리터럴 안의 줄바꿈으로 해석됨
+ */
+const SCRIPT_UNSAFE_CHARS = {
+  "<": "\\u003c",
+  ">": "\\u003e",
+  "&": "\\u0026",
+  "\u2028": "\\u2028",
+  "\u2029": "\\u2029",
+};
+
+const HTML_UNSAFE_CHARS = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * 데이터를 <script> 태그 안에 넣을 수 있는 JSON 문자열로 직렬화
+ * 치환된 문자는 JSON.parse 및 JS 평가 결과가 원본과 동일하다.
+ * @param {*} data
+ * @returns {string}
+ */
+export const serializeForScript = (data) =>
+  JSON.stringify(data ?? null).replace(/[<>&\u2028\u2029]/g, (char) => SCRIPT_UNSAFE_CHARS[char]);
+
+/**
+ * HTML 텍스트/속성 값 이스케이프 (<title>, <meta content="..."> 생성용)
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (char) => HTML_UNSAFE_CHARS[char]);
+
+/**
+ * initialData 스크립트 태그 생성 (initialData가 없으면 빈 문자열)
+ * @param {Object|null} initialData - 클라이언트로 전달할 초기 데이터
+ * @returns {string}
+ */
+export const createInitialDataScript = (initialData) =>
+  initialData == null ? "" : `<script>window.__INITIAL_DATA__ = ${serializeForScript(initialData)};</script>`;
+
+/**
+ * HTML 템플릿에 SSR 결과 삽입
+ * @param {string} template - HTML 템플릿
+ * @param {{ html: string, head: string, initialData: Object|null }} renderResult - 렌더링 결과
+ * @returns {string}
+ */
+export const applyTemplate = (template, { html, head, initialData }) =>
+  template
+    .replace("<!--app-head-->", () => head)
+    .replace("<!--app-html-->", () => html)
+    .replace("</head>", () => `${createInitialDataScript(initialData)}</head>`);
@@ -0,0 +1,170 @@
+import { createSiteUrl, getSiteOrigin } from "./head.js";
+import { escapeHtml } from "./serialize.js";
+
+/**
+ * 사이트맵 파일 하나에 넣을 수 있는 최대 URL 수 (sitemaps.org 프로토콜 제한)
+ */
+export const SITEMAP_MAX_URLS = 50000;
+
+/**
+ * sitemap.xml, sitemap-N.xml 파일명 패턴
+ */
+const SITEMAP_FILE_PATTERN = /^sitemap(-\d+)?\.xml$/;
+
+/**
+ * 생성한 robots.txt/사이트맵을 재사용하는 기본 시간 (ms)
+ */
+export const SEO_FILE_TTL = 10 * 60 * 1000;
+
+/**
+ * 카탈로그(상품 + 카테고리 트리)로 사이트맵 URL 목록 생성
+ * 홈, 카테고리 필터 목록(category1, category1 + category2), 상품 상세 순서로 나열한다.
+ * @param {{ products: Object[], categories: Object }} catalog - categories는 getUniqueCategories 형식 ({ [cat1]: { [cat2]: {} } })
+ * @param {{ origin: string, base: string }} options
+ * @returns {Array<{ loc: string, changefreq: string, priority: string }>}
+ */
+export const createSitemapUrls = ({ products, categories }, options) => {
+  const urls = [{ loc: createSiteUrl(options), changefreq: "daily", priority: "1.0" }];
+
+  Object.entries(categories).forEach(([category1, subCategories]) => {
+    const query = new URLSearchParams({ category1 });
+    urls.push({ loc: createSiteUrl(options, `?${query}`), changefreq: "daily", priority: "0.8" });
+
+    Object.keys(subCategories).forEach((category2) => {
+      const subQuery = new URLSearchParams({ category1, category2 });
+      urls.push({ loc: createSiteUrl(options, `?${subQuery}`), changefreq: "daily", priority: "0.7" });
+    });
+  });
+
+  products.forEach(({ productId }) => {
+    urls.push({ loc: createSiteUrl(options, `product/${productId}/`), changefreq: "weekly", priority: "0.6" });
+  });
+
+  return urls;
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+const SITEMAP_NAMESPACE = "http://www.sitemaps.org/schemas/sitemap/0.9";
+
+const createUrlSet = (urls) =>
+  [
+    XML_HEADER,
+    `<urlset xmlns="${SITEMAP_NAMESPACE}">`,
+    ...urls.map(
+      ({ loc, changefreq, priority }) =>
+        `<url><loc>${escapeHtml(loc)}</loc><changefreq>${changefreq}</changefreq><priority>${priority}</priority></url>`,
+    ),
+    "</urlset>",
+  ].join("\n");
+
+const createSitemapIndex = (locs) =>
+  [
+    XML_HEADER,
+    `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`,
+    ...locs.map((loc) => `<sitemap><loc>${escapeHtml(loc)}</loc></sitemap>`),
+    "</sitemapindex>",
+  ].join("\n");
+
+/**
+ * robots.txt 내용 생성
+ * @param {{ origin: string, base: string }} options
+ * @returns {string}
+ */
+export const createRobotsTxt = (options) =>
+  ["User-agent: *", "Allow: /", "", `Sitemap: ${createSiteUrl(options, "sitemap.xml")}`, ""].join("\n");
+
+/**
+ * robots.txt와 사이트맵 파일 생성
+ * URL이 chunkSize를 넘으면 sitemap.xml은 sitemap-N.xml 조각들을 가리키는 사이트맵 인덱스가 된다.
+ * @param {{ products: Object[], categories: Object }} catalog
+ * @param {{ origin: string, base: string }} options
+ * @param {{ chunkSize?: number }} [config]
+ * @returns {Object<string, { type: string, body: string }>} 파일명 → 내용
+ */
+export const createSeoFiles = (catalog, options, { chunkSize = SITEMAP_MAX_URLS } = {}) => {
+  const urls = createSitemapUrls(catalog, options);
+  const files = {
+    "robots.txt": { type: "text/plain", body: createRobotsTxt(options) },
+  };
+
+  if (urls.length <= chunkSize) {
+    files["sitemap.xml"] = { type: "application/xml", body: createUrlSet(urls) };
+    return files;
+  }
+
+  const chunkNames = [];
+  for (let start = 0; start < urls.length; start += chunkSize) {
+    const name = `sitemap-${chunkNames.length + 1}.xml`;
+    chunkNames.push(name);
+    files[name] = { type: "application/xml", body: createUrlSet(urls.slice(start, start + chunkSize)) };
+  }
+
+  files["sitemap.xml"] = {
+    type: "application/xml",
+    body: createSitemapIndex(chunkNames.map((name) => createSiteUrl(options, name))),
+  };
+  return files;
+};
+
+/**
+ * robots.txt와 사이트맵 요청을 처리하는 Express 미들웨어 생성
+ * 크롤러는 호스트 루트의 /robots.txt만 읽으므로 robots.txt는 base와 관계없이 루트에서 응답하고,
+ * 사이트맵은 base 경로 아래에서 응답한다.
+ * 생성한 파일은 ttl 동안 재사용해 요청마다 전체 카탈로그로 사이트맵을 다시 만들지 않는다.
+ * @param {Object} config
+ * @param {string} config.base - 앱 base 경로
+ * @param {Function} config.loadCatalog - () => Promise<{ products, categories }>
+ * @param {string} [config.origin] - 사이트 origin (기본값: SITE_ORIGIN 환경변수)
+ * @param {number} [config.chunkSize] - 사이트맵 파일당 최대 URL 수
+ * @param {number} [config.ttl] - 생성한 파일을 재사용할 시간 (ms)
+ * @param {Function} [config.now] - 현재 시각 함수 (테스트용)
+ * @returns {Function} Express 미들웨어
+ */
+export const createSeoFileHandler = ({
+  base,
+  loadCatalog,
+  origin = getSiteOrigin(),
+  chunkSize,
+  ttl = SEO_FILE_TTL,
+  now = Date.now,
+}) => {
+  /** @type {{ files: Promise<Object>, expiresAt: number }|null} */
+  let cached = null;
+
+  const getFiles = () => {
+    if (cached && cached.expiresAt > now()) return cached.files;
+
+    const files = Promise.resolve()
+      .then(loadCatalog)
+      .then((catalog) => createSeoFiles(catalog, { origin, base }, { chunkSize }));
+    cached = { files, expiresAt: now() + ttl };
+
+    // 생성에 실패하면 다음 요청에서 다시 시도
+    files.catch(() => {
+      if (cached?.files === files) cached = null;
+    });
+    return files;
+  };
+
+  const getFileName = (path) => {
+    if (path === "/robots.txt") return "robots.txt";
+    if (!path.startsWith(base)) return null;
+
+    const name = path.slice(base.length);
+    return SITEMAP_FILE_PATTERN.test(name) ? name : null;
+  };
+
+  return async (req, res, next) => {
+    const name = getFileName(req.path);
+    if (!name) return next();
+
+    try {
+      const file = (await getFiles())[name];
+      if (!file) return next();
+
+      res.type(file.type).send(file.body);
+    } catch (e) {
+      next(e);
+    }
+  };
+};
@@ -0,0 +1,173 @@
+import { applyTemplate, collectProductTags, createInitialDataScript } from "@hanghae-plus/ssr";
+
+const MODULE_SCRIPT_PATTERN = /<script type="module"[^>]*\bsrc=[^>]*><\/script>\s*/g;
+
+/**
+ * 스트리밍 전송을 위해 HTML 템플릿을 조각으로 분리
+ * body 끝의 엔트리 모듈 스크립트는 head로 옮겨 첫 flush에 포함시킨다.
+ * (모듈 스크립트는 defer로 동작하므로 head에 있어도 문서 파싱이 끝난 뒤 실행됨)
+ * @param {string} template
+ * @returns {{ beforeHead: string, beforeHtml: string, afterHtml: string }}
+ */
+export function splitTemplate(template) {
+  const [beforeHead, rest] = template.split("<!--app-head-->");
+  const [beforeHtml, afterHtml] = rest.split("<!--app-html-->");
+  const moduleScripts = afterHtml.match(MODULE_SCRIPT_PATTERN) ?? [];
+  return {
+    beforeHead: `${beforeHead}${moduleScripts.join("")}`,
+    beforeHtml,
+    afterHtml: afterHtml.replace(MODULE_SCRIPT_PATTERN, ""),
+  };
+}
+
+/**
+ * 스트리밍 렌더링 결과를 응답으로 전송
+ * head 조각(CSS, 모듈 스크립트, app-head 태그)을 먼저 flush하고,
+ * 본문과 initialData는 데이터가 준비되면 이어서 전송한다.
+ * @param {import("express").Response} res
+ * @param {string} template
+ * @param {{ status: Promise<number>, head: Promise<string>, body: Promise<{ html: string, initialData: Object }> }} stream
+ * @returns {Promise<{ status: number, html: string, initialData: Object }|null>} 전송한 전체 문서 (본문 렌더링 실패 시 null)
+ */
+export async function sendStream(res, template, { status, head, body }) {
+  const { beforeHead, beforeHtml, afterHtml } = splitTemplate(template);
+
+  // head가 실패하면 아직 아무것도 전송되지 않았으므로 에러 처리를 호출자에게 맡김
+  body.catch(() => {});
+  const [statusCode, headHtml] = await Promise.all([status, head]);
+
+  const shell = `${beforeHead}${headHtml}${beforeHtml}`;
+  res.status(statusCode).set({ "Content-Type": "text/html" });
+  res.write(shell);
+  // compression 미들웨어가 버퍼링하지 않도록 즉시 flush
+  res.flush?.();
+
+  let rendered = null;
+  let initialDataScript = "";
+  try {
+    const { html, initialData } = await body;
+    res.write(html);
+    // 모듈 스크립트는 파싱이 끝난 뒤 실행되므로 tail에 넣어도 hydration 전에 준비됨
+    initialDataScript = createInitialDataScript(initialData);
+    rendered = { html, initialData };
+  } catch (e) {
+    // 이미 head가 전송되었으므로 빈 루트로 마무리하고 클라이언트 렌더링에 맡김
+    console.error(e);
+  }
+
+  const tail = afterHtml.replace("</body>", `${initialDataScript}</body>`);
+  res.end(tail);
+
+  return rendered && { status: statusCode, html: `${shell}${rendered.html}${tail}`, initialData: rendered.initialData };
+}
+
+/**
+ * 렌더링 예외 발생 시 500 에러 페이지 전송
+ * 에러 페이지를 만들 수 없는 상황(템플릿/SSR 모듈 로드 실패, 이미 전송 시작)이면 Express 기본 처리로 넘긴다.
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ * @param {Error} error
+ * @param {{ template?: string, ssrModule?: Object }} context
+ */
+export function sendErrorPage(res, next, error, { template, ssrModule }) {
+  if (res.headersSent || !template || !ssrModule?.renderError) {
+    next(error);
+    return;
+  }
+
+  try {
+    const renderResult = ssrModule.renderError(error);
+    res.status(renderResult.status).set({ "Content-Type": "text/html" }).end(applyTemplate(template, renderResult));
+  } catch (e) {
+    console.error(e);
+    next(error);
+  }
+}
+
+/**
+ * SSR 렌더링 미들웨어 생성 (개발 서버와 프로덕션 서버가 함께 사용)
+ * 리다이렉트 → 캐시 → 렌더링(버퍼 또는 스트리밍) 순서로 처리한다.
+ * @param {Object} options
+ * @param {string} options.base - 요청 URL에서 제외할 base 경로
+ * @param {() => Promise<Object>} options.loadSsrModule - main-server 모듈 로드
+ * @param {() => Promise<string>} options.loadTemplate - HTML 템플릿 로드
+ * @param {Object|null} [options.renderCache] - createRenderCache로 만든 캐시 (null이면 캐시 사용 안 함)
+ * @param {boolean} [options.streaming=false] - head를 먼저 전송하는 스트리밍 렌더링 사용 여부
+ * @param {(error: Error) => void} [options.onError] - 에러 로그 전에 호출 (예: vite.ssrFixStacktrace)
+ * @returns {import("express").RequestHandler}
+ */
+export function createRenderMiddleware({
+  base,
+  loadSsrModule,
+  loadTemplate,
+  renderCache = null,
+  streaming = false,
+  onError,
+}) {
+  /**
+   * 캐시된 HTML이 있으면 바로 응답
+   * @returns {boolean} 캐시로 응답했는지 여부
+   */
+  const sendCached = (res, cacheKey) => {
+    const cached = cacheKey && renderCache.get(cacheKey);
+    if (!cached) return false;
+
+    res.status(200).set({ "Content-Type": "text/html", "X-Cache": "HIT" }).end(cached);
+    return true;
+  };
+
+  /**
+   * 쿼리가 라우트 스키마에 맞지 않으면 정규화된 URL로 리다이렉트
+   * @returns {boolean} 리다이렉트했는지 여부
+   */
+  const sendRedirect = (res, ssrModule, url) => {
+    const redirectUrl = ssrModule.getRedirectUrl(url);
+    if (!redirectUrl) return false;
+
+    res.redirect(302, `${base}${redirectUrl.slice(1)}`);
+    return true;
+  };
+
+  /**
+   * 정상 응답(200)만 캐시에 저장
+   * 상품 태그를 함께 저장해 상품 단위로 무효화할 수 있도록 한다.
+   */
+  const storeCache = (cacheKey, rendered) => {
+    if (!cacheKey || rendered?.status !== 200) return;
+    renderCache.set(cacheKey, rendered.html, { tags: collectProductTags(rendered.initialData) });
+  };
+
+  return async (req, res, next) => {
+    const url = req.originalUrl.replace(base, "/");
+    const cacheKey = renderCache ? renderCache.createKey(url) : null;
+    let ssrModule;
+    let template;
+
+    try {
+      ssrModule = await loadSsrModule();
+
+      // 정규화된 URL의 캐시로 응답하지 않도록 리다이렉트를 먼저 확인
+      if (sendRedirect(res, ssrModule, url)) return;
+      if (sendCached(res, cacheKey)) return;
+
+      template = await loadTemplate();
+      if (cacheKey) res.set("X-Cache", "MISS");
+
+      // 스트리밍 모드: head를 먼저 전송하고 본문은 준비되는 대로 전송
+      if (streaming) {
+        storeCache(cacheKey, await sendStream(res, template, ssrModule.renderStream(url)));
+        return;
+      }
+
+      const renderResult = await ssrModule.render(url);
+      const finalHtml = applyTemplate(template, renderResult);
+
+      res.status(renderResult.status).set({ "Content-Type": "text/html" }).end(finalHtml);
+      storeCache(cacheKey, { status: renderResult.status, html: finalHtml, initialData: renderResult.initialData });
+    } catch (e) {
+      onError?.(e);
+      console.error(e);
+      sendErrorPage(res, next, e, { template, ssrModule });
+    }
+  };
+}
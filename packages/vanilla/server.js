@@ -2,7 +2,13 @@ import express from "express";
 import { fileURLToPath } from "url";
 import { dirname, resolve } from "path";
 import fs from "fs/promises";
-import { server as mswServer } from "./src/mocks/node.js";
+import {
+  createCachePurgeHandler,
+  createCatalogApiHandlers,
+  createRenderCache,
+  createSeoFileHandler,
+} from "@hanghae-plus/ssr";
+import { createRenderMiddleware } from "./render-middleware.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -10,42 +16,39 @@ const __dirname = dirname(__filename);
 const prod = process.env.NODE_ENV === "production";
 const port = process.env.PORT || 5173;
 const base = process.env.BASE || (prod ? "/front_7th_chapter4-1/vanilla/" : "/");
-
-// MSW 서버 시작 (Node.js fetch 요청 인터셉트)
-mswServer.listen({
-  onUnhandledRequest: "bypass",
+// 스트리밍 렌더링 모드 (head를 먼저 전송하고 본문은 데이터가 준비되는 대로 전송)
+const streaming = process.env.SSR_STREAM === "true";
+// 렌더 캐시 사용 여부 (기본값: 프로덕션에서만 사용, 개발 환경은 코드 변경이 바로 반영되어야 함)
+const cacheEnabled = process.env.SSR_CACHE ? process.env.SSR_CACHE === "true" : prod;
+const purgeToken = process.env.CACHE_PURGE_TOKEN;
+const purgeEnabled = Boolean(purgeToken) || !prod;
+
+// 렌더링된 HTML 캐시 (라우트별 TTL)
+const renderCache = createRenderCache({
+  routes: [
+    { path: "/", ttl: 30 * 1000 },
+    { path: "/product/:id/", ttl: 5 * 60 * 1000 },
+  ],
 });
 
-/**
- * initialData 스크립트 태그 생성
- * @param {Object} initialData
- * @returns {string}
- */
-function createInitialDataScript(initialData) {
-  return `<script>window.__INITIAL_DATA__ = ${JSON.stringify(initialData)};</script>`;
-}
-
-/**
- * HTML 템플릿에 SSR 결과 삽입
- * @param {string} template
- * @param {{ html: string, head: string, initialData: Object }} renderResult
- * @returns {string}
- */
-function applyTemplate(template, { html, head, initialData }) {
-  const initialDataScript = createInitialDataScript(initialData);
-
-  return template
-    .replace("<!--app-head-->", head)
-    .replace("<!--app-html-->", html)
-    .replace("</head>", `${initialDataScript}</head>`);
-}
+// 상품 카탈로그 API (클라이언트용, SSR 렌더링은 serverProductApi로 카탈로그를 직접 조회)
+const catalogApi = createCatalogApiHandlers(
+  JSON.parse(await fs.readFile(resolve(__dirname, "src/mocks/items.json"), "utf-8")),
+);
 
 async function createServer() {
   const app = express();
 
-  // HTML 템플릿과 render 함수 변수
-  let template;
-  let render;
+  // 렌더 캐시 무효화 (CACHE_PURGE_TOKEN이 설정되면 Bearer 토큰 필요)
+  // 프로덕션은 토큰 없이 누구나 캐시를 비울 수 없도록 토큰이 설정된 경우에만 연결
+  if (purgeEnabled) {
+    app.post("/__cache/purge", express.json(), createCachePurgeHandler(renderCache, { token: purgeToken }));
+  }
+
+  // 상품 카탈로그 API
+  app.get("/api/products", catalogApi.getProducts);
+  app.get("/api/products/:id", catalogApi.getProduct);
+  app.get("/api/categories", catalogApi.getCategories);
 
   if (!prod) {
     // ============================================
@@ -62,35 +65,28 @@ async function createServer() {
     // Vite 미들웨어 사용
     app.use(vite.middlewares);
 
-    app.use(async (req, res, next) => {
-      const url = req.originalUrl.replace(base, "/");
-
-      try {
-        // 1. index.html 읽기
-        template = await fs.readFile(resolve(__dirname, "index.html"), "utf-8");
-
-        // 2. Vite HTML 변환 적용 (HMR 클라이언트 주입 등)
-        template = await vite.transformIndexHtml(url, template);
-
-        // 3. SSR 모듈 로드 (매 요청마다 최신 코드 반영)
-        const ssrModule = await vite.ssrLoadModule("/src/main-server.js");
-        render = ssrModule.render;
-
-        // 4. 렌더링 실행
-        const renderResult = await render(url);
-
-        // 5. 템플릿 적용
-        const finalHtml = applyTemplate(template, renderResult);
-
-        // 6. 응답
-        res.status(200).set({ "Content-Type": "text/html" }).end(finalHtml);
-      } catch (e) {
-        // Vite 에러 처리
-        vite.ssrFixStacktrace(e);
-        console.error(e);
-        next(e);
-      }
-    });
+    // robots.txt, sitemap.xml
+    app.use(
+      createSeoFileHandler({
+        base,
+        loadCatalog: async () => (await vite.ssrLoadModule("/src/main-server.js")).loadSitemapData(),
+      }),
+    );
+
+    app.use(
+      createRenderMiddleware({
+        base,
+        renderCache: cacheEnabled ? renderCache : null,
+        streaming,
+        // 매 요청마다 최신 코드 반영
+        loadSsrModule: () => vite.ssrLoadModule("/src/main-server.js"),
+        // 템플릿은 항상 루트의 index.html이므로 요청 URL 대신 "/" 기준으로 변환 (HMR 클라이언트 주입 등)
+        // (요청 URL을 넘기면 잘못된 퍼센트 인코딩에서 Vite가 예외를 던짐)
+        loadTemplate: async () =>
+          vite.transformIndexHtml("/", await fs.readFile(resolve(__dirname, "index.html"), "utf-8")),
+        onError: (e) => vite.ssrFixStacktrace(e),
+      }),
+    );
   } else {
     // ============================================
     // 프로덕션 환경: 빌드된 파일 사용
@@ -101,39 +97,37 @@ async function createServer() {
     // gzip 압축
     app.use(compression());
 
-    // 정적 파일 서빙 (dist/vanilla)
-    app.use(base, sirv(resolve(__dirname, "dist/vanilla"), { extensions: [] }));
+    // 정적 파일 서빙 (dist/vanilla-ssr-client)
+    // SSR 서버가 /api를 제공하므로 MSW 없이 빌드한 클라이언트(build:client-for-ssr)를 사용
+    app.use(base, sirv(resolve(__dirname, "dist/vanilla-ssr-client"), { extensions: [] }));
 
     // HTML 템플릿 미리 로드
-    template = await fs.readFile(resolve(__dirname, "dist/vanilla/index.html"), "utf-8");
+    const template = await fs.readFile(resolve(__dirname, "dist/vanilla-ssr-client/index.html"), "utf-8");
 
     // SSR 모듈 로드
     const ssrModule = await import(resolve(__dirname, "dist/vanilla-ssr/main-server.js"));
-    render = ssrModule.render;
 
-    app.use(async (req, res, next) => {
-      const url = req.originalUrl.replace(base, "/");
-
-      try {
-        // 1. 렌더링 실행
-        const renderResult = await render(url);
-
-        // 2. 템플릿 적용
-        const finalHtml = applyTemplate(template, renderResult);
-
-        // 3. 응답
-        res.status(200).set({ "Content-Type": "text/html" }).end(finalHtml);
-      } catch (e) {
-        console.error(e);
-        next(e);
-      }
-    });
+    // robots.txt, sitemap.xml
+    app.use(createSeoFileHandler({ base, loadCatalog: ssrModule.loadSitemapData }));
+
+    app.use(
+      createRenderMiddleware({
+        base,
+        renderCache: cacheEnabled ? renderCache : null,
+        streaming,
+        loadSsrModule: async () => ssrModule,
+        loadTemplate: async () => template,
+      }),
+    );
   }
 
   // 서버 시작
   app.listen(port, () => {
     console.log(`Server started at http://localhost:${port}`);
     console.log(`Environment: ${prod ? "production" : "development"}`);
+    console.log(`Rendering: ${streaming ? "streaming" : "buffered"}`);
+    console.log(`Render cache: ${cacheEnabled ? "enabled" : "disabled"}`);
+    console.log(`Cache purge endpoint: ${purgeEnabled ? "enabled" : "disabled (CACHE_PURGE_TOKEN 미설정)"}`);
   });
 }
 
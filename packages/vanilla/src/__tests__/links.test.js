@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { createServerRouter } from "../pages/server/routes.js";
+
+// 테스트와 목 데이터를 제외한 앱 소스
+const sources = import.meta.glob(["../**/*.js", "!../__tests__/**", "!../mocks/**"], {
+  query: "?raw",
+  import: "default",
+  eager: true,
+});
+
+// href="/", push(`/product/${id}/`), `/?${queryString}` 처럼 경로를 직접 쓴 내부 링크
+const HARD_CODED_LINK = /href=["'`]\/|(?:push|router\.replace)\(\s*["'`]\/|["'`]\/(?:product\/)?\?\$\{|\/product\/\$\{/;
+const ROUTE_NAME = /(?:href|pushNamed)\(\s*"([^"]+)"/g;
+
+describe("라우트 링크 > ", () => {
+  it("내부 링크는 경로를 직접 쓰지 않고 router.href / router.pushNamed로 만든다", () => {
+    const hardCoded = Object.entries(sources).flatMap(([file, source]) =>
+      source
+        .split("\n")
+        .map((line, index) => ({ file, line: index + 1, code: line.trim() }))
+        .filter(({ code }) => HARD_CODED_LINK.test(code)),
+    );
+
+    expect(hardCoded).toEqual([]);
+  });
+
+  it("링크에 쓰인 라우트 이름은 모두 서버 라우터에도 등록되어 있다", () => {
+    const router = createServerRouter();
+    const names = new Set(
+      Object.values(sources).flatMap((source) => [...source.matchAll(ROUTE_NAME)].map(([, name]) => name)),
+    );
+
+    expect([...names].sort()).toEqual(["home", "product"]);
+    names.forEach((name) => expect(() => router.href(name, { id: "1" })).not.toThrow());
+    expect(router.href("product", { id: "85067212996" })).toBe("/product/85067212996/");
+    expect(router.href("home", {}, { category1: "생활/건강" })).toBe(`/?category1=${encodeURIComponent("생활/건강")}`);
+  });
+});
@@ -0,0 +1,236 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { Router } from "../lib/Router.js";
+import { ServerRouter } from "../lib/ServerRouter.js";
+import { parseRouteSchema } from "../lib/routeSchema.js";
+import { lazyRoute } from "../lib/lazyRoute.js";
+
+describe("Router 쿼리 파라미터 > ", () => {
+  afterEach(() => {
+    window.history.replaceState(null, "", "/");
+  });
+
+  describe("parseQuery", () => {
+    it("한 번만 나온 키는 문자열, 반복된 키는 배열로 파싱한다", () => {
+      expect(Router.parseQuery("?search=도마&brand=a&brand=b")).toEqual({ search: "도마", brand: ["a", "b"] });
+    });
+
+    it("대괄호 키는 값이 하나여도 배열로 파싱한다", () => {
+      expect(Router.parseQuery("?brand[]=a")).toEqual({ brand: ["a"] });
+      expect(Router.parseQuery("?brand%5B%5D=a&brand%5B%5D=b")).toEqual({ brand: ["a", "b"] });
+    });
+
+    it("comma 형식에서만 콤마로 구분된 값을 배열로 나눈다", () => {
+      expect(Router.parseQuery("?price=0-10000,10000-30000")).toEqual({ price: "0-10000,10000-30000" });
+      expect(Router.parseQuery("?price=0-10000,10000-30000", { arrayFormat: "comma" })).toEqual({
+        price: ["0-10000", "10000-30000"],
+      });
+    });
+  });
+
+  describe("stringifyQuery", () => {
+    it("배열을 arrayFormat에 맞게 인코딩하고 빈 값과 빈 배열은 제외한다", () => {
+      const query = { brand: ["a", "b"], search: "", tags: [], limit: 20, sort: undefined };
+
+      expect(Router.stringifyQuery(query)).toBe("brand=a&brand=b&limit=20");
+      expect(Router.stringifyQuery(query, { arrayFormat: "bracket" })).toBe("brand%5B%5D=a&brand%5B%5D=b&limit=20");
+      expect(Router.stringifyQuery(query, { arrayFormat: "comma" })).toBe("brand=a%2Cb&limit=20");
+    });
+
+    it.each(["repeat", "bracket", "comma"])("%s 형식으로 왕복 변환해도 값이 유지된다", (arrayFormat) => {
+      const query = { brand: ["나이키", "a&b"], category1: "생활/건강", current: "2" };
+      const search = Router.stringifyQuery(query, { arrayFormat });
+
+      expect(Router.parseQuery(search, { arrayFormat })).toEqual(query);
+      expect(Router.stringifyQuery(Router.parseQuery(search, { arrayFormat }), { arrayFormat })).toBe(search);
+    });
+  });
+
+  describe("라우터 인스턴스", () => {
+    it("query 변경 시 기존 배열 쿼리를 유지하고 라우터의 arrayFormat으로 인코딩한다", () => {
+      const router = new Router("", { arrayFormat: "bracket" });
+      router.addRoute("/", () => "home");
+      router.start();
+
+      router.query = { brand: ["a", "b"] };
+      router.query = { current: 2 };
+
+      expect(window.location.search).toBe("?brand%5B%5D=a&brand%5B%5D=b&current=2");
+      expect(router.query).toEqual({ brand: ["a", "b"], current: "2" });
+
+      router.query = { brand: [] };
+      expect(router.query).toEqual({ current: "2" });
+    });
+  });
+});
+
+describe("라우트 스키마 > ", () => {
+  const querySchema = {
+    search: { type: "string", default: "" },
+    sort: { type: "string", values: ["price_asc", "price_desc"], default: "price_asc" },
+    limit: { type: "number", integer: true, min: 1, max: 100, default: 20 },
+    current: { type: "number", integer: true, min: 1, default: 1 },
+  };
+  const paramsSchema = { id: { type: "string", pattern: /^\d+$/ } };
+
+  afterEach(() => {
+    window.history.replaceState(null, "", "/");
+  });
+
+  it("값을 변환하고 없거나 유효하지 않은 값은 기본값으로 대체한다", () => {
+    const { values, invalid, normalized } = parseRouteSchema(querySchema, {
+      limit: "50",
+      sort: "evil",
+      current: "1.5",
+      brand: ["a", "b"],
+    });
+
+    expect(values).toEqual({ search: "", sort: "price_asc", limit: 50, current: 1 });
+    expect(invalid).toEqual(["sort", "current"]);
+    expect(normalized).toEqual({ limit: "50", brand: ["a", "b"] });
+  });
+
+  it("클라이언트 라우터는 유효하지 않은 쿼리를 제거한 URL로 이동하고 변환된 값을 제공한다", () => {
+    const router = new Router("");
+    router.addRoute("/", () => "home", { query: querySchema });
+    router.addRoute("/product/:id/", () => "product", { params: paramsSchema });
+    router.addRoute(".*", () => "404");
+    router.start();
+
+    router.push("/?limit=abc&search=도마&sort=price_desc");
+
+    expect(window.location.search).toBe(`?search=${encodeURIComponent("도마")}&sort=price_desc`);
+    expect(router.parsedQuery).toEqual({ search: "도마", sort: "price_desc", limit: 20, current: 1 });
+
+    router.push("/product/abc/");
+    expect(router.target()).toBe("404");
+  });
+
+  it("서버 라우터는 변환된 값과 리다이렉트 URL을 반환하고 파라미터가 유효하지 않으면 매칭하지 않는다", () => {
+    const router = new ServerRouter();
+    router.addRoute("/", { query: querySchema, render: () => "" });
+    router.addRoute("/product/:id/", { params: paramsSchema, render: () => "" });
+
+    const matched = router.findRoute("/", { current: "0", limit: "10" });
+
+    expect(matched.query).toEqual({ search: "", sort: "price_asc", limit: 10, current: 1 });
+    expect(matched.redirectUrl).toBe("/?limit=10");
+    expect(router.findRoute("/", { limit: "10" }).redirectUrl).toBeNull();
+    expect(router.findRoute("/product/123/").params).toEqual({ id: "123" });
+    expect(router.findRoute("/product/abc/")).toBeNull();
+  });
+});
+
+describe("이름 있는 라우트 > ", () => {
+  afterEach(() => {
+    window.history.replaceState(null, "", "/");
+  });
+
+  it("클라이언트 라우터는 이름으로 baseUrl이 붙은 URL을 만들고 이동한다", () => {
+    const router = new Router("/shop/");
+    router.addRoute("/", () => "home", { name: "home" });
+    router.addRoute("/product/:id/", () => "product", { name: "product" });
+
+    expect(router.href("home", {}, { category1: "생활/건강", category2: undefined })).toBe(
+      `/shop/?category1=${encodeURIComponent("생활/건강")}`,
+    );
+    expect(() => router.href("product")).toThrow("라우트 파라미터가 없습니다: id");
+    expect(() => router.href("cart")).toThrow("등록되지 않은 라우트 이름입니다: cart");
+
+    router.pushNamed("product", { id: 7 });
+    expect(window.location.pathname).toBe("/shop/product/7/");
+    expect(router.target()).toBe("product");
+  });
+
+  it("서버 라우터는 클라이언트와 같은 형식의 URL을 만든다", () => {
+    const router = new ServerRouter("/shop/");
+    router.addRoute("/product/:id/", { name: "product", render: () => "" });
+
+    expect(router.href("product", { id: "a/b" }, { tab: "review" })).toBe("/shop/product/a%2Fb/?tab=review");
+  });
+});
+
+describe("라우트 우선순위와 경로 패턴 > ", () => {
+  afterEach(() => {
+    window.history.replaceState(null, "", "/");
+  });
+
+  it("클라이언트 라우터는 등록 순서와 관계없이 정적 > 동적 > 스플랫 순으로 매칭한다", () => {
+    const router = new Router("");
+    router.addRoute(".*", () => "404");
+    router.addRoute("/product/:id/", () => "product");
+    router.addRoute("/product/new/", () => "new");
+    router.addRoute("/", () => "home");
+
+    router.push("/product/new");
+    expect(router.target()).toBe("new");
+    router.push("/product/12");
+    expect([router.target(), router.params]).toEqual(["product", { id: "12" }]);
+    router.push("/");
+    expect(router.target()).toBe("home");
+    router.push("/a/b/");
+    expect([router.target(), router.params]).toEqual(["404", { "*": "a/b" }]);
+  });
+
+  it("서버 라우터는 선택적 파라미터, 이름 있는 스플랫, trailingSlash 설정을 지원한다", () => {
+    const router = new ServerRouter();
+    router.addRoute("/docs/*rest", { render: () => "" });
+    router.addRoute("/category/:c1/:c2?", { name: "category", render: () => "" });
+
+    expect(router.findRoute("/category/a").params).toEqual({ c1: "a" });
+    expect(router.findRoute("/category/a/b/").params).toEqual({ c1: "a", c2: "b" });
+    expect(router.findRoute("/docs/guide/intro/").params).toEqual({ rest: "guide/intro" });
+    expect(router.href("category", { c1: "a" })).toBe("/category/a");
+
+    const strict = new ServerRouter("", { trailingSlash: "strict" });
+    strict.addRoute("/product/:id/", { render: () => "" });
+    expect(strict.findRoute("/product/1")).toBeNull();
+    expect(strict.findRoute("/product/1/").params).toEqual({ id: "1" });
+  });
+});
+
+describe("lazy 라우트 > ", () => {
+  afterEach(() => {
+    window.history.replaceState(null, "", "/");
+  });
+
+  // 로드가 끝날 때까지 대기
+  const flushNavigation = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  it("핸들러를 불러오는 동안 이전 라우트를 유지하고, 로드되면 한 번만 불러와 이동한다", async () => {
+    const loader = vi.fn(() => Promise.resolve({ default: () => "product" }));
+    const router = new Router();
+    router.addRoute("/", () => "home");
+    router.addRoute("/product/:id/", lazyRoute(loader));
+    router.start();
+
+    router.push("/product/1/");
+    expect([router.pending, router.target(), window.location.pathname]).toEqual([true, "home", "/"]);
+
+    await flushNavigation();
+    expect([router.pending, router.target(), window.location.pathname]).toEqual([false, "product", "/product/1/"]);
+
+    router.push("/");
+    router.push("/product/2/");
+    expect(router.target()).toBe("product");
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it("preload는 실패를 기록하고 다음 호출에서 다시 불러온다", async () => {
+    const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const loader = vi
+      .fn()
+      .mockRejectedValueOnce(new Error("network"))
+      .mockResolvedValue(() => "product");
+    const router = new Router();
+    router.addRoute("/product/:id/", lazyRoute(loader));
+
+    await router.preload("/product/1/");
+    expect(consoleError).toHaveBeenCalledWith("라우트 미리 불러오기 오류:", expect.any(Error));
+
+    await router.preload("/product/1/");
+    router.push("/product/1/");
+    expect(router.target()).toBe("product");
+    expect(loader).toHaveBeenCalledTimes(2);
+    consoleError.mockRestore();
+  });
+});
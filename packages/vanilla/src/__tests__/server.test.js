@@ -0,0 +1,218 @@
+// @vitest-environment node
+import express from "express";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createRenderCache } from "@hanghae-plus/ssr";
+import { createRenderMiddleware, splitTemplate } from "../../render-middleware.js";
+import * as mainServer from "../main-server.js";
+
+const template = `<!doctype html>
+<html>
+  <head>
+    <!--app-head-->
+    <link rel="stylesheet" href="/src/styles.css">
+  </head>
+  <body>
+    <div id="root"><!--app-html--></div>
+    <script type="module" src="/src/main.js"></script>
+  </body>
+</html>`;
+
+const servers = [];
+
+/**
+ * 렌더 미들웨어만 연결한 서버를 임의 포트로 실행
+ * @returns {Promise<string>} 서버 origin
+ */
+const startServer = (options) =>
+  new Promise((resolve) => {
+    const app = express();
+    app.use(createRenderMiddleware({ base: "/", loadTemplate: async () => template, ...options }));
+    const server = app.listen(0, () => resolve(`http://localhost:${server.address().port}`));
+    servers.push(server);
+  });
+
+const createDeferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+/**
+ * 본문을 직접 확정할 수 있는 가짜 SSR 모듈 (스트리밍 순서 확인용)
+ */
+const createStreamModule = ({ status = 200 } = {}) => {
+  const body = createDeferred();
+  return {
+    body,
+    ssrModule: {
+      getRedirectUrl: () => null,
+      renderStream: () => ({
+        status: Promise.resolve(status),
+        head: Promise.resolve("<title>스트림</title>"),
+        body: body.promise,
+      }),
+    },
+  };
+};
+
+const decoder = new TextDecoder();
+const readChunk = async (reader) => decoder.decode((await reader.read()).value);
+const readRest = async (reader) => {
+  let text = "";
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    text += decoder.decode(chunk.value);
+  }
+  return text;
+};
+
+afterEach(async () => {
+  await Promise.all(servers.splice(0).map((server) => new Promise((resolve) => server.close(resolve))));
+  vi.restoreAllMocks();
+});
+
+describe("스트리밍 SSR > ", () => {
+  it("splitTemplate은 엔트리 모듈 스크립트를 head 조각으로 옮긴다", () => {
+    const { beforeHead, beforeHtml, afterHtml } = splitTemplate(template);
+
+    expect(beforeHead).toContain('<script type="module" src="/src/main.js"></script>');
+    expect(beforeHead.indexOf("<head>")).toBeLessThan(beforeHead.indexOf('<script type="module"'));
+    expect(beforeHtml).toContain('<div id="root">');
+    expect(afterHtml).not.toContain("<script");
+    expect(afterHtml).toContain("</body>");
+  });
+
+  it("본문이 준비되기 전에 head와 셸을 먼저 전송하고, 본문과 initialData는 이어서 전송한다", async () => {
+    const { body, ssrModule } = createStreamModule();
+    const origin = await startServer({ streaming: true, loadSsrModule: async () => ssrModule });
+
+    const response = await fetch(`${origin}/`);
+    expect(response.status).toBe(200);
+
+    const reader = response.body.getReader();
+    const shell = await readChunk(reader);
+    expect(shell).toContain("<title>스트림</title>");
+    expect(shell).toContain('<script type="module" src="/src/main.js"></script>');
+    expect(shell.indexOf('<script type="module"')).toBeLessThan(shell.indexOf("</head>"));
+    expect(shell).not.toContain("상품 목록");
+
+    body.resolve({ html: "<p>상품 목록</p>", initialData: { products: [] } });
+    const rest = await readRest(reader);
+    expect(rest).toContain("<p>상품 목록</p>");
+    expect(rest).toContain("window.__INITIAL_DATA__");
+    // 모듈 스크립트는 head로 옮겨졌으므로 본문 끝에 다시 나오지 않음
+    expect(rest).not.toContain('<script type="module"');
+  });
+
+  it("상태 코드는 본문이 아닌 status Promise로 정해진다", async () => {
+    const { body, ssrModule } = createStreamModule({ status: 404 });
+    const origin = await startServer({ streaming: true, loadSsrModule: async () => ssrModule });
+
+    const response = await fetch(`${origin}/product/1/`);
+    expect(response.status).toBe(404);
+
+    body.resolve({ html: "<p>없음</p>", initialData: {} });
+    expect(await response.text()).toContain("<p>없음</p>");
+  });
+
+  it("실제 렌더 파이프라인도 스트리밍 시 라우트의 상태 코드로 응답한다", async () => {
+    const origin = await startServer({ streaming: true, loadSsrModule: async () => mainServer });
+
+    const response = await fetch(`${origin}/product/99999999/`);
+    const html = await response.text();
+
+    expect(response.status).toBe(404);
+    expect(html).toContain("window.__INITIAL_DATA__");
+  });
+
+  it("헤더를 보낸 뒤 본문 렌더링이 실패하면 빈 루트로 문서를 마무리하고 캐시에 저장하지 않는다", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const renderCache = createRenderCache({ routes: [{ path: "/", ttl: 1000 }] });
+    const { body, ssrModule } = createStreamModule();
+    const origin = await startServer({ streaming: true, renderCache, loadSsrModule: async () => ssrModule });
+
+    const response = await fetch(`${origin}/`);
+    body.reject(new Error("본문 렌더링 실패"));
+    const html = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(html).toContain('<div id="root"></div>');
+    expect(html).toContain("</html>");
+    expect(html).not.toContain("window.__INITIAL_DATA__");
+    expect(renderCache.get(renderCache.createKey("/"))).toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(expect.objectContaining({ message: "본문 렌더링 실패" }));
+  });
+});
+
+describe("SSR 상태 코드와 에러 페이지 > ", () => {
+  const startRenderServer = () => startServer({ loadSsrModule: async () => mainServer });
+
+  it("정의되지 않은 경로는 404 페이지로 응답한다", async () => {
+    const origin = await startRenderServer();
+
+    const response = await fetch(`${origin}/unknown/path`);
+    const html = await response.text();
+
+    expect(response.status).toBe(404);
+    expect(html).toContain("페이지를 찾을 수 없습니다");
+    expect(html).toContain('name="robots" content="noindex');
+  });
+
+  it("존재하지 않는 상품과 스키마에 맞지 않는 상품 ID는 404로 응답한다", async () => {
+    const origin = await startRenderServer();
+
+    const missing = await fetch(`${origin}/product/99999999/`);
+    expect(missing.status).toBe(404);
+    expect(await missing.text()).toContain("상품을 찾을 수 없습니다");
+
+    const invalid = await fetch(`${origin}/product/abc/`);
+    expect(invalid.status).toBe(404);
+    expect(await invalid.text()).toContain("페이지를 찾을 수 없습니다");
+  });
+
+  it("존재하는 상품은 200으로 응답한다", async () => {
+    const origin = await startRenderServer();
+
+    const response = await fetch(`${origin}/product/87207169829/`);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain("스탠리 텀블러");
+  });
+
+  it("렌더링 중 예외가 발생하면 서버에서 렌더링한 500 에러 페이지로 응답한다", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const origin = await startServer({
+      loadSsrModule: async () => ({
+        ...mainServer,
+        render: async () => {
+          throw new Error("렌더링 실패");
+        },
+      }),
+    });
+
+    const response = await fetch(`${origin}/`);
+    const html = await response.text();
+
+    expect(response.status).toBe(500);
+    expect(html).toContain("일시적인 오류가 발생했습니다");
+    expect(html).toContain("오류가 발생했습니다 - ");
+    expect(html).toContain('<script type="module" src="/src/main.js"></script>');
+  });
+
+  it("에러 페이지를 만들 수 없으면 Express 기본 에러 처리로 넘긴다", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const origin = await startServer({
+      loadSsrModule: async () => {
+        throw new Error("SSR 모듈 로드 실패");
+      },
+    });
+
+    const response = await fetch(`${origin}/`);
+
+    expect(response.status).toBe(500);
+    expect(await response.text()).not.toContain("일시적인 오류가 발생했습니다");
+  });
+});
@@ -0,0 +1,116 @@
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { ServerRouter } from "../lib/ServerRouter.js";
+import { createServerRouter, notFoundRoute } from "../pages/server/routes.js";
+import { createServerStores } from "../stores/createServerStore.js";
+
+const route = (name, options = {}) => ({ name, render: () => name, ...options });
+
+describe("ServerRouter.findRoute > ", () => {
+  it("등록 순서와 관계없이 정적 > 동적 > 스플랫 순으로 매칭한다", () => {
+    const router = new ServerRouter();
+    router.addRoute("/*rest", route("fallback"));
+    router.addRoute("/product/:id/", route("product"));
+    router.addRoute("/product/new/", route("new"));
+    router.addRoute("/", route("home"));
+
+    expect(router.findRoute("/product/new/").handler.name).toBe("new");
+    expect(router.findRoute("/product/12/")).toMatchObject({ path: "/product/:id/", params: { id: "12" } });
+    expect(router.findRoute("/").handler.name).toBe("home");
+    expect(router.findRoute("/a/b/")).toMatchObject({ path: "/*rest", params: { rest: "a/b" } });
+  });
+
+  it("우선순위가 같으면 먼저 등록한 라우트를 사용한다", () => {
+    const router = new ServerRouter();
+    router.addRoute("/product/:id/", route("first"));
+    router.addRoute("/product/:slug/", route("second"));
+
+    expect(router.findRoute("/product/1/").handler.name).toBe("first");
+  });
+
+  it("파라미터가 스키마에 맞지 않으면 다음 순위 라우트를 확인하고, 없으면 null을 반환한다", () => {
+    const router = new ServerRouter();
+    router.addRoute("/product/:id/", route("product", { params: { id: { type: "string", pattern: /^\d+$/ } } }));
+
+    expect(router.findRoute("/product/abc/")).toBeNull();
+
+    router.addRoute("/*rest", route("fallback"));
+    expect(router.findRoute("/product/abc/").handler.name).toBe("fallback");
+    expect(router.findRoute("/product/123/").handler.name).toBe("product");
+  });
+
+  it("쿼리스트링은 매칭에 사용하지 않고, 스키마가 없는 라우트는 redirectUrl이 null이다", () => {
+    const router = new ServerRouter();
+    router.addRoute("/product/:id/", route("product"));
+
+    const matched = router.findRoute("/product/1/?tab=review", { tab: "review" });
+
+    expect(matched.params).toEqual({ id: "1" });
+    expect(matched.query).toEqual({ tab: "review" });
+    expect(matched.redirectUrl).toBeNull();
+  });
+});
+
+describe("ServerRouter.href > ", () => {
+  it("baseUrl을 붙이고 경로 파라미터를 인코딩하며 빈 쿼리는 제외한다", () => {
+    const router = new ServerRouter("/shop/");
+    router.addRoute("/", route("home"));
+    router.addRoute("/product/:id/", route("product"));
+
+    expect(router.href("home")).toBe("/shop/");
+    expect(router.href("home", {}, { search: "", sort: "price_desc" })).toBe("/shop/?sort=price_desc");
+    expect(router.href("product", { id: "a/b" })).toBe("/shop/product/a%2Fb/");
+  });
+
+  it("등록되지 않은 이름이나 빠진 파라미터는 예외를 던진다", () => {
+    const router = new ServerRouter();
+    router.addRoute("/product/:id/", route("product"));
+
+    expect(() => router.href("cart")).toThrow("등록되지 않은 라우트 이름입니다: cart");
+    expect(() => router.href("product")).toThrow("라우트 파라미터가 없습니다: id");
+  });
+});
+
+describe("서버 라우트 정의 > ", () => {
+  const router = createServerRouter();
+
+  it("홈은 쿼리를 스키마로 변환하고, 유효하지 않은 값은 제거한 redirectUrl을 반환한다", () => {
+    const matched = router.findRoute("/", { search: "쇼핑백", limit: "abc", sort: "evil" });
+
+    expect(matched.handler.name).toBe("home");
+    expect(matched.query).toEqual({
+      search: "쇼핑백",
+      category1: "",
+      category2: "",
+      sort: "price_asc",
+      limit: 20,
+      current: 1,
+    });
+    expect(matched.redirectUrl).toBe(`/?search=${encodeURIComponent("쇼핑백")}`);
+    expect(router.findRoute("/", { search: "쇼핑백", limit: "10" }).redirectUrl).toBeNull();
+  });
+
+  it("상품 상세는 숫자 ID만 매칭하고, 매칭되지 않는 경로는 null이 되어 404 라우트로 렌더링된다", () => {
+    expect(router.findRoute("/product/87207169829/")).toMatchObject({
+      handler: { name: "product" },
+      params: { id: "87207169829" },
+    });
+    expect(router.findRoute("/product/abc/")).toBeNull();
+    expect(router.findRoute("/unknown/path")).toBeNull();
+    expect(router.findRoute("/404").handler).toBe(notFoundRoute);
+  });
+
+  it("상품 상세 loader는 상품이 없으면 404, 있으면 200 상태를 반환한다", async () => {
+    const load = (id) =>
+      router.findRoute(`/product/${id}/`).handler.loader({ params: { id }, query: {}, stores: createServerStores() });
+
+    expect((await load("99999999")).status).toBe(404);
+    expect((await load("87207169829")).status).toBe(200);
+    expect(notFoundRoute.loader().status).toBe(404);
+  });
+
+  it("이름으로 라우트 URL을 만든다", () => {
+    expect(router.href("home", {}, { category1: "생활/건강" })).toBe(`/?category1=${encodeURIComponent("생활/건강")}`);
+    expect(router.href("product", { id: "87207169829" })).toBe("/product/87207169829/");
+  });
+});
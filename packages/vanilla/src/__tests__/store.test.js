@@ -0,0 +1,156 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { applyMiddleware, compose, createStore } from "../lib/createStore.js";
+import { combineReducers, createSlice } from "../lib/createSlice.js";
+import { devTools } from "../lib/devtools.js";
+import { thunk } from "../lib/middlewares.js";
+import { cartStore, cartActions, selectCartSummary, uiStore, uiActions } from "../stores";
+import { loadCartFromStorage } from "../services";
+
+const counterReducer = (state, action) => (action.type === "add" ? { count: state.count + action.payload } : state);
+
+describe("createStore 미들웨어 > ", () => {
+  it("미들웨어는 순서대로 실행되고, thunk는 함수 액션의 반환값을 돌려준다", async () => {
+    const calls = [];
+    const trace = (name) => () => (next) => (action) => {
+      calls.push(name);
+      return next(action);
+    };
+    const store = createStore(counterReducer, { count: 0 }, applyMiddleware(thunk, trace("a"), trace("b")));
+
+    const result = store.dispatch(async (dispatch, getState) => {
+      await Promise.resolve();
+      dispatch({ type: "add", payload: 2 });
+      return getState().count;
+    });
+
+    await expect(result).resolves.toBe(2);
+    expect(calls).toEqual(["a", "b"]);
+  });
+});
+
+describe("createSlice / combineReducers > ", () => {
+  it("슬라이스 액션 생성자로 루트 스토어의 해당 슬라이스만 바꾼다", () => {
+    const counterSlice = createSlice({
+      name: "counter",
+      initialState: { count: 0 },
+      reducers: { add: (state, action) => ({ count: state.count + action.payload }) },
+    });
+    const rootReducer = combineReducers({ counter: counterSlice.reducer, cart: (state = []) => state });
+    const store = createStore(rootReducer, { counter: counterSlice.initialState, cart: [] });
+    const { cart } = store.getState();
+
+    store.dispatch(counterSlice.actions.add(2));
+
+    expect(counterSlice.actions.add(2)).toEqual({ type: "counter/add", payload: 2 });
+    expect(store.getState()).toEqual({ counter: { count: 2 }, cart: [] });
+    expect(store.getState().cart).toBe(cart);
+  });
+});
+
+describe("앱 스토어 > ", () => {
+  afterEach(() => {
+    cartStore.dispatch(cartActions.clearCart());
+    localStorage.clear();
+    vi.useRealTimers();
+  });
+
+  it("장바구니는 이전 형식으로 저장된 데이터를 변환해 불러오고, 바뀔 때마다 버전과 함께 저장한다", () => {
+    const savedItem = { id: "1", title: "컵", image: "", price: 1000, quantity: 2 };
+    localStorage.setItem("shopping_cart", JSON.stringify({ items: [savedItem], selectedAll: false }));
+
+    loadCartFromStorage();
+    expect(cartStore.getState().items).toEqual([{ ...savedItem, selected: false }]);
+
+    cartStore.dispatch(cartActions.toggleSelect("1"));
+    expect(JSON.parse(localStorage.getItem("shopping_cart"))).toEqual({
+      version: 1,
+      state: { items: [{ ...savedItem, selected: true }], selectedAll: true },
+    });
+  });
+
+  it("토스트는 일정 시간 뒤 자동으로 숨겨지고, 새 토스트가 표시되면 타이머를 다시 시작한다", () => {
+    vi.useFakeTimers();
+
+    uiStore.dispatch(uiActions.showToast({ message: "첫 번째" }));
+    vi.advanceTimersByTime(2000);
+    uiStore.dispatch(uiActions.showToast({ message: "두 번째" }));
+    vi.advanceTimersByTime(2000);
+    expect(uiStore.getState().toast).toMatchObject({ isVisible: true, message: "두 번째" });
+
+    vi.advanceTimersByTime(1000);
+    expect(uiStore.getState().toast.isVisible).toBe(false);
+  });
+
+  it("UI 액션은 담당 상태 키만 바꾸고 나머지 키는 이전 참조를 유지한다", () => {
+    const before = uiStore.getState();
+
+    // 액션 타입은 담당 상태 키 이름의 슬라이스 기준
+    expect([uiActions.openCartModal.type, uiActions.setGlobalLoading.type, uiActions.showToast.type]).toEqual([
+      "cartModal/openCartModal",
+      "globalLoading/setGlobalLoading",
+      "toast/showToast",
+    ]);
+
+    uiStore.dispatch(uiActions.openCartModal());
+    const opened = uiStore.getState();
+    expect(opened.cartModal.isOpen).toBe(true);
+    expect(opened.toast).toBe(before.toast);
+
+    uiStore.dispatch(uiActions.setGlobalLoading(true));
+    expect(uiStore.getState()).toMatchObject({ globalLoading: true, cartModal: opened.cartModal });
+
+    // 처리하지 않는 액션은 이전 상태를 그대로 반환해 구독자에게 알리지 않음
+    const loading = uiStore.getState();
+    uiStore.dispatch({ type: "cart/addItem" });
+    expect(uiStore.getState()).toBe(loading);
+
+    uiStore.dispatch(uiActions.closeCartModal());
+    uiStore.dispatch(uiActions.setGlobalLoading(false));
+  });
+
+  it("장바구니 요약은 items가 바뀔 때만 다시 계산한다", () => {
+    const product = { productId: "1", title: "컵", image: "", lprice: "1000" };
+    selectCartSummary.resetRecomputations();
+
+    cartStore.dispatch(cartActions.addItem({ product, quantity: 2 }));
+    const summary = selectCartSummary(cartStore.getState());
+    uiStore.dispatch(uiActions.openCartModal());
+    uiStore.dispatch(uiActions.closeCartModal());
+    expect(selectCartSummary(cartStore.getState())).toBe(summary);
+    expect(summary).toEqual({ selectedCount: 0, totalAmount: 2000, selectedAmount: 0 });
+
+    cartStore.dispatch(cartActions.toggleSelect("1"));
+    expect(selectCartSummary(cartStore.getState())).toEqual({
+      selectedCount: 1,
+      totalAmount: 2000,
+      selectedAmount: 2000,
+    });
+    expect(selectCartSummary.recomputations()).toBe(2);
+  });
+});
+
+describe("devTools > ", () => {
+  afterEach(() => {
+    delete window.__REDUX_DEVTOOLS_EXTENSION__;
+  });
+
+  it("액션과 다음 상태를 보내고, 확장 프로그램의 시간 여행 메시지로 상태를 되돌린다", () => {
+    let listener;
+    const connection = { init: vi.fn(), send: vi.fn(), subscribe: vi.fn((fn) => (listener = fn)) };
+    window.__REDUX_DEVTOOLS_EXTENSION__ = { connect: vi.fn(() => connection) };
+
+    const store = createStore(
+      counterReducer,
+      { count: 0 },
+      compose(applyMiddleware(thunk), devTools({ name: "counter" })),
+    );
+    store.dispatch((dispatch) => dispatch({ type: "add", payload: 3 }));
+
+    expect(connection.init).toHaveBeenCalledWith({ count: 0 });
+    expect(connection.send).toHaveBeenCalledExactlyOnceWith({ type: "add", payload: 3 }, { count: 3 });
+
+    listener({ type: "DISPATCH", payload: { type: "JUMP_TO_STATE" }, state: JSON.stringify({ count: 0 }) });
+    expect(store.getState()).toEqual({ count: 0 });
+    expect(connection.send).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,30 +1,29 @@
-// 서버 환경에서는 절대 URL이 필요 (MSW가 인터셉트)
-const BASE_URL = typeof window === "undefined" ? "http://localhost" : "";
+import { parseRouteSchema, Router } from "../lib";
+import { productListQuerySchema } from "../router/schemas.js";
+
+// 클라이언트 전용 (서버 렌더링은 serverProductApi로 카탈로그를 직접 조회)
 
 export async function getProducts(params = {}) {
-  const { limit = 20, search = "", category1 = "", category2 = "", sort = "price_asc" } = params;
-  const page = params.current ?? params.page ?? 1;
+  // 라우터와 같은 스키마로 해석해 유효하지 않은 값은 기본값으로 대체
+  const { current, limit, search, category1, category2, sort } = parseRouteSchema(
+    productListQuerySchema,
+    params,
+  ).values;
 
-  const searchParams = new URLSearchParams({
-    page: page.toString(),
-    limit: limit.toString(),
-    ...(search && { search }),
-    ...(category1 && { category1 }),
-    ...(category2 && { category2 }),
-    sort,
-  });
+  // 다중 값(배열)은 반복 키로 전달하고 빈 값은 제외
+  const searchParams = Router.stringifyQuery({ page: current, limit, search, category1, category2, sort });
 
-  const response = await fetch(`${BASE_URL}/api/products?${searchParams}`);
+  const response = await fetch(`/api/products?${searchParams}`);
 
   return await response.json();
 }
 
 export async function getProduct(productId) {
-  const response = await fetch(`${BASE_URL}/api/products/${productId}`);
+  const response = await fetch(`/api/products/${productId}`);
   return await response.json();
 }
 
 export async function getCategories() {
-  const response = await fetch(`${BASE_URL}/api/categories`);
+  const response = await fetch(`/api/categories`);
   return await response.json();
 }
@@ -0,0 +1,32 @@
+import { createProductDetail, findProduct, getUniqueCategories, queryProducts } from "@hanghae-plus/catalog";
+import { parseRouteSchema } from "../lib";
+import { productListQuerySchema } from "../router/schemas.js";
+import items from "../mocks/items.json" with { type: "json" };
+
+// 서버 렌더링용 상품 API
+// 자기 자신의 /api 라우트를 HTTP로 다시 호출하지 않고 카탈로그를 직접 조회한다. (응답 형식은 productApi와 동일)
+
+const categories = getUniqueCategories(items);
+
+export async function getProducts(params = {}) {
+  // 라우터와 같은 스키마로 해석해 유효하지 않은 값은 기본값으로 대체
+  const { current, limit, search, category1, category2, sort } = parseRouteSchema(
+    productListQuerySchema,
+    params,
+  ).values;
+
+  return queryProducts(items, { page: current, limit, search, category1, category2, sort });
+}
+
+/**
+ * @param {string} productId
+ * @returns {Promise<Object|null>} 상품 상세 (없으면 null)
+ */
+export async function getProduct(productId) {
+  const product = findProduct(items, productId);
+  return product ? createProductDetail(product) : null;
+}
+
+export async function getCategories() {
+  return categories;
+}
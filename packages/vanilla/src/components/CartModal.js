@@ -1,17 +1,13 @@
 import { CartItem } from "./CartItem";
+import { selectCartSummary } from "../stores/selectors.js";
 
 export function CartModal({ items = [], selectedAll = false, isOpen = false }) {
   if (!isOpen) {
     return "";
   }
 
-  // 선택된 아이템들
-  const selectedItems = items.filter((item) => item.selected);
-  const selectedCount = selectedItems.length;
-
-  // 총 금액 계산
-  const totalAmount = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-  const selectedAmount = selectedItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  // 선택 개수와 총 금액 (items가 그대로면 이전 계산 결과 재사용)
+  const { selectedCount, totalAmount, selectedAmount } = selectCartSummary({ items });
 
   return `
     <div class="fixed inset-0 z-50 overflow-y-auto cart-modal">
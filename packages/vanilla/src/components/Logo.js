@@ -1,7 +1,10 @@
-export function Logo() {
+/**
+ * @param {string} homeUrl - 홈 URL (router.href("home"))
+ */
+export function Logo(homeUrl) {
   return `
     <h1 class="text-xl font-bold text-gray-900">
-      <a href="/" data-link>쇼핑몰</a>
+      <a href="${homeUrl}" data-link>쇼핑몰</a>
     </h1>
   `;
 }
@@ -16,7 +16,7 @@ import {
   toggleCartSelect,
   updateCartQuantity,
 } from "./services";
-import { productStore, uiStore, UI_ACTIONS } from "./stores";
+import { productStore, uiStore, uiActions } from "./stores";
 
 /**
  * 상품 관련 이벤트 등록
@@ -147,7 +147,7 @@ export function registerProductDetailEvents() {
     if (!productId) return;
 
     // 상품 상세 페이지로 이동
-    router.push(`/product/${productId}/`);
+    router.pushNamed("product", { id: productId });
   });
 
   // 상품 상세 페이지에서 관련 상품 클릭
@@ -156,7 +156,7 @@ export function registerProductDetailEvents() {
     if (!productId) return;
 
     // 상품 상세 페이지로 이동
-    router.push(`/product/${productId}/`);
+    router.pushNamed("product", { id: productId });
   });
 
   // 상품 상세 페이지에서 브레드크럼 카테고리 클릭
@@ -174,8 +174,7 @@ export function registerProductDetailEvents() {
           break;
         }
       }
-      const queryString = new URLSearchParams(categories).toString();
-      router.push(`/?${queryString}`);
+      router.pushNamed("home", {}, categories);
     } catch (error) {
       console.error("브레드크럼 카테고리 필터 실패:", error);
     }
@@ -188,8 +187,7 @@ export function registerProductDetailEvents() {
       category2: product?.category2,
       currentPage: 1,
     };
-    const queryString = new URLSearchParams(query).toString();
-    router.push(`/?${queryString}`);
+    router.pushNamed("home", {}, query);
   });
 
   // 상품 상세 페이지에서 수량 증가/감소
@@ -317,12 +315,12 @@ export function registerCartEvents() {
 export function registerCartModalEvents() {
   // 장바구니 아이콘 클릭 시 모달 열기
   addEvent("click", "#cart-icon-btn", () => {
-    uiStore.dispatch({ type: UI_ACTIONS.OPEN_CART_MODAL });
+    uiStore.dispatch(uiActions.openCartModal());
   });
 
   // 장바구니 모달 닫기 (X 버튼, 배경 클릭)
   addEvent("click", "#cart-modal-close-btn, .cart-modal-overlay", () => {
-    uiStore.dispatch({ type: UI_ACTIONS.CLOSE_CART_MODAL });
+    uiStore.dispatch(uiActions.closeCartModal());
   });
 
   // ESC 키로 장바구니 모달 닫기
@@ -330,7 +328,7 @@ export function registerCartModalEvents() {
     if (e.key === "Escape") {
       const cartModalState = uiStore.getState().cartModal;
       if (cartModalState.isOpen) {
-        uiStore.dispatch({ type: UI_ACTIONS.CLOSE_CART_MODAL });
+        uiStore.dispatch(uiActions.closeCartModal());
       }
     }
   });
@@ -355,13 +353,12 @@ export function registerCartModalEvents() {
   // 장바구니 모달 구매하기
   addEvent("click", "#cart-modal-checkout-btn", () => {
     // 구매하기 로직 추가 (추후 구현)
-    uiStore.dispatch({
-      type: UI_ACTIONS.SHOW_TOAST,
-      payload: {
+    uiStore.dispatch(
+      uiActions.showToast({
         message: "구매 기능은 추후 구현 예정입니다.",
         type: "info",
-      },
-    });
+      }),
+    );
   });
 }
 
@@ -400,7 +397,7 @@ export function registerScrollEvents() {
 export function registerToastEvents() {
   // 토스트 닫기
   addEvent("click", "#toast-close-btn", () => {
-    uiStore.dispatch({ type: UI_ACTIONS.HIDE_TOAST });
+    uiStore.dispatch(uiActions.hideToast());
   });
 }
 
@@ -413,6 +410,24 @@ export function registerLinkEvents() {
       router.push(url);
     }
   });
+
+  // 링크나 상품 카드에 마우스를 올리거나 터치하면 이동할 페이지를 미리 불러옴
+  const preloadLink = (e) => {
+    const url = e.target.closest("[data-link]").getAttribute("href");
+    if (url) {
+      router.preload(url);
+    }
+  };
+  const preloadProduct = (e) => {
+    const productId = e.target.closest("[data-product-id]").dataset.productId;
+    if (productId) {
+      router.preload(router.href("product", { id: productId }));
+    }
+  };
+  ["mouseover", "touchstart"].forEach((eventType) => {
+    addEvent(eventType, "[data-link]", preloadLink);
+    addEvent(eventType, ".product-card, .related-product-card", preloadProduct);
+  });
 }
 
 /**
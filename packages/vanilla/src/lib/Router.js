@@ -2,21 +2,56 @@
  * 간단한 SPA 라우터
  */
 import { createObserver } from "./createObserver.js";
+import { getNormalizedUrl, parseRouteSchema } from "./routeSchema.js";
+import { buildPath, compareRouteRank, compilePath, matchPath } from "./routePath.js";
+import { isLazyRoute, resolveRouteHandler } from "./lazyRoute.js";
 
 export class Router {
+  // 우선순위(정적 > 동적 > 선택적 > 스플랫) 순으로 정렬된 라우트
   #routes;
   #route;
   #observer = createObserver();
   #baseUrl;
+  #queryOptions;
+  #trailingSlash;
+  // 히스토리 항목 key별 스크롤 위치
+  #scrollPositions = new Map();
+  // 현재 히스토리 항목의 key
+  #entryKey = null;
+  // 라우트 이름별 경로 패턴
+  #namedPaths = new Map();
+  // 진행 중인 네비게이션 식별자 (lazy 핸들러를 불러오는 중 새 네비게이션이 시작되면 이전 것은 무시)
+  #navigationId = 0;
+  // lazy 핸들러를 불러오는 중인지 여부
+  #pending = false;
 
-  constructor(baseUrl = "") {
+  /**
+   * @param {string} [baseUrl]
+   * @param {Object} [options]
+   * @param {"repeat"|"bracket"|"comma"} [options.arrayFormat="repeat"] - 배열 쿼리 인코딩 방식
+   * @param {import("./routePath.js").TrailingSlash} [options.trailingSlash="optional"] - 끝 슬래시 처리 방식
+   */
+  constructor(baseUrl = "", { arrayFormat = "repeat", trailingSlash = "optional" } = {}) {
     this.#routes = new Map();
     this.#route = null;
     this.#baseUrl = baseUrl.replace(/\/$/, "");
+    this.#queryOptions = { arrayFormat };
+    this.#trailingSlash = trailingSlash;
+
+    // 브라우저 기본 복원은 렌더링 전에 실행되어 위치가 맞지 않으므로 라우터가 직접 복원
+    if ("scrollRestoration" in window.history) {
+      window.history.scrollRestoration = "manual";
+    }
 
     window.addEventListener("popstate", () => {
-      this.#route = this.#findRoute();
-      this.#observer.notify();
+      // popstate 시점에는 스크롤이 아직 떠나는 항목의 위치에 있음
+      this.#saveScrollPosition();
+      this.#entryKey = Router.readEntry().key ?? null;
+      this.#replaceInvalidQuery();
+      this.#resolve(window.location.pathname, (route) => {
+        this.#setRoute(route);
+        this.#restoreScrollPosition();
+      });
     });
   }
 
@@ -25,18 +60,59 @@ export class Router {
   }
 
   get query() {
-    return Router.parseQuery(window.location.search);
+    return Router.parseQuery(window.location.search, this.#queryOptions);
   }
 
   set query(newQuery) {
-    const newUrl = Router.getUrl(newQuery, this.#baseUrl);
-    this.push(newUrl);
+    this.setQuery(newQuery);
+  }
+
+  /**
+   * 현재 쿼리에 newQuery를 병합해 이동
+   * @param {Object} newQuery - 변경할 쿼리
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - true면 히스토리를 쌓지 않고 현재 항목을 교체 (무한 스크롤 등)
+   * @param {*} [options.state] - 히스토리 항목에 저장할 상태
+   */
+  setQuery(newQuery, { replace = false, state } = {}) {
+    const newUrl = Router.getUrl(newQuery, this.#baseUrl, this.#queryOptions);
+    if (replace) {
+      this.replace(newUrl, state);
+    } else {
+      this.push(newUrl, state);
+    }
+  }
+
+  /**
+   * 현재 히스토리 항목의 상태 (history.state)
+   */
+  get state() {
+    return Router.readEntry().state ?? null;
   }
 
   get params() {
     return this.#route?.params ?? {};
   }
 
+  /**
+   * 라우트 스키마로 변환/검증된 경로 파라미터 (스키마가 없으면 params와 같음)
+   */
+  get parsedParams() {
+    const route = this.#route;
+    if (!route?.paramsSchema) return this.params;
+    return { ...route.params, ...parseRouteSchema(route.paramsSchema, route.params).values };
+  }
+
+  /**
+   * 라우트 스키마로 변환/검증된 쿼리 (default가 채워지며, 스키마에 없는 항목은 문자열 그대로 포함)
+   */
+  get parsedQuery() {
+    const query = this.query;
+    const schema = this.#route?.querySchema;
+    if (!schema) return query;
+    return { ...query, ...parseRouteSchema(schema, query).values };
+  }
+
   get route() {
     return this.#route;
   }
@@ -45,47 +121,56 @@ export class Router {
     return this.#route?.handler;
   }
 
+  /**
+   * 이동할 라우트의 lazy 핸들러를 불러오는 중인지 여부 (불러오는 동안에는 이전 라우트가 유지됨)
+   */
+  get pending() {
+    return this.#pending;
+  }
+
   subscribe(fn) {
     this.#observer.subscribe(fn);
   }
 
   /**
    * 라우트 등록
-   * @param {string} path - 경로 패턴 (예: "/product/:id")
-   * @param {Function} handler - 라우트 핸들러
+   * @param {string} path - 경로 패턴 (예: "/product/:id/", "/category/:c1/:c2?", "/docs/*rest")
+   * @param {Function|import("./lazyRoute.js").LazyRoute} handler - 라우트 핸들러 (lazyRoute로 감싸면 처음 매칭될 때 불러옴)
+   * @param {Object} [options]
+   * @param {string} [options.name] - 라우트 이름 (router.href, router.pushNamed로 URL을 만들 때 사용)
+   * @param {import("./routeSchema.js").RouteSchema} [options.params] - 경로 파라미터 스키마 (유효하지 않으면 매칭되지 않음)
+   * @param {import("./routeSchema.js").RouteSchema} [options.query] - 쿼리 스키마 (유효하지 않은 값은 URL에서 제거)
    */
-  addRoute(path, handler) {
-    // 경로 패턴을 정규식으로 변환
-    const paramNames = [];
-    const regexPath = path
-      .replace(/:\w+/g, (match) => {
-        paramNames.push(match.slice(1)); // ':id' -> 'id'
-        return "([^/]+)";
-      })
-      .replace(/\//g, "\\/");
-
-    const regex = new RegExp(`^${this.#baseUrl}${regexPath}$`);
+  addRoute(path, handler, { name, params, query } = {}) {
+    if (name) {
+      this.#namedPaths.set(name, path);
+    }
 
     this.#routes.set(path, {
-      regex,
-      paramNames,
+      ...compilePath(path, { baseUrl: this.#baseUrl, trailingSlash: this.#trailingSlash }),
       handler,
+      paramsSchema: params,
+      querySchema: query,
     });
+
+    // 등록 순서와 관계없이 더 구체적인 라우트를 먼저 확인 (우선순위가 같으면 등록 순서 유지)
+    this.#routes = new Map([...this.#routes].sort(([, a], [, b]) => compareRouteRank(a.rank, b.rank)));
   }
 
   #findRoute(url = window.location.pathname) {
     const { pathname } = new URL(url, window.location.origin);
     for (const [routePath, route] of this.#routes) {
-      const match = pathname.match(route.regex);
-      if (match) {
-        // 매치된 파라미터들을 객체로 변환
-        const params = {};
-        route.paramNames.forEach((name, index) => {
-          params[name] = match[index + 1];
-        });
+      const params = matchPath(route, pathname);
+      if (params) {
+        // 파라미터가 스키마에 맞지 않으면 다음 라우트(예: 404) 확인
+        if (route.paramsSchema && parseRouteSchema(route.paramsSchema, params).invalid.length > 0) {
+          continue;
+        }
 
         return {
           ...route,
+          handler: resolveRouteHandler(route.handler),
+          source: route.handler,
           params,
           path: routePath,
         };
@@ -97,21 +182,105 @@ export class Router {
   /**
    * 네비게이션 실행
    * @param {string} url - 이동할 경로
+   * @param {*} [state] - 히스토리 항목에 저장할 상태
+   */
+  push(url, state = null) {
+    this.#navigate(url, state, false);
+  }
+
+  /**
+   * 현재 히스토리 항목을 교체하며 이동 (뒤로 가기 시 이전 URL로 돌아가지 않음)
+   * @param {string} url - 이동할 경로
+   * @param {*} [state] - 히스토리 항목에 저장할 상태
+   */
+  replace(url, state = null) {
+    this.#navigate(url, state, true);
+  }
+
+  /**
+   * URL에 매칭되는 라우트의 lazy 핸들러를 미리 로드 (링크에 마우스를 올렸을 때 등)
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  preload(url) {
+    const source = this.#findRoute(url)?.source;
+    if (!isLazyRoute(source) || source.loaded) return Promise.resolve();
+
+    return source.load().then(
+      () => {},
+      (error) => {
+        console.error("라우트 미리 불러오기 오류:", error);
+      },
+    );
+  }
+
+  /**
+   * 이름 있는 라우트의 URL 생성 (baseUrl 포함)
+   * @example router.href("product", { id: "123" }) // "/product/123/"
+   * @param {string} name - 라우트 이름
+   * @param {Object} [params] - 경로 파라미터
+   * @param {Object} [query] - 쿼리 (빈 값은 제외)
+   * @returns {string}
+   */
+  href(name, params = {}, query = {}) {
+    const path = this.#namedPaths.get(name);
+    if (path === undefined) {
+      throw new Error(`등록되지 않은 라우트 이름입니다: ${name}`);
+    }
+
+    const queryString = Router.stringifyQuery(query, this.#queryOptions);
+    return `${this.#baseUrl}${Router.buildPath(path, params)}${queryString ? `?${queryString}` : ""}`;
+  }
+
+  /**
+   * 이름 있는 라우트로 이동
+   * @param {string} name - 라우트 이름
+   * @param {Object} [params] - 경로 파라미터
+   * @param {Object} [query] - 쿼리
+   * @param {{ replace?: boolean, state?: * }} [options]
+   */
+  pushNamed(name, params = {}, query = {}, { replace = false, state = null } = {}) {
+    this.#navigate(this.href(name, params, query), state, replace);
+  }
+
+  /**
+   * 히스토리 이동 (popstate 이벤트로 라우트가 갱신됨)
+   * @param {number} delta - 이동할 항목 수 (음수면 뒤로)
    */
-  push(url) {
+  go(delta) {
+    window.history.go(delta);
+  }
+
+  back() {
+    this.go(-1);
+  }
+
+  forward() {
+    this.go(1);
+  }
+
+  #navigate(url, state, replace) {
     try {
       // baseUrl이 없으면 자동으로 붙여줌
       let fullUrl = url.startsWith(this.#baseUrl) ? url : this.#baseUrl + (url.startsWith("/") ? url : "/" + url);
+      // 쿼리가 스키마에 맞지 않으면 유효하지 않은 값을 제거한 URL로 이동
+      fullUrl = this.#normalizeUrl(fullUrl);
 
-      const prevFullUrl = `${window.location.pathname}${window.location.search}`;
+      this.#resolve(fullUrl, (route) => {
+        const prevFullUrl = `${window.location.pathname}${window.location.search}`;
 
-      // 히스토리 업데이트
-      if (prevFullUrl !== fullUrl) {
-        window.history.pushState(null, "", fullUrl);
-      }
+        // 히스토리 업데이트 (같은 URL로의 push는 항목을 추가하지 않고 상태만 갱신)
+        if (!replace && prevFullUrl !== fullUrl) {
+          this.#saveScrollPosition();
+          this.#entryKey = Router.createEntryKey();
+          window.history.pushState({ key: this.#entryKey, state }, "", fullUrl);
+        } else {
+          this.#entryKey = Router.readEntry().key ?? Router.createEntryKey();
+          window.history.replaceState({ key: this.#entryKey, state }, "", fullUrl);
+        }
 
-      this.#route = this.#findRoute(fullUrl);
-      this.#observer.notify();
+        this.#setRoute(route);
+      });
     } catch (error) {
       console.error("라우터 네비게이션 오류:", error);
     }
@@ -121,51 +290,179 @@ export class Router {
    * 라우터 시작
    */
   start() {
-    this.#route = this.#findRoute();
+    this.#replaceInvalidQuery();
+    // 첫 항목에도 key를 부여해 스크롤 위치를 기록할 수 있게 함 (새로고침 시 기존 key 유지)
+    const { key, state } = Router.readEntry();
+    this.#entryKey = key ?? Router.createEntryKey();
+    window.history.replaceState({ key: this.#entryKey, state }, "");
+    this.#resolve(window.location.pathname, (route) => this.#setRoute(route));
+  }
+
+  /**
+   * 라우트의 lazy 핸들러를 불러온 뒤 commit 실행 (불러올 핸들러가 없으면 바로 실행)
+   * 불러오는 동안 새 네비게이션이 시작되면 이전 네비게이션은 버린다.
+   * @param {string} url
+   * @param {(route: Object|null) => void} commit - 매칭된 라우트를 받아 히스토리/라우트를 반영
+   */
+  #resolve(url, commit) {
+    const navigationId = ++this.#navigationId;
+    const route = this.#findRoute(url);
+    if (!isLazyRoute(route?.source) || route.source.loaded) {
+      commit(route);
+      return;
+    }
+
+    this.#setPending(true);
+    route.source.load().then(
+      () => {
+        // 로드된 핸들러로 매칭 결과를 다시 만듦
+        if (navigationId === this.#navigationId) commit(this.#findRoute(url));
+      },
+      (error) => {
+        console.error("라우터 네비게이션 오류:", error);
+        if (navigationId === this.#navigationId) this.#setPending(false);
+      },
+    );
+  }
+
+  #setRoute(route) {
+    this.#route = route;
+    this.#pending = false;
+    this.#observer.notify();
+  }
+
+  #setPending(pending) {
+    if (this.#pending === pending) return;
+    this.#pending = pending;
     this.#observer.notify();
   }
 
+  #normalizeUrl(url) {
+    const { pathname, search } = new URL(url, window.location.origin);
+    const route = this.#findRoute(pathname);
+    const query = Router.parseQuery(search, this.#queryOptions);
+    const stringify = (normalized) => Router.stringifyQuery(normalized, this.#queryOptions);
+
+    return getNormalizedUrl(pathname, query, route?.querySchema, stringify) ?? url;
+  }
+
+  /**
+   * 현재 URL(새로고침, 뒤로 가기)의 유효하지 않은 쿼리를 제거해 현재 항목 교체
+   */
+  #replaceInvalidQuery() {
+    const currentUrl = `${window.location.pathname}${window.location.search}`;
+    const normalizedUrl = this.#normalizeUrl(currentUrl);
+    if (normalizedUrl !== currentUrl) {
+      window.history.replaceState(window.history.state, "", normalizedUrl);
+    }
+  }
+
+  #saveScrollPosition() {
+    if (this.#entryKey) {
+      this.#scrollPositions.set(this.#entryKey, { x: window.scrollX, y: window.scrollY });
+    }
+  }
+
+  /**
+   * 뒤로/앞으로 가기로 돌아온 항목의 스크롤 위치를 렌더링 다음 프레임에 복원
+   */
+  #restoreScrollPosition() {
+    const position = this.#entryKey ? this.#scrollPositions.get(this.#entryKey) : undefined;
+    if (!position) return;
+
+    requestAnimationFrame(() => {
+      window.scrollTo(position.x, position.y);
+    });
+  }
+
+  /**
+   * history.state 읽기 (라우터 밖에서 pushState로 저장된 값은 상태로만 취급)
+   * @returns {{ key?: string, state: * }}
+   */
+  static readEntry = () => {
+    const entry = window.history.state;
+    if (entry && typeof entry === "object" && "key" in entry && "state" in entry) {
+      return entry;
+    }
+    return { state: entry };
+  };
+
+  static createEntryKey = () => Math.random().toString(36).slice(2, 10);
+
   /**
    * 쿼리 파라미터를 객체로 파싱
+   * 같은 키가 반복되거나 brand[]처럼 대괄호가 붙은 키는 배열이 되고, 한 번만 나온 키는 문자열로 유지된다.
    * @param {string} search - location.search 또는 쿼리 문자열
-   * @returns {Object} 파싱된 쿼리 객체
+   * @param {Object} [options]
+   * @param {"repeat"|"bracket"|"comma"} [options.arrayFormat="repeat"] - comma면 콤마로 구분된 값도 배열로 나눔
+   * @returns {Object<string, string|string[]>} 파싱된 쿼리 객체
    */
-  static parseQuery = (search = window.location.search) => {
+  static parseQuery = (search = window.location.search, { arrayFormat = "repeat" } = {}) => {
     const params = new URLSearchParams(search);
     const query = {};
-    for (const [key, value] of params) {
-      query[key] = value;
+    for (const [rawKey, rawValue] of params) {
+      const isBracket = rawKey.endsWith("[]");
+      const key = isBracket ? rawKey.slice(0, -2) : rawKey;
+      const values = arrayFormat === "comma" && rawValue.includes(",") ? rawValue.split(",") : [rawValue];
+      const prev = query[key];
+
+      if (prev === undefined) {
+        query[key] = isBracket || values.length > 1 ? values : values[0];
+      } else {
+        query[key] = [...(Array.isArray(prev) ? prev : [prev]), ...values];
+      }
     }
     return query;
   };
 
   /**
-   * 객체를 쿼리 문자열로 변환
+   * 객체를 쿼리 문자열로 변환 (빈 값과 빈 배열은 제외)
+   * 결과를 같은 arrayFormat으로 parseQuery하면 원래 객체가 된다.
+   * (단, 원소가 하나인 배열은 repeat/comma 형식에서 문자열로, comma 형식에서 콤마를 포함한 값은 나뉘어 파싱된다)
    * @param {Object} query - 쿼리 객체
+   * @param {Object} [options]
+   * @param {"repeat"|"bracket"|"comma"} [options.arrayFormat="repeat"] - 배열 인코딩 방식
+   *   (repeat: brand=a&brand=b, bracket: brand[]=a&brand[]=b, comma: brand=a,b)
    * @returns {string} 쿼리 문자열
    */
-  static stringifyQuery = (query) => {
+  static stringifyQuery = (query, { arrayFormat = "repeat" } = {}) => {
     const params = new URLSearchParams();
     for (const [key, value] of Object.entries(query)) {
-      if (value !== null && value !== undefined && value !== "") {
-        params.set(key, String(value));
+      if (Array.isArray(value)) {
+        const values = value.filter(Router.hasValue).map(String);
+        if (values.length === 0) continue;
+
+        if (arrayFormat === "comma") {
+          params.append(key, values.join(","));
+        } else {
+          values.forEach((item) => params.append(arrayFormat === "bracket" ? `${key}[]` : key, item));
+        }
+      } else if (Router.hasValue(value)) {
+        params.append(key, String(value));
       }
     }
     return params.toString();
   };
 
-  static getUrl = (newQuery, baseUrl = "") => {
-    const currentQuery = Router.parseQuery();
+  static getUrl = (newQuery, baseUrl = "", options = {}) => {
+    const currentQuery = Router.parseQuery(window.location.search, options);
     const updatedQuery = { ...currentQuery, ...newQuery };
 
     // 빈 값들 제거
     Object.keys(updatedQuery).forEach((key) => {
-      if (updatedQuery[key] === null || updatedQuery[key] === undefined || updatedQuery[key] === "") {
+      if (!Router.hasValue(updatedQuery[key])) {
         delete updatedQuery[key];
       }
     });
 
-    const queryString = Router.stringifyQuery(updatedQuery);
+    const queryString = Router.stringifyQuery(updatedQuery, options);
     return `${baseUrl}${window.location.pathname.replace(baseUrl, "")}${queryString ? `?${queryString}` : ""}`;
   };
+
+  /**
+   * 경로 패턴의 파라미터를 값으로 채움 (값은 URL 인코딩, 값이 없는 선택적 파라미터와 스플랫은 생략)
+   */
+  static buildPath = buildPath;
+
+  static hasValue = (value) => value !== null && value !== undefined && value !== "";
 }
@@ -1,55 +1,113 @@
+import { Router } from "./Router.js";
+import { getNormalizedUrl, parseRouteSchema } from "./routeSchema.js";
+import { compareRouteRank, compilePath, matchPath } from "./routePath.js";
+
+/**
+ * 서버 라우트 정의
+ * loader는 head와 상태 코드 결정에 필요한 데이터만 기다려 반환하고,
+ * 나머지 데이터는 initialData Promise로 넘겨 스트리밍 시 head를 먼저 보낼 수 있게 한다.
+ * @typedef {Object} ServerRouteDefinition
+ * @property {(context: ServerRouteContext) => Promise<ServerLoaderResult>|ServerLoaderResult} [loader] - 데이터 로딩 (스토어 dispatch 포함)
+ * @property {(data: Object, context: ServerRouteContext) => import("@hanghae-plus/ssr").HeadMeta} head - head 메타데이터
+ * @property {(context: ServerRouteContext) => string} render - 본문 HTML 렌더링 (initialData가 준비된 뒤 호출)
+ * @property {string} [name] - 라우트 이름 (router.href로 URL을 만들 때 사용)
+ * @property {import("./routeSchema.js").RouteSchema} [params] - 경로 파라미터 스키마 (유효하지 않으면 매칭되지 않음)
+ * @property {import("./routeSchema.js").RouteSchema} [query] - 쿼리 스키마 (유효하지 않은 값이 있으면 리다이렉트)
+ */
+
+/**
+ * 라우트 loader 결과
+ * @typedef {Object} ServerLoaderResult
+ * @property {number} [status] - 응답 상태 코드 (기본값 200)
+ * @property {Object} [data] - head 생성에 전달할 데이터
+ * @property {Object|Promise<Object>} [initialData] - 클라이언트로 전달할 initialData (기본값 {})
+ */
+
+/**
+ * 라우트 loader/head/render에 전달되는 요청 단위 컨텍스트
+ * @typedef {Object} ServerRouteContext
+ * @property {Object} params - 경로 파라미터 (스키마가 있으면 변환/검증된 값)
+ * @property {Object} query - URL 쿼리 파라미터 (스키마가 있으면 default가 채워진 변환/검증된 값)
+ * @property {Object} stores - 요청 단위 스토어 { productStore, cartStore, uiStore }
+ * @property {(name: string, params?: Object, query?: Object) => string} href - 이름 있는 라우트 URL 생성 (ServerRouter.href)
+ */
+
 /**
  * 서버 사이드 렌더링용 라우터
  * URL 패턴 매칭 및 파라미터 추출을 담당
  */
 export class ServerRouter {
-  constructor() {
+  /**
+   * @param {string} [baseUrl] - href로 만드는 URL 앞에 붙일 경로 (요청 URL은 baseUrl을 제외하고 매칭)
+   * @param {Object} [options]
+   * @param {import("./routePath.js").TrailingSlash} [options.trailingSlash="optional"] - 끝 슬래시 처리 방식
+   */
+  constructor(baseUrl = "", { trailingSlash = "optional" } = {}) {
     this.routes = [];
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.trailingSlash = trailingSlash;
   }
 
   /**
    * 라우트 추가
-   * @param {string} path - 경로 패턴 (예: "/product/:id/")
-   * @param {string} handler - 페이지 식별자
+   * @param {string} path - 경로 패턴 (예: "/product/:id/", "/category/:c1/:c2?", "/docs/*rest")
+   * @param {ServerRouteDefinition} handler - 라우트 정의 { loader, head, render }
    */
   addRoute(path, handler) {
-    // :param 형태를 정규식으로 변환
-    const paramNames = [];
-    const regexPath = path.replace(/:([^/]+)/g, (_, paramName) => {
-      paramNames.push(paramName);
-      return "([^/]+)";
-    });
-
     this.routes.push({
       path,
-      regex: new RegExp(`^${regexPath}$`),
-      paramNames,
+      ...compilePath(path, { trailingSlash: this.trailingSlash }),
       handler,
     });
+
+    // 등록 순서와 관계없이 더 구체적인 라우트를 먼저 확인 (우선순위가 같으면 등록 순서 유지)
+    this.routes.sort((a, b) => compareRouteRank(a.rank, b.rank));
+  }
+
+  /**
+   * 이름 있는 라우트의 URL 생성 (baseUrl 포함, 클라이언트 Router.href와 같은 형식)
+   * @param {string} name - 라우트 이름
+   * @param {Object} [params] - 경로 파라미터
+   * @param {Object} [query] - 쿼리 (빈 값은 제외)
+   * @returns {string}
+   */
+  href(name, params = {}, query = {}) {
+    const route = this.routes.find(({ handler }) => handler.name === name);
+    if (!route) {
+      throw new Error(`등록되지 않은 라우트 이름입니다: ${name}`);
+    }
+
+    const queryString = Router.stringifyQuery(query);
+    return `${this.baseUrl}${Router.buildPath(route.path, params)}${queryString ? `?${queryString}` : ""}`;
   }
 
   /**
    * URL과 매칭되는 라우트 찾기
+   * 라우트에 스키마가 있으면 params/query를 변환해 반환하고,
+   * 쿼리에 유효하지 않은 값이 있으면 해당 값을 제거한 redirectUrl을 함께 반환한다.
    * @param {string} url - URL 경로
-   * @returns {{ handler: string, params: Object, path: string } | null}
+   * @param {Object} [query] - 파싱된 URL 쿼리
+   * @returns {{ handler: ServerRouteDefinition, params: Object, query: Object, path: string, redirectUrl: string|null } | null}
    */
-  findRoute(url) {
+  findRoute(url, query = {}) {
     // URL에서 경로만 추출 (쿼리스트링 제거)
     const pathname = url.split("?")[0];
 
     for (const route of this.routes) {
-      const match = pathname.match(route.regex);
-      if (match) {
-        // params 객체 생성
-        const params = {};
-        route.paramNames.forEach((name, index) => {
-          params[name] = match[index + 1];
-        });
+      const params = matchPath(route, pathname);
+      if (params) {
+        const { params: paramsSchema, query: querySchema } = route.handler;
+        const parsedParams = paramsSchema && parseRouteSchema(paramsSchema, params);
+
+        // 파라미터가 스키마에 맞지 않으면 다음 라우트 확인
+        if (parsedParams?.invalid.length > 0) continue;
 
         return {
           handler: route.handler,
-          params,
+          params: parsedParams ? { ...params, ...parsedParams.values } : params,
+          query: querySchema ? { ...query, ...parseRouteSchema(querySchema, query).values } : query,
           path: route.path,
+          redirectUrl: getNormalizedUrl(pathname, query, querySchema, Router.stringifyQuery),
         };
       }
     }
@@ -0,0 +1,48 @@
+/**
+ * 입력 선택자의 결과가 바뀔 때만 결과 함수를 다시 실행하는 선택자 생성
+ * 마지막 입력과 결과 하나만 기억하므로, 인자마다 다른 선택자가 필요하면 따로 만든다.
+ * @example
+ * const selectTotalAmount = createSelector([(cart) => cart.items], (items) =>
+ *   items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+ * );
+ * selectTotalAmount(cartStore.getState());
+ * @param {Function[]} inputSelectors - (state) => value 형태의 입력 선택자 목록
+ * @param {Function} resultFunc - 입력 선택자 결과를 인자로 받아 파생 값을 계산하는 함수
+ * @param {Object} [options]
+ * @param {(a: *, b: *) => boolean} [options.inputEquals=Object.is] - 입력 선택자 결과 비교 함수. 모두 같으면 결과 함수를 실행하지 않는다.
+ * @param {(a: *, b: *) => boolean} [options.resultEquals=Object.is] - 결과 비교 함수. 같으면 이전 결과의 참조를 그대로 반환한다.
+ * @returns {Function} 선택자 (recomputations, resetRecomputations, resultFunc 속성 포함)
+ */
+export const createSelector = (
+  inputSelectors,
+  resultFunc,
+  { inputEquals = Object.is, resultEquals = Object.is } = {},
+) => {
+  let lastInputs = null;
+  let lastResult;
+  let recomputations = 0;
+
+  const selector = (state) => {
+    const inputs = inputSelectors.map((inputSelector) => inputSelector(state));
+    if (lastInputs && inputs.every((input, index) => inputEquals(lastInputs[index], input))) {
+      return lastResult;
+    }
+
+    const isFirst = lastInputs === null;
+    lastInputs = inputs;
+    recomputations++;
+    const result = resultFunc(...inputs);
+    if (isFirst || !resultEquals(lastResult, result)) {
+      lastResult = result;
+    }
+    return lastResult;
+  };
+
+  return Object.assign(selector, {
+    resultFunc,
+    recomputations: () => recomputations,
+    resetRecomputations: () => {
+      recomputations = 0;
+    },
+  });
+};
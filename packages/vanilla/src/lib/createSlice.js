@@ -0,0 +1,63 @@
+const createAction = (type) =>
+  Object.assign((payload) => ({ type, payload }), {
+    type,
+    match: (action) => action?.type === type,
+  });
+
+/**
+ * 케이스 리듀서 목록으로 "<name>/<리듀서 이름>" 타입의 액션 생성자와 리듀서를 함께 만든다.
+ * 리듀서는 슬라이스의 액션만 처리하고, 다른 액션은 상태를 그대로 반환한다.
+ * @example
+ * const cartSlice = createSlice({
+ *   name: "cart",
+ *   initialState,
+ *   reducers: {
+ *     removeItem: (state, action) => ({ ...state, items: state.items.filter((item) => item.id !== action.payload) }),
+ *     clearCart: (state) => ({ ...state, items: [] }),
+ *   },
+ * });
+ * cartStore.dispatch(cartSlice.actions.removeItem("1")); // { type: "cart/removeItem", payload: "1" }
+ * @param {Object} options
+ * @param {string} options.name - 액션 타입 앞에 붙는 이름
+ * @param {*} options.initialState - 초기 상태
+ * @param {Object<string, (state: *, action: {type: string, payload: *}) => *>} options.reducers - 케이스 리듀서 목록
+ * @returns {{ name: string, initialState: *, reducer: Function, actions: Object<string, Function> }}
+ */
+export const createSlice = ({ name, initialState, reducers }) => {
+  const caseReducers = new Map();
+  const actions = {};
+
+  Object.entries(reducers).forEach(([key, caseReducer]) => {
+    const type = `${name}/${key}`;
+    caseReducers.set(type, caseReducer);
+    actions[key] = createAction(type);
+  });
+
+  const reducer = (state, action) => {
+    const caseReducer = caseReducers.get(action.type);
+    return caseReducer ? caseReducer(state, action) : state;
+  };
+
+  return { name, initialState, reducer, actions };
+};
+
+/**
+ * 키마다 다른 리듀서가 맡는 하나의 루트 리듀서를 만든다.
+ * 어떤 슬라이스도 바뀌지 않으면 이전 루트 상태를 그대로 반환해 구독자에게 알리지 않는다.
+ * @example
+ * const rootReducer = combineReducers({ cart: cartSlice.reducer, products: productSlice.reducer });
+ * const store = createStore(rootReducer, { cart: cartSlice.initialState, products: productSlice.initialState });
+ * @param {Object<string, Function>} reducers - 상태 키별 리듀서
+ * @returns {Function} 루트 리듀서
+ */
+export const combineReducers = (reducers) => (state, action) => {
+  let changed = false;
+  const nextState = {};
+
+  for (const key of Object.keys(reducers)) {
+    nextState[key] = reducers[key](state[key], action);
+    changed ||= !Object.is(nextState[key], state[key]);
+  }
+
+  return changed ? nextState : state;
+};
@@ -1,12 +1,28 @@
 import { createObserver } from "./createObserver";
 
+/** 리듀서를 거치지 않고 스토어가 직접 처리하는 상태 합치기 액션 */
+export const REHYDRATE = "@@store/REHYDRATE";
+
+/**
+ * payload의 키를 현재 상태에 얕게 합치는 내장 액션 생성 (persist의 기본 rehydrateAction)
+ * @example store.dispatch(rehydrateState({ items: savedItems }))
+ * @param {Object} payload - 합칠 상태
+ * @returns {{ type: string, payload: Object }}
+ */
+export const rehydrateState = (payload) => ({ type: REHYDRATE, payload });
+
 /**
  * Redux-style Store 생성 함수
  * @param {Function} reducer - (state, action) => newState 형태의 reducer 함수
  * @param {*} initialState - 초기 상태
+ * @param {Function} [enhancer] - 스토어 생성 과정을 감싸 기능을 추가하는 함수 (예: applyMiddleware(...))
  * @returns {Object} { getState, dispatch, subscribe }
  */
-export const createStore = (reducer, initialState) => {
+export const createStore = (reducer, initialState, enhancer) => {
+  if (enhancer) {
+    return enhancer(createStore)(reducer, initialState);
+  }
+
   const { subscribe, notify } = createObserver();
 
   let state = initialState;
@@ -14,12 +30,52 @@ export const createStore = (reducer, initialState) => {
   const getState = () => state;
 
   const dispatch = (action) => {
-    const newState = reducer(state, action);
+    const newState = action?.type === REHYDRATE ? { ...state, ...action.payload } : reducer(state, action);
     if (newState !== state) {
       state = newState;
       notify();
     }
+    return action;
   };
 
   return { getState, dispatch, subscribe };
 };
+
+/**
+ * 미들웨어를 적용하는 enhancer 생성
+ * 미들웨어는 ({ getState, dispatch }) => (next) => (action) => result 형태이며 전달한 순서대로 실행된다.
+ * 마지막 미들웨어의 next가 reducer를 실행하고, api.dispatch는 미들웨어 체인 전체를 다시 거친다.
+ * @example createStore(reducer, initialState, applyMiddleware(thunk, logger))
+ * @param {...Function} middlewares
+ * @returns {Function} enhancer
+ */
+export const applyMiddleware =
+  (...middlewares) =>
+  (createStore) =>
+  (reducer, initialState) => {
+    const store = createStore(reducer, initialState);
+
+    let dispatch = () => {
+      throw new Error("미들웨어를 구성하는 중에는 dispatch할 수 없습니다.");
+    };
+    const api = {
+      getState: store.getState,
+      dispatch: (action) => dispatch(action),
+    };
+    dispatch = middlewares
+      .map((middleware) => middleware(api))
+      .reduceRight((next, chain) => chain(next), store.dispatch);
+
+    return { ...store, dispatch };
+  };
+
+/**
+ * 여러 enhancer를 하나로 합친다. 왼쪽 enhancer가 바깥쪽에서 감싼다.
+ * @example createStore(reducer, initialState, compose(applyMiddleware(thunk), devTools()))
+ * @param {...Function} enhancers
+ * @returns {Function} enhancer
+ */
+export const compose =
+  (...enhancers) =>
+  (createStore) =>
+    enhancers.reduceRight((next, enhancer) => enhancer(next), createStore);
@@ -0,0 +1,103 @@
+/** 시간 여행/가져오기로 상태를 통째로 바꿀 때 쓰는 내부 액션 */
+const SET_STATE = "@@devtools/SET_STATE";
+
+const parseState = (state) => (state === undefined ? undefined : JSON.parse(state));
+
+/**
+ * 스토어를 Redux DevTools 확장 프로그램에 연결하는 enhancer
+ * 액션 기록과 상태 변화를 보내고, 시간 여행(JUMP)·가져오기(IMPORT)·COMMIT/RESET/ROLLBACK을 지원한다.
+ * 서버, 프로덕션 빌드, 확장 프로그램이 없는 환경에서는 스토어를 그대로 만든다.
+ * 미들웨어와 함께 쓸 때는 compose로 applyMiddleware 뒤에 두어야 reducer에 도달한 액션만 기록된다.
+ * @example createStore(reducer, initialState, compose(applyMiddleware(thunk), devTools({ name: "cartStore" })))
+ * @param {Object} [options]
+ * @param {string} [options.name] - DevTools 인스턴스 목록에 표시할 이름
+ * @param {boolean} [options.enabled] - 연결 여부 (기본값: 개발 빌드에서만 연결)
+ * @returns {Function} enhancer
+ */
+export const devTools =
+  ({ name, enabled = !import.meta.env.PROD } = {}) =>
+  (createStore) =>
+  (reducer, initialState) => {
+    const extension = enabled && typeof window !== "undefined" ? window.__REDUX_DEVTOOLS_EXTENSION__ : undefined;
+    if (!extension) {
+      return createStore(reducer, initialState);
+    }
+
+    const store = createStore(
+      (state, action) => (action?.type === SET_STATE ? action.payload : reducer(state, action)),
+      initialState,
+    );
+    const connection = extension.connect({
+      name,
+      features: {
+        pause: true,
+        export: true,
+        import: "custom",
+        jump: true,
+        skip: false,
+        reorder: false,
+        dispatch: true,
+      },
+    });
+
+    let paused = false;
+    const setState = (state) => store.dispatch({ type: SET_STATE, payload: state });
+
+    const dispatch = (action) => {
+      const result = store.dispatch(action);
+      if (!paused) {
+        connection.send(action, store.getState());
+      }
+      return result;
+    };
+
+    connection.subscribe((message) => {
+      try {
+        if (message.type === "ACTION") {
+          dispatch(typeof message.payload === "string" ? JSON.parse(message.payload) : message.payload);
+          return;
+        }
+        if (message.type !== "DISPATCH") return;
+
+        switch (message.payload?.type) {
+          case "JUMP_TO_STATE":
+          case "JUMP_TO_ACTION":
+            setState(parseState(message.state));
+            return;
+          case "ROLLBACK": {
+            const state = parseState(message.state);
+            setState(state);
+            connection.init(state);
+            return;
+          }
+          case "RESET":
+            setState(initialState);
+            connection.init(initialState);
+            return;
+          case "COMMIT":
+            connection.init(store.getState());
+            return;
+          case "IMPORT_STATE": {
+            const { nextLiftedState } = message.payload;
+            const { computedStates = [], currentStateIndex = computedStates.length - 1 } = nextLiftedState ?? {};
+            const imported = computedStates[currentStateIndex];
+            if (!imported) return;
+            setState(imported.state);
+            // 확장 프로그램의 액션 기록도 가져온 내용으로 교체
+            connection.send(null, nextLiftedState);
+            return;
+          }
+          case "PAUSE_RECORDING":
+            paused = Boolean(message.payload.status);
+            return;
+        }
+      } catch (error) {
+        console.error("DevTools 메시지 처리 오류:", error);
+        connection.error?.(error instanceof Error ? error.message : String(error));
+      }
+    });
+
+    connection.init(store.getState());
+
+    return { ...store, dispatch };
+  };
@@ -1,4 +1,12 @@
 export * from "./createObserver";
 export * from "./createStore";
+export * from "./createSelector";
+export * from "./createSlice";
+export * from "./middlewares";
+export * from "./devtools";
 export * from "./createStorage";
+export * from "./persist";
 export * from "./Router";
+export * from "./routeSchema";
+export * from "./routePath";
+export * from "./lazyRoute";
@@ -0,0 +1,53 @@
+const LAZY_ROUTE = Symbol("lazyRoute");
+
+/**
+ * 처음 매칭될 때 불러오는 라우트 핸들러
+ * @typedef {Object} LazyRoute
+ * @property {Function|undefined} loaded - 로드된 핸들러 (아직 로드되지 않았으면 undefined)
+ * @property {() => Promise<Function>} load - 핸들러 로드 (한 번만 불러오며, 실패하면 다음 호출에서 다시 시도)
+ */
+
+/**
+ * lazy 라우트 핸들러 생성
+ * 핸들러와 로더는 둘 다 함수라 구분할 수 없으므로 lazyRoute로 감싸서 등록한다.
+ * @example router.addRoute("/product/:id/", lazyRoute(() => import("./pages/ProductDetailPage.js")))
+ * @param {() => Promise<Function|{ default: Function }>} loader - 핸들러 또는 default export를 가진 모듈을 반환
+ * @returns {LazyRoute}
+ */
+export const lazyRoute = (loader) => {
+  let loaded;
+  let loading = null;
+
+  return {
+    [LAZY_ROUTE]: true,
+    get loaded() {
+      return loaded;
+    },
+    load: () => {
+      loading ??= loader().then(
+        (module) => {
+          loaded = typeof module === "function" ? module : module.default;
+          return loaded;
+        },
+        (error) => {
+          loading = null;
+          throw error;
+        },
+      );
+      return loading;
+    },
+  };
+};
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isLazyRoute = (value) => typeof value === "object" && value !== null && LAZY_ROUTE in value;
+
+/**
+ * 핸들러 또는 로드된 lazy 핸들러 반환 (아직 로드되지 않았으면 undefined)
+ * @param {Function|LazyRoute} handler
+ * @returns {Function|undefined}
+ */
+export const resolveRouteHandler = (handler) => (isLazyRoute(handler) ? handler.loaded : handler);
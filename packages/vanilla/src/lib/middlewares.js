@@ -0,0 +1,44 @@
+/**
+ * 함수 액션을 reducer 대신 (dispatch, getState)로 실행하는 미들웨어
+ * 함수의 반환값(async 함수면 Promise)이 dispatch의 반환값이 된다.
+ * @example store.dispatch(async (dispatch) => dispatch({ type: "loaded", payload: await fetchData() }))
+ */
+export const thunk =
+  ({ dispatch, getState }) =>
+  (next) =>
+  (action) =>
+    typeof action === "function" ? action(dispatch, getState) : next(action);
+
+const getActionType = (action) => (action && typeof action === "object" ? String(action.type) : typeof action);
+
+/**
+ * 액션과 전후 상태를 콘솔에 출력하는 미들웨어 생성
+ * @param {Object} [options]
+ * @param {boolean} [options.collapsed=true] - 그룹을 접은 상태로 출력
+ * @param {(state: *, action: *) => boolean} [options.predicate] - false를 반환하는 액션은 출력하지 않음
+ * @returns {Function} 미들웨어
+ */
+export const createLogger =
+  ({ collapsed = true, predicate = () => true } = {}) =>
+  ({ getState }) =>
+  (next) =>
+  (action) => {
+    if (!predicate(getState(), action)) return next(action);
+
+    const prevState = getState();
+    const result = next(action);
+
+    const group = collapsed ? console.groupCollapsed : console.group;
+    group(`action ${getActionType(action)}`);
+    console.log("이전 상태", prevState);
+    console.log("액션", action);
+    console.log("다음 상태", getState());
+    console.groupEnd();
+
+    return result;
+  };
+
+/**
+ * 기본 설정의 로거 미들웨어
+ */
+export const logger = createLogger();
@@ -0,0 +1,143 @@
+import { rehydrateState } from "./createStore";
+
+const isPersistedState = (value) =>
+  typeof value === "object" && value !== null && "version" in value && "state" in value;
+
+const noopPersistor = {
+  rehydrate: () => {},
+  rehydrated: false,
+  flush: () => {},
+  purge: () => {},
+  stop: () => {},
+};
+
+/**
+ * 스토어 상태를 스토리지에 { version, state } 형식으로 저장하고, 처음 한 번 불러와 복원한다.
+ * storage가 없으면(서버 등) 아무것도 하지 않는다.
+ * @example
+ * export const cartPersistor = persist(cartStore, isServer ? null : window.localStorage, {
+ *   key: "shopping_cart",
+ *   whitelist: ["items", "selectedAll"],
+ *   version: 1,
+ *   migrate: (state) => ({
+ *     items: (state.items ?? []).map((item) => ({ ...item, selected: item.selected ?? false })),
+ *     selectedAll: state.selectedAll ?? false,
+ *   }),
+ * });
+ * @param {Object} store - createStore로 만든 스토어
+ * @param {Storage|null} storage - 저장할 스토리지 (예: localStorage)
+ * @param {Object} options
+ * @param {string} options.key - 스토리지 키
+ * @param {(state: Object) => Object} [options.rehydrateAction] - 불러온 상태를 스토어에 합치는 액션 생성자
+ *   (지정하지 않으면 불러온 키를 현재 상태에 얕게 합치는 내장 액션 rehydrateState를 사용한다.)
+ * @param {string[]} [options.whitelist] - 저장할 상태 키 목록 (기본값: 전체 상태)
+ * @param {number} [options.version=0] - 저장 형식 버전. 저장된 버전과 다르면 migrate로 변환한다.
+ * @param {(state: *, version: number) => Object} [options.migrate] - 이전 버전으로 저장된 상태를 현재 형식으로 변환
+ *   (버전 없이 상태만 저장하던 형식은 버전 0으로 전달된다. 지정하지 않으면 버전이 다른 상태는 버린다.)
+ * @param {number} [options.throttle=0] - 저장 간격 (ms). 0보다 크면 그 사이의 변경은 모아서 마지막 상태만 저장한다.
+ * @param {boolean} [options.manualRehydrate=false] - true면 persistor.rehydrate()를 호출할 때까지 불러오지 않는다.
+ * @returns {{ rehydrate: Function, rehydrated: boolean, flush: Function, purge: Function, stop: Function }} persistor
+ */
+export const persist = (
+  store,
+  storage,
+  { key, rehydrateAction = rehydrateState, whitelist, version = 0, migrate, throttle = 0, manualRehydrate = false },
+) => {
+  if (!storage) {
+    return noopPersistor;
+  }
+
+  let rehydrated = false;
+  let timer = null;
+  let lastState = store.getState();
+
+  const pick = (state) =>
+    whitelist ? Object.fromEntries(whitelist.filter((k) => k in state).map((k) => [k, state[k]])) : state;
+
+  const read = () => {
+    const item = storage.getItem(key);
+    if (item === null) return null;
+
+    const parsed = JSON.parse(item);
+    const saved = isPersistedState(parsed) ? parsed : { version: 0, state: parsed };
+    if (saved.version === version) return saved.state;
+    return migrate ? migrate(saved.state, saved.version) : null;
+  };
+
+  const write = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    try {
+      storage.setItem(key, JSON.stringify({ version, state: pick(store.getState()) }));
+    } catch (error) {
+      console.error(`상태 저장 오류 ("${key}"):`, error);
+    }
+  };
+
+  const flush = () => {
+    if (timer) write();
+  };
+
+  const unsubscribe = store.subscribe(() => {
+    const state = store.getState();
+    const changed = whitelist ? whitelist.some((k) => !Object.is(state[k], lastState[k])) : true;
+    lastState = state;
+
+    if (!rehydrated || !changed) return;
+    if (throttle <= 0) {
+      write();
+    } else {
+      timer ??= setTimeout(write, throttle);
+    }
+  });
+
+  // 미뤄 둔 저장은 페이지를 떠나기 전에 마저 저장
+  const isBrowser = typeof window !== "undefined";
+  if (isBrowser && throttle > 0) {
+    window.addEventListener("pagehide", flush);
+  }
+
+  const rehydrate = () => {
+    if (rehydrated) return;
+    rehydrated = true;
+
+    try {
+      const saved = read();
+      if (saved) {
+        store.dispatch(rehydrateAction(pick(saved)));
+        // 이전 버전 형식으로 남아 있지 않도록 현재 형식으로 다시 저장
+        write();
+      }
+    } catch (error) {
+      console.error(`저장된 상태 불러오기 오류 ("${key}"):`, error);
+    }
+  };
+
+  if (!manualRehydrate) {
+    rehydrate();
+  }
+
+  return {
+    rehydrate,
+    get rehydrated() {
+      return rehydrated;
+    },
+    flush,
+    purge: () => {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      storage.removeItem(key);
+    },
+    stop: () => {
+      flush();
+      unsubscribe();
+      if (isBrowser) {
+        window.removeEventListener("pagehide", flush);
+      }
+    },
+  };
+};
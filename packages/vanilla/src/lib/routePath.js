@@ -0,0 +1,141 @@
+/**
+ * 경로 패턴 컴파일/매칭/우선순위
+ * `:id` 동적, `:id?` 선택적, `*rest` 이름 있는 스플랫, `*`와 `.*`는 이름이 "*"인 스플랫
+ */
+
+/**
+ * 끝 슬래시 처리 방식
+ * - "optional": `/product/1`과 `/product/1/` 모두 매칭 (기본값)
+ * - "strict": 경로 패턴에 쓴 그대로만 매칭
+ * @typedef {"optional"|"strict"} TrailingSlash
+ */
+
+/**
+ * @typedef {Object} CompiledPath
+ * @property {RegExp} regex
+ * @property {string[]} paramNames
+ * @property {number[]} rank - 세그먼트별 우선순위 점수 (compareRouteRank로 비교)
+ */
+
+// 세그먼트 종류별 우선순위: 정적 > 동적 > 경로 끝 > 선택적 > 스플랫
+// 경로 끝(end)을 선택적/스플랫보다 높게 두어 "/"가 ".*"보다, "/a/:b"가 "/a/:b/:c?"보다 먼저 매칭되게 함
+const SEGMENT_RANK = { static: 5, dynamic: 4, end: 3, optional: 2, splat: 1 };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseSegments = (path) =>
+  path
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      if (segment === ".*" || segment.startsWith("*")) return { type: "splat", name: segment.slice(1) || "*" };
+      if (segment.startsWith(":") && segment.endsWith("?")) return { type: "optional", name: segment.slice(1, -1) };
+      if (segment.startsWith(":")) return { type: "dynamic", name: segment.slice(1) };
+      return { type: "static", value: segment };
+    });
+
+/**
+ * 경로 패턴을 정규식으로 변환
+ * @example compilePath("/category/:c1/:c2?") // /category/a, /category/a/b 매칭
+ * @example compilePath("/docs/*rest") // /docs, /docs/a/b 매칭 (rest: "a/b")
+ * @param {string} path - 경로 패턴
+ * @param {{ baseUrl?: string, trailingSlash?: TrailingSlash }} [options]
+ * @returns {CompiledPath}
+ */
+export const compilePath = (path, { baseUrl = "", trailingSlash = "optional" } = {}) => {
+  const segments = parseSegments(path);
+  const paramNames = [];
+
+  const pattern = segments
+    .map((segment) => {
+      if (segment.type === "static") return `/${escapeRegExp(segment.value)}`;
+
+      paramNames.push(segment.name);
+      if (segment.type === "dynamic") return "/([^/]+)";
+      if (segment.type === "optional") return "(?:/([^/]+))?";
+      return "(?:/(.*?))?";
+    })
+    .join("");
+
+  const hasSplat = segments.at(-1)?.type === "splat";
+  let end;
+  if (trailingSlash === "optional" || hasSplat) {
+    end = "/?";
+  } else {
+    end = path.endsWith("/") || segments.length === 0 ? "/" : "";
+  }
+
+  return {
+    regex: new RegExp(`^${escapeRegExp(baseUrl)}${pattern}${end}$`),
+    paramNames,
+    rank: [...segments.map(({ type }) => SEGMENT_RANK[type]), SEGMENT_RANK.end],
+  };
+};
+
+/**
+ * 정규식 매칭 결과를 파라미터 객체로 변환 (매칭되지 않은 선택적 파라미터는 제외)
+ * @param {CompiledPath} compiled
+ * @param {string} pathname
+ * @returns {Object|null} 매칭되지 않으면 null
+ */
+export const matchPath = ({ regex, paramNames }, pathname) => {
+  const match = pathname.match(regex);
+  if (!match) return null;
+
+  const params = {};
+  paramNames.forEach((name, index) => {
+    const value = match[index + 1];
+    if (value === undefined || value === "") return;
+    try {
+      params[name] = decodeURIComponent(value);
+    } catch {
+      params[name] = value;
+    }
+  });
+  return params;
+};
+
+/**
+ * 라우트 우선순위 비교 (정렬 함수로 사용, 더 구체적인 라우트가 앞)
+ * 앞 세그먼트부터 비교해 점수가 높은 쪽이 우선한다.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export const compareRouteRank = (a, b) => {
+  for (let index = 0; index < Math.min(a.length, b.length); index++) {
+    if (a[index] !== b[index]) return b[index] - a[index];
+  }
+  return b.length - a.length;
+};
+
+/**
+ * 경로 패턴의 파라미터를 값으로 채움 (값은 URL 인코딩)
+ * 선택적 파라미터와 스플랫은 값이 없으면 세그먼트를 생략한다.
+ * @param {string} path - 경로 패턴
+ * @param {Object} [params]
+ * @returns {string}
+ */
+export const buildPath = (path, params = {}) => {
+  const hasValue = (value) => value !== undefined && value !== null && value !== "";
+
+  const built = path
+    .split("/")
+    .map((segment) => {
+      const parsed = segment ? parseSegments(segment)[0] : undefined;
+      if (!parsed || parsed.type === "static") return segment;
+
+      const value = params[parsed.name];
+      if (!hasValue(value)) {
+        if (parsed.type === "dynamic") throw new Error(`라우트 파라미터가 없습니다: ${parsed.name}`);
+        return null;
+      }
+      // 스플랫은 여러 세그먼트를 가질 수 있으므로 세그먼트별로 인코딩
+      if (parsed.type === "splat") return String(value).split("/").map(encodeURIComponent).join("/");
+      return encodeURIComponent(String(value));
+    })
+    .filter((segment) => segment !== null)
+    .join("/");
+
+  return built || "/";
+};
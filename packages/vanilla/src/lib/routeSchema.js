@@ -0,0 +1,115 @@
+/**
+ * 라우트 파라미터/쿼리 한 항목의 스키마
+ * @typedef {Object} FieldSchema
+ * @property {"string"|"number"|"boolean"} type - 값 타입
+ * @property {*} [default] - 값이 없거나 유효하지 않을 때 사용할 값
+ * @property {Array} [values] - 허용하는 값 목록 (enum)
+ * @property {number} [min] - number: 최솟값 (포함)
+ * @property {number} [max] - number: 최댓값 (포함)
+ * @property {boolean} [integer] - number: 정수만 허용
+ * @property {RegExp} [pattern] - string: 값 형식
+ * @property {boolean} [array] - 여러 값(brand=a&brand=b)을 배열로 받음
+ */
+
+/**
+ * @typedef {Object<string, FieldSchema>} RouteSchema
+ */
+
+const coerceField = (field, raw) => {
+  let value = raw;
+
+  if (field.type === "number") {
+    value = raw.trim() === "" ? NaN : Number(raw);
+    if (!Number.isFinite(value)) return { valid: false };
+    if (field.integer && !Number.isInteger(value)) return { valid: false };
+    if (field.min !== undefined && value < field.min) return { valid: false };
+    if (field.max !== undefined && value > field.max) return { valid: false };
+  } else if (field.type === "boolean") {
+    if (raw !== "true" && raw !== "false") return { valid: false };
+    value = raw === "true";
+  } else if (field.pattern && !field.pattern.test(raw)) {
+    return { valid: false };
+  }
+
+  if (field.values && !field.values.includes(value)) return { valid: false };
+
+  return { valid: true, value };
+};
+
+/**
+ * 스키마에 따라 파라미터/쿼리 값을 변환하고 검증
+ * 값이 없으면 default를, 유효하지 않으면 default를 사용하고 invalid에 기록한다.
+ * 스키마에 없는 항목은 values에 포함하지 않고 normalized에는 그대로 남긴다.
+ * @param {RouteSchema} schema
+ * @param {Object} raw - 파싱된 쿼리 또는 경로 파라미터
+ * @returns {{ values: Object, invalid: string[], normalized: Object }}
+ *   values: 변환/검증된 값, invalid: 유효하지 않아 버려진 항목,
+ *   normalized: 유효하지 않은 값을 제거한 원본 형식의 쿼리 (리다이렉트 URL 생성용)
+ */
+export const parseRouteSchema = (schema, raw) => {
+  const values = {};
+  const invalid = [];
+  const validRaw = {};
+
+  for (const [key, field] of Object.entries(schema)) {
+    const rawValue = raw[key];
+    const rawList = (Array.isArray(rawValue) ? rawValue : [rawValue])
+      .filter((item) => item !== undefined && item !== null && item !== "")
+      .map(String);
+
+    if (rawList.length === 0) {
+      values[key] = field.default ?? (field.array ? [] : undefined);
+      continue;
+    }
+
+    const results = rawList.map((item) => coerceField(field, item));
+    const validItems = rawList.filter((_, index) => results[index].valid);
+    const validValues = results.filter(({ valid }) => valid).map(({ value }) => value);
+
+    if (field.array) {
+      values[key] = validValues.length > 0 ? validValues : (field.default ?? []);
+      if (validItems.length > 0) validRaw[key] = validItems;
+      if (validItems.length !== rawList.length) invalid.push(key);
+      continue;
+    }
+
+    // 단일 값 항목에 여러 값이 들어오면 첫 번째 값만 사용
+    if (rawList.length > 1 || !results[0].valid) invalid.push(key);
+    if (results[0].valid) {
+      values[key] = results[0].value;
+      validRaw[key] = rawList[0];
+    } else {
+      values[key] = field.default;
+    }
+  }
+
+  // 원래 순서를 유지하며 유효하지 않은 값만 제거
+  const normalized = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (key in schema) {
+      if (key in validRaw) normalized[key] = validRaw[key];
+    } else if (value !== undefined) {
+      normalized[key] = value;
+    }
+  }
+
+  return { values, invalid, normalized };
+};
+
+/**
+ * 라우트 스키마로 쿼리를 검증해 유효하지 않은 값을 제거한 URL 생성
+ * @param {string} pathname - 경로
+ * @param {Object} query - 파싱된 쿼리
+ * @param {RouteSchema} [schema]
+ * @param {(query: Object) => string} stringifyQuery - 쿼리 직렬화 함수
+ * @returns {string|null} 정규화된 URL (정규화가 필요 없으면 null)
+ */
+export const getNormalizedUrl = (pathname, query, schema, stringifyQuery) => {
+  if (!schema) return null;
+
+  const { invalid, normalized } = parseRouteSchema(schema, query);
+  if (invalid.length === 0) return null;
+
+  const queryString = stringifyQuery(normalized);
+  return `${pathname}${queryString ? `?${queryString}` : ""}`;
+};
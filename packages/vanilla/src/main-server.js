@@ -1,136 +1,98 @@
-import { PRODUCT_ACTIONS } from "./stores/actionTypes.js";
-import { getProducts, getProduct, getCategories } from "./api/productApi.js";
-import { ServerRouter } from "./lib/ServerRouter.js";
+import { renderHead } from "@hanghae-plus/ssr";
+import { getProducts, getCategories } from "./api/serverProductApi.js";
 import { createServerStores } from "./stores/createServerStore.js";
 import { parseUrl } from "./utils/ssrUtils.js";
-import { renderHomePage, renderProductDetailPage, renderNotFoundPage } from "./pages/server/index.js";
+import { HEAD_OPTIONS, errorHead, renderErrorPage, createServerRouter, notFoundRoute } from "./pages/server/index.js";
+
+// 라우트 정의만 가지는 상태 없는 라우터이므로 요청 간에 공유
+const router = createServerRouter();
+const href = (name, params, query) => router.href(name, params, query);
 
 /**
- * 서버 사이드 렌더링 메인 함수
+ * 쿼리가 라우트 스키마에 맞지 않으면 유효하지 않은 값을 제거한 URL 반환
+ * 서버는 렌더링 전에 이 URL로 리다이렉트해 클라이언트와 같은 정규화된 URL을 유지한다.
  * @param {string} url - 요청 URL
- * @returns {Promise<{ html: string, head: string, initialData: Object }>}
+ * @returns {string|null} 리다이렉트할 URL (정규화가 필요 없으면 null)
  */
-export async function render(url) {
-  // URL 파싱
+export function getRedirectUrl(url) {
   const { pathname, query } = parseUrl(url);
+  return router.findRoute(pathname, query)?.redirectUrl ?? null;
+}
 
-  // 서버용 Store 초기화
-  const stores = createServerStores();
-
-  // 라우터 설정
-  const router = new ServerRouter();
-  router.addRoute("/", "home");
-  router.addRoute("/product/:id/", "product");
-  router.addRoute("/404", "notfound");
-
-  // 라우트 매칭
-  const route = router.findRoute(pathname);
-  const routePath = route?.path || "notfound";
-  const params = route?.params || {};
-
-  // 데이터 프리페칭
-  let initialData = {};
-
-  if (routePath === "/") {
-    // 홈페이지: 상품 목록 + 카테고리
-    const limit = parseInt(query.limit) || 20;
-    const page = parseInt(query.page) || 1;
-
-    const [productsData, categories] = await Promise.all([
-      getProducts({
-        page,
-        limit,
-        search: query.search || "",
-        category1: query.category1 || "",
-        category2: query.category2 || "",
-        sort: query.sort || "price_asc",
-      }),
-      getCategories(),
-    ]);
+/**
+ * 스트리밍 서버 사이드 렌더링 함수
+ * 매칭된 라우트의 loader → head → render 순서로 실행하는 공통 파이프라인.
+ * head와 상태 코드는 loader가 반환하는 즉시 확정되고,
+ * 본문 HTML은 loader의 initialData가 모두 준비된 뒤 확정된다.
+ * @param {string} url - 요청 URL
+ * @returns {{ status: Promise<number>, head: Promise<string>, body: Promise<{ html: string, initialData: Object }> }}
+ */
+export function renderStream(url) {
+  // URL 파싱
+  const { pathname, query } = parseUrl(url);
 
-    stores.productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: {
-        products: productsData.products,
-        totalCount: productsData.pagination.total,
-        categories,
-        loading: false,
-        error: null,
-      },
-    });
+  // 라우트 매칭 (없으면 404 라우트)
+  const matched = router.findRoute(pathname, query);
+  const route = matched?.handler ?? notFoundRoute;
 
-    initialData = {
-      products: productsData.products,
-      categories,
-      totalCount: productsData.pagination.total,
-    };
-  } else if (routePath === "/product/:id/") {
-    // 상품 상세 페이지
-    const product = await getProduct(params.id);
+  // 요청 단위 컨텍스트 (서버용 Store는 요청마다 새로 생성, params/query는 라우트 스키마로 변환된 값)
+  const context = { params: matched?.params ?? {}, query: matched?.query ?? query, stores: createServerStores(), href };
 
-    if (product && !product.error) {
-      // 관련 상품 조회 (같은 카테고리)
-      const relatedData = await getProducts({
-        category1: product.category1,
-        limit: 20,
-      });
-      const relatedProducts = relatedData.products.filter((p) => p.productId !== params.id);
+  const loaded = Promise.resolve().then(() => route.loader?.(context) ?? {});
 
-      stores.productStore.dispatch({
-        type: PRODUCT_ACTIONS.SET_CURRENT_PRODUCT,
-        payload: product,
-      });
-      stores.productStore.dispatch({
-        type: PRODUCT_ACTIONS.SET_RELATED_PRODUCTS,
-        payload: relatedProducts,
-      });
+  return {
+    status: loaded.then(({ status = 200 }) => status),
+    head: loaded.then(({ data = {} }) => renderHead(route.head(data, context), HEAD_OPTIONS)),
+    body: loaded
+      .then(({ initialData = {} }) => initialData)
+      .then((initialData) => ({ html: route.render(context), initialData })),
+  };
+}
 
-      initialData = {
-        currentProduct: product,
-        relatedProducts,
-      };
-    } else {
-      stores.productStore.dispatch({
-        type: PRODUCT_ACTIONS.SET_ERROR,
-        payload: "상품을 찾을 수 없습니다.",
-      });
-    }
-  }
+/**
+ * 서버 사이드 렌더링 메인 함수
+ * @param {string} url - 요청 URL
+ * @returns {Promise<{ html: string, head: string, initialData: Object, status: number }>}
+ */
+export async function render(url) {
+  const { status, head, body } = renderStream(url);
+  const [statusCode, headHtml, { html, initialData }] = await Promise.all([status, head, body]);
 
-  // HTML 렌더링
-  let html = "";
+  return { html, head: headHtml, initialData, status: statusCode };
+}
 
-  if (routePath === "/") {
-    html = renderHomePage(stores, query);
-  } else if (routePath === "/product/:id/") {
-    html = renderProductDetailPage(stores);
-  } else {
-    html = renderNotFoundPage(stores);
-  }
+/**
+ * 렌더링 중 예외가 발생했을 때 보여줄 500 페이지 렌더링
+ * 데이터 프리페칭 없이 빈 스토어로 렌더링하므로 그 자체로는 실패하지 않는다.
+ * @returns {{ html: string, head: string, initialData: Object, status: number }}
+ */
+export function renderError() {
+  const stores = createServerStores();
 
-  // SEO Head 태그 생성
-  let head = "";
+  return {
+    html: renderErrorPage(stores, href),
+    head: renderHead(errorHead(), HEAD_OPTIONS),
+    initialData: {},
+    status: 500,
+  };
+}
 
-  if (routePath === "/") {
-    head = `<title>쇼핑몰 - 홈</title>
-      <meta name="description" content="다양한 상품을 만나보세요">`;
-  } else if (routePath === "/product/:id/") {
-    const product = stores.productStore.getState().currentProduct;
-    if (product) {
-      head = `
-        <title>${product.title} - 쇼핑몰</title>
-        <meta name="description" content="${product.brand} - ${Number(product.lprice).toLocaleString()}원">
-      `;
-    } else {
-      head = `
-        <title>상품을 찾을 수 없습니다 - 쇼핑몰</title>
-      `;
-    }
-  } else {
-    head = `
-      <title>페이지를 찾을 수 없습니다 - 쇼핑몰</title>
-    `;
+/**
+ * 사이트맵 생성용 카탈로그 조회 (전체 상품 + 카테고리 트리)
+ * @returns {Promise<{ products: Object[], categories: Object }>}
+ */
+export async function loadSitemapData() {
+  const products = [];
+  let page = 1;
+  let hasNext = true;
+
+  while (hasNext) {
+    const { products: pageProducts, pagination } = await getProducts({ current: page, limit: 100 });
+    products.push(...pageProducts);
+    hasNext = pagination.hasNext;
+    page++;
   }
 
-  return { html, head, initialData };
+  const categories = await getCategories();
+  return { products, categories };
 }
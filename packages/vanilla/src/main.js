@@ -4,7 +4,13 @@ import { registerAllEvents } from "./events";
 import { loadCartFromStorage } from "./services";
 import { router } from "./router";
 import { BASE_URL } from "./constants.js";
-import { productStore, PRODUCT_ACTIONS } from "./stores";
+import { productStore, productActions } from "./stores";
+
+/**
+ * API 서버 없이 정적으로 배포되는 빌드(CSR, SSG)에서만 MSW로 /api 요청을 처리
+ * SSR 서버는 /api를 직접 제공하므로 VITE_ENABLE_MOCKING을 설정하지 않는다.
+ */
+const mockingEnabled = import.meta.env.VITE_ENABLE_MOCKING === "true";
 
 const enableMocking = () =>
   import("./mocks/browser.js").then(({ worker }) =>
@@ -23,34 +29,25 @@ function hydrateInitialData() {
   if (typeof window !== "undefined" && window.__INITIAL_DATA__) {
     const data = window.__INITIAL_DATA__;
 
-    console.log("__INITIAL_DATA__", data);
-
     // 홈페이지 데이터 복원 (상품 목록, 카테고리)
     if (data.products) {
-      productStore.dispatch({
-        type: PRODUCT_ACTIONS.SETUP,
-        payload: {
+      productStore.dispatch(
+        productActions.setup({
           products: data.products,
           totalCount: data.totalCount,
           categories: data.categories || {},
           loading: false,
           error: null,
-        },
-      });
+        }),
+      );
     }
 
     // 상품 상세 페이지 데이터 복원
     if (data.currentProduct) {
-      productStore.dispatch({
-        type: PRODUCT_ACTIONS.SET_CURRENT_PRODUCT,
-        payload: data.currentProduct,
-      });
+      productStore.dispatch(productActions.setCurrentProduct(data.currentProduct));
 
       if (data.relatedProducts) {
-        productStore.dispatch({
-          type: PRODUCT_ACTIONS.SET_RELATED_PRODUCTS,
-          payload: data.relatedProducts,
-        });
+        productStore.dispatch(productActions.setRelatedProducts(data.relatedProducts));
       }
     }
 
@@ -70,7 +67,7 @@ function main() {
   router.start();
 }
 
-if (import.meta.env.MODE !== "test") {
+if (mockingEnabled) {
   enableMocking().then(main);
 } else {
   main();
@@ -1,4 +0,0 @@
-import { setupServer } from "msw/node";
-import { handlers } from "./handlers.js";
-
-export const server = setupServer(...handlers);
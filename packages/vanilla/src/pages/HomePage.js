@@ -1,13 +1,16 @@
 import { ProductList, SearchBar } from "../components";
 import { productStore } from "../stores";
 import { router, withLifecycle } from "../router";
-import { loadProducts, loadProductsAndCategories } from "../services";
+import { hasLoadedProductList, loadProducts, loadProductsAndCategories } from "../services";
 import { PageWrapper } from "./PageWrapper.js";
 
 export const HomePage = withLifecycle(
   {
     onMount: () => {
-      loadProductsAndCategories();
+      // 같은 필터로 불러온 목록이 있으면 (상세 페이지에서 뒤로 가기) 불러온 페이지를 그대로 사용
+      if (!hasLoadedProductList()) {
+        loadProductsAndCategories();
+      }
     },
     watches: [
       () => {
@@ -19,7 +22,7 @@ export const HomePage = withLifecycle(
   },
   () => {
     const productState = productStore.getState();
-    const { search: searchQuery, limit, sort, category1, category2 } = router.query;
+    const { search: searchQuery, limit, sort, category1, category2 } = router.parsedQuery;
     const { products, loading, error, totalCount, categories } = productState;
     const category = { category1, category2 };
     const hasMore = products.length < totalCount;
@@ -27,7 +30,7 @@ export const HomePage = withLifecycle(
     return PageWrapper({
       headerLeft: `
         <h1 class="text-xl font-bold text-gray-900">
-          <a href="/" data-link>쇼핑몰</a>
+          <a href="${router.href("home")}" data-link>쇼핑몰</a>
         </h1>
       `.trim(),
       children: `
@@ -1,9 +1,10 @@
 import { PageWrapper } from "./PageWrapper";
 import { Logo } from "../components";
+import { router } from "../router";
 
 export const NotFoundPage = () =>
   PageWrapper({
-    headerLeft: Logo(),
+    headerLeft: Logo(router.href("home")),
     children: `
       <div class="text-center my-4 py-20 shadow-md p-6 bg-white rounded-lg">
         <svg viewBox="0 0 320 180" xmlns="http://www.w3.org/2000/svg">
@@ -33,7 +34,7 @@ export const NotFoundPage = () =>
           <rect x="130" y="130" width="60" height="2" rx="1" fill="url(#blueGradient)" opacity="0.3"/>
         </svg>
         
-        <a href="/" data-link class="inline-block px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors">홈으로</a>
+        <a href="${router.href("home")}" data-link class="inline-block px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors">홈으로</a>
       </div>
     `.trim(),
   });
@@ -27,7 +27,7 @@ const ErrorContent = ({ error }) => `
               class="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 mr-2">
         이전 페이지
       </button>
-      <a href="/" data-link class="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700">
+      <a href="${router.href("home")}" data-link class="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700">
         홈으로
       </a>
     </div>
@@ -63,7 +63,7 @@ function ProductDetail({ product, relatedProducts = [] }) {
         ? `
       <nav class="mb-4">
         <div class="flex items-center space-x-2 text-sm text-gray-600">
-          <a href="/" data-link class="hover:text-blue-600 transition-colors">홈</a>
+          <a href="${router.href("home")}" data-link class="hover:text-blue-600 transition-colors">홈</a>
           ${breadcrumbItems
             .map(
               (item) => `
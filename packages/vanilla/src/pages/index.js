@@ -1,3 +1,2 @@
 export * from "./HomePage";
-export * from "./ProductDetailPage";
 export * from "./NotFoundPage";
@@ -0,0 +1,31 @@
+import { Logo } from "../../components/index.js";
+import { ServerPageWrapper } from "./ServerPageWrapper.js";
+
+/**
+ * 서버용 ErrorPage 렌더링 (500)
+ * @param {Object} stores - { productStore, cartStore, uiStore }
+ * @param {import("../../lib/ServerRouter.js").ServerRouteContext["href"]} href - 이름 있는 라우트 URL 생성
+ * @returns {string} - 렌더링된 HTML
+ */
+export function renderErrorPage(stores, href) {
+  return ServerPageWrapper(
+    {
+      headerLeft: Logo(href("home")),
+      children: `
+        <div class="text-center my-4 py-20 shadow-md p-6 bg-white rounded-lg">
+          <div class="text-red-500 mb-4">
+            <svg class="mx-auto h-12 w-12" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+                    d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L4.082 16.5c-.77.833.192 2.5 1.732 2.5z"/>
+            </svg>
+          </div>
+          <h1 class="text-xl font-bold text-gray-900 mb-2">일시적인 오류가 발생했습니다</h1>
+          <p class="text-gray-600 mb-6">잠시 후 다시 시도해주세요.</p>
+
+          <a href="${href("home")}" data-link class="inline-block px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors">홈으로</a>
+        </div>
+      `.trim(),
+    },
+    stores,
+  );
+}
@@ -4,12 +4,13 @@ import { ServerPageWrapper } from "./ServerPageWrapper.js";
 /**
  * 서버용 HomePage 렌더링
  * @param {Object} stores - { productStore, cartStore, uiStore }
- * @param {Object} query - URL 쿼리 파라미터
+ * @param {Object} query - 상품 목록 쿼리 스키마로 변환된 쿼리 파라미터 (기본값 포함)
+ * @param {import("../../lib/ServerRouter.js").ServerRouteContext["href"]} href - 이름 있는 라우트 URL 생성
  * @returns {string} - 렌더링된 HTML
  */
-export function renderHomePage(stores, query) {
+export function renderHomePage(stores, query, href) {
   const productState = stores.productStore.getState();
-  const { search: searchQuery = "", limit = "20", sort = "", category1 = "", category2 = "" } = query;
+  const { search: searchQuery, limit, sort, category1, category2 } = query;
   const { products, loading, error, totalCount, categories } = productState;
   const category = { category1, category2 };
   const hasMore = products.length < totalCount;
@@ -18,7 +19,7 @@ export function renderHomePage(stores, query) {
     {
       headerLeft: `
         <h1 class="text-xl font-bold text-gray-900">
-          <a href="/" data-link>쇼핑몰</a>
+          <a href="${href("home")}" data-link>쇼핑몰</a>
         </h1>
       `.trim(),
       children: `
@@ -4,12 +4,13 @@ import { ServerPageWrapper } from "./ServerPageWrapper.js";
 /**
  * 서버용 NotFoundPage 렌더링
  * @param {Object} stores - { productStore, cartStore, uiStore }
+ * @param {import("../../lib/ServerRouter.js").ServerRouteContext["href"]} href - 이름 있는 라우트 URL 생성
  * @returns {string} - 렌더링된 HTML
  */
-export function renderNotFoundPage(stores) {
+export function renderNotFoundPage(stores, href) {
   return ServerPageWrapper(
     {
-      headerLeft: Logo(),
+      headerLeft: Logo(href("home")),
       children: `
         <div class="text-center my-4 py-20 shadow-md p-6 bg-white rounded-lg">
           <svg viewBox="0 0 320 180" xmlns="http://www.w3.org/2000/svg">
@@ -35,7 +36,7 @@ export function renderNotFoundPage(stores) {
             <rect x="130" y="130" width="60" height="2" rx="1" fill="url(#blueGradient)" opacity="0.3"/>
           </svg>
 
-          <a href="/" data-link class="inline-block px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors">홈으로</a>
+          <a href="${href("home")}" data-link class="inline-block px-6 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors">홈으로</a>
         </div>
       `.trim(),
     },
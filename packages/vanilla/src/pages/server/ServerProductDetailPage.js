@@ -3,9 +3,10 @@ import { ServerPageWrapper } from "./ServerPageWrapper.js";
 /**
  * 서버용 ProductDetailPage 렌더링
  * @param {Object} stores - { productStore, cartStore, uiStore }
+ * @param {import("../../lib/ServerRouter.js").ServerRouteContext["href"]} href - 이름 있는 라우트 URL 생성
  * @returns {string} - 렌더링된 HTML
  */
-export function renderProductDetailPage(stores) {
+export function renderProductDetailPage(stores, href) {
   const { currentProduct: product, relatedProducts = [], error, loading } = stores.productStore.getState();
 
   const loadingContent = `
@@ -32,7 +33,7 @@ export function renderProductDetailPage(stores) {
                 class="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 mr-2">
           이전 페이지
         </button>
-        <a href="/" data-link class="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700">
+        <a href="${href("home")}" data-link class="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700">
           홈으로
         </a>
       </div>
@@ -66,7 +67,7 @@ export function renderProductDetailPage(stores) {
           ? `
         <nav class="mb-4">
           <div class="flex items-center space-x-2 text-sm text-gray-600">
-            <a href="/" data-link class="hover:text-blue-600 transition-colors">홈</a>
+            <a href="${href("home")}" data-link class="hover:text-blue-600 transition-colors">홈</a>
             ${breadcrumbItems
               .map(
                 (item) => `
@@ -0,0 +1,13 @@
+import { createShopHeads, getSiteOrigin } from "@hanghae-plus/ssr";
+import { BASE_URL } from "../../constants.js";
+
+/**
+ * head 생성 공통 옵션 (canonical/og:url은 base 경로를 포함한 절대 URL)
+ */
+export const HEAD_OPTIONS = {
+  origin: getSiteOrigin(),
+  base: BASE_URL,
+  siteName: "쇼핑몰",
+};
+
+export const { homeHead, productDetailHead, notFoundHead, errorHead } = createShopHeads(HEAD_OPTIONS);
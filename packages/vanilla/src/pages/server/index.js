@@ -2,3 +2,6 @@ export { ServerPageWrapper } from "./ServerPageWrapper.js";
 export { renderHomePage } from "./ServerHomePage.js";
 export { renderProductDetailPage } from "./ServerProductDetailPage.js";
 export { renderNotFoundPage } from "./ServerNotFoundPage.js";
+export { renderErrorPage } from "./ServerErrorPage.js";
+export { HEAD_OPTIONS, homeHead, productDetailHead, notFoundHead, errorHead } from "./heads.js";
+export { createServerRouter, notFoundRoute } from "./routes.js";
@@ -0,0 +1,125 @@
+import { productActions } from "../../stores/productStore.js";
+import { getProducts, getProduct, getCategories } from "../../api/serverProductApi.js";
+import { ServerRouter } from "../../lib/ServerRouter.js";
+import { productListQuerySchema, productParamsSchema } from "../../router/schemas.js";
+import { BASE_URL } from "../../constants.js";
+import { homeHead, productDetailHead, notFoundHead } from "./heads.js";
+import { renderHomePage } from "./ServerHomePage.js";
+import { renderProductDetailPage } from "./ServerProductDetailPage.js";
+import { renderNotFoundPage } from "./ServerNotFoundPage.js";
+
+/**
+ * 홈페이지 데이터 프리페칭 (상품 목록 + 카테고리)
+ * @param {Object} stores - { productStore, cartStore, uiStore }
+ * @param {Object} query - 상품 목록 쿼리 스키마로 변환된 쿼리 파라미터
+ * @returns {Promise<Object>} - 클라이언트로 전달할 initialData
+ */
+async function prefetchHomePage(stores, query) {
+  const [productsData, categories] = await Promise.all([
+    // 서버에서는 항상 첫 페이지만 렌더링 (클라이언트도 첫 페이지부터 무한 스크롤)
+    getProducts({ ...query, current: 1 }),
+    getCategories(),
+  ]);
+
+  stores.productStore.dispatch(
+    productActions.setup({
+      products: productsData.products,
+      totalCount: productsData.pagination.total,
+      categories,
+      loading: false,
+      error: null,
+    }),
+  );
+
+  return {
+    products: productsData.products,
+    categories,
+    totalCount: productsData.pagination.total,
+  };
+}
+
+/**
+ * 상품 상세 페이지 데이터 프리페칭 (관련 상품)
+ * @param {Object} stores - { productStore, cartStore, uiStore }
+ * @param {string} productId - 상품 ID
+ * @param {Object|null} product - 이미 조회한 상품 (없으면 null)
+ * @returns {Promise<Object>} - 클라이언트로 전달할 initialData
+ */
+async function prefetchProductDetail(stores, productId, product) {
+  if (!product) {
+    stores.productStore.dispatch(productActions.setError("상품을 찾을 수 없습니다."));
+    return {};
+  }
+
+  // 관련 상품 조회 (같은 카테고리)
+  const relatedData = await getProducts({
+    category1: product.category1,
+    limit: 20,
+  });
+  const relatedProducts = relatedData.products.filter((p) => p.productId !== productId);
+
+  stores.productStore.dispatch(productActions.setCurrentProduct(product));
+  stores.productStore.dispatch(productActions.setRelatedProducts(relatedProducts));
+
+  return {
+    currentProduct: product,
+    relatedProducts,
+  };
+}
+
+/**
+ * 홈페이지: head는 데이터와 무관하므로 loader가 바로 반환하고, 목록 데이터는 initialData로 지연
+ * @type {import("../../lib/ServerRouter.js").ServerRouteDefinition}
+ */
+const homeRoute = {
+  name: "home",
+  query: productListQuerySchema,
+  loader: ({ stores, query }) => ({ initialData: prefetchHomePage(stores, query) }),
+  head: (data, { query }) => homeHead(query),
+  render: ({ stores, query, href }) => renderHomePage(stores, query, href),
+};
+
+/**
+ * 상품 상세: head와 상태 코드는 상품 정보만, 본문은 관련 상품까지 기다림
+ * @type {import("../../lib/ServerRouter.js").ServerRouteDefinition}
+ */
+const productDetailRoute = {
+  name: "product",
+  params: productParamsSchema,
+  loader: async ({ stores, params }) => {
+    const product = await getProduct(params.id);
+
+    return {
+      status: product ? 200 : 404,
+      data: { product },
+      initialData: prefetchProductDetail(stores, params.id, product),
+    };
+  },
+  head: ({ product }) => productDetailHead(product),
+  render: ({ stores, href }) => renderProductDetailPage(stores, href),
+};
+
+/**
+ * 404 페이지 (매칭되는 라우트가 없을 때도 사용)
+ * @type {import("../../lib/ServerRouter.js").ServerRouteDefinition}
+ */
+export const notFoundRoute = {
+  loader: () => ({ status: 404 }),
+  head: () => notFoundHead(),
+  render: ({ stores, href }) => renderNotFoundPage(stores, href),
+};
+
+/**
+ * 서버 라우터 생성
+ * 새 페이지는 라우트 정의 하나를 등록하면 렌더링 파이프라인(main-server.js)에 자동으로 반영된다.
+ * @returns {ServerRouter}
+ */
+export function createServerRouter() {
+  const router = new ServerRouter(BASE_URL);
+
+  router.addRoute("/", homeRoute);
+  router.addRoute("/product/:id/", productDetailRoute);
+  router.addRoute("/404", notFoundRoute);
+
+  return router;
+}
@@ -1,11 +1,18 @@
 import { cartStore, productStore, uiStore } from "./stores";
 import { router } from "./router";
-import { HomePage, NotFoundPage, ProductDetailPage } from "./pages";
+import { productListQuerySchema, productParamsSchema } from "./router/schemas.js";
+import { HomePage, NotFoundPage } from "./pages";
 import { withBatch } from "./utils";
+import { lazyRoute } from "./lib";
+
+// 상품 상세 페이지는 별도 청크로 분리해 처음 이동할 때(또는 상품 카드에 마우스를 올렸을 때) 불러옴
+const ProductDetailPage = lazyRoute(() =>
+  import("./pages/ProductDetailPage.js").then((module) => module.ProductDetailPage),
+);
 
 // 홈 페이지 (상품 목록)
-router.addRoute("/", HomePage);
-router.addRoute("/product/:id/", ProductDetailPage);
+router.addRoute("/", HomePage, { name: "home", query: productListQuerySchema });
+router.addRoute("/product/:id/", ProductDetailPage, { name: "product", params: productParamsSchema });
 router.addRoute(".*", NotFoundPage);
 
 /**
@@ -16,6 +23,8 @@ export const render = withBatch(() => {
   if (!rootElement) return;
 
   const PageComponent = router.target;
+  // 첫 페이지의 lazy 핸들러를 불러오는 중이면 서버에서 렌더링한 화면을 그대로 둠
+  if (!PageComponent) return;
 
   // App 컴포넌트 렌더링
   rootElement.innerHTML = PageComponent();
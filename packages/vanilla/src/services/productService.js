@@ -1,17 +1,33 @@
 import { getCategories, getProduct, getProducts } from "../api/productApi";
-import { initialProductState, productStore, PRODUCT_ACTIONS } from "../stores";
+import { initialProductState, productActions, productStore } from "../stores";
 import { router } from "../router";
 
+// 현재 목록을 불러온 필터 (페이지 제외)
+// 상세 페이지에서 뒤로 돌아왔을 때 이미 불러온 페이지를 재사용해 스크롤 위치를 복원할 수 있게 함
+let loadedListKey = null;
+
+const getListKey = (query) =>
+  Object.entries(query)
+    .filter(([key, value]) => key !== "current" && value !== undefined && value !== "")
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+
+/**
+ * 현재 URL 필터로 불러온 상품 목록이 스토어에 남아 있는지 확인
+ */
+export const hasLoadedProductList = (query = router.query) =>
+  productStore.getState().products.length > 0 && loadedListKey === getListKey(query);
+
 export const loadProductsAndCategories = async () => {
-  router.query = { current: undefined }; // 항상 첫 페이지로 초기화
-  productStore.dispatch({
-    type: PRODUCT_ACTIONS.SETUP,
-    payload: {
+  router.setQuery({ current: undefined }, { replace: true }); // 항상 첫 페이지로 초기화
+  productStore.dispatch(
+    productActions.setup({
       ...initialProductState,
       loading: true,
       status: "pending",
-    },
-  });
+    }),
+  );
 
   try {
     const [
@@ -23,21 +39,18 @@ export const loadProductsAndCategories = async () => {
     ] = await Promise.all([getProducts(router.query), getCategories()]);
 
     // 페이지 리셋이면 새로 설정, 아니면 기존에 추가
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: {
+    productStore.dispatch(
+      productActions.setup({
         products,
         categories,
         totalCount: total,
         loading: false,
         status: "done",
-      },
-    });
+      }),
+    );
+    loadedListKey = getListKey(router.query);
   } catch (error) {
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_ERROR,
-      payload: error.message,
-    });
+    productStore.dispatch(productActions.setError(error.message));
     throw error;
   }
 };
@@ -47,10 +60,7 @@ export const loadProductsAndCategories = async () => {
  */
 export const loadProducts = async (resetList = true) => {
   try {
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: { loading: true, status: "pending", error: null },
-    });
+    productStore.dispatch(productActions.setup({ loading: true, status: "pending", error: null }));
 
     const {
       products,
@@ -60,15 +70,13 @@ export const loadProducts = async (resetList = true) => {
 
     // 페이지 리셋이면 새로 설정, 아니면 기존에 추가
     if (resetList) {
-      productStore.dispatch({ type: PRODUCT_ACTIONS.SET_PRODUCTS, payload });
+      productStore.dispatch({ type: productActions.SET_PRODUCTS, payload });
+      loadedListKey = getListKey(router.query);
       return;
     }
-    productStore.dispatch({ type: PRODUCT_ACTIONS.ADD_PRODUCTS, payload });
+    productStore.dispatch({ type: productActions.ADD_PRODUCTS, payload });
   } catch (error) {
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_ERROR,
-      payload: error.message,
-    });
+    productStore.dispatch(productActions.setError(error.message));
     throw error;
   }
 };
@@ -84,7 +92,8 @@ export const loadMoreProducts = async () => {
     return;
   }
 
-  router.query = { current: Number(router.query.current ?? 1) + 1 };
+  // 페이지마다 히스토리를 쌓으면 뒤로 가기가 이전 페이지 번호로만 이동하므로 현재 항목을 교체
+  router.setQuery({ current: router.parsedQuery.current + 1 }, { replace: true });
   await loadProducts(false);
 };
 /**
@@ -128,24 +137,21 @@ export const loadProductDetailForPage = async (productId) => {
       }
       return;
     }
-    // 현재 상품 클리어
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SETUP,
-      payload: {
-        ...initialProductState,
+    // 현재 상품 클리어 (뒤로 가기 시 재사용할 수 있도록 목록은 유지)
+    productStore.dispatch(
+      productActions.setup({
         currentProduct: null,
+        relatedProducts: [],
+        error: null,
         loading: true,
         status: "pending",
-      },
-    });
+      }),
+    );
 
     const product = await getProduct(productId);
 
     // 현재 상품 설정
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_CURRENT_PRODUCT,
-      payload: product,
-    });
+    productStore.dispatch(productActions.setCurrentProduct(product));
 
     // 관련 상품 로드 (같은 category2 기준)
     if (product.category2) {
@@ -153,10 +159,7 @@ export const loadProductDetailForPage = async (productId) => {
     }
   } catch (error) {
     console.error("상품 상세 페이지 로드 실패:", error);
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_ERROR,
-      payload: error.message,
-    });
+    productStore.dispatch(productActions.setError(error.message));
     throw error;
   }
 };
@@ -169,7 +172,7 @@ export const loadRelatedProducts = async (category2, excludeProductId) => {
     const params = {
       category2,
       limit: 20, // 관련 상품 20개
-      page: 1,
+      current: 1,
     };
 
     const response = await getProducts(params);
@@ -177,16 +180,10 @@ export const loadRelatedProducts = async (category2, excludeProductId) => {
     // 현재 상품 제외
     const relatedProducts = response.products.filter((product) => product.productId !== excludeProductId);
 
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_RELATED_PRODUCTS,
-      payload: relatedProducts,
-    });
+    productStore.dispatch(productActions.setRelatedProducts(relatedProducts));
   } catch (error) {
     console.error("관련 상품 로드 실패:", error);
     // 관련 상품 로드 실패는 전체 페이지에 영향주지 않도록 조용히 처리
-    productStore.dispatch({
-      type: PRODUCT_ACTIONS.SET_RELATED_PRODUCTS,
-      payload: [],
-    });
+    productStore.dispatch(productActions.setRelatedProducts([]));
   }
 };
@@ -0,0 +1,20 @@
+import { persist } from "../lib";
+import { cartStore } from "../stores";
+
+const isServer = typeof window === "undefined";
+
+/**
+ * 장바구니를 로컬스토리지에 저장하는 persistor
+ * main에서 첫 렌더링 전에 rehydrate한다. (loadCartFromStorage)
+ */
+export const cartPersistor = persist(cartStore, isServer ? null : window.localStorage, {
+  key: "shopping_cart",
+  whitelist: ["items", "selectedAll"],
+  version: 1,
+  // 버전 0: { items, selectedAll }를 그대로 저장하던 형식 (선택 기능 이전에 담은 아이템은 selected가 없음)
+  migrate: (state) => ({
+    items: (state.items ?? []).map((item) => ({ ...item, selected: item.selected ?? false })),
+    selectedAll: state.selectedAll ?? false,
+  }),
+  manualRehydrate: true,
+});
@@ -1,3 +0,0 @@
-import { createStorage } from "../lib";
-
-export const cartStorage = createStorage("shopping_cart");
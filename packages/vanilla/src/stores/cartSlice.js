@@ -0,0 +1,127 @@
+import { createSlice } from "../lib";
+
+/**
+ * 장바구니 스토어 초기 상태
+ *
+ * @typedef {Object} CartItem
+ * @property {string} id - 상품 ID
+ * @property {string} title - 상품 제목
+ * @property {string} image - 상품 이미지 URL
+ * @property {number} price - 상품 가격
+ * @property {number} quantity - 상품 수량
+ * @property {boolean} selected - 선택 여부
+ *
+ *
+ * @typedef {Object} CartState
+ * @property {CartItem[]} items - 장바구니 아이템 목록
+ * @property {boolean} selectedAll - 전체 선택 여부
+ *
+ * @typedef {Object} CartAction
+ * @property {string} type - 액션 타입
+ * @property {Object} payload - 액션에 필요한 데이터
+ */
+
+/**
+ * @type {CartState}
+ */
+const initialState = {
+  items: [],
+  selectedAll: false,
+};
+
+/**
+ * 장바구니 아이템 찾기
+ */
+const findCartItem = (items, productId) => {
+  return items.find((item) => item.id === productId);
+};
+
+const setAllSelected = (state, selected) => ({
+  ...state,
+  items: state.items.map((item) => ({ ...item, selected })),
+  selectedAll: selected,
+});
+
+/**
+ * 장바구니 스토어 슬라이스
+ */
+export const cartSlice = createSlice({
+  name: "cart",
+  initialState,
+  reducers: {
+    // 기본 CRUD
+    addItem: (state, action) => {
+      const { product, quantity = 1 } = action.payload;
+      const existingItem = findCartItem(state.items, product.productId);
+
+      if (existingItem) {
+        // 기존 아이템 수량 증가
+        return {
+          ...state,
+          items: state.items.map((item) =>
+            item.id === product.productId ? { ...item, quantity: item.quantity + quantity } : item,
+          ),
+        };
+      }
+
+      // 새 아이템 추가
+      const newItem = {
+        id: product.productId,
+        title: product.title,
+        image: product.image,
+        price: parseInt(product.lprice),
+        quantity,
+        selected: false,
+      };
+      return {
+        ...state,
+        items: [...state.items, newItem],
+      };
+    },
+
+    removeItem: (state, action) => ({
+      ...state,
+      items: state.items.filter((item) => item.id !== action.payload),
+    }),
+
+    updateQuantity: (state, action) => {
+      const { productId, quantity } = action.payload;
+      return {
+        ...state,
+        items: state.items.map((item) => (item.id === productId ? { ...item, quantity: Math.max(1, quantity) } : item)),
+      };
+    },
+
+    clearCart: (state) => ({
+      ...state,
+      items: [],
+      selectedAll: false,
+    }),
+
+    // 선택 관리
+    toggleSelect: (state, action) => {
+      const items = state.items.map((item) =>
+        item.id === action.payload ? { ...item, selected: !item.selected } : item,
+      );
+
+      // 전체 선택 상태 업데이트
+      return {
+        ...state,
+        items,
+        selectedAll: items.length > 0 && items.every((item) => item.selected),
+      };
+    },
+
+    selectAll: (state) => setAllSelected(state, true),
+
+    deselectAll: (state) => setAllSelected(state, false),
+
+    removeSelected: (state) => ({
+      ...state,
+      items: state.items.filter((item) => !item.selected),
+      selectedAll: false,
+    }),
+  },
+});
+
+export const cartActions = cartSlice.actions;
@@ -1,4 +1,5 @@
-import { PRODUCT_ACTIONS } from "./actionTypes.js";
+import { productActions } from "./productStore.js";
+import { initialUiState } from "./uiSlice.js";
 
 /**
  * 서버 사이드 렌더링용 Store 생성
@@ -13,7 +14,7 @@ export function createServerStore(initialState) {
     getState: () => state,
     dispatch: (action) => {
       switch (action.type) {
-        case PRODUCT_ACTIONS.SET_PRODUCTS:
+        case productActions.setProducts.type:
           state = {
             ...state,
             products: action.payload.products,
@@ -22,13 +23,13 @@ export function createServerStore(initialState) {
             error: null,
           };
           break;
-        case PRODUCT_ACTIONS.SET_CATEGORIES:
+        case productActions.setCategories.type:
           state = {
             ...state,
             categories: action.payload,
           };
           break;
-        case PRODUCT_ACTIONS.SET_CURRENT_PRODUCT:
+        case productActions.setCurrentProduct.type:
           state = {
             ...state,
             currentProduct: action.payload,
@@ -36,13 +37,20 @@ export function createServerStore(initialState) {
             error: null,
           };
           break;
-        case PRODUCT_ACTIONS.SET_RELATED_PRODUCTS:
+        case productActions.setRelatedProducts.type:
           state = {
             ...state,
             relatedProducts: action.payload,
           };
           break;
-        case PRODUCT_ACTIONS.SETUP:
+        case productActions.setError.type:
+          state = {
+            ...state,
+            error: action.payload,
+            loading: false,
+          };
+          break;
+        case productActions.setup.type:
           state = { ...state, ...action.payload };
           break;
       }
@@ -71,10 +79,6 @@ export function createServerStores() {
       items: [],
       selectedAll: false,
     }),
-    uiStore: createServerStore({
-      cartModal: { isOpen: false },
-      globalLoading: false,
-      toast: { isVisible: false, message: "", type: "info" },
-    }),
+    uiStore: createServerStore(initialUiState),
   };
 }
@@ -1,4 +1,6 @@
-export * from "./actionTypes";
 export * from "./productStore";
+export * from "./cartSlice";
 export * from "./cartStore";
+export * from "./uiSlice";
 export * from "./uiStore";
+export * from "./selectors";
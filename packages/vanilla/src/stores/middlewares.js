@@ -0,0 +1,24 @@
+import { uiActions } from "./uiSlice.js";
+
+// 토스트를 자동으로 숨기기까지의 기본 시간 (ms)
+const TOAST_DURATION = 3000;
+
+/**
+ * 토스트를 표시하면 일정 시간(payload.duration, 기본 3초) 뒤 자동으로 숨기는 미들웨어
+ * 새 토스트가 표시되면 이전 타이머를 취소해 새 토스트가 일찍 사라지지 않게 한다.
+ */
+export const toastAutoHideMiddleware = ({ dispatch }) => {
+  let timerId = null;
+
+  return (next) => (action) => {
+    const result = next(action);
+
+    if (uiActions.showToast.match(action)) {
+      clearTimeout(timerId);
+      timerId = setTimeout(() => {
+        dispatch(uiActions.hideToast());
+      }, action.payload.duration ?? TOAST_DURATION);
+    }
+    return result;
+  };
+};
@@ -1,5 +1,4 @@
-import { createStore } from "../lib";
-import { PRODUCT_ACTIONS } from "./actionTypes";
+import { createSlice, createStore, devTools } from "../lib";
 
 /**
  * 상품 스토어 초기 상태
@@ -22,85 +21,77 @@ export const initialProductState = {
   categories: {},
 };
 
+const done = { loading: false, error: null, status: "done" };
+
 /**
- * 상품 스토어 리듀서
+ * 상품 스토어 슬라이스
  */
-const productReducer = (state, action) => {
-  switch (action.type) {
-    case PRODUCT_ACTIONS.SET_STATUS:
-      return {
-        ...state,
-        status: action.payload,
-      };
-
-    case PRODUCT_ACTIONS.SET_CATEGORIES:
-      return {
-        ...state,
-        categories: action.payload,
-        loading: false,
-        error: null,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SET_PRODUCTS:
-      return {
-        ...state,
-        products: action.payload.products,
-        totalCount: action.payload.totalCount,
-        loading: false,
-        error: null,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.ADD_PRODUCTS:
-      return {
-        ...state,
-        products: [...state.products, ...action.payload.products],
-        totalCount: action.payload.totalCount,
-        loading: false,
-        error: null,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SET_LOADING:
-      return {
-        ...state,
-        loading: action.payload,
-      };
-
-    case PRODUCT_ACTIONS.SET_ERROR:
-      return {
-        ...state,
-        error: action.payload,
-        loading: false,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SET_CURRENT_PRODUCT:
-      return {
-        ...state,
-        currentProduct: action.payload,
-        loading: false,
-        error: null,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SET_RELATED_PRODUCTS:
-      return {
-        ...state,
-        relatedProducts: action.payload,
-        status: "done",
-      };
-
-    case PRODUCT_ACTIONS.SETUP:
-      return { ...state, ...action.payload };
-
-    default:
-      return state;
-  }
-};
+export const productSlice = createSlice({
+  name: "products",
+  initialState: initialProductState,
+  reducers: {
+    // 상품 목록
+    setProducts: (state, action) => ({
+      ...state,
+      ...done,
+      products: action.payload.products,
+      totalCount: action.payload.totalCount,
+    }),
+
+    // 무한스크롤용
+    addProducts: (state, action) => ({
+      ...state,
+      ...done,
+      products: [...state.products, ...action.payload.products],
+      totalCount: action.payload.totalCount,
+    }),
+
+    setLoading: (state, action) => ({
+      ...state,
+      loading: action.payload,
+    }),
+
+    setError: (state, action) => ({
+      ...state,
+      error: action.payload,
+      loading: false,
+      status: "done",
+    }),
+
+    // 카테고리
+    setCategories: (state, action) => ({
+      ...state,
+      ...done,
+      categories: action.payload,
+    }),
+
+    // 상품 상세
+    setCurrentProduct: (state, action) => ({
+      ...state,
+      ...done,
+      currentProduct: action.payload,
+    }),
+
+    setRelatedProducts: (state, action) => ({
+      ...state,
+      relatedProducts: action.payload,
+      status: "done",
+    }),
+
+    // 여러 필드를 한 번에 설정 (초기화, hydration)
+    setup: (state, action) => ({ ...state, ...action.payload }),
+
+    // status 관리
+    setStatus: (state, action) => ({
+      ...state,
+      status: action.payload,
+    }),
+  },
+});
+
+export const productActions = productSlice.actions;
 
 /**
  * 상품 스토어 생성
  */
-export const productStore = createStore(productReducer, initialProductState);
+export const productStore = createStore(productSlice.reducer, initialProductState, devTools({ name: "productStore" }));
@@ -0,0 +1,22 @@
+import { createSelector } from "../lib";
+
+const computeAmount = (items) => items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+const selectCartItems = (cart) => cart.items;
+
+/**
+ * 선택된 장바구니 아이템 목록
+ */
+export const selectSelectedCartItems = createSelector([selectCartItems], (items) =>
+  items.filter((item) => item.selected),
+);
+
+/**
+ * 장바구니 금액 요약 (items가 바뀔 때만 다시 계산)
+ * 토스트나 모달 열림처럼 장바구니와 관련 없는 변경으로 다시 렌더링될 때는 이전 결과를 재사용한다.
+ */
+export const selectCartSummary = createSelector([selectCartItems, selectSelectedCartItems], (items, selectedItems) => ({
+  selectedCount: selectedItems.length,
+  totalAmount: computeAmount(items),
+  selectedAmount: computeAmount(selectedItems),
+}));
@@ -0,0 +1,69 @@
+import { combineReducers, createSlice } from "../lib";
+
+/**
+ * UI 스토어 상태
+ *
+ * @typedef {Object} ToastState
+ * @property {boolean} isVisible - 표시 여부
+ * @property {string} message - 알림 메시지
+ * @property {"info" | "success" | "error" | "warning"} type - 알림 종류
+ *
+ * @typedef {Object} UiState
+ * @property {{ isOpen: boolean }} cartModal - 장바구니 모달 상태
+ * @property {boolean} globalLoading - 전역 로딩 상태
+ * @property {ToastState} toast - 토스트 알림
+ */
+
+// 상태 키마다 슬라이스를 나누고, 슬라이스 이름은 combineReducers의 키와 같게 둔다 (액션 타입: "toast/showToast" 등)
+
+const cartModalSlice = createSlice({
+  name: "cartModal",
+  initialState: { isOpen: false },
+  reducers: {
+    openCartModal: () => ({ isOpen: true }),
+    closeCartModal: () => ({ isOpen: false }),
+  },
+});
+
+const globalLoadingSlice = createSlice({
+  name: "globalLoading",
+  initialState: false,
+  reducers: {
+    setGlobalLoading: (state, action) => action.payload,
+  },
+});
+
+const toastSlice = createSlice({
+  name: "toast",
+  initialState: { isVisible: false, message: "", type: "info" },
+  reducers: {
+    // payload: { message, type = "info", duration }
+    showToast: (state, action) => ({
+      isVisible: true,
+      message: action.payload.message,
+      type: action.payload.type || "info",
+    }),
+    hideToast: (state) => ({ ...state, isVisible: false }),
+  },
+});
+
+/**
+ * @type {UiState}
+ */
+export const initialUiState = {
+  cartModal: cartModalSlice.initialState,
+  globalLoading: globalLoadingSlice.initialState,
+  toast: toastSlice.initialState,
+};
+
+export const uiReducer = combineReducers({
+  cartModal: cartModalSlice.reducer,
+  globalLoading: globalLoadingSlice.reducer,
+  toast: toastSlice.reducer,
+});
+
+export const uiActions = {
+  ...cartModalSlice.actions,
+  ...globalLoadingSlice.actions,
+  ...toastSlice.actions,
+};
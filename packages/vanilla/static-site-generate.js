@@ -2,41 +2,17 @@ import { readFileSync, writeFileSync, mkdirSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
 import { createServer } from "vite";
-import { server as mswServer } from "./src/mocks/node.js";
+import { applyTemplate, createSeoFiles, getSiteOrigin } from "@hanghae-plus/ssr";
+
+// SSG 결과물은 프로덕션 base 경로로 배포되므로 production 모드로 렌더링 (canonical URL 등)
+process.env.NODE_ENV = "production";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const DIST_DIR = join(__dirname, "../../dist/vanilla");
 const TEMPLATE_PATH = join(__dirname, "../../dist/vanilla/index.html");
-
-/**
- * initialData 스크립트 태그 생성
- * @param {Object} initialData
- * @returns {string}
- */
-function createInitialDataScript(initialData) {
-  return `
-    <script>
-      window.__INITIAL_DATA__ = ${JSON.stringify(initialData)};
-    </script>
-  `;
-}
-
-/**
- * HTML 템플릿에 SSR 결과 삽입
- * @param {string} template
- * @param {{ html: string, head: string, initialData: Object }} renderResult
- * @returns {string}
- */
-function applyTemplate(template, { html, head, initialData }) {
-  const initialDataScript = createInitialDataScript(initialData);
-
-  return template
-    .replace("<!--app-head-->", head)
-    .replace("<!--app-html-->", html)
-    .replace("</head>", `${initialDataScript}</head>`);
-}
+const BASE = "/front_7th_chapter4-1/vanilla/";
 
 /**
  * 정적 사이트 생성
@@ -46,30 +22,25 @@ async function generateStaticSite() {
 
   let vite;
   try {
-    // 1. MSW 서버 시작
-    mswServer.listen({
-      onUnhandledRequest: "bypass",
-    });
-    console.log("MSW 서버 시작 완료");
-
-    // 2. Vite 서버 생성
+    // 1. Vite 서버 생성
     vite = await createServer({
       server: { middlewareMode: true },
       appType: "custom",
     });
 
-    // 3. 렌더 함수 로드 (Vite를 통해 모든 import 처리)
-    const { render } = await vite.ssrLoadModule("./src/main-server.js");
+    // 2. 렌더 함수 로드 (Vite를 통해 모든 import 처리)
+    const { render, loadSitemapData } = await vite.ssrLoadModule("./src/main-server.js");
 
-    // 4. 템플릿 로드
+    // 3. 템플릿 로드
     const template = readFileSync(TEMPLATE_PATH, "utf-8");
     console.log("HTML 템플릿 로드 완료");
 
-    // 5. 페이지 목록 생성
-    const pages = await getPages(vite);
+    // 4. 페이지 목록 생성 (sitemap과 같은 카탈로그 데이터로 모든 상품 상세 페이지를 생성)
+    const sitemapData = await loadSitemapData();
+    const pages = getPages(sitemapData.products);
     console.log(`총 ${pages.length}개 페이지 생성 예정`);
 
-    // 6. 각 페이지 렌더링 및 저장
+    // 5. 각 페이지 렌더링 및 저장
     for (const page of pages) {
       console.log(`페이지 생성 중: ${page.url}`);
 
@@ -91,23 +62,31 @@ async function generateStaticSite() {
       }
     }
 
+    // 6. robots.txt, sitemap.xml 생성
+    // 크롤러는 호스트 루트의 /robots.txt만 읽으므로, base 경로 아래에 배포할 때는 robots.txt를 호스트 루트로 복사해야 한다.
+    const seoFiles = createSeoFiles(sitemapData, { origin: getSiteOrigin(), base: BASE });
+    for (const [name, { body }] of Object.entries(seoFiles)) {
+      writeFileSync(join(DIST_DIR, name), body, "utf-8");
+      console.log(`✓ ${name} 생성 완료`);
+    }
+
     console.log("정적 사이트 생성 완료!");
   } catch (error) {
     console.error("정적 사이트 생성 오류:", error);
     process.exit(1);
   } finally {
-    // Vite 서버와 MSW 서버 정리
+    // Vite 서버 정리
     if (vite) {
       await vite.close();
     }
-    mswServer.close();
   }
 }
 
 /**
  * 생성할 페이지 목록 반환
+ * @param {Object[]} products - 상세 페이지를 생성할 전체 상품 목록
  */
-async function getPages(vite) {
+function getPages(products) {
   const pages = [
     // 홈페이지
     {
@@ -123,27 +102,17 @@ async function getPages(vite) {
     },
   ];
 
-  try {
-    // 상품 목록 조회 (동적 라우트용) - Vite를 통해 로드
-    const { getProducts } = await vite.ssrLoadModule("./src/api/productApi.js");
-    const productsResponse = await getProducts({ limit: 20, page: 1 });
-    const products = productsResponse.products;
-
-    // 상품 상세 페이지들 추가
-    for (const product of products) {
-      pages.push({
-        url: `/product/${product.productId}/`,
-        filePath: join(DIST_DIR, "product", product.productId, "index.html"),
-        query: {},
-      });
-    }
-
-    console.log(`${products.length}개 상품 상세 페이지 추가`);
-  } catch (error) {
-    console.error("상품 목록 조회 실패:", error);
-    // 상품 목록 조회 실패해도 기본 페이지들은 생성
+  // 상품 상세 페이지들 추가
+  for (const product of products) {
+    pages.push({
+      url: `/product/${product.productId}/`,
+      filePath: join(DIST_DIR, "product", product.productId, "index.html"),
+      query: {},
+    });
   }
 
+  console.log(`${products.length}개 상품 상세 페이지 추가`);
+
   return pages;
 }
 